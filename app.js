@@ -12,6 +12,7 @@ let currentUser = {
     username: null,
     email: null,
     avatar: null,
+    isAdmin: false,
     isLoggedIn: false
 };
 
@@ -24,6 +25,8 @@ window.initAuthButtons = initAuthButtons;
 window.initUploadModal = initUploadModal;
 window.updateLoginStatus = updateLoginStatus;
 window.showMessage = showMessage;
+window.fetchAllVideos = fetchAllVideos;
+window.getSuggestionVideos = getSuggestionVideos;
 window.login = function() {
     console.log('Login function called - opening login modal');
     showLoginModal();
@@ -186,6 +189,7 @@ function updateLoginStatus(isLoggedIn) {
             currentUser.username = user.username;
             currentUser.email = user.email;
             currentUser.avatar = user.profile_picture;
+            currentUser.isAdmin = Boolean(user.is_admin || user.role === 'admin');
             currentUser.isLoggedIn = true;
             console.log('User logged in:', currentUser.name);
         }
@@ -195,6 +199,7 @@ function updateLoginStatus(isLoggedIn) {
         currentUser.username = null;
         currentUser.email = null;
         currentUser.avatar = null;
+        currentUser.isAdmin = false;
         currentUser.isLoggedIn = false;
         console.log('User logged out or not authenticated');
     }
@@ -249,6 +254,12 @@ function updateLoginStatus(isLoggedIn) {
                         showProfileModal();
                     };
                     
+                    // Add channel option
+                    const channelOption = document.createElement('a');
+                    channelOption.href = getChannelPageUrl(currentUser.username || currentUser.name);
+                    channelOption.className = 'dropdown-item';
+                    channelOption.innerHTML = '<i class="fas fa-video"></i> My Channel';
+                    
                     // Add logout option
                     const logoutOption = document.createElement('a');
                     logoutOption.href = '#';
@@ -258,6 +269,7 @@ function updateLoginStatus(isLoggedIn) {
                     
                     // Assemble dropdown menu
                     dropdownMenu.appendChild(profileOption);
+                    dropdownMenu.appendChild(channelOption);
                     dropdownMenu.appendChild(document.createElement('hr'));
                     dropdownMenu.appendChild(logoutOption);
                     
@@ -340,6 +352,9 @@ function updateLoginStatus(isLoggedIn) {
             uploadButton.title = 'Please login to upload videos';
         }
     }
+    
+    // The channel page being shown may be the user's own
+    updateChannelManager();
 }
 
 // Message display function
@@ -611,6 +626,54 @@ if (document.readyState === 'loading') {
 // Global state
 let allVideos = []; 
 
+// Number of videos requested per page of the home grid
+const VIDEO_PAGE_SIZE = 24;
+
+// Paging position of the home grid and the grid itself. profile is set on a profile page (see getProfileRoute).
+let videoFeed = { sort: null, profile: null, page: 0, cursor: null, done: false, request: null };
+let homeGrid = null;
+
+// Management mode offered on the viewer's own channel page
+let channelManager = null;
+
+// Delay before results update while typing in the search bar
+const SEARCH_INPUT_DELAY = 200;
+
+// Videos fetched for search suggestions on pages without the home grid
+let suggestionVideos = null;
+
+// A search on a paged catalog ranks at most SEARCH_MAX_VIDEOS videos together, fetched in pages of SEARCH_PAGE_SIZE
+const SEARCH_MAX_VIDEOS = 500;
+const SEARCH_PAGE_SIZE = 100;
+
+// Videos fetched for the last search, reused while only the tag filter changes
+let searchFetch = null;
+
+// Filter the home grid currently shows, so an older search doesn't update the summary
+let activeVideoFilter = null;
+
+// Whether back/forward navigation is handled by the home page yet
+let homeHistoryBound = false;
+
+// Most used tags shown in the tag cloud above the home grid
+const TAG_CLOUD_SIZE = 24;
+
+// Tags shown on a video card
+const CARD_TAG_LIMIT = 4;
+
+// Orders offered in the home grid's sort toolbar. The key is sent to the backend as ?sort=
+// and used to sort locally when the backend returns an unpaged list.
+const VIDEO_SORTS = {
+    newest: (a, b) => getUploadTime(b) - getUploadTime(a),
+    oldest: (a, b) => getUploadTime(a) - getUploadTime(b),
+    views: (a, b) => (b.views || 0) - (a.views || 0),
+    likes: (a, b) => (b.likes || 0) - (a.likes || 0),
+    comments: (a, b) => getCommentCount(b) - getCommentCount(a),
+    longest: (a, b) => (b.duration || 0) - (a.duration || 0),
+    shortest: (a, b) => (a.duration || 0) - (b.duration || 0)
+};
+const DEFAULT_VIDEO_SORT = 'newest';
+
 // Utility functions
 function formatDate(date) {
     const now = new Date();
@@ -664,19 +727,49 @@ function getRandomInt(min, max) {
     return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
+function getUploadTime(video) {
+    const time = new Date(video.upload_date).getTime();
+    return isNaN(time) ? 0 : time;
+}
+
+function getCommentCount(video) {
+    if (typeof video.comment_count === 'number') return video.comment_count;
+    return Array.isArray(video.comments) ? video.comments.length : 0;
+}
+
 // API functions
-async function fetchVideos() {
-    try {
-        const response = await fetch(`${BASE_URL}/metadata`);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch videos: ${response.status}`);
-        }
-        const data = await response.json();
-        return data;
-    } catch (error) {
-        console.error('Error fetching videos:', error);
-        return [];
+// Fetch one page of videos (see readPagedResponse in js/utils.js for the paging styles handled).
+// filters (e.g. { player: 'Name' }) are sent as extra query parameters.
+async function fetchVideoPage({ page = 1, cursor = null, limit = VIDEO_PAGE_SIZE, sort = DEFAULT_VIDEO_SORT, filters = {} } = {}) {
+    const { buildPageParams, readPagedResponse } = window.replayHub.utils;
+    const params = buildPageParams({ page, cursor, limit, sort }, filters);
+    
+    const response = await fetch(`${BASE_URL}/metadata?${params}`);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch videos: ${response.status}`);
+    }
+    
+    const { items, ...pageInfo } = readPagedResponse(await response.json(), { page, limit, key: 'videos' });
+    return { videos: items, ...pageInfo };
+}
+
+// Fetch every video matching a filter, page by page. The filter is applied again here
+// because a backend that doesn't know it returns every video.
+async function fetchAllVideos(filters, matches) {
+    const videos = [];
+    let page = 1;
+    let cursor = null;
+    let hasMore = true;
+    
+    while (hasMore) {
+        const result = await fetchVideoPage({ page, cursor, limit: 100, filters });
+        videos.push(...result.videos.filter(video => video && matches(video)));
+        hasMore = result.hasMore;
+        cursor = result.nextCursor;
+        page++;
     }
+    
+    return videos;
 }
 
 async function fetchVideo(videoId) {
@@ -761,14 +854,16 @@ async function addReaction(videoId, reactionType) {
     }
 }
 
-async function uploadVideo(formData, progressCallback, progressTracker = null) {
+// An optional AbortSignal stops the upload (used by the upload queue to pause and cancel jobs).
+// sourceFile is the file the user selected when the uploaded one was converted from it
+async function uploadVideo(formData, progressCallback, progressTracker = null, signal = null, sourceFile = null) {
     return new Promise((resolve, reject) => {
         const file = formData.get('file');
         
         // If file is larger than 100MB, use chunked upload
         if (file && file.size > 100 * 1024 * 1024) {
             console.log('Large file detected, using chunked upload');
-            return uploadLargeFile(formData, progressCallback, progressTracker)
+            return uploadLargeFile(formData, progressCallback, progressTracker, signal, sourceFile)
                 .then(resolve)
                 .catch(reject);
         }
@@ -776,6 +871,14 @@ async function uploadVideo(formData, progressCallback, progressTracker = null) {
         // For smaller files, use traditional upload
         const xhr = new XMLHttpRequest();
         
+        if (signal) {
+            if (signal.aborted) {
+                reject(createUploadAbortError());
+                return;
+            }
+            signal.addEventListener('abort', () => xhr.abort(), { once: true });
+        }
+        
         xhr.open('POST', `${BASE_URL}/upload`, true);
         
         // Add JWT authentication header if available
@@ -824,132 +927,217 @@ async function uploadVideo(formData, progressCallback, progressTracker = null) {
             reject(new Error('Network error during upload'));
         };
         
+        xhr.onabort = function() {
+            reject(createUploadAbortError());
+        };
+        
         xhr.send(formData);
     });
 }
 
-// Function to handle large file uploads via chunking
-async function uploadLargeFile(formData, progressCallback, progressTracker = null) {
+// Build the Authorization header for upload requests
+function getUploadAuthHeaders() {
+    const headers = {};
+    if (window.replayHub && window.replayHub.auth && window.replayHub.auth.isAuthenticated()) {
+        const token = localStorage.getItem('replay_hub_token') || sessionStorage.getItem('replay_hub_token');
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+    }
+    return headers;
+}
+
+// Error used when an upload is stopped through its AbortSignal
+function createUploadAbortError() {
+    const error = new Error('Upload aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+// Generate a unique file ID for a new chunked upload
+function generateUploadFileId() {
+    return `upload_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
+}
+
+// Optional file details forwarded from the upload form to the chunked upload endpoints
+const UPLOAD_DETAIL_FIELDS = [
+    'converted_to_h265', 'original_size', 'converted_size', 'converted_codec',
+    'duration', 'width', 'height', 'frame_rate', 'video_codec', 'audio_codec', 'bitrate',
+    'game', 'map', 'match_id', 'match_date', 'team', 'score', 'result'
+];
+
+function appendUploadDetails(target, formData) {
+    UPLOAD_DETAIL_FIELDS.forEach(name => {
+        const value = formData.get(name);
+        if (value) target.append(name, value);
+    });
+}
+
+// Function to handle large file uploads via chunking.
+// Acknowledged chunks are persisted in IndexedDB, so re-selecting the same file
+// after a reload or network drop continues from where the upload stopped.
+// Sessions of converted files are keyed by the selected source file and keep the converted file.
+async function uploadLargeFile(formData, progressCallback, progressTracker = null, signal = null, sourceFile = null) {
     const file = formData.get('file');
     const title = formData.get('title');
     const description = formData.get('description');
     const uploader = formData.get('uploader');
     const players = formData.get('players'); // Pass along player data if available
+    const tags = formData.get('tags');
     
     if (!file) {
         throw new Error('No file found in form data');
     }
     
-    // Configuration for chunked upload
-    const chunkSize = 5 * 1024 * 1024; // 5MB chunks
-    const totalChunks = Math.ceil(file.size / chunkSize);
-    let uploadedChunks = 0;
-    let totalUploaded = 0;
+    const originalFile = sourceFile || file;
+    const uploadSessions = window.replayHub && window.replayHub.uploadSessions;
+    const fingerprint = uploadSessions ? uploadSessions.getFileFingerprint(originalFile) : null;
+    let session = uploadSessions ? await uploadSessions.getSession(fingerprint) : null;
     
-    console.log(`Preparing chunked upload: ${totalChunks} chunks of ${chunkSize} bytes`);
+    // A session that uploaded other bytes (e.g. a conversion that wasn't kept) can't be continued
+    if (session && (session.uploadSize || session.fileSize) !== file.size) {
+        await uploadSessions.deleteSession(fingerprint);
+        session = null;
+    }
     
-    // Generate a unique file ID for this upload
-    const fileId = `upload_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
+    // Configuration for chunked upload - a resumed upload keeps the chunk size it started with,
+    // a new one picks its size from the throughput measured during previous uploads
+    let chunkSize = session ? session.chunkSize : ChunkUploadScheduler.recommendChunkSize(file.size);
+    let totalChunks = Math.ceil(file.size / chunkSize);
+    let fileId = session ? session.fileId : generateUploadFileId();
     
-    try {
-        // First, send initialization request to let the server know a chunked upload is starting
+    const buildInitForm = (resume) => {
         const initForm = new FormData();
         initForm.append('action', 'init_chunked_upload');
         initForm.append('title', title);
         initForm.append('description', description);
         initForm.append('uploader', uploader);
         if (players) initForm.append('players', players);
+        if (tags) initForm.append('tags', tags);
+        appendUploadDetails(initForm, formData);
         initForm.append('filename', file.name);
         initForm.append('fileSize', file.size.toString());
         initForm.append('totalChunks', totalChunks.toString());
+        initForm.append('chunkSize', chunkSize.toString());
         initForm.append('fileId', fileId);
         initForm.append('s3', 'true');
-        
-        // Add authentication header for initialization request
-        const initHeaders = {};
-        if (window.replayHub && window.replayHub.auth && window.replayHub.auth.isAuthenticated()) {
-            const token = localStorage.getItem('replay_hub_token') || sessionStorage.getItem('replay_hub_token');
-            if (token) {
-                initHeaders['Authorization'] = `Bearer ${token}`;
-            }
-        }
-        
-        // Send initialization request
-        const initResponse = await fetch(`${BASE_URL}/upload/init`, {
+        if (resume) initForm.append('resume', 'true');
+        return initForm;
+    };
+    
+    try {
+        // First, send initialization request to let the server know a chunked upload is starting (or resuming)
+        let initResponse = await fetch(`${BASE_URL}/upload/init`, {
             method: 'POST',
-            headers: initHeaders,
-            body: initForm
+            headers: getUploadAuthHeaders(),
+            body: buildInitForm(Boolean(session))
         });
         
+        // The server has discarded the partial upload, so start over with a fresh session
+        if (session && (initResponse.status === 404 || initResponse.status === 410)) {
+            console.warn('Server no longer has the partial upload, starting from the beginning');
+            await uploadSessions.deleteSession(fingerprint);
+            session = null;
+            chunkSize = ChunkUploadScheduler.recommendChunkSize(file.size);
+            totalChunks = Math.ceil(file.size / chunkSize);
+            fileId = generateUploadFileId();
+            
+            initResponse = await fetch(`${BASE_URL}/upload/init`, {
+                method: 'POST',
+                headers: getUploadAuthHeaders(),
+                body: buildInitForm(false)
+            });
+        }
+        
         if (!initResponse.ok) {
             throw new Error(`Failed to initialize chunked upload: ${initResponse.status}`);
         }
         
-        // Process each chunk
-        for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
-            const start = chunkIndex * chunkSize;
-            const end = Math.min(start + chunkSize, file.size);
-            const chunk = file.slice(start, end);
-            
-            // Create a form for this chunk
-            const chunkForm = new FormData();
-            chunkForm.append('file', chunk, `chunk_${fileId}_${chunkIndex}_of_${totalChunks}`);
-            chunkForm.append('fileId', fileId);
-            chunkForm.append('chunkIndex', chunkIndex.toString());
-            chunkForm.append('totalChunks', totalChunks.toString());
-            chunkForm.append('originalFilename', file.name);
-            chunkForm.append('s3', 'true');
-            
-            // Upload this chunk
-            try {
-                const xhr = new XMLHttpRequest();
-                
-                await new Promise((resolveChunk, rejectChunk) => {
-                    xhr.open('POST', `${BASE_URL}/upload/chunk`, true);
-                    
-                    // Add JWT authentication header for chunk upload
-                    if (window.replayHub && window.replayHub.auth && window.replayHub.auth.isAuthenticated()) {
-                        const token = localStorage.getItem('replay_hub_token') || sessionStorage.getItem('replay_hub_token');
-                        if (token) {
-                            xhr.setRequestHeader('Authorization', `Bearer ${token}`);
-                        }
-                    }
-                    
-                    xhr.upload.onprogress = (event) => {
-                        if (event.lengthComputable) {
-                            // Calculate overall progress across all chunks
-                            const chunkProgress = (event.loaded / event.total) * (chunkSize / file.size);
-                            const overallProgress = ((chunkIndex / totalChunks) + chunkProgress) * 100;
-                            
-                            if (progressCallback) {
-                                progressCallback(Math.min(overallProgress, 99)); // Cap at 99% until fully complete
-                            }
-                        }
-                    };
-                    
-                    xhr.onload = function() {
-                        if (xhr.status === 200 || xhr.status === 201) {
-                            uploadedChunks++;
-                            totalUploaded += chunk.size;
-                            
-                            console.log(`Chunk ${chunkIndex + 1}/${totalChunks} uploaded successfully`);
-                            resolveChunk();
-                        } else {
-                            rejectChunk(new Error(`Chunk upload failed with status: ${xhr.status}`));
-                        }
-                    };
-                    
-                    xhr.onerror = function() {
-                        rejectChunk(new Error('Network error during chunk upload'));
-                    };
-                    
-                    xhr.send(chunkForm);
-                });
-                
-            } catch (chunkError) {
-                console.error(`Error uploading chunk ${chunkIndex}:`, chunkError);
-                throw new Error(`Failed to upload chunk ${chunkIndex}: ${chunkError.message}`);
+        const initData = await initResponse.json().catch(() => ({}));
+        
+        // The server is authoritative about which chunks it holds; fall back to our own record
+        const serverChunks = initData.uploadedChunks || initData.uploaded_chunks;
+        const completedChunks = new Set(
+            Array.isArray(serverChunks) ? serverChunks.map(Number) : (session ? session.uploadedChunks : [])
+        );
+        
+        if (uploadSessions) {
+            const resumed = Boolean(session);
+            session = await uploadSessions.saveSession({
+                fingerprint,
+                fileId,
+                chunkSize,
+                totalChunks,
+                fileName: originalFile.name,
+                fileSize: originalFile.size,
+                uploadSize: file.size,
+                converted: file !== originalFile,
+                convertedCodec: formData.get('converted_codec') || null,
+                title,
+                description,
+                players,
+                tags,
+                uploadedChunks: Array.from(completedChunks),
+                createdAt: session ? session.createdAt : Date.now()
+            });
+            
+            // Without its converted file, a retry would convert again and upload different bytes
+            if (!resumed && file !== originalFile && !await uploadSessions.saveSessionFile(fingerprint, file)) {
+                await uploadSessions.deleteSession(fingerprint);
+            }
+        }
+        
+        if (completedChunks.size > 0) {
+            console.log(`Resuming chunked upload: ${completedChunks.size}/${totalChunks} chunks already on the server`);
+        } else {
+            console.log(`Preparing chunked upload: ${totalChunks} chunks of ${chunkSize} bytes`);
+        }
+        
+        // Upload the remaining chunks in parallel, retrying transient failures per chunk
+        const scheduler = new ChunkUploadScheduler({
+            file,
+            chunkSize,
+            totalChunks,
+            completedChunks,
+            uploadUrl: `${BASE_URL}/upload/chunk`,
+            getHeaders: getUploadAuthHeaders,
+            buildChunkForm: (chunkIndex, chunk) => {
+                const chunkForm = new FormData();
+                chunkForm.append('file', chunk, `chunk_${fileId}_${chunkIndex}_of_${totalChunks}`);
+                chunkForm.append('fileId', fileId);
+                chunkForm.append('chunkIndex', chunkIndex.toString());
+                chunkForm.append('totalChunks', totalChunks.toString());
+                chunkForm.append('originalFilename', file.name);
+                chunkForm.append('s3', 'true');
+                return chunkForm;
+            },
+            onChunkComplete: (chunkIndex) => {
+                if (uploadSessions) {
+                    return uploadSessions.markChunkUploaded(fingerprint, chunkIndex);
+                }
+            },
+            onProgress: (uploadedBytes, totalBytes) => {
+                if (progressCallback) {
+                    progressCallback(Math.min((uploadedBytes / totalBytes) * 100, 99)); // Cap at 99% until fully complete
+                }
+                if (progressTracker) {
+                    progressTracker.updateUploadProgress(uploadedBytes, totalBytes);
+                }
             }
+        });
+        
+        if (signal) {
+            if (signal.aborted) throw createUploadAbortError();
+            signal.addEventListener('abort', () => scheduler.abort(), { once: true });
+        }
+        
+        try {
+            await scheduler.run();
+        } catch (chunkError) {
+            // Paused or cancelled - the session stays so the upload can continue later
+            if (chunkError.name === 'AbortError') throw chunkError;
+            const resumeHint = uploadSessions ? ' Select the same file again to resume.' : '';
+            throw new Error(`${chunkError.message}.${resumeHint}`);
         }
         
         // All chunks uploaded, now tell the server to finalize (combine chunks)
@@ -964,19 +1152,16 @@ async function uploadLargeFile(formData, progressCallback, progressTracker = nul
         finalizeForm.append('description', description);
         finalizeForm.append('uploader', uploader);
         if (players) finalizeForm.append('players', players);
+        if (tags) finalizeForm.append('tags', tags);
+        appendUploadDetails(finalizeForm, formData);
         
-        // Add authentication header for finalization request
-        const finalizeHeaders = {};
-        if (window.replayHub && window.replayHub.auth && window.replayHub.auth.isAuthenticated()) {
-            const token = localStorage.getItem('replay_hub_token') || sessionStorage.getItem('replay_hub_token');
-            if (token) {
-                finalizeHeaders['Authorization'] = `Bearer ${token}`;
-            }
-        }
+        // The chosen thumbnail image goes with the request that creates the video
+        const thumbnail = formData.get('thumbnail');
+        if (thumbnail) finalizeForm.append('thumbnail', thumbnail, thumbnail.name);
         
         const finalizeResponse = await fetch(`${BASE_URL}/upload/finalize`, {
             method: 'POST',
-            headers: finalizeHeaders,
+            headers: getUploadAuthHeaders(),
             body: finalizeForm
         });
         
@@ -986,6 +1171,11 @@ async function uploadLargeFile(formData, progressCallback, progressTracker = nul
         
         const responseData = await finalizeResponse.json();
         
+        // The upload is complete, nothing left to resume
+        if (uploadSessions) {
+            await uploadSessions.deleteSession(fingerprint);
+        }
+        
         if (progressCallback) {
             progressCallback(100);
         }
@@ -999,7 +1189,8 @@ async function uploadLargeFile(formData, progressCallback, progressTracker = nul
 }
 
 // DOM utility functions
-function createVideoCard(video) {
+// highlightWords are the normalized words a search matched, shown marked in the card
+function createVideoCard(video, highlightWords = null) {
     // Ensure video object is valid
     if (!video) {
         console.warn('Attempted to create video card with null or undefined video');
@@ -1034,6 +1225,11 @@ function createVideoCard(video) {
     thumbnailContainer.appendChild(thumbnail);
     thumbnailContainer.appendChild(duration);
     
+    // Play a short preview while the card is hovered or long-pressed
+    if (validS3Url && window.replayHub && window.replayHub.cardPreview) {
+        window.replayHub.cardPreview.attach(card, thumbnailContainer, video);
+    }
+    
     // Create video info section
     const videoInfo = document.createElement('div');
     videoInfo.className = 'video-info';
@@ -1041,31 +1237,81 @@ function createVideoCard(video) {
     // Create video title
     const title = document.createElement('h3');
     title.className = 'video-title';
-    title.textContent = video.title || 'Untitled Video';
+    title.appendChild(highlightText(video.title || 'Untitled Video', highlightWords));
     
-    // Create uploader/channel name
+    // Create uploader/channel name, linking to the uploader's channel page
     const channel = document.createElement('div');
     channel.className = 'video-channel';
-    channel.textContent = video.uploader || 'Unknown';
+    if (video.uploader) {
+        const channelLink = document.createElement('a');
+        channelLink.className = 'video-channel-link';
+        channelLink.href = getChannelPageUrl(video.uploader);
+        channelLink.appendChild(highlightText(video.uploader, highlightWords));
+        channelLink.addEventListener('click', followHomeLink);
+        channel.appendChild(channelLink);
+    } else {
+        channel.textContent = 'Unknown';
+    }
+    
+    // Create game and map line if available
+    const matchInfo = [video.game, video.map].filter(Boolean).join(' • ');
     
     // Create video stats
     const stats = document.createElement('div');
     stats.className = 'video-stats';
     stats.textContent = `${formatViews(video.views || 0)} views • ${formatDate(new Date(video.upload_date || new Date()))}`;
     
-    // Create players list if available
+    // Create players list if available, each name linking to the player's page
     if (video.players && video.players.length > 0) {
         const playersInfo = document.createElement('div');
         playersInfo.className = 'video-players';
-        playersInfo.textContent = `Players: ${video.players.join(', ')}`;
+        playersInfo.appendChild(document.createTextNode('Players: '));
+        video.players.forEach((player, index) => {
+            if (index > 0) playersInfo.appendChild(document.createTextNode(', '));
+            const playerLink = document.createElement('a');
+            playerLink.className = 'video-player-link';
+            playerLink.href = getPlayerPageUrl(player);
+            playerLink.appendChild(highlightText(player, highlightWords));
+            playerLink.addEventListener('click', followHomeLink);
+            playersInfo.appendChild(playerLink);
+        });
         videoInfo.appendChild(playersInfo);
     }
     
     // Add elements to video info
     videoInfo.appendChild(title);
     videoInfo.appendChild(channel);
+    if (matchInfo) {
+        const match = document.createElement('div');
+        match.className = 'video-match';
+        match.appendChild(highlightText(matchInfo, highlightWords));
+        videoInfo.appendChild(match);
+    }
     videoInfo.appendChild(stats);
     
+    // Create tag chips if available, each one filtering the grid by its tag
+    const tags = getVideoTags(video);
+    if (tags.length > 0) {
+        const tagsInfo = document.createElement('div');
+        tagsInfo.className = 'video-tags';
+        tags.slice(0, CARD_TAG_LIMIT).forEach(tag => {
+            const chip = document.createElement('a');
+            chip.className = 'tag-chip';
+            chip.href = getTagPageUrl(tag);
+            chip.dataset.tag = tag;
+            chip.appendChild(highlightText(tag, highlightWords));
+            chip.addEventListener('click', followTagLink);
+            tagsInfo.appendChild(chip);
+        });
+        if (tags.length > CARD_TAG_LIMIT) {
+            const more = document.createElement('span');
+            more.className = 'tag-chip-more';
+            more.textContent = `+${tags.length - CARD_TAG_LIMIT}`;
+            tagsInfo.appendChild(more);
+        }
+        videoInfo.appendChild(tagsInfo);
+    }
+    
     // Add all components to the card
     card.appendChild(thumbnailContainer);
     card.appendChild(videoInfo);
@@ -1096,9 +1342,19 @@ function createVideoCard(video) {
         }
     });
     
+    // Cards on the viewer's own channel page can be selected for bulk changes
+    if (channelManager) channelManager.decorateCard(card, video);
+    
     return card;
 }
 
+// Text node for a card, with search matches marked when the search module is loaded
+function highlightText(text, words) {
+    const videoSearch = window.replayHub && window.replayHub.videoSearch;
+    if (!videoSearch || !words) return document.createTextNode(text);
+    return videoSearch.highlight(text, words);
+}
+
 // Initialize the page based on current URL
 function initPage() {
     const path = window.location.pathname;
@@ -1109,6 +1365,9 @@ function initPage() {
     // Always initialize upload modal
     initUploadModal();
     
+    // The header search bar is on every page
+    initSearchBar();
+    
     // Then initialize page-specific functionality
     if (path.endsWith('index.html') || path === '/' || path === '') {
         initHomePage();
@@ -1121,100 +1380,652 @@ async function initHomePage() {
     const videoGrid = document.getElementById('video-grid');
     if (!videoGrid) return;
     
-    // Show loading state
-    videoGrid.innerHTML = '<div class="loading">Loading videos...</div>';
+    initSortToolbar();
+    
+    // Start again from the first page
+    allVideos = [];
+    videoFeed = { sort: getVideoSort(), profile: getProfileRoute(), page: 0, cursor: null, done: false, request: null };
+    searchFetch = null;
+    
+    // The profile header is filled in once the profile's videos have loaded
+    const profileHeader = document.getElementById('profile-header');
+    if (profileHeader) profileHeader.style.display = 'none';
+    updateChannelManager();
+    
+    // Pages are fetched as the user scrolls to the end of the grid
+    if (homeGrid) homeGrid.destroy();
+    homeGrid = window.replayHub.videoGrid.create(videoGrid, {
+        loadMore: createHomeFeedSource(),
+        renderCard: createVideoCard,
+        batchSize: VIDEO_PAGE_SIZE,
+        emptyMessage: getFeedEmptyMessage()
+    });
+    
+    // Show the results of a search or tag filter opened from a link or another page
+    const query = getSearchQuery();
+    updateSearchSummary(query);
+    renderTagCloud();
+    if (query || getTagFilter().tags.length > 0) filterVideos(query);
+    
+    // Back and forward step between searches, sort orders and profiles
+    if (!homeHistoryBound) {
+        homeHistoryBound = true;
+        window.addEventListener('popstate', () => {
+            const profile = getProfileRoute();
+            const profileChanged = (profile && profile.key) !== (videoFeed.profile && videoFeed.profile.key);
+            if (getVideoSort() !== videoFeed.sort || profileChanged) {
+                initHomePage();
+                return;
+            }
+            showSearchResults(getSearchQuery());
+        });
+    }
+    
+    const searchBar = document.getElementById('search-bar');
+    if (searchBar) searchBar.value = query;
+}
+
+// Get the profile the home page shows from the URL (index.html?player=... or index.html?uploader=...),
+// or null for every video
+function getProfileRoute() {
+    const params = new URLSearchParams(window.location.search);
+    const player = (params.get('player') || '').trim();
+    if (player) return { type: 'player', name: player, key: `player:${player}` };
+    
+    const uploader = (params.get('uploader') || '').trim();
+    if (uploader) return { type: 'uploader', name: uploader, key: `uploader:${uploader}` };
+    return null;
+}
+
+function getPlayerPageUrl(player) {
+    return `index.html?player=${encodeURIComponent(player)}`;
+}
+
+function getChannelPageUrl(uploader) {
+    return `index.html?uploader=${encodeURIComponent(uploader)}`;
+}
+
+// Open a link to another view of the home page (e.g. a player page) without reloading it.
+// Clicks that open a new tab, and links followed from other pages, navigate normally.
+function followHomeLink(event) {
+    event.stopPropagation();
+    if (!homeGrid || event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) return;
     
-    // Fetch videos
-    allVideos = await fetchVideos();
+    event.preventDefault();
+    history.pushState(null, '', event.currentTarget.href);
+    initHomePage();
+    window.scrollTo(0, 0);
+}
+
+function getFeedEmptyMessage() {
+    if (!videoFeed.profile) return 'No videos available';
+    return videoFeed.profile.type === 'player' ? 'No videos featuring this player yet' : 'No videos uploaded to this channel yet';
+}
+
+// Show the statistics of the profile page's videos above the grid
+function showProfileHeader(profile, videos) {
+    const profileHeader = document.getElementById('profile-header');
+    const profileStats = window.replayHub && window.replayHub.profileStats;
+    if (!profileHeader || !profileStats) return;
+    
+    if (profile.type === 'player') {
+        profileStats.renderPlayerHeader(profileHeader, profile.name, videos, getPlayerPageUrl);
+    } else {
+        profileStats.renderChannelHeader(profileHeader, profile.name, videos, getPlayerPageUrl);
+    }
+    profileHeader.querySelectorAll('a').forEach(link => link.addEventListener('click', followHomeLink));
+}
+
+// Check whether the logged in user is the given uploader
+function isCurrentUploader(name) {
+    const user = window.replayHub && window.replayHub.auth && window.replayHub.auth.getCurrentUser();
+    return Boolean(user) && (user.username === name || user.display_name === name);
+}
+
+// Offer the management mode once the viewer's own channel has loaded, and remove it anywhere else
+function updateChannelManager() {
+    const container = document.getElementById('channel-manager');
+    const videoGrid = document.getElementById('video-grid');
+    const profile = videoFeed.profile;
+    const ownChannel = Boolean(profile) && profile.type === 'uploader' && videoFeed.done && isCurrentUploader(profile.name);
     
-    // Clear and render videos
-    videoGrid.innerHTML = '';
-    if (allVideos.length === 0) {
-        videoGrid.innerHTML = '<div class="no-videos">No videos available</div>';
+    if (!ownChannel || !container || !videoGrid || !window.replayHub.channelManager || !window.replayHub.videoMetadata) {
+        if (channelManager) channelManager.destroy();
+        channelManager = null;
         return;
     }
+    if (channelManager) return;
+    
+    channelManager = window.replayHub.channelManager.create(container, videoGrid, {
+        getVideos: getListedVideos,
+        onUpdated: () => filterVideos(getSearchQuery()),
+        onDeleted: (deleted) => {
+            const removed = new Set(deleted);
+            allVideos = allVideos.filter(video => !removed.has(video));
+            showProfileHeader(profile, allVideos);
+            filterVideos(getSearchQuery());
+        }
+    });
     
-    // Filter out videos without valid s3_url
-    const validVideos = allVideos.filter(video => video && video.s3_url);
+    // Render the cards again so they can be selected
+    filterVideos(getSearchQuery());
+}
+
+// The loaded videos the grid lists for the current search and tag filter
+function getListedVideos() {
+    const filter = createVideoFilter(getSearchQuery());
+    const videos = allVideos.filter(video => video && video.s3_url);
+    return filter ? filter.select(videos) : videos;
+}
+
+// Get a video's tags, which arrive as an array, a JSON string or comma-separated text
+function getVideoTags(video) {
+    const videoSearch = window.replayHub && window.replayHub.videoSearch;
+    if (videoSearch) return videoSearch.toList(video.tags);
+    return Array.isArray(video.tags) ? video.tags : [];
+}
+
+// Tags match ignoring case and accents
+function normalizeTag(tag) {
+    const videoSearch = window.replayHub && window.replayHub.videoSearch;
+    const text = String(tag).trim();
+    return videoSearch ? videoSearch.normalize(text) : text.toLowerCase();
+}
+
+function getTagPageUrl(tag) {
+    return `index.html?tags=${encodeURIComponent(tag)}`;
+}
+
+// Get the home grid's tag filter from the URL (index.html?tags=clutch,ace&tagmode=any).
+// In 'all' mode a video needs every tag, in 'any' mode one of them.
+function getTagFilter() {
+    const params = new URLSearchParams(window.location.search);
+    const tags = (params.get('tags') || '').split(',').map(tag => tag.trim()).filter(Boolean);
+    return { tags, mode: params.get('tagmode') === 'any' ? 'any' : 'all' };
+}
+
+function matchesTagFilter(video, tagFilter) {
+    if (tagFilter.tags.length === 0) return true;
     
-    if (validVideos.length === 0) {
-        videoGrid.innerHTML = '<div class="no-videos">No videos available</div>';
-        return;
+    const videoTags = new Set(getVideoTags(video).map(normalizeTag));
+    const hasTag = tag => videoTags.has(normalizeTag(tag));
+    return tagFilter.mode === 'any' ? tagFilter.tags.some(hasTag) : tagFilter.tags.every(hasTag);
+}
+
+// Change the home grid's tag filter, keeping it in the URL so filtered views can be linked to
+function setTagFilter(tags, mode) {
+    const url = new URL(window.location.href);
+    if (tags.length > 0) {
+        url.searchParams.set('tags', tags.join(','));
+    } else {
+        url.searchParams.delete('tags');
+    }
+    if (tags.length > 0 && mode === 'any') {
+        url.searchParams.set('tagmode', 'any');
+    } else {
+        url.searchParams.delete('tagmode');
+    }
+    
+    history.pushState(null, '', url);
+    filterVideos(getSearchQuery());
+}
+
+// Add a card's tag to the home grid's tag filter. Off the home page the link opens the tag's videos.
+function followTagLink(event) {
+    event.stopPropagation();
+    if (!homeGrid || event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) return;
+    
+    event.preventDefault();
+    const tag = event.currentTarget.dataset.tag;
+    const tagFilter = getTagFilter();
+    if (!tagFilter.tags.some(selected => normalizeTag(selected) === normalizeTag(tag))) {
+        setTagFilter([...tagFilter.tags, tag], tagFilter.mode);
     }
+    window.scrollTo(0, 0);
+}
+
+// Show the most used tags of the loaded videos above the grid. Selected tags are always shown,
+// and with more than one selected the cloud offers matching all or any of them.
+function renderTagCloud() {
+    const cloud = document.getElementById('tag-cloud');
+    if (!cloud) return;
+    
+    const tagFilter = getTagFilter();
+    const counts = new Map();
+    allVideos.forEach(video => {
+        if (!video) return;
+        new Set(getVideoTags(video)).forEach(tag => {
+            const key = normalizeTag(tag);
+            if (!key) return;
+            const entry = counts.get(key) || { tag: String(tag).trim(), count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        });
+    });
     
-    validVideos.forEach(video => {
-        const card = createVideoCard(video);
-        if (card) {
-            videoGrid.appendChild(card);
+    const entries = Array.from(counts.values())
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+        .slice(0, TAG_CLOUD_SIZE);
+    const selectedKeys = new Set(tagFilter.tags.map(normalizeTag));
+    tagFilter.tags.forEach(tag => {
+        if (!entries.some(entry => normalizeTag(entry.tag) === normalizeTag(tag))) {
+            entries.push(counts.get(normalizeTag(tag)) || { tag, count: 0 });
         }
     });
     
-    // Add search functionality
-    const searchBar = document.getElementById('search-bar');
-    if (searchBar) {
-        searchBar.addEventListener('input', (event) => {
-            const searchTerm = event.target.value.toLowerCase();
-            filterVideos(searchTerm);
+    cloud.innerHTML = '';
+    if (entries.length === 0) {
+        cloud.style.display = 'none';
+        return;
+    }
+    
+    const label = document.createElement('span');
+    label.className = 'video-toolbar-label';
+    label.textContent = 'Tags';
+    cloud.appendChild(label);
+    
+    // More common tags are shown larger
+    const maxCount = Math.max(1, ...entries.map(entry => entry.count));
+    entries.forEach(entry => {
+        const selected = selectedKeys.has(normalizeTag(entry.tag));
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = `tag-cloud-item${selected ? ' active' : ''}`;
+        item.setAttribute('aria-pressed', String(selected));
+        item.style.fontSize = `${12 + Math.round(6 * entry.count / maxCount)}px`;
+        item.title = `${entry.count} loaded video${entry.count === 1 ? '' : 's'}`;
+        item.textContent = entry.tag;
+        item.addEventListener('click', () => {
+            const tags = selected
+                ? tagFilter.tags.filter(tag => normalizeTag(tag) !== normalizeTag(entry.tag))
+                : [...tagFilter.tags, entry.tag];
+            setTagFilter(tags, tagFilter.mode);
+        });
+        cloud.appendChild(item);
+    });
+    
+    if (tagFilter.tags.length > 1) {
+        const modes = document.createElement('span');
+        modes.className = 'tag-cloud-modes';
+        [['all', 'Match all'], ['any', 'Match any']].forEach(([mode, text]) => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = `sort-option${tagFilter.mode === mode ? ' active' : ''}`;
+            option.setAttribute('aria-pressed', String(tagFilter.mode === mode));
+            option.textContent = text;
+            option.addEventListener('click', () => {
+                if (tagFilter.mode !== mode) setTagFilter(tagFilter.tags, mode);
+            });
+            modes.appendChild(option);
         });
+        cloud.appendChild(modes);
+    }
+    
+    if (tagFilter.tags.length > 0) {
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.className = 'tag-cloud-clear';
+        clear.textContent = 'Clear tags';
+        clear.addEventListener('click', () => setTagFilter([], 'all'));
+        cloud.appendChild(clear);
     }
+    
+    cloud.style.display = 'flex';
 }
 
-// Filter videos based on search term
-function filterVideos(searchTerm) {
-    const videoGrid = document.getElementById('video-grid');
-    if (!videoGrid) return;
+// Get the home grid's sort order from the URL, so sorted views can be linked to
+function getVideoSort() {
+    const sort = new URLSearchParams(window.location.search).get('sort');
+    return VIDEO_SORTS[sort] ? sort : DEFAULT_VIDEO_SORT;
+}
+
+// Wire up the sort toolbar above the home grid
+function initSortToolbar() {
+    const toolbar = document.getElementById('video-toolbar');
+    if (!toolbar) return;
+    
+    const sort = getVideoSort();
+    toolbar.querySelectorAll('.sort-option').forEach(option => {
+        const active = option.dataset.sort === sort;
+        option.classList.toggle('active', active);
+        option.setAttribute('aria-pressed', String(active));
+    });
+    
+    if (toolbar.dataset.sortBound) return;
+    toolbar.dataset.sortBound = 'true';
+    
+    toolbar.addEventListener('click', (event) => {
+        const option = event.target.closest('.sort-option');
+        if (!option || option.dataset.sort === getVideoSort()) return;
+        
+        const url = new URL(window.location.href);
+        if (option.dataset.sort === DEFAULT_VIDEO_SORT) {
+            url.searchParams.delete('sort');
+        } else {
+            url.searchParams.set('sort', option.dataset.sort);
+        }
+        history.pushState(null, '', url);
+        initHomePage();
+    });
+}
+
+// Get the search query from the URL (index.html?q=...)
+function getSearchQuery() {
+    return new URLSearchParams(window.location.search).get('q') || '';
+}
+
+// Wire up the header search bar. On the home page results update while typing;
+// on other pages submitting a search opens its results on the home page.
+function initSearchBar() {
+    const searchBar = document.getElementById('search-bar');
+    const searchButton = document.getElementById('search-button');
+    if (!searchBar || searchBar.dataset.searchBound) return;
+    searchBar.dataset.searchBound = 'true';
+    
+    searchBar.value = getSearchQuery();
+    let inputTimer = null;
+    
+    // Attached first so picking a suggestion with Enter takes precedence over a plain submit
+    if (window.replayHub && window.replayHub.searchSuggestions) {
+        window.replayHub.searchSuggestions.attach(searchBar, {
+            getVideos: getSuggestionVideos,
+            onSelect: (query) => {
+                clearTimeout(inputTimer);
+                submitSearch(query);
+            }
+        });
+    }
     
-    videoGrid.innerHTML = '';
+    searchBar.addEventListener('input', () => {
+        if (!document.getElementById('video-grid')) return;
+        clearTimeout(inputTimer);
+        inputTimer = setTimeout(() => submitSearch(searchBar.value, { typing: true }), SEARCH_INPUT_DELAY);
+    });
     
-    // Filter videos with valid s3_url first, then apply search filter
-    const validVideos = allVideos.filter(video => video && video.s3_url);
+    searchBar.addEventListener('keydown', (event) => {
+        if (event.key !== 'Enter') return;
+        event.preventDefault();
+        clearTimeout(inputTimer);
+        submitSearch(searchBar.value);
+    });
     
-    const filteredVideos = searchTerm 
-        ? validVideos.filter(video => {
-            return Object.values(video).some(value =>
-                String(value).toLowerCase().includes(searchTerm)
-            );
-        })
-        : validVideos;
+    if (searchButton) {
+        searchButton.addEventListener('click', () => {
+            clearTimeout(inputTimer);
+            submitSearch(searchBar.value);
+        });
+    }
+}
+
+// Show the results for a query at index.html?q=...
+// Typing only adds one history entry per search, so back returns to the page before it.
+function submitSearch(query, { typing = false } = {}) {
+    const trimmed = query.trim();
+    const onHomePage = Boolean(document.getElementById('video-grid'));
+    const url = new URL(onHomePage ? window.location.href : 'index.html', window.location.href);
+    
+    if (trimmed) {
+        url.searchParams.set('q', trimmed);
+    } else {
+        url.searchParams.delete('q');
+    }
     
-    if (filteredVideos.length === 0) {
-        videoGrid.innerHTML = '<div class="no-videos">No videos found</div>';
+    if (!onHomePage) {
+        window.location.href = url.toString();
         return;
     }
     
-    filteredVideos.forEach(video => {
-        const card = createVideoCard(video);
-        if (card) {
-            videoGrid.appendChild(card);
+    if (url.search !== window.location.search) {
+        if (typing && getSearchQuery()) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
         }
-    });
+    }
+    showSearchResults(trimmed);
 }
 
-// Note: initVideoPage function has been moved to video.js for better organization
-// This stub remains for compatibility but video.js handles the full implementation
-
-// Initialize authentication buttons
-function initAuthButtons() {
-    const loginButton = document.getElementById('login-button');
-    const registerButton = document.getElementById('register-button');
+// Update the home grid and search bar for a query
+function showSearchResults(query) {
+    const searchBar = document.getElementById('search-bar');
+    if (searchBar && searchBar.value.trim() !== query) searchBar.value = query;
     
-    if (loginButton) {
-        loginButton.addEventListener('click', () => {
-            console.log('Login button clicked');
-            showLoginModal();
-        });
+    updateSearchSummary(query);
+    filterVideos(query);
+}
+
+// coverage ({ searched, total }) notes a search that stopped before the end of the catalog
+function updateSearchSummary(query, coverage = null) {
+    const summary = document.getElementById('search-summary');
+    if (!summary) return;
+    
+    const parts = [];
+    if (query) parts.push(`Results for "${query}"`);
+    if (coverage) {
+        parts.push(coverage.total
+            ? `searched ${coverage.searched} of ${coverage.total} videos`
+            : `searched the first ${coverage.searched} videos`);
     }
     
-    if (registerButton) {
-        registerButton.addEventListener('click', () => {
-            console.log('Register button clicked');
-            showRegisterModal();
+    const text = parts.join(' · ');
+    summary.textContent = text.charAt(0).toUpperCase() + text.slice(1);
+    summary.style.display = text ? 'block' : 'none';
+}
+
+// Videos that search suggestions are drawn from: the home page's loaded videos,
+// or the most viewed ones fetched once on other pages
+function getSuggestionVideos() {
+    if (allVideos.length > 0) return Promise.resolve(allVideos);
+    
+    if (!suggestionVideos) {
+        suggestionVideos = fetchVideoPage({ limit: 200, sort: 'views' })
+            .then(result => result.videos)
+            .catch(error => {
+                console.warn('Could not load search suggestions:', error);
+                suggestionVideos = null;
+                return [];
+            });
+    }
+    return suggestionVideos;
+}
+
+// Load the next page of the home grid, keeping the loaded videos for search
+function loadNextVideoPage() {
+    const feed = videoFeed;
+    if (feed.done) return Promise.resolve({ videos: [], done: true });
+    
+    // A grid reloaded while a page is loading (e.g. for a search) shares that request
+    if (!feed.request) {
+        feed.request = fetchFeedPage(feed).finally(() => {
+            feed.request = null;
         });
     }
+    return feed.request;
 }
 
-// Wait for DOM to be loaded before initializing
-document.addEventListener('DOMContentLoaded', initPage);
+async function fetchFeedPage(feed) {
+    if (feed.profile) return fetchProfilePage(feed);
+    
+    const sort = feed.sort;
+    const result = await fetchVideoPage({ page: feed.page + 1, cursor: feed.cursor, sort });
+    feed.page++;
+    feed.cursor = result.nextCursor;
+    feed.done = !result.hasMore;
+    
+    // A paged backend sorts for us, an unpaged list arrives in storage order
+    if (!result.paginated) {
+        result.videos = result.videos.filter(Boolean).sort(VIDEO_SORTS[sort]);
+    }
+    
+    // The home page may have been restarted (e.g. re-sorted) while this page was loading
+    if (feed === videoFeed) {
+        allVideos.push(...result.videos);
+        renderTagCloud();
+    }
+    
+    // Filter out videos without valid s3_url
+    return {
+        videos: result.videos.filter(video => video && video.s3_url),
+        done: feed.done
+    };
+}
+
+// A player or channel page loads all of its videos at once, since its statistics cover every one of them
+async function fetchProfilePage(feed) {
+    const { type, name } = feed.profile;
+    const { hasPlayer, hasUploader } = window.replayHub.profileStats;
+    const matches = type === 'player' ? video => hasPlayer(video, name) : video => hasUploader(video, name);
+    const videos = await fetchAllVideos({ [type]: name }, matches);
+    videos.sort(VIDEO_SORTS[feed.sort]);
+    feed.done = true;
+    
+    if (feed === videoFeed) {
+        allVideos.push(...videos);
+        renderTagCloud();
+        showProfileHeader(feed.profile, videos);
+        updateChannelManager();
+    }
+    
+    return {
+        videos: videos.filter(video => video.s3_url),
+        done: true
+    };
+}
+
+// Page loader for the home grid. Videos already loaded (e.g. before a search was cleared)
+// are shown first, then loading continues where it stopped.
+function createHomeFeedSource() {
+    let replayed = false;
+    
+    return async () => {
+        if (!replayed) {
+            replayed = true;
+            const loaded = allVideos.filter(video => video && video.s3_url);
+            if (loaded.length > 0 || videoFeed.done) {
+                return { videos: loaded, done: videoFeed.done };
+            }
+        }
+        return loadNextVideoPage();
+    };
+}
+
+// Fetch the videos a search on a paged catalog ranks. The query is sent as ?q= so a backend that
+// searches returns only matches; the results are still filtered here, since one that doesn't returns
+// every video. Stops after SEARCH_MAX_VIDEOS videos rather than walking the whole catalog.
+function fetchSearchCandidates(query, sort) {
+    if (searchFetch && searchFetch.query === query && searchFetch.sort === sort) return searchFetch.promise;
+    
+    const promise = (async () => {
+        const videos = [];
+        let page = 1;
+        let cursor = null;
+        let hasMore = true;
+        let total = null;
+        
+        while (hasMore && videos.length < SEARCH_MAX_VIDEOS) {
+            const result = await fetchVideoPage({ page, cursor, limit: SEARCH_PAGE_SIZE, sort, filters: query ? { q: query } : {} });
+            const pageVideos = result.videos.filter(Boolean);
+            videos.push(...(result.paginated ? pageVideos : pageVideos.sort(VIDEO_SORTS[sort])));
+            hasMore = result.hasMore;
+            cursor = result.nextCursor;
+            if (result.total !== null) total = result.total;
+            page++;
+        }
+        
+        return { videos, complete: !hasMore, total };
+    })();
+    
+    // Let a failed search be retried
+    promise.catch(() => {
+        if (searchFetch && searchFetch.promise === promise) searchFetch = null;
+    });
+    searchFetch = { query, sort, promise };
+    return promise;
+}
+
+// Select and rank the videos the grid lists for a search and the tag filter in the URL,
+// remembering which words matched for highlighting. Returns null when neither is set.
+function createVideoFilter(searchTerm) {
+    const videoSearch = window.replayHub && window.replayHub.videoSearch;
+    const query = searchTerm && searchTerm.trim() && videoSearch ? videoSearch.parseQuery(searchTerm) : null;
+    const tagFilter = getTagFilter();
+    if (!query && tagFilter.tags.length === 0) return null;
+    
+    const matchedWords = new WeakMap();
+    const select = videos => {
+        const candidates = videos.filter(video => video && video.s3_url && matchesTagFilter(video, tagFilter));
+        if (!query) return candidates;
+        
+        return videoSearch.search(candidates, query).map(result => {
+            matchedWords.set(result.video, result.words);
+            return result.video;
+        });
+    };
+    
+    return { select, matchedWords };
+}
+
+// Filter videos based on search term and the selected tags
+function filterVideos(searchTerm) {
+    if (!homeGrid) return;
+    renderTagCloud();
+    
+    const filter = createVideoFilter(searchTerm);
+    activeVideoFilter = filter;
+    if (!filter) {
+        homeGrid.reload(createHomeFeedSource(), getFeedEmptyMessage(), createVideoCard);
+        return;
+    }
+    
+    // Matches are ranked all together: from the loaded videos when that is the whole catalog,
+    // otherwise with the first SEARCH_MAX_VIDEOS videos the backend returns for the query
+    const query = (searchTerm || '').trim();
+    const loadMatches = async () => {
+        // A player or channel page loads all of its videos at once: rank those, never the whole catalog
+        if (videoFeed.profile && !videoFeed.done) await loadNextVideoPage();
+        
+        const loaded = allVideos.filter(Boolean);
+        if (videoFeed.done || videoFeed.profile) return { videos: filter.select(loaded), done: true };
+        
+        const fetched = await fetchSearchCandidates(query, videoFeed.sort);
+        const getKey = video => video.id || video.s3_url;
+        const loadedKeys = new Set(loaded.map(getKey));
+        const candidates = [...loaded, ...fetched.videos.filter(video => !loadedKeys.has(getKey(video)))];
+        
+        if (activeVideoFilter === filter) {
+            updateSearchSummary(query, fetched.complete ? null : { searched: fetched.videos.length, total: fetched.total });
+        }
+        return { videos: filter.select(candidates), done: true };
+    };
+    
+    homeGrid.reload(loadMatches, 'No videos found', video => createVideoCard(video, filter.matchedWords.get(video)));
+}
+
+// Note: initVideoPage function has been moved to video.js for better organization
+// This stub remains for compatibility but video.js handles the full implementation
+
+// Initialize authentication buttons
+function initAuthButtons() {
+    const loginButton = document.getElementById('login-button');
+    const registerButton = document.getElementById('register-button');
+    
+    if (loginButton) {
+        loginButton.addEventListener('click', () => {
+            console.log('Login button clicked');
+            showLoginModal();
+        });
+    }
+    
+    if (registerButton) {
+        registerButton.addEventListener('click', () => {
+            console.log('Register button clicked');
+            showRegisterModal();
+        });
+    }
+}
+
+// Wait for DOM to be loaded before initializing
+document.addEventListener('DOMContentLoaded', initPage);
 
 // Initialize the upload modal
 function initUploadModal() {
@@ -1233,6 +2044,18 @@ function initUploadModal() {
     const uploadProgress = document.getElementById('upload-progress');
     const uploadStatus = document.getElementById('upload-status');
     const uploadList = document.getElementById('upload-list');
+    const resumableUploads = document.getElementById('resumable-uploads');
+    const mediaDetails = document.getElementById('media-details');
+    const durationInput = document.getElementById('video-duration');
+    const resolutionInput = document.getElementById('video-resolution');
+    const mediaSummary = document.getElementById('media-details-summary');
+    const playbackWarning = document.getElementById('media-playback-warning');
+    const trimSection = document.getElementById('trim-section');
+    const trimToggle = document.getElementById('enable-trim');
+    const trimContainer = document.getElementById('trim-editor');
+    const thumbnailSection = document.getElementById('thumbnail-section');
+    const thumbnailContainer = document.getElementById('thumbnail-picker');
+    const matchFieldsContainer = document.getElementById('match-fields');
     
     // Define max file size (10GB in bytes) to match server limit
     const MAX_FILE_SIZE = 10 * 1024 * 1024 * 1024;
@@ -1244,8 +2067,25 @@ function initUploadModal() {
     // Selected file for single upload
     let selectedFile = null;
     
-    // Array of files for bulk upload
-    let selectedBulkFiles = [];
+    // AbortController of the single upload's running conversion
+    let activeConversion = null;
+    
+    // Trim editor for the selected file, created when trimming is switched on
+    let trimEditor = null;
+    
+    // Thumbnail picker for the selected file
+    let thumbnailPicker = null;
+    
+    // Game and match fields of the single upload form
+    const matchForm = matchFieldsContainer && window.replayHub && window.replayHub.matchMetadata
+        ? window.replayHub.matchMetadata.attachForm(matchFieldsContainer)
+        : null;
+    
+    // Files for bulk upload, each with its own editable metadata
+    let selectedBulkItems = [];
+    
+    // Values in the bulk "apply to all" row
+    let bulkSharedFields = { description: '', players: '', tags: '' };
       // Open modal when upload button is clicked
     if (uploadButton) {
         uploadButton.addEventListener('click', () => {
@@ -1294,6 +2134,9 @@ function initUploadModal() {
                 } else {
                     console.error('bulk-video-uploader input not found!');
                 }
+                
+                // Let the user know about uploads that can be continued
+                showResumableUploads();
             } else {
                 console.error('Modal overlay not found!');
             }
@@ -1302,6 +2145,32 @@ function initUploadModal() {
         console.error('Upload button not found during initialization!');
     }
     
+    // Open the trim editor for the selected file
+    if (trimToggle && trimContainer) {
+        trimToggle.addEventListener('change', async () => {
+            trimContainer.style.display = trimToggle.checked ? 'block' : 'none';
+            if (!trimToggle.checked || trimEditor || !selectedFile) return;
+            
+            const file = selectedFile;
+            const mediaProbe = window.replayHub.mediaProbe;
+            const info = mediaProbe ? await mediaProbe.probeFile(file) : null;
+            
+            // The file may have changed or trimming been switched off while its headers were read
+            if (file !== selectedFile || !trimToggle.checked || trimEditor) return;
+            trimEditor = window.replayHub.trimEditor.create(trimContainer, file, {
+                frameRate: info && info.frameRate
+            });
+        });
+    }
+    
+    // Cancel a running conversion from the progress section
+    const cancelConversionButton = document.getElementById('cancel-conversion');
+    if (cancelConversionButton) {
+        cancelConversionButton.addEventListener('click', () => {
+            if (activeConversion) activeConversion.abort();
+        });
+    }
+    
     // Close modal when X is clicked
     if (closeModal) {
         closeModal.addEventListener('click', () => {
@@ -1323,11 +2192,15 @@ function initUploadModal() {
     
     // Tab switching functionality
     if (singleUploadTab && bulkUploadTab) {
+        // The bulk metadata table needs more room than the single upload form
+        const uploadModal = document.getElementById('upload-modal');
+        
         singleUploadTab.addEventListener('click', () => {
             singleUploadTab.classList.add('active');
             bulkUploadTab.classList.remove('active');
             if (singleUploadContent) singleUploadContent.classList.add('active');
             if (bulkUploadContent) bulkUploadContent.classList.remove('active');
+            if (uploadModal) uploadModal.classList.remove('modal-wide');
         });
         
         bulkUploadTab.addEventListener('click', () => {
@@ -1335,6 +2208,7 @@ function initUploadModal() {
             singleUploadTab.classList.remove('active');
             if (bulkUploadContent) bulkUploadContent.classList.add('active');
             if (singleUploadContent) singleUploadContent.classList.remove('active');
+            if (uploadModal) uploadModal.classList.add('modal-wide');
         });
     }
     
@@ -1415,6 +2289,7 @@ function initUploadModal() {
                 }
                 selectedFile = file;
                 updateSingleDropzoneUI(selectedFile);
+                applyResumableSession(selectedFile);
             }
         }, false);
         
@@ -1436,6 +2311,7 @@ function initUploadModal() {
                     selectedFile = file;
                     console.log('File selected:', selectedFile.name, 'Size:', formatFileSize(selectedFile.size));
                     updateSingleDropzoneUI(selectedFile);
+                    applyResumableSession(selectedFile);
                 }
             });
             
@@ -1508,51 +2384,145 @@ function initUploadModal() {
             }
             
             // Add valid files to our collection
-            selectedBulkFiles = [...selectedBulkFiles, ...validFiles];
+            selectedBulkItems = [...selectedBulkItems, ...validFiles.map(createBulkItem)];
             
             // Update the UI to show selected files
             updateBulkDropzoneUI();
         }
         
-        // Update UI with selected bulk files
+        // Create a bulk upload entry with smart defaults for its metadata
+        function createBulkItem(file) {
+            const utils = window.replayHub && window.replayHub.utils;
+            
+            return {
+                file,
+                title: utils ? utils.formatVideoTitle(file.name) : file.name.split('.')[0],
+                description: bulkSharedFields.description || `Uploaded on ${new Date().toLocaleDateString()}`,
+                players: bulkSharedFields.players,
+                tags: bulkSharedFields.tags
+            };
+        }
+        
+        // Show the detected resolution and codecs under a bulk file, flagging ones this browser can't play
+        async function showBulkMediaDetails(file, element) {
+            const mediaProbe = window.replayHub && window.replayHub.mediaProbe;
+            if (!mediaProbe) return;
+            
+            const info = await mediaProbe.probeFile(file);
+            if (!info) return;
+            
+            element.textContent = mediaProbe.describe(info);
+            element.title = element.textContent;
+            
+            if (!mediaProbe.getPlaybackSupport(info).playable) {
+                element.classList.add('unplayable');
+                element.title = `${element.textContent} - this browser can't play this file's codecs`;
+            }
+        }
+        
+        // Update UI with selected bulk files as an editable metadata table
         function updateBulkDropzoneUI() {
             if (!uploadList) return;
             
-            // Show the upload list if we have files
-            if (selectedBulkFiles.length > 0) {
-                uploadList.style.display = 'block';
+            // Hide the list if no files
+            if (selectedBulkItems.length === 0) {
+                uploadList.style.display = 'none';
                 uploadList.innerHTML = '';
-                
-                // Add each file to the list
-                selectedBulkFiles.forEach((file, index) => {
-                    const fileItem = document.createElement('div');
-                    fileItem.className = 'upload-item';
-                    fileItem.innerHTML = `
-                        <div class="file-info">
-                            <i class="fas fa-file-video"></i>
-                            <p>${file.name}</p>
-                            <p class="file-size">${formatFileSize(file.size)}</p>
-                        </div>
-                        <button type="button" class="remove-file" data-index="${index}">
+                return;
+            }
+            
+            uploadList.style.display = 'block';
+            uploadList.innerHTML = `
+                <div class="bulk-apply-all">
+                    <p class="bulk-apply-all-title">Shared details</p>
+                    <div class="bulk-apply-all-fields">
+                        <input type="text" class="form-control" data-field="description" placeholder="Description">
+                        <input type="text" class="form-control" data-field="players" placeholder="Players (comma-separated)">
+                        <input type="text" class="form-control" data-field="tags" placeholder="Tags (comma-separated)">
+                        <button type="button" class="btn btn-secondary bulk-apply-all-button">Apply to all</button>
+                    </div>
+                </div>
+                <div class="bulk-edit-table-wrapper">
+                    <table class="bulk-edit-table">
+                        <thead>
+                            <tr>
+                                <th>Video</th>
+                                <th>Title</th>
+                                <th>Description</th>
+                                <th>Players</th>
+                                <th>Tags</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            `;
+            
+            // Shared fields keep their values across re-renders
+            uploadList.querySelectorAll('.bulk-apply-all [data-field]').forEach(input => {
+                const field = input.getAttribute('data-field');
+                input.value = bulkSharedFields[field];
+                input.addEventListener('input', () => {
+                    bulkSharedFields[field] = input.value;
+                });
+            });
+            
+            // Copy every filled-in shared field onto all rows
+            uploadList.querySelector('.bulk-apply-all-button').addEventListener('click', () => {
+                Object.entries(bulkSharedFields).forEach(([field, value]) => {
+                    if (!value.trim()) return;
+                    selectedBulkItems.forEach(item => {
+                        item[field] = value;
+                    });
+                });
+                updateBulkDropzoneUI();
+            });
+            
+            const tableBody = uploadList.querySelector('.bulk-edit-table tbody');
+            
+            selectedBulkItems.forEach((item, index) => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td class="bulk-file-cell">
+                        <i class="fas fa-file-video"></i>
+                        <span class="bulk-file-name"></span>
+                        <span class="file-size">${formatFileSize(item.file.size)}</span>
+                        <span class="bulk-file-media"></span>
+                    </td>
+                    <td><input type="text" class="form-control" data-field="title" placeholder="Title (required)"></td>
+                    <td><textarea class="form-control" data-field="description" rows="1" placeholder="Description (required)"></textarea></td>
+                    <td><input type="text" class="form-control" data-field="players" placeholder="Player1, Player2"></td>
+                    <td><input type="text" class="form-control" data-field="tags" placeholder="clutch, ace"></td>
+                    <td>
+                        <button type="button" class="remove-file" title="Remove from upload">
                             <i class="fas fa-times"></i>
                         </button>
-                    `;
-                    uploadList.appendChild(fileItem);
-                });
+                    </td>
+                `;
                 
-                // Add event listeners to remove buttons
-                document.querySelectorAll('.remove-file').forEach(button => {
-                    button.addEventListener('click', (e) => {
-                        const index = parseInt(e.currentTarget.getAttribute('data-index'));
-                        selectedBulkFiles.splice(index, 1);
-                        updateBulkDropzoneUI();
+                const fileName = row.querySelector('.bulk-file-name');
+                fileName.textContent = item.file.name;
+                fileName.title = item.file.name;
+                showBulkMediaDetails(item.file, row.querySelector('.bulk-file-media'));
+                
+                // Edits are written straight into the item so they survive re-renders
+                row.querySelectorAll('[data-field]').forEach(input => {
+                    const field = input.getAttribute('data-field');
+                    input.value = item[field];
+                    input.addEventListener('input', () => {
+                        item[field] = input.value;
+                        input.classList.remove('invalid');
                     });
                 });
-            } else {
-                // Hide the list if no files
-                uploadList.style.display = 'none';
-                uploadList.innerHTML = '';
-            }
+                
+                row.querySelector('.remove-file').addEventListener('click', () => {
+                    selectedBulkItems.splice(index, 1);
+                    updateBulkDropzoneUI();
+                });
+                
+                tableBody.appendChild(row);
+            });
         }
     }
     
@@ -1572,6 +2542,7 @@ function initUploadModal() {
             const descriptionInput = document.getElementById('video-description');
             const uploaderInput = document.getElementById('video-uploader');
             const playersInput = document.getElementById('video-players');
+            const tagsInput = document.getElementById('video-tags');
             
             if (!selectedFile) {
                 alert('Please select a video file to upload');
@@ -1597,6 +2568,20 @@ function initUploadModal() {
             }
               // No need to check for username, as it's pre-filled and disabled for logged-in users
             
+            // Trimmed clips are cut out of the file and uploaded one after another
+            const clips = getTrimClips();
+            if (clips.length > 0) {
+                await uploadClips(clips, {
+                    title: titleInput.value,
+                    description: descriptionInput.value,
+                    uploader: uploaderInput.value,
+                    players: playersInput ? playersInput.value : '',
+                    tags: tagsInput ? tagsInput.value : '',
+                    match: matchForm ? matchForm.getFields() : {}
+                });
+                return;
+            }
+            
             // Show progress bar
             if (progressContainer) progressContainer.style.display = 'block';
             if (uploadStatus) uploadStatus.textContent = 'Preparing to upload...';
@@ -1611,28 +2596,55 @@ function initUploadModal() {
             const maxResolution = document.getElementById('max-resolution')?.value || '1080p';
             
             let fileToUpload = selectedFile;
+            let convertedCodec = null;
             
-            // Convert video to H.265 if enabled
-            if (enableConversion && window.VideoConverter) {
+            // A file with an unfinished upload continues with the bytes it started with: converting it
+            // again would produce different ones, so a converted upload uses the file kept with its session
+            const uploadSessions = window.replayHub && window.replayHub.uploadSessions;
+            const resumableSession = uploadSessions ? await uploadSessions.getSession(selectedFile) : null;
+            const resumedFile = resumableSession && resumableSession.converted
+                ? await uploadSessions.getSessionFile(resumableSession.fingerprint)
+                : null;
+            if (resumableSession && resumableSession.converted && !resumedFile) {
+                await uploadSessions.deleteSession(resumableSession.fingerprint);
+            }
+            const resumesSelectedFile = Boolean(resumableSession && !resumableSession.converted);
+            
+            if (resumedFile) {
+                fileToUpload = resumedFile;
+                convertedCodec = resumableSession.convertedCodec;
+                progressTracker.startUpload(selectedFile, fileToUpload);
+                progressTracker.startUploadPhase();
+            } else if (enableConversion && window.VideoConverter && !resumesSelectedFile) {
+                // Convert video to H.265 if enabled
+                const converter = new window.VideoConverter();
+                activeConversion = new AbortController();
+                
                 try {
                     // Start conversion phase
                     progressTracker.startConversion();
                     
-                    const converter = new window.VideoConverter();
                     const conversionOptions = {
                         quality: conversionQuality,
-                        maxWidth: this.getResolutionWidth(maxResolution),
-                        maxHeight: this.getResolutionHeight(maxResolution)
+                        maxWidth: getResolutionWidth(maxResolution),
+                        maxHeight: getResolutionHeight(maxResolution)
                     };
                     
                     console.log('🔄 Converting video with options:', conversionOptions);
-                    fileToUpload = await converter.convertToH265(selectedFile, conversionOptions);
+                    fileToUpload = await converter.convertToH265(selectedFile, {
+                        ...conversionOptions,
+                        signal: activeConversion.signal,
+                        onProgress: (progress) => progressTracker.updateConversionProgress(progress * 100)
+                    });
+                    convertedCodec = converter.lastConversion ? converter.lastConversion.codec : null;
                     
                     if (fileToUpload !== selectedFile) {
                         console.log('✅ Video converted successfully');
+                        progressTracker.finishConversion();
                         
                         // Update progress tracker with converted file
                         progressTracker.startUpload(selectedFile, fileToUpload);
+                        progressTracker.startUploadPhase();
                         
                         // Update conversion status
                         const conversionStatus = document.getElementById('conversion-status');
@@ -1645,12 +2657,22 @@ function initUploadModal() {
                         console.log('ℹ️ No conversion needed or conversion failed, using original');
                         progressTracker.startUploadPhase();
                     }
-                    
-                    converter.destroy();
                 } catch (error) {
+                    // Cancelled from the modal: stop here and leave the form as it was
+                    if (error.name === 'AbortError') {
+                        console.log('⏹️ Video conversion cancelled');
+                        progressTracker.cancelConversion();
+                        if (progressContainer) progressContainer.style.display = 'none';
+                        showMessage('Conversion cancelled', 'info');
+                        return;
+                    }
+                    
                     console.error('❌ Video conversion failed:', error);
                     progressTracker.startUploadPhase();
                     fileToUpload = selectedFile; // Fallback to original
+                } finally {
+                    activeConversion = null;
+                    converter.destroy();
                 }
             } else {
                 // No conversion, start upload phase directly
@@ -1669,21 +2691,41 @@ function initUploadModal() {
                 formData.append('converted_to_h265', 'true');
                 formData.append('original_size', selectedFile.size.toString());
                 formData.append('converted_size', fileToUpload.size.toString());
+                if (convertedCodec) formData.append('converted_codec', convertedCodec);
             }
             
+            // Add the duration, resolution and codecs read from the container headers
+            const mediaFields = await getMediaUploadFields(fileToUpload, selectedFile);
+            Object.entries(mediaFields).forEach(([name, value]) => formData.append(name, value));
+            
+            // Add the chosen thumbnail; without one the server picks a frame itself
+            const thumbnail = await getSelectedThumbnail();
+            if (thumbnail) formData.append('thumbnail', thumbnail, thumbnail.name);
+            
             // Add players if available
             if (playersInput && playersInput.value) {
                 const players = playersInput.value.split(',').map(player => player.trim());
                 formData.append('players', JSON.stringify(players));
             }
             
+            // Add tags if available
+            const tags = parseListInput(tagsInput ? tagsInput.value : '');
+            if (tags.length > 0) {
+                formData.append('tags', JSON.stringify(tags));
+            }
+            
+            // Add the game and match fields that were filled in
+            const matchFields = matchForm ? matchForm.getFields() : {};
+            Object.entries(matchFields).forEach(([name, value]) => formData.append(name, value));
+            
             console.log('FormData created:', {
                 fileName: selectedFile.name,
                 fileSize: selectedFile.size,
                 title: titleInput.value.trim(),
                 description: descriptionInput.value.trim(),
                 uploader: uploaderInput.value.trim(),
-                players: playersInput ? playersInput.value : ''
+                players: playersInput ? playersInput.value : '',
+                tags: tagsInput ? tagsInput.value : ''
             });
             
             try {
@@ -1691,32 +2733,145 @@ function initUploadModal() {
                 const response = await uploadVideo(formData, (progress) => {
                     if (uploadProgress) uploadProgress.style.width = `${progress}%`;
                     if (uploadStatus) uploadStatus.textContent = `Uploading... ${Math.round(progress)}%`;
-                }, progressTracker);
+                }, progressTracker, null, selectedFile);
                 
                 console.log('Upload successful:', response);
                 
                 if (uploadStatus) uploadStatus.textContent = 'Upload complete!';
-                
-                // Reload videos after successful upload
-                setTimeout(() => {
-                    if (modalOverlay) modalOverlay.classList.remove('active');
-                    resetUploadForm();
-                    
-                    // Refresh the video grid if we're on the homepage
-                    if (window.location.pathname.endsWith('index.html') || 
-                        window.location.pathname === '/' || 
-                        window.location.pathname === '') {
-                        initHomePage();
-                    }
-                }, 1500);
+                closeAfterUpload();
                 
             } catch (error) {
                 console.error('Error uploading video:', error);
                 if (uploadStatus) uploadStatus.textContent = `Error: ${error.message}`;
+                showResumableUploads();
             }
         });
     }
     
+    // Helper function to close the modal and reload videos after a successful upload
+    function closeAfterUpload() {
+        setTimeout(() => {
+            if (modalOverlay) modalOverlay.classList.remove('active');
+            resetUploadForm();
+            
+            // Refresh the video grid if we're on the homepage
+            if (window.location.pathname.endsWith('index.html') || 
+                window.location.pathname === '/' || 
+                window.location.pathname === '') {
+                initHomePage();
+            }
+        }, 1500);
+    }
+    
+    // Helper function to cut each trim clip out of the selected file and upload it as its own video.
+    // Clips are stream-copied when possible; with conversion enabled they are re-encoded with its settings.
+    async function uploadClips(clips, fields) {
+        const sourceFile = selectedFile;
+        const enableConversion = document.getElementById('enable-h265-conversion')?.checked;
+        const maxResolution = document.getElementById('max-resolution')?.value || '1080p';
+        const conversionOptions = enableConversion ? {
+            quality: document.getElementById('conversion-quality')?.value || 'medium',
+            maxWidth: getResolutionWidth(maxResolution),
+            maxHeight: getResolutionHeight(maxResolution)
+        } : {};
+        
+        const players = parseListInput(fields.players);
+        const tags = parseListInput(fields.tags);
+        const thumbnail = await getSelectedThumbnail({ customOnly: true });
+        const converter = new window.VideoConverter();
+        const progressTracker = new UploadProgressTracker();
+        activeConversion = new AbortController();
+        const signal = activeConversion.signal;
+        let uploaded = 0;
+        
+        // A re-encoded clip comes out different each time, so its partial upload can never be resumed
+        let reencodedClip = null;
+        const discardReencodedSession = async () => {
+            const uploadSessions = window.replayHub && window.replayHub.uploadSessions;
+            if (reencodedClip && uploadSessions) {
+                await uploadSessions.deleteSession(uploadSessions.getFileFingerprint(reencodedClip));
+            }
+        };
+        
+        if (progressContainer) progressContainer.style.display = 'block';
+        
+        try {
+            for (let i = 0; i < clips.length; i++) {
+                const clip = clips[i];
+                const label = clips.length > 1 ? ` ${i + 1} of ${clips.length}` : '';
+                
+                progressTracker.startUpload(sourceFile);
+                progressTracker.startConversion();
+                progressTracker.updateElement('conversion-status', `Cutting clip${label}...`);
+                if (uploadStatus) uploadStatus.textContent = `Cutting clip${label}...`;
+                
+                const clipFile = await converter.trim(sourceFile, {
+                    ...conversionOptions,
+                    start: clip.start,
+                    end: clip.end,
+                    reencode: Boolean(enableConversion),
+                    signal,
+                    onProgress: (progress) => progressTracker.updateConversionProgress(progress * 100)
+                });
+                
+                progressTracker.finishConversion();
+                progressTracker.startUpload(sourceFile, clipFile);
+                progressTracker.startUploadPhase();
+                reencodedClip = converter.lastConversion ? clipFile : null;
+                
+                const formData = new FormData();
+                formData.append('file', clipFile);
+                formData.append('title', clips.length > 1 ? `${fields.title} (Part ${i + 1})` : fields.title);
+                formData.append('description', fields.description);
+                formData.append('uploader', fields.uploader);
+                formData.append('s3', 'true'); // Always upload to S3
+                if (players.length > 0) formData.append('players', JSON.stringify(players));
+                if (tags.length > 0) formData.append('tags', JSON.stringify(tags));
+                Object.entries(fields.match || {}).forEach(([name, value]) => formData.append(name, value));
+                
+                // Where the clip came from in the original recording
+                formData.append('clip_start', clip.start.toFixed(3));
+                formData.append('clip_end', clip.end.toFixed(3));
+                if (converter.lastConversion) formData.append('converted_codec', converter.lastConversion.codec);
+                
+                // The clip's duration is known exactly; other details may need the source file's headers
+                const mediaFields = await getMediaUploadFields(clipFile, sourceFile);
+                mediaFields.duration = (clip.end - clip.start).toFixed(2);
+                Object.entries(mediaFields).forEach(([name, value]) => formData.append(name, value));
+                if (thumbnail) formData.append('thumbnail', thumbnail, thumbnail.name);
+                
+                await uploadVideo(formData, (progress) => {
+                    if (uploadProgress) uploadProgress.style.width = `${progress}%`;
+                    if (uploadStatus) uploadStatus.textContent = `Uploading clip${label}... ${Math.round(progress)}%`;
+                }, progressTracker, signal);
+                
+                uploaded++;
+                reencodedClip = null;
+            }
+            
+            if (uploadStatus) uploadStatus.textContent = 'Upload complete!';
+            showMessage(`${uploaded} ${uploaded === 1 ? 'clip' : 'clips'} uploaded`, 'success');
+            closeAfterUpload();
+        } catch (error) {
+            await discardReencodedSession();
+            
+            if (error.name === 'AbortError') {
+                console.log('⏹️ Clip upload cancelled');
+                progressTracker.cancelConversion();
+                if (progressContainer) progressContainer.style.display = 'none';
+                showMessage(uploaded > 0 ? `Cancelled after ${uploaded} of ${clips.length} clips` : 'Clip upload cancelled', 'info');
+                return;
+            }
+            
+            console.error('Error uploading clips:', error);
+            if (uploadStatus) uploadStatus.textContent = `Error: ${error.message}`;
+            showMessage(`Clip ${uploaded + 1} failed: ${error.message}`, 'error');
+        } finally {
+            activeConversion = null;
+            converter.destroy();
+        }
+    }
+    
     // Handling form submission for bulk upload
     if (bulkUploadForm) {
         bulkUploadForm.addEventListener('submit', async (event) => {
@@ -1731,155 +2886,72 @@ function initUploadModal() {
             
             const uploaderInput = document.getElementById('bulk-video-uploader');
             
-            if (!selectedBulkFiles || selectedBulkFiles.length === 0) {
+            if (!selectedBulkItems || selectedBulkItems.length === 0) {
                 alert('Please select at least one video file to upload');
                 return;
             }
-              // No need to check for username, as it's pre-filled and disabled for logged-in users
             
-            // Show progress message
-            if (bulkDropzone) {
-                bulkDropzone.innerHTML = `<p class="dropzone-text">Uploading ${selectedBulkFiles.length} files. Please wait...</p>`;
-            }
-            
-            // Process each file in sequence
-            let successCount = 0;
-            
-            for (let i = 0; i < selectedBulkFiles.length; i++) {
-                const file = selectedBulkFiles[i];
+            // Every row needs a title and description, like a single upload
+            const rows = uploadList ? uploadList.querySelectorAll('.bulk-edit-table tbody tr') : [];
+            for (let i = 0; i < selectedBulkItems.length; i++) {
+                const item = selectedBulkItems[i];
+                const missingField = !item.title.trim() ? 'title' : (!item.description.trim() ? 'description' : null);
                 
-                // Update upload list to show current file progress
-                if (uploadList) {
-                    const items = uploadList.querySelectorAll('.upload-item');
-                    if (items[i]) {
-                        items[i].classList.add('uploading');
-                        items[i].innerHTML += `
-                            <div class="file-progress">
-                                <div class="progress-bar">
-                                    <div class="progress" style="width: 0%"></div>
-                                </div>
-                                <div class="progress-text">Preparing...</div>
-                            </div>
-                        `;
+                if (missingField) {
+                    alert(`Please enter a ${missingField} for "${item.file.name}"`);
+                    const input = rows[i] && rows[i].querySelector(`[data-field="${missingField}"]`);
+                    if (input) {
+                        input.classList.add('invalid');
+                        input.focus();
                     }
+                    return;
                 }
-                
-                // Basic file metadata
-                const fileName = file.name.split('.')[0] || `Video ${i+1}`;
-                
-                // Check if H.265 conversion is enabled
-                const enableConversion = document.getElementById('enable-h265-conversion')?.checked;
-                const conversionQuality = document.getElementById('conversion-quality')?.value || 'medium';
-                const maxResolution = document.getElementById('max-resolution')?.value || '1080p';
-                
-                let fileToUpload = file;
-                
-                // Convert video to H.265 if enabled
-                if (enableConversion && window.VideoConverter) {
-                    try {
-                        // Update progress text
-                        if (uploadList) {
-                            const progressText = uploadList.querySelectorAll('.upload-item .progress-text')[i];
-                            if (progressText) progressText.textContent = 'Converting to H.265...';
-                        }
-                        
-                        const converter = new window.VideoConverter();
-                        const conversionOptions = {
-                            quality: conversionQuality,
-                            maxWidth: getResolutionWidth(maxResolution),
-                            maxHeight: getResolutionHeight(maxResolution)
-                        };
-                        
-                        console.log(`🔄 Converting file ${i+1}/${selectedBulkFiles.length} to H.265:`, conversionOptions);
-                        fileToUpload = await converter.convertToH265(file, conversionOptions);
-                        
-                        if (fileToUpload !== file) {
-                            console.log(`✅ File ${i+1} converted successfully`);
-                            const sizeReduction = ((file.size - fileToUpload.size) / file.size * 100).toFixed(1);
-                            console.log(`📊 Size reduction: ${sizeReduction}%`);
-                        } else {
-                            console.log(`ℹ️ File ${i+1}: No conversion needed or conversion failed`);
-                        }
-                        
-                        converter.destroy();
-                    } catch (error) {
-                        console.error(`❌ Video conversion failed for file ${i+1}:`, error);
-                        fileToUpload = file; // Fallback to original
-                    }
-                }
-                
-                // Create form data for this file
-                const formData = new FormData();
-                formData.append('file', fileToUpload);
-                formData.append('title', fileName);
-                formData.append('description', `Uploaded on ${new Date().toLocaleDateString()}`);
-                formData.append('uploader', uploaderInput.value.trim());
-                formData.append('s3', 'true');
-                
-                // Add conversion metadata
-                if (fileToUpload !== file) {
-                    formData.append('converted_to_h265', 'true');
-                    formData.append('original_size', file.size.toString());
-                    formData.append('converted_size', fileToUpload.size.toString());
-                }
+            }
+              // No need to check for username, as it's pre-filled and disabled for logged-in users
             
-                try {
-                    // Upload the file
-                    const response = await uploadVideo(formData, (progress) => {
-                        // Update progress in the list item
-                        if (uploadList) {
-                            const progressBar = uploadList.querySelectorAll('.upload-item .progress')[i];
-                            const progressText = uploadList.querySelectorAll('.upload-item .progress-text')[i];
-                            
-                            if (progressBar) progressBar.style.width = `${progress}%`;
-                            if (progressText) progressText.textContent = `${Math.round(progress)}%`;
-                        }
-                    }, progressTracker);
-                    
-                    // Mark as complete in the list
-                    if (uploadList) {
-                        const items = uploadList.querySelectorAll('.upload-item');
-                        if (items[i]) {
-                            items[i].classList.remove('uploading');
-                            items[i].classList.add('uploaded');
-                            const progressText = items[i].querySelector('.progress-text');
-                            if (progressText) progressText.textContent = 'Uploaded!';
-                        }
-                    }
-                    
-                    successCount++;
-                    
-                } catch (error) {
-                    console.error(`Error uploading file ${file.name}:`, error);
-                    
-                    // Mark as failed in the list
-                    if (uploadList) {
-                        const items = uploadList.querySelectorAll('.upload-item');
-                        if (items[i]) {
-                            items[i].classList.remove('uploading');
-                            items[i].classList.add('upload-failed');
-                            const progressText = items[i].querySelector('.progress-text');
-                            if (progressText) progressText.textContent = `Failed: ${error.message}`;
-                        }
-                    }
-                }
+            const uploadQueue = window.replayHub && window.replayHub.uploadQueue;
+            if (!uploadQueue) {
+                alert('The upload queue is not available. Please reload the page and try again.');
+                return;
             }
             
-            // Update dropzone with completion message
-            if (bulkDropzone) {
-                bulkDropzone.innerHTML = `
-                    <p class="dropzone-text">Uploads complete!</p>
-                    <p class="dropzone-subtext">${successCount} of ${selectedBulkFiles.length} files uploaded successfully.</p>
-                `;
+            // Conversion settings are captured now and applied when each job starts
+            const conversion = {
+                enabled: Boolean(document.getElementById('enable-h265-conversion')?.checked),
+                quality: document.getElementById('conversion-quality')?.value || 'medium',
+                maxResolution: document.getElementById('max-resolution')?.value || '1080p'
+            };
+            
+            // Hand every file to the background queue so uploads continue after the modal closes
+            for (const item of selectedBulkItems) {
+                const players = parseListInput(item.players);
+                const tags = parseListInput(item.tags);
+                
+                await uploadQueue.enqueue(item.file, {
+                    title: item.title.trim(),
+                    description: item.description.trim(),
+                    uploader: uploaderInput.value.trim(),
+                    players: players.length > 0 ? JSON.stringify(players) : null,
+                    tags: tags.length > 0 ? JSON.stringify(tags) : null,
+                    s3: 'true'
+                }, { conversion });
             }
             
-            // Reload videos after successful upload
-            setTimeout(() => {
-                // Only close and reset if all uploads were successful
-                if (successCount === selectedBulkFiles.length) {
-                    if (modalOverlay) modalOverlay.classList.remove('active');
-                    resetUploadForm();
-                }
+            const count = selectedBulkItems.length;
+            showMessage(`${count} ${count === 1 ? 'video' : 'videos'} added to the upload queue`, 'success');
+            
+            if (modalOverlay) modalOverlay.classList.remove('active');
+            resetUploadForm();
+        });
+    }
+    
+    // Start the background upload queue shared by all pages
+    if (window.replayHub && window.replayHub.uploadQueue) {
+        window.replayHub.uploadQueue.init({
+            upload: (formData, progressCallback, signal) => uploadVideo(formData, progressCallback, null, signal),
+            prepare: prepareQueuedUpload,
+            onJobComplete: (job) => {
+                showMessage(`"${job.fields.title}" uploaded`, 'success');
                 
                 // Refresh the video grid if we're on the homepage
                 if (window.location.pathname.endsWith('index.html') || 
@@ -1887,10 +2959,86 @@ function initUploadModal() {
                     window.location.pathname === '') {
                     initHomePage();
                 }
-            }, 2000);
+            }
         });
     }
     
+    // Helper function to convert a queued file before it is uploaded
+    async function prepareQueuedUpload(file, job, signal, onProgress) {
+        const converted = await convertQueuedUpload(file, job, signal, onProgress);
+        const mediaFields = await getMediaUploadFields(converted.file, file);
+        
+        return {
+            file: converted.file,
+            fields: { ...mediaFields, ...converted.fields }
+        };
+    }
+    
+    async function convertQueuedUpload(file, job, signal, onProgress) {
+        const conversion = job.options && job.options.conversion;
+        if (!conversion || !conversion.enabled || !window.VideoConverter) {
+            return { file };
+        }
+        
+        // A file with an unfinished upload is sent as-is: converting it again would produce different bytes
+        const uploadSessions = window.replayHub && window.replayHub.uploadSessions;
+        if (uploadSessions && await uploadSessions.getSession(file)) {
+            return { file };
+        }
+        
+        try {
+            const converter = new window.VideoConverter();
+            const conversionOptions = {
+                quality: conversion.quality,
+                maxWidth: getResolutionWidth(conversion.maxResolution),
+                maxHeight: getResolutionHeight(conversion.maxResolution)
+            };
+            
+            console.log(`🔄 Converting ${file.name} to H.265:`, conversionOptions);
+            let converted;
+            try {
+                converted = await converter.convertToH265(file, { ...conversionOptions, signal, onProgress });
+            } finally {
+                converter.destroy();
+            }
+            const convertedCodec = converter.lastConversion ? converter.lastConversion.codec : null;
+            
+            if (converted === file) {
+                console.log(`ℹ️ ${file.name}: No conversion needed or conversion failed`);
+                return { file };
+            }
+            
+            const sizeReduction = ((file.size - converted.size) / file.size * 100).toFixed(1);
+            console.log(`✅ ${file.name} converted successfully, ${sizeReduction}% smaller`);
+            
+            return {
+                file: converted,
+                fields: {
+                    converted_to_h265: 'true',
+                    original_size: file.size.toString(),
+                    converted_size: converted.size.toString(),
+                    converted_codec: convertedCodec
+                }
+            };
+        } catch (error) {
+            // Paused or cancelled from the queue dock
+            if (error.name === 'AbortError') throw error;
+            
+            console.error(`❌ Video conversion failed for ${file.name}:`, error);
+            return { file }; // Fallback to original
+        }
+    }
+    
+    // Helper function to read the upload form fields describing a file's streams
+    async function getMediaUploadFields(file, originalFile) {
+        const mediaProbe = window.replayHub && window.replayHub.mediaProbe;
+        if (!mediaProbe) return {};
+        
+        const sourceInfo = await mediaProbe.probeFile(originalFile);
+        const info = file === originalFile ? sourceInfo : await mediaProbe.probeFile(file);
+        return mediaProbe.getUploadFields(info, sourceInfo);
+    }
+    
     // Helper function to update the UI after file selection
     function updateSingleDropzoneUI(file) {
         if (!singleDropzone) return;
@@ -1902,6 +3050,205 @@ function initUploadModal() {
                 <p class="file-size">${formatFileSize(file.size)}</p>
             </div>
         `;
+        
+        showMediaDetails(file);
+        resetTrimEditor();
+        resetThumbnailPicker();
+    }
+    
+    // Helper function to offer trimming for the selected file (needs WebCodecs to cut it)
+    function resetTrimEditor() {
+        if (trimEditor) {
+            trimEditor.destroy();
+            trimEditor = null;
+        }
+        if (trimToggle) trimToggle.checked = false;
+        if (trimContainer) trimContainer.style.display = 'none';
+        
+        if (trimSection) {
+            const canTrim = selectedFile && window.replayHub && window.replayHub.trimEditor &&
+                window.VideoConverter && typeof VideoEncoder !== 'undefined';
+            trimSection.style.display = canTrim ? 'block' : 'none';
+        }
+    }
+    
+    // Helper function to offer thumbnail candidates from the selected file
+    function resetThumbnailPicker() {
+        if (thumbnailPicker) {
+            thumbnailPicker.destroy();
+            thumbnailPicker = null;
+        }
+        
+        const canPick = selectedFile && thumbnailContainer && window.replayHub && window.replayHub.thumbnailPicker;
+        if (thumbnailSection) thumbnailSection.style.display = canPick ? 'block' : 'none';
+        if (canPick) thumbnailPicker = window.replayHub.thumbnailPicker.create(thumbnailContainer, selectedFile);
+    }
+    
+    // Helper function to get the thumbnail image picked for the upload.
+    // Clips only use an uploaded image, since a frame of the full video may not be in the clip.
+    async function getSelectedThumbnail({ customOnly = false } = {}) {
+        if (!thumbnailPicker) return null;
+        if (customOnly && thumbnailPicker.getSelectionType() !== 'image') return null;
+        
+        try {
+            return await thumbnailPicker.getThumbnail();
+        } catch (error) {
+            console.warn('Could not read the selected thumbnail, the server will pick one:', error);
+            return null;
+        }
+    }
+    
+    // Helper function to get the clip ranges picked in the trim editor
+    function getTrimClips() {
+        if (!trimEditor || !trimToggle || !trimToggle.checked) return [];
+        return trimEditor.getClips();
+    }
+    
+    // Helper function to show the duration, resolution and codecs read from the file's headers
+    async function showMediaDetails(file) {
+        const mediaProbe = window.replayHub && window.replayHub.mediaProbe;
+        if (!mediaDetails || !mediaProbe) return;
+        
+        mediaDetails.style.display = 'none';
+        const info = await mediaProbe.probeFile(file);
+        
+        // Another file may have been selected while this one was being read
+        if (selectedFile !== file) return;
+        if (!info) {
+            if (durationInput) durationInput.value = '';
+            if (resolutionInput) resolutionInput.value = '';
+            return;
+        }
+        
+        if (durationInput) durationInput.value = info.duration ? formatDuration(info.duration) : 'Unknown';
+        if (resolutionInput) {
+            resolutionInput.value = info.width && info.height ? `${info.width}×${info.height}` : 'Unknown';
+        }
+        if (mediaSummary) mediaSummary.textContent = mediaProbe.describe(info);
+        
+        if (playbackWarning) {
+            const support = mediaProbe.getPlaybackSupport(info);
+            const unplayable = [
+                !support.video && `${info.videoCodecName} video`,
+                !support.audio && `${info.audioCodecName} audio`
+            ].filter(Boolean);
+            
+            if (unplayable.length > 0) {
+                const conversionToggle = document.getElementById('enable-h265-conversion');
+                const hint = conversionToggle
+                    ? ' Keep "Video Optimization" enabled to re-encode it before upload.'
+                    : '';
+                playbackWarning.textContent = `This browser can't play ${unplayable.join(' or ')}, so viewers on similar browsers may not be able to watch this video.${hint}`;
+                playbackWarning.style.display = 'block';
+            } else {
+                playbackWarning.textContent = '';
+                playbackWarning.style.display = 'none';
+            }
+        }
+        
+        mediaDetails.style.display = 'block';
+    }
+    
+    // Helper function to list unfinished chunked uploads that can be resumed
+    async function showResumableUploads() {
+        const uploadSessions = window.replayHub && window.replayHub.uploadSessions;
+        if (!resumableUploads || !uploadSessions) return;
+        
+        const sessions = await uploadSessions.listSessions();
+        resumableUploads.innerHTML = '';
+        
+        if (sessions.length === 0) {
+            resumableUploads.style.display = 'none';
+            return;
+        }
+        
+        const heading = document.createElement('p');
+        heading.className = 'resumable-uploads-title';
+        heading.innerHTML = '<i class="fas fa-history"></i> Unfinished uploads - select the same file again to continue';
+        resumableUploads.appendChild(heading);
+        
+        sessions.forEach(session => {
+            const percent = Math.round((session.uploadedChunks.length / session.totalChunks) * 100);
+            
+            const item = document.createElement('div');
+            item.className = 'resumable-upload-item';
+            
+            const name = document.createElement('span');
+            name.className = 'resumable-upload-name';
+            name.textContent = session.title || session.fileName;
+            name.title = session.fileName;
+            
+            const progress = document.createElement('span');
+            progress.className = 'resumable-upload-progress';
+            progress.textContent = `${percent}% of ${formatFileSize(session.uploadSize || session.fileSize)}`;
+            
+            const discardButton = document.createElement('button');
+            discardButton.type = 'button';
+            discardButton.className = 'remove-file';
+            discardButton.title = 'Discard this unfinished upload';
+            discardButton.innerHTML = '<i class="fas fa-times"></i>';
+            discardButton.addEventListener('click', async (event) => {
+                event.stopPropagation();
+                await uploadSessions.deleteSession(session.fingerprint);
+                showResumableUploads();
+            });
+            
+            item.appendChild(name);
+            item.appendChild(progress);
+            item.appendChild(discardButton);
+            resumableUploads.appendChild(item);
+        });
+        
+        resumableUploads.style.display = 'block';
+    }
+    
+    // Helper function to restore form fields when a selected file continues a previous upload
+    async function applyResumableSession(file) {
+        const uploadSessions = window.replayHub && window.replayHub.uploadSessions;
+        if (!uploadSessions) return;
+        
+        const session = await uploadSessions.getSession(file);
+        if (!session || selectedFile !== file) return;
+        
+        const titleInput = document.getElementById('video-title');
+        const descriptionInput = document.getElementById('video-description');
+        const playersInput = document.getElementById('video-players');
+        const tagsInput = document.getElementById('video-tags');
+        
+        if (titleInput && !titleInput.value && session.title) {
+            titleInput.value = session.title;
+        }
+        if (descriptionInput && !descriptionInput.value && session.description) {
+            descriptionInput.value = session.description;
+        }
+        if (playersInput && !playersInput.value && session.players) {
+            try {
+                playersInput.value = JSON.parse(session.players).join(', ');
+            } catch (e) {
+                // Ignore malformed player data
+            }
+        }
+        if (tagsInput && !tagsInput.value && session.tags) {
+            try {
+                tagsInput.value = JSON.parse(session.tags).join(', ');
+            } catch (e) {
+                // Ignore malformed tag data
+            }
+        }
+        
+        const selectedFileInfo = singleDropzone && singleDropzone.querySelector('.selected-file');
+        if (selectedFileInfo) {
+            const percent = Math.round((session.uploadedChunks.length / session.totalChunks) * 100);
+            const resumeNote = document.createElement('p');
+            resumeNote.className = 'resume-note';
+            resumeNote.innerHTML = `<i class="fas fa-history"></i> Resuming previous upload (${percent}% already uploaded)`;
+            selectedFileInfo.appendChild(resumeNote);
+        }
+    }
+    
+    // Helper function to split a comma-separated input into trimmed, non-empty values
+    function parseListInput(value) {
+        return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
     }
     
     // Helper function to format file size
@@ -1913,11 +3260,18 @@ function initUploadModal() {
     }
       // Helper function to reset the form after upload
     function resetUploadForm() {
+        // Closing the modal also stops a conversion that is still running
+        if (activeConversion) activeConversion.abort();
+        
         selectedFile = null;
-        selectedBulkFiles = [];
+        resetTrimEditor();
+        resetThumbnailPicker();
+        selectedBulkItems = [];
+        bulkSharedFields = { description: '', players: '', tags: '' };
         
         if (uploadForm) uploadForm.reset();
         if (bulkUploadForm) bulkUploadForm.reset();
+        if (matchForm) matchForm.reset();
         
         // Re-fill username fields for logged-in users
         const uploaderInput = document.getElementById('video-uploader');
@@ -1953,6 +3307,8 @@ function initUploadModal() {
             `;
         }
         
+        if (mediaDetails) mediaDetails.style.display = 'none';
+        
         if (bulkDropzone) {
             bulkDropzone.innerHTML = `
                 <div class="dropzone-icon">
@@ -0,0 +1,265 @@
+/**
+ * Hover previews for Replay Hub video cards
+ * Plays a short muted preview while a card is hovered (or long-pressed on touch screens),
+ * and scrubs through a storyboard sprite sheet by mouse position when the server provides one
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  // How long the pointer has to rest on a card before anything is loaded
+  const HOVER_DELAY = 300;
+
+  // How long a touch has to be held to start the preview instead of opening the video
+  const LONG_PRESS_DELAY = 500;
+
+  // Length of the preview cut from the start of the full video when there is no preview clip
+  const PREVIEW_SECONDS = 6;
+
+  // Only one card previews at a time
+  let activePreview = null;
+
+  /**
+   * Get the preview sources the server provides for a video
+   * @param {Object} video - The video metadata object
+   * @returns {Object} - { clipUrl, storyboard } where storyboard is null or { url, columns, rows, count }
+   */
+  function getPreviewSources(video) {
+    const baseUrl = window.BASE_URL;
+    let storyboard = null;
+
+    if (video.storyboard && video.storyboard.sprite_id) {
+      const columns = Number(video.storyboard.columns) || 1;
+      const rows = Number(video.storyboard.rows) || 1;
+      storyboard = {
+        url: `${baseUrl}/storyboard/${video.storyboard.sprite_id}`,
+        columns,
+        rows,
+        count: Math.min(Number(video.storyboard.count) || columns * rows, columns * rows)
+      };
+    }
+
+    return {
+      // Without a preview clip the browser range-requests just the first seconds of the full video
+      clipUrl: video.preview_id
+        ? `${baseUrl}/preview/${video.preview_id}`
+        : video.s3_url ? `${video.s3_url}#t=0,${PREVIEW_SECONDS}` : null,
+      clipIsFull: !video.preview_id,
+      storyboard
+    };
+  }
+
+  function saveDataEnabled() {
+    return Boolean(navigator.connection && navigator.connection.saveData);
+  }
+
+  /**
+   * Add a hover preview to a video card
+   * @param {HTMLElement} card - The video card
+   * @param {HTMLElement} thumbnailContainer - Element holding the card's thumbnail
+   * @param {Object} video - The video metadata object
+   */
+  function attach(card, thumbnailContainer, video) {
+    const sources = getPreviewSources(video);
+    if (!sources.clipUrl && !sources.storyboard) return;
+
+    let hoverTimer = null;
+    let pressTimer = null;
+    let suppressClick = false;
+    let previewVideo = null;
+    let storyboardFrame = null;
+    let storyboardImage = null;
+    let progressBar = null;
+    let pointerX = 0;
+
+    const preview = { card, stop };
+
+    function start(mode) {
+      if (activePreview && activePreview !== preview) activePreview.stop();
+      activePreview = preview;
+
+      if (mode === 'scrub') {
+        startScrub();
+      } else {
+        startClip();
+      }
+    }
+
+    function startClip() {
+      if (previewVideo || !sources.clipUrl || saveDataEnabled()) return;
+
+      previewVideo = document.createElement('video');
+      previewVideo.className = 'card-preview-video';
+      previewVideo.muted = true;
+      previewVideo.playsInline = true;
+      previewVideo.loop = !sources.clipIsFull;
+      previewVideo.preload = 'auto';
+
+      // Show the video only once it has a frame, so the thumbnail doesn't flash black
+      previewVideo.addEventListener('playing', () => {
+        if (previewVideo) previewVideo.classList.add('visible');
+      }, { once: true });
+
+      // A media fragment stops at its end instead of looping, so rewind by hand
+      if (sources.clipIsFull) {
+        previewVideo.addEventListener('timeupdate', () => {
+          if (previewVideo && previewVideo.currentTime >= PREVIEW_SECONDS) {
+            previewVideo.currentTime = 0;
+            previewVideo.play().catch(() => {});
+          }
+        });
+      }
+
+      previewVideo.addEventListener('error', () => stop(), { once: true });
+      previewVideo.src = sources.clipUrl;
+      thumbnailContainer.appendChild(previewVideo);
+      previewVideo.play().catch(() => {});
+    }
+
+    function startScrub() {
+      if (storyboardFrame) return;
+
+      storyboardFrame = document.createElement('div');
+      storyboardFrame.className = 'card-storyboard';
+      progressBar = document.createElement('div');
+      progressBar.className = 'card-preview-progress';
+
+      // The sprite sheet is only shown once it has loaded; leaving before then cancels the request
+      storyboardImage = new Image();
+      storyboardImage.onload = () => {
+        if (!storyboardFrame) return;
+        const { columns, rows } = sources.storyboard;
+        storyboardFrame.style.backgroundImage = `url("${sources.storyboard.url}")`;
+        storyboardFrame.style.backgroundSize = `${columns * 100}% ${rows * 100}%`;
+        storyboardFrame.classList.add('visible');
+      };
+      storyboardImage.onerror = () => {
+        // Fall back to playing the preview clip
+        stopScrub();
+        startClip();
+      };
+      storyboardImage.src = sources.storyboard.url;
+
+      thumbnailContainer.appendChild(storyboardFrame);
+      thumbnailContainer.appendChild(progressBar);
+    }
+
+    function scrubTo(clientX) {
+      if (!storyboardFrame) return;
+
+      const rect = thumbnailContainer.getBoundingClientRect();
+      const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+      const { columns, rows, count } = sources.storyboard;
+      const index = Math.min(count - 1, Math.floor(fraction * count));
+      const column = index % columns;
+      const row = Math.floor(index / columns);
+
+      const x = columns > 1 ? (column / (columns - 1)) * 100 : 0;
+      const y = rows > 1 ? (row / (rows - 1)) * 100 : 0;
+      storyboardFrame.style.backgroundPosition = `${x}% ${y}%`;
+      progressBar.style.width = `${fraction * 100}%`;
+    }
+
+    function stopScrub() {
+      if (storyboardImage) {
+        storyboardImage.onload = null;
+        storyboardImage.onerror = null;
+        storyboardImage.removeAttribute('src');
+        storyboardImage = null;
+      }
+      if (storyboardFrame) storyboardFrame.remove();
+      if (progressBar) progressBar.remove();
+      storyboardFrame = null;
+      progressBar = null;
+    }
+
+    function stopClip() {
+      if (!previewVideo) return;
+      // Dropping the source aborts any range requests still in flight
+      previewVideo.pause();
+      previewVideo.removeAttribute('src');
+      previewVideo.load();
+      previewVideo.remove();
+      previewVideo = null;
+    }
+
+    function stop() {
+      clearTimeout(hoverTimer);
+      clearTimeout(pressTimer);
+      hoverTimer = null;
+      pressTimer = null;
+      stopScrub();
+      stopClip();
+      if (activePreview === preview) activePreview = null;
+    }
+
+    // Mouse: scrub the storyboard if there is one, otherwise play the preview clip
+    card.addEventListener('pointerenter', (event) => {
+      if (event.pointerType !== 'mouse') return;
+      pointerX = event.clientX;
+      hoverTimer = setTimeout(() => {
+        start(sources.storyboard ? 'scrub' : 'clip');
+        scrubTo(pointerX);
+      }, HOVER_DELAY);
+    });
+
+    card.addEventListener('pointermove', (event) => {
+      if (event.pointerType !== 'mouse') return;
+      pointerX = event.clientX;
+      scrubTo(pointerX);
+    });
+
+    card.addEventListener('pointerleave', (event) => {
+      if (event.pointerType === 'mouse') stop();
+    });
+
+    // Touch: a long press plays the preview, a tap still opens the video
+    card.addEventListener('pointerdown', (event) => {
+      if (event.pointerType !== 'touch') return;
+      suppressClick = false;
+      pressTimer = setTimeout(() => {
+        suppressClick = true;
+        start('clip');
+      }, LONG_PRESS_DELAY);
+    });
+
+    ['pointerup', 'pointercancel'].forEach(type => {
+      card.addEventListener(type, (event) => {
+        if (event.pointerType !== 'touch') return;
+        clearTimeout(pressTimer);
+        pressTimer = null;
+        // Scrolling away ends the preview
+        if (type === 'pointercancel') stop();
+      });
+    });
+
+    // The click that ends a long press shouldn't navigate away from the preview
+    card.addEventListener('click', (event) => {
+      if (!suppressClick) return;
+      suppressClick = false;
+      event.stopImmediatePropagation();
+    }, true);
+
+    card.addEventListener('contextmenu', (event) => {
+      if (suppressClick) event.preventDefault();
+    });
+  }
+
+  // A long-press preview plays until another card or anything else is touched
+  document.addEventListener('pointerdown', (event) => {
+    if (activePreview && !activePreview.card.contains(event.target)) activePreview.stop();
+  });
+
+  // Stop a preview that is still playing when the page is hidden
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden && activePreview) activePreview.stop();
+  });
+
+  // Export card preview functions
+  window.replayHub.cardPreview = {
+    attach
+  };
+
+  // Card preview module ready
+})();
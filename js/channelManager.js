@@ -0,0 +1,378 @@
+/**
+ * Channel management for Replay Hub
+ * Lets uploaders select several of their videos on their channel page and edit or delete them together
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  // Bulk requests sent to the server at the same time
+  const MAX_CONCURRENT_REQUESTS = 4;
+
+  function showMessage(message, type) {
+    if (window.showMessage) {
+      window.showMessage(message, type);
+    } else {
+      alert(message);
+    }
+  }
+
+  function getVideoKey(video) {
+    return video.id || video.short_id || video.s3_url;
+  }
+
+  function parseList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * Send a request for each video, a few at a time
+   * @param {Array<Object>} videos - Videos to send requests for
+   * @param {Function} request - Async function called with each video
+   * @returns {Promise<Object>} - { succeeded, failed } lists of videos
+   */
+  async function runForEach(videos, request) {
+    const succeeded = [];
+    const failed = [];
+    let next = 0;
+
+    async function worker() {
+      while (next < videos.length) {
+        const video = videos[next++];
+        try {
+          await request(video);
+          succeeded.push(video);
+        } catch (error) {
+          console.error(`Bulk request failed for video ${getVideoKey(video)}:`, error);
+          failed.push(video);
+        }
+      }
+    }
+
+    const workers = Array.from({ length: Math.min(MAX_CONCURRENT_REQUESTS, videos.length) }, worker);
+    await Promise.all(workers);
+    return { succeeded, failed };
+  }
+
+  function reportResult(action, { succeeded, failed }) {
+    if (failed.length === 0) {
+      showMessage(`${action} ${succeeded.length} video${succeeded.length === 1 ? '' : 's'}`, 'success');
+    } else {
+      showMessage(`${action} ${succeeded.length} of ${succeeded.length + failed.length} videos; ${failed.length} failed`, 'error');
+    }
+  }
+
+  /**
+   * Work out the new fields of a video from the bulk edit form
+   * @param {Object} video - The video metadata object
+   * @param {Object} changes - { description, addPlayers, removePlayers }
+   * @returns {Object|null} - Fields to send, or null when nothing changes
+   */
+  function getVideoChanges(video, changes) {
+    const fields = {};
+
+    if (changes.description && changes.description !== video.description) {
+      fields.description = changes.description;
+    }
+
+    if (changes.addPlayers.length > 0 || changes.removePlayers.length > 0) {
+      const current = Array.isArray(video.players) ? video.players : [];
+      const removed = new Set(changes.removePlayers.map(player => player.toLowerCase()));
+      const players = current.filter(player => !removed.has(player.toLowerCase()));
+      changes.addPlayers.forEach(player => {
+        if (!players.some(existing => existing.toLowerCase() === player.toLowerCase())) {
+          players.push(player);
+        }
+      });
+
+      if (players.length !== current.length || players.some((player, i) => player !== current[i])) {
+        fields.players = players;
+      }
+    }
+
+    return Object.keys(fields).length > 0 ? fields : null;
+  }
+
+  /**
+   * Add the management mode to a channel page
+   * @param {HTMLElement} container - Element the management toolbar is rendered into
+   * @param {HTMLElement} grid - The video grid, marked while managing so cards show their checkboxes
+   * @param {Object} options - Manager options
+   * @param {Function} options.getVideos - Returns the videos currently listed, used by "Select all"
+   * @param {Function} options.onUpdated - Called with the videos that were edited
+   * @param {Function} options.onDeleted - Called with the videos that were deleted
+   * @returns {Object} - { decorateCard(card, video), destroy() }
+   */
+  function create(container, grid, options) {
+    const { updateVideoById, deleteVideoById } = window.replayHub.videoMetadata;
+
+    let active = false;
+    let busy = false;
+    const selected = new Map();
+
+    function render() {
+      grid.classList.toggle('managing', active);
+      container.style.display = 'flex';
+
+      if (!active) {
+        container.innerHTML = `
+          <button type="button" class="channel-manage-btn">
+            <i class="fas fa-tasks"></i>
+            Manage videos
+          </button>
+        `;
+        container.querySelector('.channel-manage-btn').onclick = () => setActive(true);
+        return;
+      }
+
+      const count = selected.size;
+      container.innerHTML = `
+        <span class="channel-manager-count">${count} selected</span>
+        <button type="button" class="channel-manager-btn" data-action="select-all">Select all</button>
+        <button type="button" class="channel-manager-btn" data-action="clear"${count === 0 ? ' disabled' : ''}>Clear</button>
+        <button type="button" class="channel-manager-btn" data-action="edit"${count === 0 || busy ? ' disabled' : ''}>
+          <i class="fas fa-edit"></i>
+          Edit
+        </button>
+        <button type="button" class="channel-manager-btn danger" data-action="delete"${count === 0 || busy ? ' disabled' : ''}>
+          <i class="fas fa-trash"></i>
+          Delete
+        </button>
+        <button type="button" class="channel-manager-btn" data-action="done">Done</button>
+      `;
+
+      container.querySelectorAll('.channel-manager-btn').forEach(button => {
+        button.onclick = () => handleAction(button.dataset.action);
+      });
+    }
+
+    function handleAction(action) {
+      if (action === 'select-all') {
+        options.getVideos().forEach(video => selected.set(getVideoKey(video), video));
+        refreshCards();
+      } else if (action === 'clear') {
+        selected.clear();
+        refreshCards();
+      } else if (action === 'edit') {
+        showBulkEditor();
+      } else if (action === 'delete') {
+        confirmBulkDelete();
+      } else if (action === 'done') {
+        setActive(false);
+      }
+    }
+
+    function setActive(value) {
+      active = value;
+      if (!active) selected.clear();
+      refreshCards();
+    }
+
+    // Cards rendered in the grid show the current selection; cards outside it pick it up when rendered
+    function refreshCards() {
+      grid.querySelectorAll('.video-card[data-manage-key]').forEach(card => {
+        card.classList.toggle('selected', selected.has(card.dataset.manageKey));
+      });
+      render();
+    }
+
+    /**
+     * Make a video card selectable while managing
+     * @param {HTMLElement} card - The video card
+     * @param {Object} video - The video metadata object
+     */
+    function decorateCard(card, video) {
+      const key = getVideoKey(video);
+      card.dataset.manageKey = key;
+      card.classList.toggle('selected', selected.has(key));
+
+      const checkbox = document.createElement('span');
+      checkbox.className = 'card-select';
+      checkbox.innerHTML = '<i class="fas fa-check"></i>';
+      const thumbnailContainer = card.querySelector('.thumbnail-container') || card;
+      thumbnailContainer.appendChild(checkbox);
+
+      // While managing, a click selects the card instead of opening the video or a player link
+      card.addEventListener('click', (event) => {
+        if (!active) return;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+
+        if (selected.has(key)) {
+          selected.delete(key);
+        } else {
+          selected.set(key, video);
+        }
+        refreshCards();
+      }, true);
+    }
+
+    function showBulkEditor() {
+      const videos = Array.from(selected.values());
+
+      const modal = document.createElement('div');
+      modal.className = 'bulk-edit-modal';
+      modal.innerHTML = `
+        <div class="bulk-edit-backdrop"></div>
+        <div class="bulk-edit-content">
+          <div class="bulk-edit-header">
+            <h3>Edit ${videos.length} video${videos.length === 1 ? '' : 's'}</h3>
+          </div>
+          <div class="bulk-edit-body">
+            <div class="form-group">
+              <label for="bulk-edit-description">Description</label>
+              <textarea id="bulk-edit-description" class="form-control" placeholder="Leave empty to keep each video's description"></textarea>
+            </div>
+            <div class="form-group">
+              <label for="bulk-edit-add-players">Add players</label>
+              <input type="text" id="bulk-edit-add-players" class="form-control" placeholder="Comma-separated list of players">
+            </div>
+            <div class="form-group">
+              <label for="bulk-edit-remove-players">Remove players</label>
+              <input type="text" id="bulk-edit-remove-players" class="form-control" placeholder="Comma-separated list of players">
+            </div>
+          </div>
+          <div class="bulk-edit-actions">
+            <button class="bulk-edit-cancel-btn">Cancel</button>
+            <button class="bulk-edit-save-btn">
+              <i class="fas fa-check"></i>
+              Save Changes
+            </button>
+          </div>
+        </div>
+      `;
+
+      document.body.appendChild(modal);
+
+      const close = () => {
+        if (document.body.contains(modal)) {
+          document.body.removeChild(modal);
+        }
+        document.removeEventListener('keydown', handleEscape);
+      };
+
+      const handleEscape = (e) => {
+        if (e.key === 'Escape') close();
+      };
+
+      modal.querySelector('.bulk-edit-cancel-btn').onclick = close;
+      modal.querySelector('.bulk-edit-backdrop').onclick = close;
+      document.addEventListener('keydown', handleEscape);
+
+      const saveBtn = modal.querySelector('.bulk-edit-save-btn');
+      saveBtn.onclick = async () => {
+        const changes = {
+          description: modal.querySelector('#bulk-edit-description').value.trim(),
+          addPlayers: parseList(modal.querySelector('#bulk-edit-add-players').value),
+          removePlayers: parseList(modal.querySelector('#bulk-edit-remove-players').value)
+        };
+
+        const edits = videos
+          .map(video => ({ video, fields: getVideoChanges(video, changes) }))
+          .filter(edit => edit.fields);
+
+        if (edits.length === 0) {
+          showMessage('Nothing to change', 'info');
+          return;
+        }
+
+        saveBtn.disabled = true;
+        busy = true;
+        render();
+
+        const result = await runForEach(edits, edit => updateVideoById(edit.video.id, edit.fields));
+        result.succeeded.forEach(edit => Object.assign(edit.video, edit.fields));
+        result.succeeded = result.succeeded.map(edit => edit.video);
+        result.failed = result.failed.map(edit => edit.video);
+
+        busy = false;
+        close();
+        reportResult('Updated', result);
+        render();
+        if (result.succeeded.length > 0) options.onUpdated(result.succeeded);
+      };
+    }
+
+    function confirmBulkDelete() {
+      const videos = Array.from(selected.values());
+
+      const modal = document.createElement('div');
+      modal.className = 'delete-confirmation-modal';
+      modal.innerHTML = `
+        <div class="delete-confirmation-backdrop"></div>
+        <div class="delete-confirmation-content">
+          <div class="delete-confirmation-header">
+            <i class="fas fa-exclamation-triangle"></i>
+            <h3>Delete ${videos.length} Video${videos.length === 1 ? '' : 's'}</h3>
+          </div>
+          <div class="delete-confirmation-body">
+            <p><strong>Are you sure you want to delete the selected videos?</strong></p>
+            <div class="delete-warning">
+              <i class="fas fa-warning"></i>
+              This action cannot be undone. The videos, all comments, reactions, and saved bookmarks will be permanently deleted.
+            </div>
+          </div>
+          <div class="delete-confirmation-actions">
+            <button class="delete-cancel-btn">Cancel</button>
+            <button class="delete-confirm-btn">
+              <i class="fas fa-trash"></i>
+              Delete Permanently
+            </button>
+          </div>
+        </div>
+      `;
+
+      document.body.appendChild(modal);
+
+      const close = () => {
+        if (document.body.contains(modal)) {
+          document.body.removeChild(modal);
+        }
+        document.removeEventListener('keydown', handleEscape);
+      };
+
+      const handleEscape = (e) => {
+        if (e.key === 'Escape') close();
+      };
+
+      modal.querySelector('.delete-cancel-btn').onclick = close;
+      modal.querySelector('.delete-confirmation-backdrop').onclick = close;
+      document.addEventListener('keydown', handleEscape);
+
+      modal.querySelector('.delete-confirm-btn').onclick = async () => {
+        close();
+        busy = true;
+        render();
+
+        const result = await runForEach(videos, video => deleteVideoById(video.id));
+        result.succeeded.forEach(video => selected.delete(getVideoKey(video)));
+
+        busy = false;
+        reportResult('Deleted', result);
+        render();
+        if (result.succeeded.length > 0) options.onDeleted(result.succeeded);
+      };
+    }
+
+    function destroy() {
+      active = false;
+      selected.clear();
+      grid.classList.remove('managing');
+      grid.querySelectorAll('.video-card.selected').forEach(card => card.classList.remove('selected'));
+      container.innerHTML = '';
+      container.style.display = 'none';
+    }
+
+    render();
+
+    return { decorateCard, destroy };
+  }
+
+  // Export channel manager functions
+  window.replayHub.channelManager = {
+    create
+  };
+
+  // Channel manager module ready
+})();
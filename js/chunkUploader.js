@@ -0,0 +1,307 @@
+/**
+ * Parallel Chunk Upload Scheduler
+ * Uploads file chunks through a concurrency-limited pool with per-chunk retry and aggregated progress
+ */
+
+class ChunkUploadScheduler {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {File} options.file - The file being uploaded
+     * @param {number} options.chunkSize - Size of each chunk in bytes
+     * @param {number} options.totalChunks - Number of chunks in the file
+     * @param {Set<number>} [options.completedChunks] - Chunk indices the server already has
+     * @param {Function} options.buildChunkForm - (chunkIndex, blob) => FormData for that chunk
+     * @param {string} options.uploadUrl - Endpoint that receives chunks
+     * @param {Function} [options.getHeaders] - Returns request headers (e.g. Authorization)
+     * @param {Function} [options.onChunkComplete] - Called with the index of each acknowledged chunk
+     * @param {Function} [options.onProgress] - Called with (uploadedBytes, totalBytes)
+     * @param {number} [options.concurrency] - Initial number of in-flight chunks
+     * @param {number} [options.maxConcurrency] - Upper bound the pool may grow to while chunks succeed
+     * @param {number} [options.maxRetries] - Attempts per chunk before the upload fails
+     */
+    constructor(options) {
+        this.file = options.file;
+        this.chunkSize = options.chunkSize;
+        this.totalChunks = options.totalChunks;
+        this.completedChunks = new Set(options.completedChunks || []);
+        this.buildChunkForm = options.buildChunkForm;
+        this.uploadUrl = options.uploadUrl;
+        this.getHeaders = options.getHeaders || (() => ({}));
+        this.onChunkComplete = options.onChunkComplete || (() => {});
+        this.onProgress = options.onProgress || (() => {});
+        this.concurrency = options.concurrency || ChunkUploadScheduler.DEFAULT_CONCURRENCY;
+        this.maxConcurrency = options.maxConcurrency || ChunkUploadScheduler.MAX_CONCURRENCY;
+        this.successStreak = 0;
+        this.maxRetries = options.maxRetries || ChunkUploadScheduler.MAX_RETRIES;
+
+        this.pending = [];
+        this.inFlight = new Map(); // chunkIndex -> { xhr, loaded }
+        this.waitingRetries = 0;
+        this.completedBytes = 0;
+        this.transferredBytes = 0;
+        this.startTime = null;
+        this.aborted = false;
+        this.failure = null;
+
+        this.completedChunks.forEach(index => {
+            this.completedBytes += this.getChunkBytes(index);
+        });
+    }
+
+    /**
+     * Size in bytes of a given chunk (the last chunk may be shorter)
+     */
+    getChunkBytes(index) {
+        return Math.min(this.chunkSize, this.file.size - index * this.chunkSize);
+    }
+
+    /**
+     * Upload every chunk that isn't already complete
+     * @returns {Promise<void>} - Resolves once all chunks are acknowledged
+     */
+    run() {
+        this.startTime = Date.now();
+        this.pending = [];
+        for (let index = 0; index < this.totalChunks; index++) {
+            if (!this.completedChunks.has(index)) {
+                this.pending.push({ index, attempt: 0 });
+            }
+        }
+
+        this.reportProgress();
+
+        return new Promise((resolve, reject) => {
+            this.resolveRun = resolve;
+            this.rejectRun = reject;
+            this.fillPool();
+        });
+    }
+
+    /**
+     * Start chunks until the pool is full or nothing is left
+     */
+    fillPool() {
+        if (this.aborted || this.failure) return;
+
+        if (this.pending.length === 0 && this.inFlight.size === 0 && this.waitingRetries === 0) {
+            this.recordThroughput();
+            this.resolveRun();
+            return;
+        }
+
+        while (this.inFlight.size < this.concurrency && this.pending.length > 0) {
+            this.uploadChunk(this.pending.shift());
+        }
+    }
+
+    /**
+     * Upload a single chunk, retrying with exponential backoff on transient errors
+     * @param {Object} task - { index, attempt }
+     */
+    uploadChunk(task) {
+        const { index } = task;
+        const start = index * this.chunkSize;
+        const blob = this.file.slice(start, start + this.getChunkBytes(index));
+        const xhr = new XMLHttpRequest();
+
+        this.inFlight.set(index, { xhr, loaded: 0 });
+
+        xhr.open('POST', this.uploadUrl, true);
+        Object.entries(this.getHeaders()).forEach(([name, value]) => {
+            xhr.setRequestHeader(name, value);
+        });
+
+        xhr.upload.onprogress = (event) => {
+            const entry = this.inFlight.get(index);
+            if (entry && event.lengthComputable) {
+                entry.loaded = (event.loaded / event.total) * blob.size;
+                this.reportProgress();
+            }
+        };
+
+        xhr.onload = () => {
+            if (xhr.status === 200 || xhr.status === 201) {
+                this.inFlight.delete(index);
+                this.completedChunks.add(index);
+                this.completedBytes += blob.size;
+                this.transferredBytes += blob.size;
+                this.reportProgress();
+
+                // Grow the pool again after a run of clean chunks
+                this.successStreak++;
+                if (this.successStreak >= this.concurrency && this.concurrency < this.maxConcurrency) {
+                    this.concurrency++;
+                    this.successStreak = 0;
+                }
+
+                console.log(`Chunk ${index + 1}/${this.totalChunks} uploaded successfully`);
+
+                Promise.resolve(this.onChunkComplete(index)).finally(() => this.fillPool());
+            } else {
+                this.handleChunkError(task, new Error(`Chunk upload failed with status: ${xhr.status}`), xhr.status);
+            }
+        };
+
+        xhr.onerror = () => {
+            this.handleChunkError(task, new Error('Network error during chunk upload'), 0);
+        };
+
+        xhr.onabort = () => {
+            this.inFlight.delete(index);
+        };
+
+        xhr.send(this.buildChunkForm(index, blob));
+    }
+
+    /**
+     * Retry a failed chunk or fail the whole upload once retries are exhausted
+     */
+    handleChunkError(task, error, status) {
+        this.inFlight.delete(task.index);
+        this.reportProgress();
+
+        if (this.aborted || this.failure) return;
+
+        const attempt = task.attempt + 1;
+
+        if (!ChunkUploadScheduler.isRetryableStatus(status) || attempt > this.maxRetries) {
+            console.error(`Error uploading chunk ${task.index}:`, error);
+            this.fail(new Error(`Failed to upload chunk ${task.index}: ${error.message}`));
+            return;
+        }
+
+        // Back off the whole pool a little when the server or network is struggling
+        this.concurrency = Math.max(1, this.concurrency - 1);
+        this.successStreak = 0;
+
+        const delay = ChunkUploadScheduler.getRetryDelay(attempt);
+        console.warn(`Chunk ${task.index} failed (${error.message}), retry ${attempt}/${this.maxRetries} in ${Math.round(delay)}ms`);
+
+        this.waitingRetries++;
+        setTimeout(() => {
+            this.waitingRetries--;
+            if (this.aborted || this.failure) return;
+            this.pending.unshift({ index: task.index, attempt });
+            this.fillPool();
+        }, delay);
+    }
+
+    /**
+     * Stop the upload because a chunk could not be delivered
+     */
+    fail(error) {
+        this.failure = error;
+        this.abortInFlight();
+        this.rejectRun(error);
+    }
+
+    /**
+     * Cancel all in-flight and pending chunks
+     */
+    abort() {
+        if (this.aborted) return;
+        this.aborted = true;
+        this.abortInFlight();
+
+        if (this.rejectRun) {
+            const error = new Error('Upload aborted');
+            error.name = 'AbortError';
+            this.rejectRun(error);
+        }
+    }
+
+    abortInFlight() {
+        this.pending = [];
+        this.inFlight.forEach(({ xhr }) => xhr.abort());
+        this.inFlight.clear();
+    }
+
+    /**
+     * Report aggregated progress across completed and in-flight chunks
+     */
+    reportProgress() {
+        let uploadedBytes = this.completedBytes;
+        this.inFlight.forEach(({ loaded }) => {
+            uploadedBytes += loaded;
+        });
+
+        this.onProgress(Math.min(uploadedBytes, this.file.size), this.file.size);
+    }
+
+    /**
+     * Remember this session's throughput so the next upload can pick a suitable chunk size
+     */
+    recordThroughput() {
+        const elapsed = (Date.now() - this.startTime) / 1000;
+        if (elapsed <= 0 || this.transferredBytes < this.chunkSize) return;
+
+        try {
+            localStorage.setItem(ChunkUploadScheduler.THROUGHPUT_KEY, String(this.transferredBytes / elapsed));
+        } catch (e) {
+            // Ignore localStorage errors
+        }
+    }
+
+    /**
+     * Transient failures worth retrying: network errors, timeouts, rate limits and server errors
+     */
+    static isRetryableStatus(status) {
+        return status === 0 || status === 408 || status === 429 || status >= 500;
+    }
+
+    /**
+     * Exponential backoff with jitter
+     */
+    static getRetryDelay(attempt) {
+        const base = Math.min(ChunkUploadScheduler.MAX_RETRY_DELAY, 1000 * Math.pow(2, attempt - 1));
+        return base / 2 + Math.random() * (base / 2);
+    }
+
+    /**
+     * Pick a chunk size from the throughput measured during previous uploads.
+     * Chunks are sized so each in-flight request takes a few seconds: small enough that
+     * a retry is cheap, large enough that per-request latency doesn't dominate.
+     * The size is chosen once per upload, since the server is told the chunk size and count when the
+     * upload starts and addresses chunks by index. Without an earlier measurement (the first upload)
+     * MIN_CHUNK_SIZE is used; within an upload only the concurrency adapts to the connection.
+     * @param {number} fileSize - Size of the file about to be uploaded
+     * @returns {number} - Chunk size in bytes
+     */
+    static recommendChunkSize(fileSize) {
+        const MB = 1024 * 1024;
+        let throughput = 0;
+
+        try {
+            throughput = parseFloat(localStorage.getItem(ChunkUploadScheduler.THROUGHPUT_KEY)) || 0;
+        } catch (e) {
+            // Ignore localStorage errors
+        }
+
+        if (!throughput) return ChunkUploadScheduler.MIN_CHUNK_SIZE;
+
+        const perConnection = throughput / ChunkUploadScheduler.DEFAULT_CONCURRENCY;
+        let chunkSize = perConnection * ChunkUploadScheduler.TARGET_CHUNK_SECONDS;
+
+        // Keep enough chunks to fill the pool
+        chunkSize = Math.min(chunkSize, fileSize / (ChunkUploadScheduler.DEFAULT_CONCURRENCY * 2));
+        chunkSize = Math.max(ChunkUploadScheduler.MIN_CHUNK_SIZE, Math.min(ChunkUploadScheduler.MAX_CHUNK_SIZE, chunkSize));
+
+        return Math.round(chunkSize / MB) * MB;
+    }
+}
+
+ChunkUploadScheduler.DEFAULT_CONCURRENCY = 4;
+ChunkUploadScheduler.MAX_CONCURRENCY = 6;
+ChunkUploadScheduler.MAX_RETRIES = 5;
+ChunkUploadScheduler.MAX_RETRY_DELAY = 30000;
+ChunkUploadScheduler.MIN_CHUNK_SIZE = 5 * 1024 * 1024;
+ChunkUploadScheduler.MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+ChunkUploadScheduler.TARGET_CHUNK_SECONDS = 8;
+ChunkUploadScheduler.THROUGHPUT_KEY = 'replay_hub_upload_throughput';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChunkUploadScheduler;
+} else {
+    window.ChunkUploadScheduler = ChunkUploadScheduler;
+}
@@ -0,0 +1,345 @@
+/**
+ * Comment formatting for Replay Hub
+ * Renders the limited markup allowed in comments (bold, italic, code, spoilers, links, @mentions
+ * and #tags) and autocompletes @mentions while typing
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  // Comment text is user input: it is only ever turned into these elements and attributes,
+  // built with createElement and textContent, never parsed as HTML
+  const ALLOWED_ELEMENTS = {
+    strong: [],
+    em: [],
+    code: [],
+    br: [],
+    span: ['class', 'tabindex', 'role', 'title', 'aria-expanded'],
+    a: ['class', 'href', 'target', 'rel', 'title']
+  };
+  const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+  // Formatting inside formatting is only followed this deep
+  const MAX_NESTING = 3;
+
+  const MAX_MENTION_SUGGESTIONS = 6;
+
+  // Inline rules, tried at every position; the earliest match wins, then the first rule listed
+  const INLINE_RULES = [
+    { type: 'code', pattern: /`([^`\n]+)`/ },
+    { type: 'spoiler', pattern: /\|\|(.+?)\|\|/ },
+    { type: 'bold', pattern: /\*\*(?=\S)(.+?)(?<=\S)\*\*/ },
+    { type: 'italic', pattern: /\*(?=\S)(.+?)(?<=\S)\*/ },
+    { type: 'italic', pattern: /(?<![\w])_(?=\S)(.+?)(?<=\S)_(?![\w])/ },
+    { type: 'link', pattern: /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/i },
+    { type: 'mention', pattern: /(?<![\w@])@(\w(?:[\w.-]*\w)?)/ },
+    { type: 'tag', pattern: /(?<![\w#&])#(?!\d+\b)(\w[\w-]*)/ }
+  ];
+
+  // Names that can be written as an @mention
+  const MENTION_NAME_PATTERN = /^\w(?:[\w.-]*\w)?$/;
+
+  /**
+   * Check a link target from comment text
+   * @param {string} url - The URL as written, with or without a protocol
+   * @returns {string|null} - The absolute URL, or null when it isn't a safe web link
+   */
+  function sanitizeUrl(url) {
+    try {
+      const parsed = new URL(/^www\./i.test(url) ? `https://${url}` : url);
+      return ALLOWED_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create an allowed element; anything outside the allowlist is refused
+   * @param {string} tag - Element name
+   * @param {Object} attributes - Attribute values by name
+   * @returns {HTMLElement} - The element
+   */
+  function createElement(tag, attributes = {}) {
+    const allowed = ALLOWED_ELEMENTS[tag];
+    if (!allowed) {
+      throw new Error(`Element not allowed in comments: ${tag}`);
+    }
+
+    const element = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (!allowed.includes(name)) {
+        throw new Error(`Attribute not allowed in comments: ${tag}[${name}]`);
+      }
+      if (name === 'href' && !/^(https?:\/\/|index\.html\?)/.test(value)) {
+        throw new Error(`Link not allowed in comments: ${value}`);
+      }
+      element.setAttribute(name, value);
+    });
+    return element;
+  }
+
+  // Links written in a sentence usually end before its punctuation
+  function trimUrl(url) {
+    let trimmed = url.replace(/[.,!?;:'"]+$/, '');
+    while (trimmed.endsWith(')') && (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length) {
+      trimmed = trimmed.slice(0, -1);
+    }
+    return trimmed;
+  }
+
+  function findNextMatch(text) {
+    let best = null;
+    INLINE_RULES.forEach(rule => {
+      const match = rule.pattern.exec(text);
+      if (match && (!best || match.index < best.match.index)) {
+        best = { rule, match };
+      }
+    });
+    return best;
+  }
+
+  function createSpoiler() {
+    const spoiler = createElement('span', {
+      class: 'comment-spoiler',
+      tabindex: '0',
+      role: 'button',
+      title: 'Show spoiler',
+      'aria-expanded': 'false'
+    });
+
+    const reveal = (event) => {
+      if (spoiler.classList.contains('revealed')) return;
+      // The first click only reveals; links inside work once it is shown
+      event.preventDefault();
+      event.stopPropagation();
+      spoiler.classList.add('revealed');
+      spoiler.setAttribute('aria-expanded', 'true');
+      spoiler.removeAttribute('title');
+    };
+    spoiler.addEventListener('click', reveal);
+    spoiler.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') reveal(event);
+    });
+    return spoiler;
+  }
+
+  /**
+   * Render one line of comment text into an element
+   * @param {HTMLElement} parent - Element the nodes are added to
+   * @param {string} text - The text to render
+   * @param {Function} appendText - Adds plain text to an element
+   * @param {number} depth - How deep in formatting this text is
+   */
+  function renderInline(parent, text, appendText, depth) {
+    let rest = text;
+
+    while (rest) {
+      const next = depth < MAX_NESTING ? findNextMatch(rest) : null;
+      if (!next) {
+        appendText(parent, rest);
+        return;
+      }
+
+      const { rule, match } = next;
+      let matched = match[0];
+      if (match.index > 0) appendText(parent, rest.slice(0, match.index));
+
+      if (rule.type === 'code') {
+        const code = createElement('code');
+        code.textContent = match[1];
+        parent.appendChild(code);
+      } else if (rule.type === 'bold' || rule.type === 'italic' || rule.type === 'spoiler') {
+        const element = rule.type === 'spoiler'
+          ? createSpoiler()
+          : createElement(rule.type === 'bold' ? 'strong' : 'em');
+        renderInline(element, match[1], appendText, depth + 1);
+        parent.appendChild(element);
+      } else if (rule.type === 'link') {
+        matched = trimUrl(matched);
+        const href = sanitizeUrl(matched);
+        if (href) {
+          const link = createElement('a', {
+            class: 'comment-link',
+            href,
+            target: '_blank',
+            rel: 'noopener noreferrer nofollow ugc'
+          });
+          link.textContent = matched;
+          parent.appendChild(link);
+        } else {
+          appendText(parent, matched);
+        }
+      } else if (rule.type === 'mention') {
+        const link = createElement('a', {
+          class: 'comment-mention',
+          href: `index.html?player=${encodeURIComponent(match[1])}`,
+          title: `Clips with ${match[1]}`
+        });
+        link.textContent = matched;
+        parent.appendChild(link);
+      } else if (rule.type === 'tag') {
+        const link = createElement('a', {
+          class: 'comment-hashtag',
+          href: `index.html?q=${encodeURIComponent(`tag:${match[1]}`)}`,
+          title: `Search videos tagged ${match[1]}`
+        });
+        link.textContent = matched;
+        parent.appendChild(link);
+      }
+
+      rest = rest.slice(match.index + matched.length);
+    }
+  }
+
+  /**
+   * Render comment text with its formatting
+   * @param {HTMLElement} element - Element the comment is shown in; its content is replaced
+   * @param {string} text - The comment text
+   * @param {Object} options - Render options
+   * @param {Function} options.appendText - Adds plain text to an element, e.g. to link video times;
+   *   defaults to adding a text node
+   */
+  function render(element, text, options = {}) {
+    const appendText = options.appendText || ((parent, value) => parent.appendChild(document.createTextNode(value)));
+
+    element.textContent = '';
+    String(text || '').split('\n').forEach((line, i) => {
+      if (i > 0) element.appendChild(createElement('br'));
+      renderInline(element, line, appendText, 0);
+    });
+  }
+
+  /**
+   * Autocomplete @mentions in a comment input
+   * @param {HTMLInputElement|HTMLTextAreaElement} input - The comment input
+   * @param {Object} options - Mention options
+   * @param {Function} options.getNames - Async function returning { name, kind } entries to suggest,
+   *   kind being 'user' or 'player'
+   */
+  function attachMentions(input, options) {
+    if (input.dataset.mentionsAttached) return;
+    input.dataset.mentionsAttached = 'true';
+
+    const list = document.createElement('ul');
+    list.className = 'search-suggestions mention-suggestions';
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+    input.parentElement.appendChild(list);
+
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+
+    let suggestions = [];
+    let activeIndex = 0;
+    let request = 0;
+
+    // The @mention being typed just before the caret
+    function getMentionToken() {
+      const before = input.value.slice(0, input.selectionStart);
+      const match = before.match(/(?:^|[^\w@])@([\w.-]*)$/);
+      return match ? { text: match[1], start: before.length - match[1].length - 1 } : null;
+    }
+
+    function close() {
+      list.hidden = true;
+      list.innerHTML = '';
+      suggestions = [];
+      input.setAttribute('aria-expanded', 'false');
+    }
+
+    function render() {
+      list.innerHTML = '';
+      suggestions.forEach((entry, i) => {
+        const item = document.createElement('li');
+        item.className = `search-suggestion${i === activeIndex ? ' active' : ''}`;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', String(i === activeIndex));
+        item.innerHTML = `<i class="fas ${entry.kind === 'player' ? 'fa-gamepad' : 'fa-user'}"></i><span class="search-suggestion-value"></span><span class="search-suggestion-kind">${entry.kind === 'player' ? 'Player' : 'User'}</span>`;
+        item.querySelector('.search-suggestion-value').textContent = `@${entry.name}`;
+
+        // mousedown fires before the input loses focus
+        item.addEventListener('mousedown', (event) => {
+          event.preventDefault();
+          select(entry);
+        });
+        list.appendChild(item);
+      });
+
+      list.hidden = suggestions.length === 0;
+      input.setAttribute('aria-expanded', String(suggestions.length > 0));
+    }
+
+    async function update() {
+      const token = getMentionToken();
+      if (!token) {
+        close();
+        return;
+      }
+
+      const current = ++request;
+      const names = (await options.getNames()) || [];
+      // Typing went on while the names were loading
+      if (current !== request || document.activeElement !== input) return;
+
+      const typed = token.text.toLowerCase();
+      const seen = new Set();
+      suggestions = names
+        .filter(entry => MENTION_NAME_PATTERN.test(entry.name))
+        .filter(entry => {
+          const key = entry.name.toLowerCase();
+          if (seen.has(key) || !key.startsWith(typed) || key === typed) return false;
+          seen.add(key);
+          return true;
+        })
+        .slice(0, MAX_MENTION_SUGGESTIONS);
+      activeIndex = 0;
+      render();
+    }
+
+    function select(entry) {
+      const token = getMentionToken();
+      if (!token) return;
+
+      const before = input.value.slice(0, token.start);
+      const after = input.value.slice(input.selectionStart);
+      const mention = `@${entry.name} `;
+      input.value = `${before}${mention}${after.replace(/^\s+/, '')}`;
+      input.selectionStart = input.selectionEnd = before.length + mention.length;
+      close();
+      input.focus();
+    }
+
+    input.addEventListener('input', update);
+
+    input.addEventListener('keydown', (event) => {
+      if (list.hidden) return;
+
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+        render();
+      } else if (event.key === 'Enter' || event.key === 'Tab') {
+        // Picking a mention replaces submitting the comment
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        select(suggestions[activeIndex]);
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        close();
+      }
+    });
+
+    input.addEventListener('blur', close);
+  }
+
+  // Export comment format functions
+  window.replayHub.commentFormat = {
+    render,
+    sanitizeUrl,
+    attachMentions
+  };
+
+  // Comment format module ready
+})();
@@ -0,0 +1,580 @@
+/**
+ * Comment moderation for Replay Hub
+ * Lets video owners and admins pin, hide and mark comments as spam, block users from commenting on
+ * their videos, hold comments matching a word filter for review, and work through viewer reports
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  // Comment statuses other than published; these are only shown to moderators and the author
+  const STATUS_LABELS = {
+    held: 'Held for review',
+    spam: 'Marked as spam',
+    hidden: 'Hidden'
+  };
+
+  const REPORT_REASONS = ['Spam', 'Harassment or hate', 'Spoilers without a warning', 'Cheating or exploits', 'Other'];
+
+  const PANEL_TABS = [
+    { id: 'queue', label: 'Review queue' },
+    { id: 'reports', label: 'Reports' },
+    { id: 'blocked', label: 'Blocked users' },
+    { id: 'filter', label: 'Word filter' }
+  ];
+
+  function showMessage(message, type) {
+    if (window.showMessage) {
+      window.showMessage(message, type);
+    } else {
+      alert(message);
+    }
+  }
+
+  function getAuthToken() {
+    return localStorage.getItem('replay_hub_token') || sessionStorage.getItem('replay_hub_token');
+  }
+
+  function getItemPath(kind) {
+    return kind === 'reply' ? 'replies' : 'comments';
+  }
+
+  /**
+   * Send an authenticated request to the moderation API
+   * @param {string} path - Path below BASE_URL
+   * @param {Object} options - Fetch options; a body object is sent as JSON
+   * @returns {Promise<*>} - The response body, or null when it is empty
+   */
+  async function request(path, options = {}) {
+    const { body, ...rest } = options;
+    const response = await fetch(`${window.BASE_URL}${path}`, {
+      ...rest,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        'Authorization': `Bearer ${getAuthToken()}`
+      },
+      ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json().catch(() => null);
+  }
+
+  function toList(data, key) {
+    if (Array.isArray(data)) return data;
+    return (data && data[key]) || [];
+  }
+
+  /**
+   * Check if the current user is a site admin
+   * @returns {boolean} - Whether the current user is an admin
+   */
+  function isAdmin() {
+    const currentUser = window.currentUser;
+    return Boolean(currentUser && currentUser.isLoggedIn && currentUser.isAdmin);
+  }
+
+  /**
+   * Get the moderation status of a comment or reply
+   * @param {Object} item - The comment or reply data
+   * @returns {string} - 'published', 'held', 'spam' or 'hidden'
+   */
+  function getStatus(item) {
+    if (item.status && item.status !== 'published') return item.status;
+    if (item.spam) return 'spam';
+    if (item.hidden) return 'hidden';
+    return 'published';
+  }
+
+  /**
+   * Get the label shown on a comment or reply that isn't published
+   * @param {Object} item - The comment or reply data
+   * @returns {string|null} - The label, or null for published items
+   */
+  function getStatusLabel(item) {
+    return STATUS_LABELS[getStatus(item)] || null;
+  }
+
+  /**
+   * Change the moderation fields of a comment or reply
+   * @param {Object} item - The comment or reply data, updated in place
+   * @param {string} kind - 'comment' or 'reply'
+   * @param {Object} fields - Fields to set, e.g. { pinned: true } or { status: 'hidden' }
+   * @returns {Promise<Object>} - The updated comment or reply data
+   */
+  async function setModeration(item, kind, fields) {
+    const saved = await request(`/api/${getItemPath(kind)}/${item.id}/moderation`, { method: 'PATCH', body: fields });
+    const changes = { ...fields };
+    // Statuses replace the older hidden/spam flags
+    if ('status' in fields) Object.assign(changes, { hidden: false, spam: false });
+    Object.assign(item, changes, saved && saved.id ? saved : {});
+    return item;
+  }
+
+  /**
+   * Block a user from commenting on the current user's videos
+   * @param {string} userId - The ID of the user
+   * @param {string} username - The name of the user
+   */
+  async function blockUser(userId, username) {
+    await request('/api/users/blocked', { method: 'POST', body: { userId, username } });
+  }
+
+  async function unblockUser(userId) {
+    await request(`/api/users/blocked/${encodeURIComponent(userId)}`, { method: 'DELETE' });
+  }
+
+  async function fetchBlockedUsers() {
+    return toList(await request('/api/users/blocked'), 'users');
+  }
+
+  /**
+   * Get the current user's word filter; comments on their videos containing these words are held for review
+   * @returns {Promise<Array<string>>} - The filtered words
+   */
+  async function fetchWordFilter() {
+    return toList(await request('/api/users/comment-filter'), 'words');
+  }
+
+  async function saveWordFilter(words) {
+    await request('/api/users/comment-filter', { method: 'PUT', body: { words } });
+  }
+
+  /**
+   * Get the comments and replies of a video that aren't published
+   * @param {string} videoId - The ID of the video
+   * @returns {Promise<Array<Object>>} - Items with their kind, as { item, kind }
+   */
+  async function fetchReviewQueue(videoId) {
+    const data = await request(`/api/comments/${videoId}/review`);
+    const comments = toList(data, 'comments').map(item => ({ item, kind: 'comment' }));
+    const replies = toList(data, 'replies').map(item => ({ item, kind: 'reply' }));
+    return [...comments, ...replies];
+  }
+
+  /**
+   * Report a comment or reply to the moderators
+   * @param {Object} item - The comment or reply data
+   * @param {string} kind - 'comment' or 'reply'
+   * @param {string} reason - Why it is reported
+   * @param {string} details - Optional details from the reporter
+   */
+  async function reportItem(item, kind, reason, details = '') {
+    await request(`/api/${getItemPath(kind)}/${item.id}/report`, { method: 'POST', body: { reason, details } });
+  }
+
+  /**
+   * Get the open reports: those of one video, or of every video for admins
+   * @param {string|null} videoId - The ID of the video, or null for every video
+   * @returns {Promise<Array<Object>>} - The reports
+   */
+  async function fetchReports(videoId = null) {
+    const params = new URLSearchParams({ status: 'open' });
+    if (videoId) params.set('videoId', videoId);
+    return toList(await request(`/api/comment-reports?${params}`), 'reports');
+  }
+
+  async function resolveReport(reportId, status) {
+    await request(`/api/comment-reports/${reportId}`, { method: 'PATCH', body: { status } });
+  }
+
+  /**
+   * Show a menu of actions next to a button
+   * @param {HTMLElement} anchor - The button the menu opens from
+   * @param {string} title - Menu header
+   * @param {Array<Object>} actions - Menu items as { label, icon, action }
+   */
+  function showMenu(anchor, title, actions) {
+    document.querySelectorAll('.comment-moderation-menu').forEach(menu => menu.remove());
+
+    const menu = document.createElement('div');
+    menu.className = 'quick-edit-menu comment-moderation-menu';
+    menu.innerHTML = `<div class="quick-edit-header">${title}</div>`;
+
+    actions.forEach(({ label, icon, action, danger }) => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = `quick-edit-option${danger ? ' danger' : ''}`;
+      option.innerHTML = `<i class="fas ${icon}"></i> `;
+      option.appendChild(document.createTextNode(label));
+      option.onclick = () => {
+        close();
+        action();
+      };
+      menu.appendChild(option);
+    });
+
+    const rect = anchor.getBoundingClientRect();
+    menu.style.position = 'absolute';
+    menu.style.top = `${rect.bottom + window.scrollY + 5}px`;
+    menu.style.left = `${rect.left + window.scrollX}px`;
+    menu.style.zIndex = '1000';
+    document.body.appendChild(menu);
+
+    function close() {
+      menu.remove();
+      document.removeEventListener('click', closeOnOutsideClick);
+    }
+
+    const closeOnOutsideClick = (e) => {
+      if (!menu.contains(e.target) && !anchor.contains(e.target)) close();
+    };
+    setTimeout(() => document.addEventListener('click', closeOnOutsideClick), 100);
+  }
+
+  /**
+   * Ask a viewer why they report a comment or reply, then send the report
+   * @param {Object} item - The comment or reply data
+   * @param {string} kind - 'comment' or 'reply'
+   */
+  function showReportDialog(item, kind) {
+    const modal = document.createElement('div');
+    modal.className = 'bulk-edit-modal';
+    modal.innerHTML = `
+      <div class="bulk-edit-backdrop"></div>
+      <div class="bulk-edit-content">
+        <div class="bulk-edit-header">
+          <h3>Report ${kind}</h3>
+        </div>
+        <div class="bulk-edit-body">
+          <div class="form-group">
+            <label>Reason</label>
+            <div class="report-reasons">
+              ${REPORT_REASONS.map((reason, i) => `
+                <label class="report-reason">
+                  <input type="radio" name="report-reason" value="${reason}"${i === 0 ? ' checked' : ''}>
+                  ${reason}
+                </label>
+              `).join('')}
+            </div>
+          </div>
+          <div class="form-group">
+            <label for="report-details">Details</label>
+            <textarea id="report-details" class="form-control" placeholder="Anything the moderators should know (optional)"></textarea>
+          </div>
+        </div>
+        <div class="bulk-edit-actions">
+          <button class="bulk-edit-cancel-btn">Cancel</button>
+          <button class="bulk-edit-save-btn">
+            <i class="fas fa-flag"></i>
+            Send Report
+          </button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const close = () => {
+      if (document.body.contains(modal)) {
+        document.body.removeChild(modal);
+      }
+      document.removeEventListener('keydown', handleEscape);
+    };
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') close();
+    };
+
+    modal.querySelector('.bulk-edit-cancel-btn').onclick = close;
+    modal.querySelector('.bulk-edit-backdrop').onclick = close;
+    document.addEventListener('keydown', handleEscape);
+
+    const sendBtn = modal.querySelector('.bulk-edit-save-btn');
+    sendBtn.onclick = async () => {
+      const reason = modal.querySelector('input[name="report-reason"]:checked').value;
+      const details = modal.querySelector('#report-details').value.trim();
+
+      sendBtn.disabled = true;
+      try {
+        await reportItem(item, kind, reason, details);
+        close();
+        showMessage('Thanks, the moderators will review it', 'success');
+      } catch (error) {
+        console.error('Error reporting comment:', error);
+        showMessage('Failed to send the report', 'error');
+        sendBtn.disabled = false;
+      }
+    };
+  }
+
+  /**
+   * Create a row showing a comment or reply in the moderation panel
+   * @param {Object} item - The comment or reply data
+   * @param {string} meta - Text shown under the author's name
+   * @param {Array<Object>} buttons - Row buttons as { label, action, danger }; the row is removed once
+   *   the action is done, unless it resolves to false
+   * @returns {HTMLElement} - The row element
+   */
+  function createPanelRow(item, meta, buttons) {
+    const row = document.createElement('div');
+    row.className = 'moderation-item';
+    row.innerHTML = `
+      <div class="moderation-item-info">
+        <div class="moderation-item-author"></div>
+        <div class="moderation-item-meta"></div>
+        <div class="moderation-item-text"></div>
+      </div>
+      <div class="moderation-item-actions"></div>
+    `;
+    row.querySelector('.moderation-item-author').textContent = item.username || 'Unknown user';
+    row.querySelector('.moderation-item-meta').textContent = meta;
+    row.querySelector('.moderation-item-text').textContent = item.text || '';
+
+    const actions = row.querySelector('.moderation-item-actions');
+    buttons.forEach(({ label, action, danger }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `channel-manager-btn${danger ? ' danger' : ''}`;
+      button.textContent = label;
+      button.onclick = async () => {
+        actions.querySelectorAll('button').forEach(b => { b.disabled = true; });
+        try {
+          if (await action() === false) {
+            actions.querySelectorAll('button').forEach(b => { b.disabled = false; });
+          } else {
+            row.remove();
+          }
+        } catch (error) {
+          console.error(`Moderation action "${label}" failed:`, error);
+          showMessage(`Failed: ${label}`, 'error');
+          actions.querySelectorAll('button').forEach(b => { b.disabled = false; });
+        }
+      };
+      actions.appendChild(button);
+    });
+    return row;
+  }
+
+  /**
+   * Add the moderation panel to a video page
+   * @param {HTMLElement} container - Element the panel is rendered into
+   * @param {Object} options - Panel options
+   * @param {string} options.videoId - The ID of the video
+   * @param {Function} options.deleteItem - Async function deleting a { item, kind }, resolving to whether it was deleted
+   * @param {Function} options.onChanged - Called after a change that affects the comment list
+   * @returns {Object} - { toggle(), close() }
+   */
+  function createPanel(container, options) {
+    let activeTab = PANEL_TABS[0].id;
+
+    function close() {
+      container.innerHTML = '';
+      container.style.display = 'none';
+    }
+
+    function toggle() {
+      if (container.style.display === 'block') {
+        close();
+      } else {
+        container.style.display = 'block';
+        render();
+      }
+    }
+
+    function render() {
+      container.innerHTML = `
+        <div class="moderation-tabs" role="tablist">
+          ${PANEL_TABS.map(tab => `
+            <button type="button" class="sort-option${tab.id === activeTab ? ' active' : ''}" role="tab" data-tab="${tab.id}" aria-selected="${tab.id === activeTab}">${tab.label}</button>
+          `).join('')}
+        </div>
+        <div class="moderation-tab-body">
+          <div class="loading">Loading...</div>
+        </div>
+      `;
+
+      container.querySelectorAll('[data-tab]').forEach(button => {
+        button.onclick = () => {
+          activeTab = button.dataset.tab;
+          render();
+        };
+      });
+
+      const body = container.querySelector('.moderation-tab-body');
+      const renderers = { queue: renderQueue, reports: renderReports, blocked: renderBlocked, filter: renderFilter };
+      renderers[activeTab](body).catch(error => {
+        console.error('Error loading moderation panel:', error);
+        body.innerHTML = '<div class="error">Failed to load. Please try again later.</div>';
+      });
+    }
+
+    function showEmpty(body, message) {
+      body.innerHTML = '';
+      const empty = document.createElement('p');
+      empty.className = 'moderation-empty';
+      empty.textContent = message;
+      body.appendChild(empty);
+    }
+
+    async function renderQueue(body) {
+      const queue = await fetchReviewQueue(options.videoId);
+      if (queue.length === 0) {
+        showEmpty(body, 'Nothing to review.');
+        return;
+      }
+
+      body.innerHTML = '';
+      queue.forEach(({ item, kind }) => {
+        body.appendChild(createPanelRow(item, `${kind === 'reply' ? 'Reply' : 'Comment'} · ${getStatusLabel(item) || 'Published'}`, [
+          {
+            label: getStatus(item) === 'held' ? 'Approve' : 'Restore',
+            action: async () => {
+              await setModeration(item, kind, { status: 'published' });
+              options.onChanged();
+            }
+          },
+          {
+            label: 'Delete',
+            danger: true,
+            action: () => options.deleteItem({ item, kind })
+          }
+        ]));
+      });
+    }
+
+    async function renderReports(body) {
+      // Admins review the reports of every video
+      const reports = await fetchReports(isAdmin() ? null : options.videoId);
+      if (reports.length === 0) {
+        showEmpty(body, 'No open reports.');
+        return;
+      }
+
+      body.innerHTML = '';
+      reports.forEach(report => {
+        const kind = report.kind === 'reply' ? 'reply' : 'comment';
+        const item = report.comment || report.reply || { id: report.itemId, text: report.text, username: report.username };
+        const sameVideo = !report.videoId || report.videoId === options.videoId;
+        const reporter = report.reporterName ? ` by ${report.reporterName}` : '';
+
+        const buttons = [
+          {
+            label: 'Dismiss',
+            action: () => resolveReport(report.id, 'dismissed')
+          },
+          {
+            label: 'Hide',
+            action: async () => {
+              await setModeration(item, kind, { status: 'hidden' });
+              await resolveReport(report.id, 'resolved');
+              if (sameVideo) options.onChanged();
+            }
+          }
+        ];
+        if (sameVideo) {
+          buttons.push({
+            label: 'Delete',
+            danger: true,
+            action: async () => {
+              if (!await options.deleteItem({ item, kind })) return false;
+              await resolveReport(report.id, 'resolved');
+            }
+          });
+        }
+
+        const row = createPanelRow(item, `Reported${reporter}: ${report.reason || 'No reason given'}${report.details ? ` - ${report.details}` : ''}`, buttons);
+        if (!sameVideo) {
+          const link = document.createElement('a');
+          link.className = 'moderation-item-link';
+          link.href = `video.html?id=${encodeURIComponent(report.videoId)}`;
+          link.textContent = 'Open video';
+          row.querySelector('.moderation-item-info').appendChild(link);
+        }
+        body.appendChild(row);
+      });
+    }
+
+    async function renderBlocked(body) {
+      const users = await fetchBlockedUsers();
+      if (users.length === 0) {
+        showEmpty(body, 'You haven\'t blocked anyone. Block a user from the menu of one of their comments.');
+        return;
+      }
+
+      body.innerHTML = '';
+      users.forEach(user => {
+        const row = document.createElement('div');
+        row.className = 'moderation-item';
+        row.innerHTML = `
+          <div class="moderation-item-info">
+            <div class="moderation-item-author"></div>
+          </div>
+          <div class="moderation-item-actions">
+            <button type="button" class="channel-manager-btn">Unblock</button>
+          </div>
+        `;
+        row.querySelector('.moderation-item-author').textContent = user.username || user.userId;
+        const unblockBtn = row.querySelector('button');
+        unblockBtn.onclick = async () => {
+          unblockBtn.disabled = true;
+          try {
+            await unblockUser(user.userId || user.id);
+            row.remove();
+            showMessage(`${user.username || 'User'} can comment on your videos again`, 'success');
+          } catch (error) {
+            console.error('Error unblocking user:', error);
+            showMessage('Failed to unblock the user', 'error');
+            unblockBtn.disabled = false;
+          }
+        };
+        body.appendChild(row);
+      });
+    }
+
+    async function renderFilter(body) {
+      const words = await fetchWordFilter();
+
+      body.innerHTML = `
+        <p class="moderation-help">New comments on your videos containing any of these words or phrases are held for review instead of being published. One per line.</p>
+        <textarea class="form-control moderation-filter-input" rows="5"></textarea>
+        <div class="moderation-filter-actions">
+          <button type="button" class="channel-manager-btn">
+            <i class="fas fa-check"></i>
+            Save filter
+          </button>
+        </div>
+      `;
+
+      const input = body.querySelector('.moderation-filter-input');
+      input.value = words.join('\n');
+
+      const saveBtn = body.querySelector('button');
+      saveBtn.onclick = async () => {
+        const updated = Array.from(new Set(input.value.split('\n').map(word => word.trim().toLowerCase()).filter(Boolean)));
+        saveBtn.disabled = true;
+        try {
+          await saveWordFilter(updated);
+          showMessage('Word filter saved', 'success');
+        } catch (error) {
+          console.error('Error saving word filter:', error);
+          showMessage('Failed to save the word filter', 'error');
+        } finally {
+          saveBtn.disabled = false;
+        }
+      };
+    }
+
+    close();
+    return { toggle, close };
+  }
+
+  // Export comment moderation functions
+  window.replayHub.commentModeration = {
+    isAdmin,
+    getStatus,
+    getStatusLabel,
+    setModeration,
+    blockUser,
+    unblockUser,
+    reportItem,
+    showMenu,
+    showReportDialog,
+    createPanel
+  };
+
+  // Comment moderation module ready
+})();
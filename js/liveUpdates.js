@@ -0,0 +1,132 @@
+/**
+ * Live updates for Replay Hub
+ * Streams server events with Server-Sent Events, and falls back to polling when the stream
+ * isn't available
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  // Polling interval when the stream isn't available
+  const POLL_INTERVAL = 15000;
+
+  // A stream that keeps failing after it was open is given up for polling
+  const MAX_STREAM_ERRORS = 3;
+
+  /**
+   * Open a live update channel
+   * @param {Object} options - Channel options
+   * @param {string} options.url - Server-Sent Events endpoint
+   * @param {Array<string>} options.events - Event names to listen for
+   * @param {Function} options.onEvent - Called with (type, data) for each event
+   * @param {Function} options.poll - Async function returning [{ type, data }] events, used without the stream
+   * @param {number} options.pollInterval - Milliseconds between polls
+   * @returns {Object} - { close(), getMode() }
+   */
+  function connect(options) {
+    const pollInterval = options.pollInterval || POLL_INTERVAL;
+    let source = null;
+    let pollTimer = null;
+    let polling = false;
+    let closed = false;
+
+    function dispatch(type, data) {
+      try {
+        options.onEvent(type, data);
+      } catch (error) {
+        console.error(`Error handling live "${type}" event:`, error);
+      }
+    }
+
+    function openStream() {
+      source = new EventSource(options.url);
+      let opened = false;
+      let errors = 0;
+
+      source.onopen = () => {
+        opened = true;
+        errors = 0;
+      };
+
+      options.events.forEach(type => {
+        source.addEventListener(type, (event) => {
+          try {
+            dispatch(type, JSON.parse(event.data));
+          } catch (error) {
+            console.error(`Invalid live "${type}" event:`, error);
+          }
+        });
+      });
+
+      // EventSource reconnects by itself; give up on streams that never open or keep dropping
+      source.onerror = () => {
+        errors++;
+        if (!opened || source.readyState === EventSource.CLOSED || errors >= MAX_STREAM_ERRORS) {
+          console.warn('Live update stream unavailable, polling instead');
+          source.close();
+          source = null;
+          startPolling();
+        }
+      };
+    }
+
+    async function poll() {
+      pollTimer = null;
+      if (closed) return;
+
+      // Background tabs catch up once they are visible again
+      if (!document.hidden) {
+        try {
+          const events = await options.poll();
+          if (closed) return;
+          (events || []).forEach(({ type, data }) => dispatch(type, data));
+        } catch (error) {
+          console.error('Error polling for live updates:', error);
+        }
+      }
+
+      if (!closed) pollTimer = setTimeout(poll, pollInterval);
+    }
+
+    function handleVisibilityChange() {
+      if (document.hidden || !pollTimer) return;
+      clearTimeout(pollTimer);
+      poll();
+    }
+
+    function startPolling() {
+      if (polling || closed) return;
+      polling = true;
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+      poll();
+    }
+
+    function close() {
+      closed = true;
+      if (source) source.close();
+      source = null;
+      if (pollTimer) clearTimeout(pollTimer);
+      pollTimer = null;
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }
+
+    if ('EventSource' in window && options.url) {
+      openStream();
+    } else {
+      startPolling();
+    }
+
+    return {
+      close,
+      getMode: () => (polling ? 'polling' : 'stream')
+    };
+  }
+
+  // Export live update functions
+  window.replayHub.liveUpdates = {
+    connect
+  };
+
+  // Live updates module ready
+})();
@@ -0,0 +1,407 @@
+/**
+ * Match metadata for Replay Hub
+ * Structured game and match fields for uploads, with per-game presets, and the match section of the
+ * video page that lists every recording (POV) uploaded for the same match and plays them side by side
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  // Upload fields, in form order. Every field is optional and sent under its name.
+  const MATCH_FIELDS = [
+    { name: 'game', label: 'Game', placeholder: 'e.g. Counter-Strike 2' },
+    { name: 'map', label: 'Map', placeholder: 'e.g. Mirage' },
+    { name: 'match_id', label: 'Match ID', placeholder: 'Shared by every POV of the match' },
+    { name: 'match_date', label: 'Match date', type: 'date' },
+    { name: 'team', label: 'Team / side', placeholder: 'e.g. CT' },
+    { name: 'score', label: 'Score', placeholder: 'e.g. 13-11' },
+    { name: 'result', label: 'Result', options: ['Win', 'Loss', 'Draw'] }
+  ];
+
+  // Suggestions offered once a game is picked
+  const GAME_PRESETS = {
+    'Counter-Strike 2': {
+      maps: ['Ancient', 'Anubis', 'Dust II', 'Inferno', 'Mirage', 'Nuke', 'Overpass', 'Train', 'Vertigo'],
+      sides: ['CT', 'T'],
+      score: 'e.g. 13-11'
+    },
+    'Valorant': {
+      maps: ['Abyss', 'Ascent', 'Bind', 'Breeze', 'Haven', 'Icebox', 'Lotus', 'Pearl', 'Split', 'Sunset'],
+      sides: ['Attack', 'Defense'],
+      score: 'e.g. 13-9'
+    },
+    'Overwatch 2': {
+      maps: ['Circuit Royal', 'Colosseo', 'Dorado', 'Ilios', 'King\'s Row', 'Lijiang Tower', 'Midtown', 'Route 66'],
+      sides: ['Attack', 'Defense'],
+      score: 'e.g. 3-2'
+    },
+    'Rocket League': {
+      maps: ['DFH Stadium', 'Mannfield', 'Champions Field', 'Urban Central', 'Beckwith Park', 'Utopia Coliseum'],
+      sides: ['Blue', 'Orange'],
+      score: 'e.g. 4-2'
+    },
+    'League of Legends': {
+      maps: ['Summoner\'s Rift', 'Howling Abyss'],
+      sides: ['Blue', 'Red'],
+      score: 'e.g. 24-15'
+    },
+    'Rainbow Six Siege': {
+      maps: ['Bank', 'Border', 'Chalet', 'Clubhouse', 'Coastline', 'Consulate', 'Kafe Dostoyevsky', 'Oregon', 'Villa'],
+      sides: ['Attack', 'Defense'],
+      score: 'e.g. 4-3'
+    }
+  };
+
+  // The game picked last is filled in for the next upload
+  const LAST_GAME_KEY = 'replay_hub_last_game';
+
+  // Videos played side by side at most, this one included
+  const MAX_WATCH_TOGETHER = 4;
+
+  /**
+   * Read the match fields of a video
+   * @param {Object} video - The video metadata object
+   * @returns {Object} - The non-empty match fields by name
+   */
+  function getMatchFields(video) {
+    const fields = {};
+    MATCH_FIELDS.forEach(({ name }) => {
+      const value = video && video[name];
+      if (value !== undefined && value !== null && String(value).trim() !== '') {
+        fields[name] = String(value).trim();
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Generate an ID for a new match, to be shared with the other players who recorded it
+   * @returns {string} - A short random ID
+   */
+  function generateMatchId() {
+    const random = window.crypto && window.crypto.getRandomValues
+      ? Array.from(window.crypto.getRandomValues(new Uint8Array(4)), byte => byte.toString(16).padStart(2, '0')).join('')
+      : Math.random().toString(16).slice(2, 10);
+    return `m-${Date.now().toString(36)}-${random}`;
+  }
+
+  function formatMatchDate(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return value;
+    return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  function renderForm(container, prefix) {
+    container.innerHTML = `
+      <datalist id="${prefix}-games">
+        ${Object.keys(GAME_PRESETS).map(game => `<option value="${game}"></option>`).join('')}
+      </datalist>
+      <datalist id="${prefix}-maps"></datalist>
+      <datalist id="${prefix}-sides"></datalist>
+    `;
+
+    MATCH_FIELDS.forEach(field => {
+      const group = document.createElement('div');
+      group.className = 'setting-group';
+
+      const label = document.createElement('label');
+      label.htmlFor = `${prefix}-${field.name}`;
+      label.textContent = `${field.label}:`;
+      group.appendChild(label);
+
+      let input;
+      if (field.options) {
+        input = document.createElement('select');
+        input.innerHTML = '<option value="">—</option>' +
+          field.options.map(option => `<option value="${option}">${option}</option>`).join('');
+      } else {
+        input = document.createElement('input');
+        input.type = field.type || 'text';
+        if (field.placeholder) input.placeholder = field.placeholder;
+      }
+      input.id = `${prefix}-${field.name}`;
+      input.className = 'form-control';
+      input.name = field.name;
+      group.appendChild(input);
+
+      if (field.name === 'match_id') {
+        const newMatchBtn = document.createElement('button');
+        newMatchBtn.type = 'button';
+        newMatchBtn.className = 'match-id-new';
+        newMatchBtn.title = 'Start a new match ID';
+        newMatchBtn.innerHTML = '<i class="fas fa-plus"></i> New';
+        newMatchBtn.onclick = () => {
+          input.value = generateMatchId();
+        };
+        group.appendChild(newMatchBtn);
+      }
+
+      container.appendChild(group);
+    });
+
+    container.querySelector(`#${prefix}-game`).setAttribute('list', `${prefix}-games`);
+    container.querySelector(`#${prefix}-map`).setAttribute('list', `${prefix}-maps`);
+    container.querySelector(`#${prefix}-team`).setAttribute('list', `${prefix}-sides`);
+  }
+
+  /**
+   * Render the match fields into an upload form. Attaching to the same container again reuses its fields.
+   * @param {HTMLElement} container - Element the fields are rendered into
+   * @returns {Object} - { getFields(), reset() }
+   */
+  function attachForm(container) {
+    const prefix = container.id || 'match';
+    const getInput = name => container.querySelector(`#${prefix}-${name}`);
+
+    // Picking a known game offers its maps and sides
+    function applyPreset() {
+      const preset = GAME_PRESETS[getInput('game').value.trim()] || null;
+      container.querySelector(`#${prefix}-maps`).innerHTML = preset
+        ? preset.maps.map(map => `<option value="${map}"></option>`).join('')
+        : '';
+      container.querySelector(`#${prefix}-sides`).innerHTML = preset
+        ? preset.sides.map(side => `<option value="${side}"></option>`).join('')
+        : '';
+      getInput('score').placeholder = preset ? preset.score : MATCH_FIELDS.find(field => field.name === 'score').placeholder;
+    }
+
+    function getFields() {
+      const fields = {};
+      MATCH_FIELDS.forEach(({ name }) => {
+        const value = getInput(name).value.trim();
+        if (value) fields[name] = value;
+      });
+
+      if (fields.game) {
+        try {
+          localStorage.setItem(LAST_GAME_KEY, fields.game);
+        } catch (e) {
+          // Storage may be unavailable, the game just isn't remembered
+        }
+      }
+      return fields;
+    }
+
+    function reset() {
+      MATCH_FIELDS.forEach(({ name }) => {
+        getInput(name).value = '';
+      });
+      try {
+        getInput('game').value = localStorage.getItem(LAST_GAME_KEY) || '';
+      } catch (e) {
+        // Storage may be unavailable
+      }
+      applyPreset();
+    }
+
+    if (!container.dataset.matchFormAttached) {
+      container.dataset.matchFormAttached = 'true';
+      renderForm(container, prefix);
+      getInput('game').addEventListener('input', applyPreset);
+      reset();
+    }
+
+    return { getFields, reset };
+  }
+
+  function getVideoUrl(video) {
+    return `video.html?id=${encodeURIComponent(video.short_id || video.id || '')}`;
+  }
+
+  function isSameVideo(a, b) {
+    return (a.id && a.id === b.id) || (a.short_id && a.short_id === b.short_id);
+  }
+
+  /**
+   * Fetch every recording uploaded for a match
+   * @param {string} matchId - The match ID
+   * @returns {Promise<Array<Object>>} - Videos with that match ID
+   */
+  async function fetchMatchVideos(matchId) {
+    if (!window.fetchAllVideos) return [];
+    return window.fetchAllVideos({ match_id: matchId }, video => String(video.match_id || '') === matchId);
+  }
+
+  function renderDetails(container, fields) {
+    const items = [
+      { icon: 'fa-gamepad', value: fields.game },
+      { icon: 'fa-map', value: fields.map },
+      { icon: 'fa-calendar', value: fields.match_date && formatMatchDate(fields.match_date) },
+      { icon: 'fa-users', value: fields.team },
+      { icon: 'fa-hashtag', value: fields.score },
+      { icon: 'fa-trophy', value: fields.result, className: fields.result ? `match-result-${fields.result.toLowerCase()}` : '' }
+    ].filter(item => item.value);
+
+    container.innerHTML = '';
+    items.forEach(item => {
+      const detail = document.createElement('span');
+      detail.className = `match-detail ${item.className || ''}`.trim();
+      detail.innerHTML = `<i class="fas ${item.icon}"></i>`;
+      detail.appendChild(document.createTextNode(item.value));
+      container.appendChild(detail);
+    });
+
+    if (fields.match_id) {
+      const matchId = document.createElement('span');
+      matchId.className = 'match-detail match-id';
+      matchId.title = 'Use this match ID when uploading another POV of the match';
+      matchId.innerHTML = '<i class="fas fa-link"></i>';
+      matchId.appendChild(document.createTextNode(fields.match_id));
+
+      const copyBtn = document.createElement('button');
+      copyBtn.type = 'button';
+      copyBtn.className = 'match-id-copy';
+      copyBtn.title = 'Copy match ID';
+      copyBtn.innerHTML = '<i class="fas fa-copy"></i>';
+      copyBtn.onclick = () => {
+        if (!navigator.clipboard) return;
+        navigator.clipboard.writeText(fields.match_id)
+          .then(() => window.showMessage && window.showMessage('Match ID copied', 'success'))
+          .catch(() => {});
+      };
+      matchId.appendChild(copyBtn);
+      container.appendChild(matchId);
+    }
+  }
+
+  function renderRecordings(container, video, recordings) {
+    const others = recordings.filter(recording => !isSameVideo(recording, video));
+    container.innerHTML = '';
+    if (others.length === 0) {
+      container.innerHTML = '<p class="match-povs-empty">No other recordings of this match yet.</p>';
+      return;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'match-povs-header';
+    const title = document.createElement('h4');
+    title.className = 'match-povs-title';
+    title.textContent = `Other POVs (${others.length})`;
+    header.appendChild(title);
+    container.appendChild(header);
+
+    // POVs picked to play side by side with this video
+    const picked = new Set();
+    const canWatchTogether = Boolean(video.s3_url && window.replayHub.videoPlayer && window.replayHub.videoPlayer.openMultiView);
+    let watchBtn = null;
+
+    function updatePicked() {
+      watchBtn.disabled = picked.size === 0;
+      watchBtn.querySelector('span').textContent = `Watch together (${picked.size + 1})`;
+      list.querySelectorAll('.match-pov-select').forEach(checkbox => {
+        checkbox.disabled = !checkbox.checked && picked.size >= MAX_WATCH_TOGETHER - 1;
+      });
+    }
+
+    if (canWatchTogether) {
+      watchBtn = document.createElement('button');
+      watchBtn.type = 'button';
+      watchBtn.className = 'match-watch-together';
+      watchBtn.title = `Play this video and up to ${MAX_WATCH_TOGETHER - 1} other POVs side by side, in sync`;
+      watchBtn.innerHTML = '<i class="fas fa-th-large"></i><span></span>';
+      watchBtn.onclick = () => {
+        const videos = [video, ...others.filter(recording => picked.has(recording))];
+        window.replayHub.videoPlayer.openMultiView(videos, { storageKey: getMatchFields(video).match_id });
+      };
+      header.appendChild(watchBtn);
+    }
+
+    const list = document.createElement('div');
+    list.className = 'match-povs-list';
+    others.forEach(recording => {
+      const row = document.createElement('div');
+      row.className = 'match-pov-item';
+
+      if (canWatchTogether && recording.s3_url) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'match-pov-select';
+        checkbox.title = 'Watch together';
+        checkbox.checked = picked.size < MAX_WATCH_TOGETHER - 1;
+        if (checkbox.checked) picked.add(recording);
+        checkbox.onchange = () => {
+          if (checkbox.checked) {
+            picked.add(recording);
+          } else {
+            picked.delete(recording);
+          }
+          updatePicked();
+        };
+        row.appendChild(checkbox);
+      }
+
+      const item = document.createElement('a');
+      item.className = 'match-pov';
+      item.href = getVideoUrl(recording);
+      item.innerHTML = `
+        <img class="match-pov-thumbnail" alt="" loading="lazy">
+        <span class="match-pov-info">
+          <span class="match-pov-title"></span>
+          <span class="match-pov-meta"></span>
+        </span>
+      `;
+      item.querySelector('.match-pov-thumbnail').src = recording.thumbnail_id
+        ? `${window.BASE_URL}/thumbnail/${recording.thumbnail_id}`
+        : 'assets/placeholder.jpg';
+      item.querySelector('.match-pov-title').textContent = recording.title || 'Untitled Video';
+
+      const players = window.replayHub.videoSearch ? window.replayHub.videoSearch.toList(recording.players) : [];
+      const meta = [recording.uploader, recording.team, players.join(', ')].filter(Boolean).join(' • ');
+      item.querySelector('.match-pov-meta').textContent = meta;
+      row.appendChild(item);
+      list.appendChild(row);
+    });
+    container.appendChild(list);
+    if (watchBtn) updatePicked();
+  }
+
+  /**
+   * Show the match section of the video page: the video's match fields and the other recordings of its match
+   * @param {Object} video - The video metadata object
+   */
+  async function showMatchSection(video) {
+    const section = document.getElementById('match-section');
+    const details = document.getElementById('match-details');
+    const povs = document.getElementById('match-povs');
+    if (!section || !details || !povs) return;
+
+    const fields = getMatchFields(video);
+    if (Object.keys(fields).length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+
+    section.style.display = 'block';
+    renderDetails(details, fields);
+
+    if (!fields.match_id) {
+      povs.innerHTML = '';
+      return;
+    }
+
+    povs.innerHTML = '<p class="match-povs-empty">Loading other recordings...</p>';
+    try {
+      const recordings = await fetchMatchVideos(fields.match_id);
+      // Another video may have been opened in the meantime
+      if (window.currentVideoData && !isSameVideo(window.currentVideoData, video)) return;
+      renderRecordings(povs, video, recordings);
+    } catch (error) {
+      console.error('Error loading match recordings:', error);
+      povs.innerHTML = '<p class="match-povs-empty">Couldn\'t load the other recordings of this match.</p>';
+    }
+  }
+
+  // Export match metadata functions
+  window.replayHub.matchMetadata = {
+    MATCH_FIELDS,
+    GAME_PRESETS,
+    getMatchFields,
+    generateMatchId,
+    attachForm,
+    fetchMatchVideos,
+    showMatchSection
+  };
+
+  // Match metadata module ready
+})();
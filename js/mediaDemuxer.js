@@ -0,0 +1,1331 @@
+/**
+ * Media Demuxer
+ * Reads encoded audio/video samples out of MP4/MOV and WebM/Matroska files for WebCodecs.
+ * Files are read in slices, so multi-GB recordings never have to fit in memory.
+ */
+
+class MediaDemuxer {
+    /**
+     * @param {Blob} file - The media file to read
+     * @param {Object} [options] - Demuxer options
+     * @param {boolean} [options.headersOnly] - Only read what is needed to describe the tracks
+     */
+    constructor(file, options = {}) {
+        this.file = file;
+        this.headersOnly = Boolean(options.headersOnly);
+        this.format = null;       // 'mp4' or 'matroska'
+        this.docType = null;      // Matroska DocType ('webm' or 'matroska')
+        this.duration = 0;        // Seconds
+        this.tracks = [];
+        this.videoTrack = null;   // First video track
+        this.audioTrack = null;   // First audio track
+
+        // MP4: samples of the selected tracks, sorted by file offset
+        this.mp4Samples = [];
+
+        // Matroska: segment layout and read window
+        this.timecodeScale = 1000000;
+        this.segmentStart = 0;
+        this.segmentEnd = 0;
+        this.firstClusterOffset = 0;
+        this.cuesOffset = 0;      // Cues element, if the SeekHead points to one
+        this.cues = null;         // [{ time, clusterOffset }] once loaded
+        this.tracksByNumber = new Map();
+        this.window = null;
+    }
+
+    /**
+     * Open a file and parse its headers
+     * @param {Blob} file - The media file
+     * @param {Object} [options] - Demuxer options (see constructor)
+     * @returns {Promise<MediaDemuxer>} - The opened demuxer
+     */
+    static async open(file, options) {
+        const demuxer = new MediaDemuxer(file, options);
+        await demuxer.open();
+        return demuxer;
+    }
+
+    async open() {
+        const header = await this.readBytes(0, 12);
+        if (header.length < 12) {
+            throw new Error('File is too small to be a video');
+        }
+
+        const view = new DataView(header.buffer);
+
+        if (view.getUint32(0) === MediaDemuxer.EBML_ID) {
+            this.format = 'matroska';
+            await this.parseMatroskaHeaders();
+        } else if (MediaDemuxer.MP4_TOP_LEVEL_BOXES.includes(MediaDemuxer.fourcc(header, 4))) {
+            this.format = 'mp4';
+            await this.parseMp4();
+        } else {
+            throw new Error('Unsupported container format');
+        }
+
+        this.videoTrack = this.tracks.find(track => track.type === 'video') || null;
+        this.audioTrack = this.tracks.find(track => track.type === 'audio') || null;
+
+        if (this.format === 'mp4') {
+            this.mp4Samples = this.tracks
+                .filter(track => track === this.videoTrack || track === this.audioTrack)
+                .flatMap(track => track.samples)
+                .sort((a, b) => a.offset - b.offset);
+        }
+
+        if (!this.duration) {
+            this.duration = Math.max(0, ...this.tracks.map(track => track.duration || 0));
+        }
+
+        return this;
+    }
+
+    /**
+     * Read a byte range of the file
+     */
+    async readBytes(offset, length) {
+        const buffer = await this.file.slice(offset, offset + length).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+
+    /**
+     * Iterate over every sample of the selected video and audio tracks in file order
+     * @param {number} [startTime] - Microseconds; skip ahead to the last video key frame at or before this time.
+     *   Earlier samples may still be yielded, callers filter by timestamp.
+     * @returns {AsyncGenerator<Object>} - { type, track, data, timestamp, duration, isKey } with times in microseconds
+     */
+    samples(startTime = 0) {
+        return this.format === 'mp4' ? this.readMp4Samples(startTime) : this.readMatroskaSamples(startTime);
+    }
+
+    /**
+     * Get the timestamps of the video key frames, where a file can be cut without re-encoding
+     * @returns {Promise<number[]>} - Microseconds, ascending. Empty if the file has no index of them.
+     */
+    async getKeyFrameTimes() {
+        if (this.format === 'mp4') {
+            if (!this.videoTrack) return [];
+            return this.videoTrack.samples
+                .filter(sample => sample.isKey)
+                .map(sample => sample.timestamp)
+                .sort((a, b) => a - b);
+        }
+
+        const cues = await this.loadMatroskaCues();
+        return cues.map(cue => cue.time);
+    }
+
+    // ---------------------------------------------------------------------
+    // MP4 / MOV
+    // ---------------------------------------------------------------------
+
+    async parseMp4() {
+        const fileSize = this.file.size;
+        const fragments = [];
+        let moov = null;
+        let offset = 0;
+
+        // Walk the top-level boxes, only reading the ones we need
+        while (offset + 8 <= fileSize) {
+            const header = await this.readBytes(offset, 16);
+            const view = new DataView(header.buffer);
+            let size = view.getUint32(0);
+            const type = MediaDemuxer.fourcc(header, 4);
+            let headerSize = 8;
+
+            if (size === 1) {
+                size = Number(view.getBigUint64(8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = fileSize - offset;
+            }
+
+            if (size < headerSize) break;
+
+            if (type === 'moov') {
+                moov = await this.readBytes(offset + headerSize, size - headerSize);
+            } else if (type === 'moof') {
+                fragments.push({ offset, size });
+            }
+
+            offset += size;
+
+            // One fragment is enough to work out the frame rate
+            if (this.headersOnly && moov && fragments.length > 0) break;
+        }
+
+        if (!moov) {
+            throw new Error('MP4 file has no movie header (moov)');
+        }
+
+        const view = new DataView(moov.buffer);
+        const mvhd = MediaDemuxer.findBox(moov, 0, moov.length, 'mvhd');
+        let movieTimescale = 1000;
+
+        if (mvhd) {
+            const version = moov[mvhd.start];
+            movieTimescale = view.getUint32(mvhd.start + (version === 1 ? 20 : 12));
+            const duration = version === 1
+                ? Number(view.getBigUint64(mvhd.start + 24))
+                : view.getUint32(mvhd.start + 16);
+            this.duration = duration / movieTimescale;
+        }
+
+        for (const box of MediaDemuxer.iterateBoxes(moov, 0, moov.length)) {
+            if (box.type === 'trak') {
+                const track = this.parseMp4Track(moov, view, box, movieTimescale);
+                if (track) this.tracks.push(track);
+            }
+        }
+
+        // Fragmented MP4: sample tables live in the moof boxes
+        if (fragments.length > 0) {
+            const defaults = this.parseMp4TrackDefaults(moov, view);
+            for (const fragment of fragments) {
+                const moof = await this.readBytes(fragment.offset + 8, fragment.size - 8);
+                this.parseMp4Fragment(moof, fragment.offset, defaults);
+            }
+
+            // Fragmented files usually only declare their duration in mvex/mehd
+            const mvex = MediaDemuxer.findBox(moov, 0, moov.length, 'mvex');
+            const mehd = mvex && MediaDemuxer.findBox(moov, mvex.start, mvex.end, 'mehd');
+            if (mehd && !this.duration) {
+                const fragmentDuration = moov[mehd.start] === 1
+                    ? Number(view.getBigUint64(mehd.start + 4))
+                    : view.getUint32(mehd.start + 4);
+                this.duration = fragmentDuration / movieTimescale;
+            }
+
+            this.tracks.forEach(track => {
+                const samples = track.samples;
+                if (samples.length === 0) return;
+
+                const last = samples[samples.length - 1];
+                const span = (last.timestamp + last.duration - samples[0].timestamp) / 1e6;
+                if (!this.headersOnly) {
+                    track.duration = Math.max(track.duration, (last.timestamp + last.duration) / 1e6);
+                }
+                if (track.type === 'video' && span > 0) {
+                    track.frameRate = samples.length / span;
+                }
+            });
+        }
+    }
+
+    parseMp4Track(bytes, view, trak, movieTimescale) {
+        const find = (parent, type) => parent && MediaDemuxer.findBox(bytes, parent.start, parent.end, type);
+
+        const tkhd = find(trak, 'tkhd');
+        const mdia = find(trak, 'mdia');
+        const mdhd = find(mdia, 'mdhd');
+        const hdlr = find(mdia, 'hdlr');
+        const stbl = find(find(mdia, 'minf'), 'stbl');
+        const stsd = find(stbl, 'stsd');
+        if (!tkhd || !mdhd || !hdlr || !stsd) return null;
+
+        const handler = MediaDemuxer.fourcc(bytes, hdlr.start + 8);
+        if (handler !== 'vide' && handler !== 'soun') return null;
+
+        const mdhdVersion = bytes[mdhd.start];
+        const timescale = view.getUint32(mdhd.start + (mdhdVersion === 1 ? 20 : 12));
+        const mediaDuration = mdhdVersion === 1
+            ? Number(view.getBigUint64(mdhd.start + 24))
+            : view.getUint32(mdhd.start + 16);
+
+        const track = {
+            id: view.getUint32(tkhd.start + (bytes[tkhd.start] === 1 ? 20 : 12)),
+            type: handler === 'vide' ? 'video' : 'audio',
+            timescale,
+            duration: mediaDuration / timescale,
+            samples: []
+        };
+
+        // First sample description
+        const entry = MediaDemuxer.iterateBoxes(bytes, stsd.start + 8, stsd.end).next().value;
+        if (!entry) return null;
+        track.fourcc = entry.type;
+
+        if (track.type === 'video') {
+            this.parseMp4VisualEntry(bytes, view, entry, track);
+        } else {
+            this.parseMp4AudioEntry(bytes, view, entry, track);
+        }
+
+        // Edit list: skip the media time before the first edit (B-frame delay)
+        track.timeOffset = 0;
+        const elst = find(find(trak, 'edts'), 'elst');
+        if (elst) {
+            const version = bytes[elst.start];
+            const count = view.getUint32(elst.start + 4);
+            let emptyDuration = 0;
+            for (let i = 0, position = elst.start + 8; i < count; i++) {
+                const segmentDuration = version === 1 ? Number(view.getBigUint64(position)) : view.getUint32(position);
+                const mediaTime = version === 1 ? Number(view.getBigInt64(position + 8)) : view.getInt32(position + 4);
+                position += version === 1 ? 20 : 12;
+                if (mediaTime === -1) {
+                    emptyDuration += segmentDuration / movieTimescale;
+                } else {
+                    track.timeOffset = emptyDuration - mediaTime / timescale;
+                    break;
+                }
+            }
+        }
+
+        if (stbl) {
+            this.buildMp4SampleTable(bytes, view, stbl, track);
+        }
+
+        if (track.type === 'video' && track.duration && track.samples.length > 0) {
+            track.frameRate = track.samples.length / track.duration;
+        }
+
+        return track;
+    }
+
+    parseMp4VisualEntry(bytes, view, entry, track) {
+        track.width = view.getUint16(entry.start + 24);
+        track.height = view.getUint16(entry.start + 26);
+
+        const children = entry.start + 78;
+        const find = type => MediaDemuxer.findBox(bytes, children, entry.end, type);
+
+        const avcC = find('avcC');
+        const hvcC = find('hvcC');
+        const vpcC = find('vpcC');
+        const av1C = find('av1C');
+
+        if (avcC) {
+            track.description = bytes.slice(avcC.start, avcC.end);
+            track.codec = MediaDemuxer.getAvcCodecString(entry.type, track.description);
+        } else if (hvcC) {
+            track.description = bytes.slice(hvcC.start, hvcC.end);
+            track.codec = MediaDemuxer.getHevcCodecString(entry.type, track.description);
+        } else if (vpcC) {
+            const profile = bytes[vpcC.start + 4];
+            const level = bytes[vpcC.start + 5];
+            const bitDepth = bytes[vpcC.start + 6] >> 4;
+            track.codec = `vp09.${MediaDemuxer.pad2(profile)}.${MediaDemuxer.pad2(level)}.${MediaDemuxer.pad2(bitDepth)}`;
+        } else if (av1C) {
+            track.codec = MediaDemuxer.getAv1CodecString(bytes.slice(av1C.start, av1C.end));
+        } else {
+            track.codec = entry.type; // e.g. 'mp4v' or a QuickTime codec we can't decode
+        }
+    }
+
+    parseMp4AudioEntry(bytes, view, entry, track) {
+        const version = view.getUint16(entry.start + 8);
+        track.numberOfChannels = view.getUint16(entry.start + 16);
+        track.sampleRate = view.getUint32(entry.start + 24) >>> 16;
+
+        let children = entry.start + 28;
+        if (version === 1) {
+            children += 16;
+        } else if (version === 2) {
+            // QuickTime sound description v2 stores the real values further on
+            track.sampleRate = view.getFloat64(entry.start + 32);
+            track.numberOfChannels = view.getUint32(entry.start + 40);
+            children += 36;
+        }
+
+        let esds = MediaDemuxer.findBox(bytes, children, entry.end, 'esds');
+        const wave = MediaDemuxer.findBox(bytes, children, entry.end, 'wave');
+        if (!esds && wave) {
+            esds = MediaDemuxer.findBox(bytes, wave.start, wave.end, 'esds');
+        }
+
+        if (entry.type === 'mp4a' && esds) {
+            const config = MediaDemuxer.parseEsds(bytes, esds.start, esds.end);
+            if (config && config.objectType === 0x40 && config.decoderSpecificInfo) {
+                const asc = config.decoderSpecificInfo;
+                track.description = asc;
+                track.codec = `mp4a.40.${asc[0] >> 3}`;
+
+                // MP4 sample entries always say 2 channels; the AudioSpecificConfig has the real layout
+                const frequencyIndex = ((asc[0] & 0x07) << 1) | (asc[1] >> 7);
+                const channelConfig = frequencyIndex === 15 ? 0 : (asc[1] >> 3) & 0x0f;
+                if (channelConfig > 0 && channelConfig < 7) track.numberOfChannels = channelConfig;
+            } else if (config && (config.objectType === 0x69 || config.objectType === 0x6B)) {
+                track.codec = 'mp3';
+            } else {
+                track.codec = 'mp4a.40.2';
+            }
+        } else if (entry.type === 'Opus') {
+            track.codec = 'opus';
+        } else if (entry.type === 'fLaC') {
+            track.codec = 'flac';
+        } else if (entry.type === '.mp3') {
+            track.codec = 'mp3';
+        } else {
+            track.codec = entry.type;
+        }
+    }
+
+    buildMp4SampleTable(bytes, view, stbl, track) {
+        const find = type => MediaDemuxer.findBox(bytes, stbl.start, stbl.end, type);
+
+        // Sample sizes
+        const sizes = [];
+        const stsz = find('stsz');
+        const stz2 = find('stz2');
+        if (stsz) {
+            const fixedSize = view.getUint32(stsz.start + 4);
+            const count = view.getUint32(stsz.start + 8);
+            for (let i = 0; i < count; i++) {
+                sizes.push(fixedSize || view.getUint32(stsz.start + 12 + i * 4));
+            }
+        } else if (stz2) {
+            const fieldSize = bytes[stz2.start + 7];
+            const count = view.getUint32(stz2.start + 8);
+            for (let i = 0; i < count; i++) {
+                if (fieldSize === 16) {
+                    sizes.push(view.getUint16(stz2.start + 12 + i * 2));
+                } else if (fieldSize === 8) {
+                    sizes.push(bytes[stz2.start + 12 + i]);
+                } else {
+                    const value = bytes[stz2.start + 12 + (i >> 1)];
+                    sizes.push(i % 2 === 0 ? value >> 4 : value & 0x0f);
+                }
+            }
+        }
+
+        if (sizes.length === 0) return;
+
+        // Chunk offsets
+        const chunkOffsets = [];
+        const stco = find('stco');
+        const co64 = find('co64');
+        if (stco) {
+            const count = view.getUint32(stco.start + 4);
+            for (let i = 0; i < count; i++) chunkOffsets.push(view.getUint32(stco.start + 8 + i * 4));
+        } else if (co64) {
+            const count = view.getUint32(co64.start + 4);
+            for (let i = 0; i < count; i++) chunkOffsets.push(Number(view.getBigUint64(co64.start + 8 + i * 8)));
+        }
+
+        // Samples per chunk
+        const stsc = find('stsc');
+        const samples = [];
+        if (stsc) {
+            const entryCount = view.getUint32(stsc.start + 4);
+            for (let e = 0; e < entryCount; e++) {
+                const position = stsc.start + 8 + e * 12;
+                const firstChunk = view.getUint32(position) - 1;
+                const samplesPerChunk = view.getUint32(position + 4);
+                const nextFirstChunk = e + 1 < entryCount
+                    ? view.getUint32(position + 12) - 1
+                    : chunkOffsets.length;
+
+                for (let chunk = firstChunk; chunk < nextFirstChunk && samples.length < sizes.length; chunk++) {
+                    let offset = chunkOffsets[chunk];
+                    for (let s = 0; s < samplesPerChunk && samples.length < sizes.length; s++) {
+                        const size = sizes[samples.length];
+                        samples.push({ offset, size });
+                        offset += size;
+                    }
+                }
+            }
+        }
+
+        // Decode times
+        const stts = find('stts');
+        let dts = 0;
+        let index = 0;
+        if (stts) {
+            const entryCount = view.getUint32(stts.start + 4);
+            for (let e = 0; e < entryCount; e++) {
+                const count = view.getUint32(stts.start + 8 + e * 8);
+                const delta = view.getUint32(stts.start + 12 + e * 8);
+                for (let i = 0; i < count && index < samples.length; i++, index++) {
+                    samples[index].dts = dts;
+                    samples[index].delta = delta;
+                    dts += delta;
+                }
+            }
+        }
+
+        // Composition offsets (B-frames)
+        const ctts = find('ctts');
+        const compositionOffsets = new Array(samples.length).fill(0);
+        if (ctts) {
+            const entryCount = view.getUint32(ctts.start + 4);
+            index = 0;
+            for (let e = 0; e < entryCount; e++) {
+                const count = view.getUint32(ctts.start + 8 + e * 8);
+                const offset = view.getInt32(ctts.start + 12 + e * 8);
+                for (let i = 0; i < count && index < samples.length; i++, index++) {
+                    compositionOffsets[index] = offset;
+                }
+            }
+        }
+
+        // Sync samples - every sample is a key frame when the box is missing
+        const stss = find('stss');
+        let syncSamples = null;
+        if (stss) {
+            syncSamples = new Set();
+            const count = view.getUint32(stss.start + 4);
+            for (let i = 0; i < count; i++) syncSamples.add(view.getUint32(stss.start + 8 + i * 4) - 1);
+        }
+
+        const toMicroseconds = value => Math.round((value / track.timescale + track.timeOffset) * 1e6);
+
+        track.samples = samples.filter(sample => sample.dts !== undefined).map((sample, i) => ({
+            type: track.type,
+            track,
+            offset: sample.offset,
+            size: sample.size,
+            timestamp: toMicroseconds(sample.dts + compositionOffsets[i]),
+            duration: Math.round(sample.delta / track.timescale * 1e6),
+            isKey: track.type === 'audio' || !syncSamples || syncSamples.has(i)
+        }));
+    }
+
+    /**
+     * Default sample values for fragmented files (moov/mvex/trex)
+     */
+    parseMp4TrackDefaults(moov, view) {
+        const defaults = new Map();
+        const mvex = MediaDemuxer.findBox(moov, 0, moov.length, 'mvex');
+        if (!mvex) return defaults;
+
+        for (const box of MediaDemuxer.iterateBoxes(moov, mvex.start, mvex.end)) {
+            if (box.type !== 'trex') continue;
+            defaults.set(view.getUint32(box.start + 4), {
+                duration: view.getUint32(box.start + 12),
+                size: view.getUint32(box.start + 16),
+                flags: view.getUint32(box.start + 20)
+            });
+        }
+        return defaults;
+    }
+
+    parseMp4Fragment(moof, moofOffset, trackDefaults) {
+        const view = new DataView(moof.buffer);
+
+        for (const traf of MediaDemuxer.iterateBoxes(moof, 0, moof.length)) {
+            if (traf.type !== 'traf') continue;
+
+            const tfhd = MediaDemuxer.findBox(moof, traf.start, traf.end, 'tfhd');
+            if (!tfhd) continue;
+
+            const tfhdFlags = view.getUint32(tfhd.start) & 0xffffff;
+            const trackId = view.getUint32(tfhd.start + 4);
+            const track = this.tracks.find(t => t.id === trackId);
+            if (!track) continue;
+
+            const defaults = { duration: 0, size: 0, flags: 0, ...trackDefaults.get(trackId) };
+            let position = tfhd.start + 8;
+            let baseOffset = moofOffset;
+
+            if (tfhdFlags & 0x01) {
+                baseOffset = Number(view.getBigUint64(position));
+                position += 8;
+            }
+            if (tfhdFlags & 0x02) position += 4;
+            if (tfhdFlags & 0x08) { defaults.duration = view.getUint32(position); position += 4; }
+            if (tfhdFlags & 0x10) { defaults.size = view.getUint32(position); position += 4; }
+            if (tfhdFlags & 0x20) { defaults.flags = view.getUint32(position); position += 4; }
+
+            const tfdt = MediaDemuxer.findBox(moof, traf.start, traf.end, 'tfdt');
+            let dts = track.nextDts || 0;
+            if (tfdt) {
+                dts = moof[tfdt.start] === 1
+                    ? Number(view.getBigUint64(tfdt.start + 4))
+                    : view.getUint32(tfdt.start + 4);
+            }
+
+            let dataOffset = baseOffset;
+
+            for (const trun of MediaDemuxer.iterateBoxes(moof, traf.start, traf.end)) {
+                if (trun.type !== 'trun') continue;
+
+                const flags = view.getUint32(trun.start) & 0xffffff;
+                const count = view.getUint32(trun.start + 4);
+                let cursor = trun.start + 8;
+
+                if (flags & 0x01) { dataOffset = baseOffset + view.getInt32(cursor); cursor += 4; }
+                let firstSampleFlags = null;
+                if (flags & 0x04) { firstSampleFlags = view.getUint32(cursor); cursor += 4; }
+
+                for (let i = 0; i < count; i++) {
+                    let duration = defaults.duration;
+                    let size = defaults.size;
+                    let sampleFlags = i === 0 && firstSampleFlags !== null ? firstSampleFlags : defaults.flags;
+                    let compositionOffset = 0;
+
+                    if (flags & 0x100) { duration = view.getUint32(cursor); cursor += 4; }
+                    if (flags & 0x200) { size = view.getUint32(cursor); cursor += 4; }
+                    if (flags & 0x400) { sampleFlags = view.getUint32(cursor); cursor += 4; }
+                    if (flags & 0x800) { compositionOffset = view.getInt32(cursor); cursor += 4; }
+
+                    track.samples.push({
+                        type: track.type,
+                        track,
+                        offset: dataOffset,
+                        size,
+                        timestamp: Math.round(((dts + compositionOffset) / track.timescale + track.timeOffset) * 1e6),
+                        duration: Math.round(duration / track.timescale * 1e6),
+                        // sample_is_non_sync_sample flag
+                        isKey: track.type === 'audio' || !(sampleFlags & 0x10000)
+                    });
+
+                    dataOffset += size;
+                    dts += duration;
+                }
+            }
+
+            track.nextDts = dts;
+        }
+    }
+
+    async *readMp4Samples(startTime) {
+        const samples = this.mp4Samples;
+        let i = startTime > 0 ? this.findMp4StartIndex(startTime) : 0;
+
+        while (i < samples.length) {
+            // Read neighbouring samples with a single slice
+            const start = samples[i].offset;
+            let end = start + samples[i].size;
+            let j = i + 1;
+            while (j < samples.length && samples[j].offset >= end &&
+                   samples[j].offset + samples[j].size - start <= MediaDemuxer.READ_SIZE) {
+                end = samples[j].offset + samples[j].size;
+                j++;
+            }
+
+            const buffer = await this.readBytes(start, end - start);
+
+            for (let k = i; k < j; k++) {
+                const sample = samples[k];
+                yield {
+                    type: sample.type,
+                    track: sample.track,
+                    data: buffer.subarray(sample.offset - start, sample.offset - start + sample.size),
+                    timestamp: sample.timestamp,
+                    duration: sample.duration,
+                    isKey: sample.isKey
+                };
+            }
+
+            i = j;
+        }
+    }
+
+    /**
+     * Index in mp4Samples to start reading from so decoding can begin at or before startTime
+     */
+    findMp4StartIndex(startTime) {
+        const track = this.videoTrack;
+        if (!track) return 0;
+
+        let keyFrame = null;
+        for (const sample of track.samples) {
+            if (sample.isKey && sample.timestamp <= startTime &&
+                (!keyFrame || sample.timestamp > keyFrame.timestamp)) {
+                keyFrame = sample;
+            }
+        }
+        if (!keyFrame) return 0;
+
+        // Interleaved audio for the same time may be stored slightly before the key frame
+        let startOffset = keyFrame.offset;
+        if (this.audioTrack) {
+            const audio = this.audioTrack.samples.find(sample => sample.timestamp >= keyFrame.timestamp);
+            if (audio) startOffset = Math.min(startOffset, audio.offset);
+        }
+
+        const index = this.mp4Samples.findIndex(sample => sample.offset >= startOffset);
+        return index < 0 ? 0 : index;
+    }
+
+    // ---------------------------------------------------------------------
+    // WebM / Matroska
+    // ---------------------------------------------------------------------
+
+    /**
+     * Read bytes through a window that is refilled in READ_SIZE steps
+     */
+    async readWindow(offset, length) {
+        length = Math.min(length, this.file.size - offset);
+        const current = this.window;
+
+        if (!current || offset < current.start || offset + length > current.start + current.bytes.length) {
+            this.window = {
+                start: offset,
+                bytes: await this.readBytes(offset, Math.max(length, MediaDemuxer.READ_SIZE))
+            };
+        }
+
+        const start = offset - this.window.start;
+        return this.window.bytes.subarray(start, start + length);
+    }
+
+    /**
+     * Read an element ID and size at the given file offset
+     * @returns {Promise<Object|null>} - { id, size (-1 when unknown), dataStart }
+     */
+    async readElementHeader(offset) {
+        const bytes = await this.readWindow(offset, 12);
+        if (bytes.length < 2) return null;
+
+        const id = MediaDemuxer.readVint(bytes, 0, true);
+        if (!id) return null;
+        const size = MediaDemuxer.readVint(bytes, id.length, false);
+        if (!size) return null;
+
+        return {
+            id: id.value,
+            size: size.unknown ? -1 : size.value,
+            dataStart: offset + id.length + size.length
+        };
+    }
+
+    async parseMatroskaHeaders() {
+        const ebml = await this.readElementHeader(0);
+        const ebmlHeader = await this.readBytes(ebml.dataStart, ebml.size);
+        for (const element of MediaDemuxer.iterateElements(ebmlHeader, 0, ebmlHeader.length)) {
+            if (element.id === MediaDemuxer.MATROSKA.DOC_TYPE) {
+                this.docType = MediaDemuxer.readString(ebmlHeader, element.start, element.end);
+            }
+        }
+
+        const segment = await this.readElementHeader(ebml.dataStart + ebml.size);
+
+        if (!segment || segment.id !== MediaDemuxer.MATROSKA.SEGMENT) {
+            throw new Error('Matroska file has no segment');
+        }
+
+        this.segmentStart = segment.dataStart;
+        this.segmentEnd = segment.size < 0
+            ? this.file.size
+            : Math.min(this.file.size, segment.dataStart + segment.size);
+
+        let offset = segment.dataStart;
+        let infoElement = null;
+
+        while (offset < this.segmentEnd) {
+            const element = await this.readElementHeader(offset);
+            if (!element) break;
+
+            if (element.id === MediaDemuxer.MATROSKA.CLUSTER) {
+                this.firstClusterOffset = offset;
+                break;
+            }
+            if (element.size < 0) break;
+
+            if (element.id === MediaDemuxer.MATROSKA.INFO) {
+                infoElement = await this.readBytes(element.dataStart, element.size);
+            } else if (element.id === MediaDemuxer.MATROSKA.TRACKS) {
+                this.parseMatroskaTracks(await this.readBytes(element.dataStart, element.size));
+            } else if (element.id === MediaDemuxer.MATROSKA.SEEK_HEAD) {
+                this.parseMatroskaSeekHead(await this.readBytes(element.dataStart, element.size));
+            } else if (element.id === MediaDemuxer.MATROSKA.CUES) {
+                this.cuesOffset = offset;
+            }
+
+            offset = element.dataStart + element.size;
+        }
+
+        // Info is parsed last because Duration is expressed in TimecodeScale units
+        if (infoElement) {
+            let duration = 0;
+            for (const element of MediaDemuxer.iterateElements(infoElement, 0, infoElement.length)) {
+                if (element.id === MediaDemuxer.MATROSKA.TIMECODE_SCALE) {
+                    this.timecodeScale = MediaDemuxer.readUint(infoElement, element.start, element.end);
+                } else if (element.id === MediaDemuxer.MATROSKA.DURATION) {
+                    duration = MediaDemuxer.readFloat(infoElement, element.start, element.end);
+                }
+            }
+            this.duration = duration * this.timecodeScale / 1e9;
+        }
+
+        if (!this.firstClusterOffset) {
+            throw new Error('Matroska file has no media data');
+        }
+    }
+
+    /**
+     * Find the Cues element through the SeekHead; muxers usually write Cues after the clusters
+     */
+    parseMatroskaSeekHead(bytes) {
+        const ids = MediaDemuxer.MATROSKA;
+
+        for (const seek of MediaDemuxer.iterateElements(bytes, 0, bytes.length)) {
+            if (seek.id !== ids.SEEK) continue;
+
+            let seekId = 0;
+            let position = -1;
+            for (const element of MediaDemuxer.iterateElements(bytes, seek.start, seek.end)) {
+                if (element.id === ids.SEEK_ID) {
+                    seekId = MediaDemuxer.readUint(bytes, element.start, element.end);
+                } else if (element.id === ids.SEEK_POSITION) {
+                    position = MediaDemuxer.readUint(bytes, element.start, element.end);
+                }
+            }
+
+            if (seekId === ids.CUES && position >= 0) {
+                this.cuesOffset = this.segmentStart + position;
+            }
+        }
+    }
+
+    /**
+     * Read the Cues (key frame index) of the video track
+     * @returns {Promise<Array>} - [{ time, clusterOffset }] with time in microseconds, empty without Cues
+     */
+    async loadMatroskaCues() {
+        if (this.cues) return this.cues;
+
+        this.cues = [];
+        const ids = MediaDemuxer.MATROSKA;
+        const element = this.cuesOffset ? await this.readElementHeader(this.cuesOffset) : null;
+        if (!element || element.id !== ids.CUES || element.size < 0) return this.cues;
+
+        const bytes = await this.readBytes(element.dataStart, element.size);
+        const videoNumber = this.videoTrack ? this.videoTrack.id : null;
+
+        for (const point of MediaDemuxer.iterateElements(bytes, 0, bytes.length)) {
+            if (point.id !== ids.CUE_POINT) continue;
+
+            let time = 0;
+            let clusterPosition = -1;
+            for (const child of MediaDemuxer.iterateElements(bytes, point.start, point.end)) {
+                if (child.id === ids.CUE_TIME) {
+                    time = MediaDemuxer.readUint(bytes, child.start, child.end);
+                } else if (child.id === ids.CUE_TRACK_POSITIONS) {
+                    let track = null;
+                    let position = -1;
+                    for (const field of MediaDemuxer.iterateElements(bytes, child.start, child.end)) {
+                        if (field.id === ids.CUE_TRACK) track = MediaDemuxer.readUint(bytes, field.start, field.end);
+                        if (field.id === ids.CUE_CLUSTER_POSITION) position = MediaDemuxer.readUint(bytes, field.start, field.end);
+                    }
+                    if (track === videoNumber && position >= 0) clusterPosition = position;
+                }
+            }
+
+            if (clusterPosition >= 0) {
+                this.cues.push({
+                    time: Math.round(time * this.timecodeScale / 1000),
+                    clusterOffset: this.segmentStart + clusterPosition
+                });
+            }
+        }
+
+        this.cues.sort((a, b) => a.time - b.time);
+        return this.cues;
+    }
+
+    parseMatroskaTracks(bytes) {
+        const ids = MediaDemuxer.MATROSKA;
+
+        for (const entry of MediaDemuxer.iterateElements(bytes, 0, bytes.length)) {
+            if (entry.id !== ids.TRACK_ENTRY) continue;
+
+            const track = { codecId: '', codecPrivate: null, defaultDuration: 0 };
+            let trackType = 0;
+
+            for (const element of MediaDemuxer.iterateElements(bytes, entry.start, entry.end)) {
+                switch (element.id) {
+                    case ids.TRACK_NUMBER:
+                        track.id = MediaDemuxer.readUint(bytes, element.start, element.end);
+                        break;
+                    case ids.TRACK_TYPE:
+                        trackType = MediaDemuxer.readUint(bytes, element.start, element.end);
+                        break;
+                    case ids.CODEC_ID:
+                        track.codecId = MediaDemuxer.readString(bytes, element.start, element.end);
+                        break;
+                    case ids.CODEC_PRIVATE:
+                        track.codecPrivate = bytes.slice(element.start, element.end);
+                        break;
+                    case ids.DEFAULT_DURATION:
+                        track.defaultDuration = MediaDemuxer.readUint(bytes, element.start, element.end);
+                        break;
+                    case ids.VIDEO:
+                        for (const child of MediaDemuxer.iterateElements(bytes, element.start, element.end)) {
+                            if (child.id === ids.PIXEL_WIDTH) track.width = MediaDemuxer.readUint(bytes, child.start, child.end);
+                            if (child.id === ids.PIXEL_HEIGHT) track.height = MediaDemuxer.readUint(bytes, child.start, child.end);
+                        }
+                        break;
+                    case ids.AUDIO:
+                        for (const child of MediaDemuxer.iterateElements(bytes, element.start, element.end)) {
+                            if (child.id === ids.SAMPLING_FREQUENCY) track.sampleRate = MediaDemuxer.readFloat(bytes, child.start, child.end);
+                            if (child.id === ids.CHANNELS) track.numberOfChannels = MediaDemuxer.readUint(bytes, child.start, child.end);
+                        }
+                        break;
+                }
+            }
+
+            if (trackType !== 1 && trackType !== 2) continue;
+
+            track.type = trackType === 1 ? 'video' : 'audio';
+            if (track.type === 'audio') {
+                track.sampleRate = track.sampleRate || 8000;
+                track.numberOfChannels = track.numberOfChannels || 1;
+            }
+            if (track.type === 'video' && track.defaultDuration) {
+                track.frameRate = 1e9 / track.defaultDuration;
+            }
+
+            Object.assign(track, MediaDemuxer.getMatroskaCodec(track));
+
+            this.tracks.push(track);
+            this.tracksByNumber.set(track.id, track);
+        }
+    }
+
+    async *readMatroskaSamples(startTime) {
+        const ids = MediaDemuxer.MATROSKA;
+        let offset = this.firstClusterOffset;
+
+        // Jump to the cluster of the last indexed key frame before startTime
+        if (startTime > 0) {
+            const cues = await this.loadMatroskaCues();
+            for (const cue of cues) {
+                if (cue.time > startTime) break;
+                offset = cue.clusterOffset;
+            }
+        }
+
+        while (offset < this.segmentEnd) {
+            const element = await this.readElementHeader(offset);
+            if (!element) break;
+
+            if (element.id === ids.CLUSTER) {
+                const clusterEnd = element.size < 0 ? null : element.dataStart + element.size;
+                offset = yield* this.readMatroskaCluster(element.dataStart, clusterEnd);
+            } else {
+                if (element.size < 0) break;
+                offset = element.dataStart + element.size;
+            }
+        }
+    }
+
+    /**
+     * Yield the blocks of one cluster
+     * @returns {number} - Offset of the element following the cluster
+     */
+    async *readMatroskaCluster(start, clusterEnd) {
+        const ids = MediaDemuxer.MATROSKA;
+        const limit = clusterEnd === null ? this.segmentEnd : clusterEnd;
+        let clusterTime = 0;
+        let offset = start;
+
+        while (offset < limit) {
+            const element = await this.readElementHeader(offset);
+            if (!element) return limit;
+
+            // A cluster of unknown size ends where the next top-level element starts
+            if (clusterEnd === null && MediaDemuxer.MATROSKA_TOP_LEVEL_IDS.includes(element.id)) {
+                return offset;
+            }
+            if (element.size < 0) return limit;
+
+            if (element.id === ids.CLUSTER_TIMECODE) {
+                const data = await this.readWindow(element.dataStart, element.size);
+                clusterTime = MediaDemuxer.readUint(data, 0, data.length);
+            } else if (element.id === ids.SIMPLE_BLOCK) {
+                const data = await this.readWindow(element.dataStart, element.size);
+                yield* this.parseMatroskaBlock(data, clusterTime, null);
+            } else if (element.id === ids.BLOCK_GROUP) {
+                const group = await this.readWindow(element.dataStart, element.size);
+                let block = null;
+                let hasReference = false;
+                let duration = 0;
+
+                for (const child of MediaDemuxer.iterateElements(group, 0, group.length)) {
+                    if (child.id === ids.BLOCK) block = group.subarray(child.start, child.end);
+                    if (child.id === ids.REFERENCE_BLOCK) hasReference = true;
+                    if (child.id === ids.BLOCK_DURATION) duration = MediaDemuxer.readUint(group, child.start, child.end);
+                }
+
+                if (block) {
+                    yield* this.parseMatroskaBlock(block, clusterTime, { isKey: !hasReference, duration });
+                }
+            }
+
+            offset = element.dataStart + element.size;
+        }
+
+        return limit;
+    }
+
+    *parseMatroskaBlock(data, clusterTime, group) {
+        const trackNumber = MediaDemuxer.readVint(data, 0, false);
+        if (!trackNumber) return;
+
+        const track = this.tracksByNumber.get(trackNumber.value);
+        if (!track || (track !== this.videoTrack && track !== this.audioTrack)) return;
+
+        let offset = trackNumber.length;
+        const relativeTime = new DataView(data.buffer, data.byteOffset, data.byteLength).getInt16(offset);
+        offset += 2;
+        const flags = data[offset++];
+
+        const isKey = track.type === 'audio' || (group ? group.isKey : Boolean(flags & 0x80));
+        const timestamp = (clusterTime + relativeTime) * this.timecodeScale / 1000;
+        const frames = MediaDemuxer.splitLacedFrames(data, offset, (flags >> 1) & 0x03);
+
+        let frameDuration = track.defaultDuration / 1000;
+        if (!frameDuration && group && group.duration) {
+            frameDuration = group.duration * this.timecodeScale / 1000 / frames.length;
+        }
+
+        for (let i = 0; i < frames.length; i++) {
+            yield {
+                type: track.type,
+                track,
+                data: frames[i],
+                timestamp: Math.round(timestamp + i * frameDuration),
+                duration: frameDuration ? Math.round(frameDuration) : undefined,
+                isKey: i === 0 ? isKey : track.type === 'audio'
+            };
+        }
+    }
+
+    /**
+     * Split a block into frames according to its lacing mode
+     */
+    static splitLacedFrames(data, offset, lacing) {
+        if (lacing === 0) {
+            return [data.subarray(offset)];
+        }
+
+        const count = data[offset++] + 1;
+        const sizes = [];
+
+        if (lacing === 1) {
+            // Xiph lacing
+            for (let i = 0; i < count - 1; i++) {
+                let size = 0;
+                let value;
+                do {
+                    value = data[offset++];
+                    size += value;
+                } while (value === 255);
+                sizes.push(size);
+            }
+        } else if (lacing === 3) {
+            // EBML lacing: first size, then signed differences
+            let vint = MediaDemuxer.readVint(data, offset, false);
+            offset += vint.length;
+            let size = vint.value;
+            sizes.push(size);
+            for (let i = 1; i < count - 1; i++) {
+                vint = MediaDemuxer.readVint(data, offset, false);
+                offset += vint.length;
+                size += vint.value - (Math.pow(2, 7 * vint.length - 1) - 1);
+                sizes.push(size);
+            }
+        } else {
+            // Fixed-size lacing
+            const size = (data.length - offset) / count;
+            for (let i = 0; i < count - 1; i++) sizes.push(size);
+        }
+
+        const frames = [];
+        for (const size of sizes) {
+            frames.push(data.subarray(offset, offset + size));
+            offset += size;
+        }
+        frames.push(data.subarray(offset));
+        return frames;
+    }
+
+    /**
+     * Map a Matroska CodecID to a WebCodecs codec string and description
+     */
+    static getMatroskaCodec(track) {
+        const { codecId, codecPrivate } = track;
+
+        switch (codecId) {
+            case 'V_MPEG4/ISO/AVC':
+                return { codec: MediaDemuxer.getAvcCodecString('avc1', codecPrivate), description: codecPrivate };
+            case 'V_MPEGH/ISO/HEVC':
+                return { codec: MediaDemuxer.getHevcCodecString('hvc1', codecPrivate), description: codecPrivate };
+            case 'V_VP8':
+                return { codec: 'vp8' };
+            case 'V_VP9':
+                return { codec: 'vp09.00.10.08' };
+            case 'V_AV1':
+                return { codec: codecPrivate ? MediaDemuxer.getAv1CodecString(codecPrivate) : 'av01.0.08M.08' };
+            case 'A_OPUS':
+                return { codec: 'opus', description: codecPrivate || undefined };
+            case 'A_VORBIS':
+                return { codec: 'vorbis', description: codecPrivate || undefined };
+            case 'A_FLAC':
+                return { codec: 'flac', description: codecPrivate || undefined };
+            case 'A_MPEG/L3':
+                return { codec: 'mp3' };
+        }
+
+        if (codecId.startsWith('A_AAC')) {
+            const config = codecPrivate || MediaDemuxer.buildAacConfig(track.sampleRate, track.numberOfChannels);
+            return { codec: `mp4a.40.${config[0] >> 3}`, description: config };
+        }
+
+        return { codec: codecId };
+    }
+
+    /**
+     * Build an AAC-LC AudioSpecificConfig for files that don't carry one
+     */
+    static buildAacConfig(sampleRate, channels) {
+        const rates = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+        const rateIndex = Math.max(0, rates.indexOf(Math.round(sampleRate)));
+        return new Uint8Array([
+            (2 << 3) | (rateIndex >> 1),
+            ((rateIndex & 1) << 7) | (channels << 3)
+        ]);
+    }
+
+    // ---------------------------------------------------------------------
+    // Codec strings
+    // ---------------------------------------------------------------------
+
+    static getAvcCodecString(fourcc, avcC) {
+        if (!avcC || avcC.length < 4) return `${fourcc}.42E01E`;
+        const hex = value => value.toString(16).padStart(2, '0').toUpperCase();
+        return `${fourcc}.${hex(avcC[1])}${hex(avcC[2])}${hex(avcC[3])}`;
+    }
+
+    static getHevcCodecString(fourcc, hvcC) {
+        if (!hvcC || hvcC.length < 13) return `${fourcc}.1.6.L93.B0`;
+
+        const profileSpace = ['', 'A', 'B', 'C'][hvcC[1] >> 6];
+        const tier = (hvcC[1] >> 5) & 0x01 ? 'H' : 'L';
+        const profile = hvcC[1] & 0x1f;
+        const compatibility = new DataView(hvcC.buffer, hvcC.byteOffset, hvcC.byteLength).getUint32(2);
+        const level = hvcC[12];
+
+        // Compatibility flags are written in reverse bit order
+        let reversed = 0;
+        for (let i = 0; i < 32; i++) {
+            reversed = (reversed << 1) | ((compatibility >>> i) & 1);
+        }
+
+        // Constraint bytes, without trailing zero bytes
+        const constraints = Array.from(hvcC.slice(6, 12));
+        while (constraints.length > 0 && constraints[constraints.length - 1] === 0) constraints.pop();
+
+        let codec = `${fourcc}.${profileSpace}${profile}.${(reversed >>> 0).toString(16).toUpperCase()}.${tier}${level}`;
+        constraints.forEach(value => {
+            codec += `.${value.toString(16).toUpperCase()}`;
+        });
+        return codec;
+    }
+
+    static getAv1CodecString(av1C) {
+        const profile = av1C[1] >> 5;
+        const level = av1C[1] & 0x1f;
+        const tier = av1C[2] >> 7 ? 'H' : 'M';
+        const highBitDepth = (av1C[2] >> 6) & 0x01;
+        const twelveBit = (av1C[2] >> 5) & 0x01;
+        const bitDepth = highBitDepth ? (twelveBit ? 12 : 10) : 8;
+        return `av01.${profile}.${MediaDemuxer.pad2(level)}${tier}.${MediaDemuxer.pad2(bitDepth)}`;
+    }
+
+    /**
+     * Read the AAC decoder config from an MPEG-4 elementary stream descriptor
+     */
+    static parseEsds(bytes, start, end) {
+        let offset = start + 4; // version and flags
+
+        const readDescriptor = () => {
+            const tag = bytes[offset++];
+            let size = 0;
+            for (let i = 0; i < 4; i++) {
+                const value = bytes[offset++];
+                size = (size << 7) | (value & 0x7f);
+                if (!(value & 0x80)) break;
+            }
+            return { tag, size };
+        };
+
+        let descriptor = readDescriptor();
+        if (descriptor.tag === 0x03) {
+            offset += 2; // ES_ID
+            const flags = bytes[offset++];
+            if (flags & 0x80) offset += 2;
+            if (flags & 0x40) offset += 1 + bytes[offset];
+            if (flags & 0x20) offset += 2;
+            descriptor = readDescriptor();
+        }
+
+        if (descriptor.tag !== 0x04) return null;
+
+        const objectType = bytes[offset];
+        offset += 13;
+
+        if (offset >= end) return { objectType, decoderSpecificInfo: null };
+
+        descriptor = readDescriptor();
+        if (descriptor.tag !== 0x05) return { objectType, decoderSpecificInfo: null };
+
+        return { objectType, decoderSpecificInfo: bytes.slice(offset, offset + descriptor.size) };
+    }
+
+    // ---------------------------------------------------------------------
+    // Byte helpers
+    // ---------------------------------------------------------------------
+
+    static fourcc(bytes, offset) {
+        return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    }
+
+    static pad2(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    /**
+     * Iterate over the ISO BMFF boxes between two offsets of a buffer
+     */
+    static *iterateBoxes(bytes, start, end) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = start;
+
+        while (offset + 8 <= end) {
+            let size = view.getUint32(offset);
+            const type = MediaDemuxer.fourcc(bytes, offset + 4);
+            let headerSize = 8;
+
+            if (size === 1) {
+                size = Number(view.getBigUint64(offset + 8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+
+            if (size < headerSize || offset + size > end) return;
+
+            yield { type, start: offset + headerSize, end: offset + size };
+            offset += size;
+        }
+    }
+
+    static findBox(bytes, start, end, type) {
+        for (const box of MediaDemuxer.iterateBoxes(bytes, start, end)) {
+            if (box.type === type) return box;
+        }
+        return null;
+    }
+
+    /**
+     * Read an EBML variable-length integer
+     * @param {boolean} keepMarker - Keep the length marker bit (element IDs)
+     * @returns {Object|null} - { value, length, unknown }
+     */
+    static readVint(bytes, offset, keepMarker) {
+        const first = bytes[offset];
+        if (first === undefined || first === 0) return null;
+
+        let length = 1;
+        let mask = 0x80;
+        while (!(first & mask)) {
+            length++;
+            mask >>= 1;
+        }
+
+        if (offset + length > bytes.length) return null;
+
+        let value = keepMarker ? first : first & (mask - 1);
+        let allOnes = (first & (mask - 1)) === mask - 1;
+
+        for (let i = 1; i < length; i++) {
+            const byte = bytes[offset + i];
+            value = value * 256 + byte;
+            if (byte !== 0xff) allOnes = false;
+        }
+
+        return { value, length, unknown: !keepMarker && allOnes };
+    }
+
+    static *iterateElements(bytes, start, end) {
+        let offset = start;
+
+        while (offset < end) {
+            const id = MediaDemuxer.readVint(bytes, offset, true);
+            if (!id) return;
+            const size = MediaDemuxer.readVint(bytes, offset + id.length, false);
+            if (!size || size.unknown) return;
+
+            const dataStart = offset + id.length + size.length;
+            yield { id: id.value, start: dataStart, end: Math.min(end, dataStart + size.value) };
+            offset = dataStart + size.value;
+        }
+    }
+
+    static readUint(bytes, start, end) {
+        let value = 0;
+        for (let i = start; i < end; i++) value = value * 256 + bytes[i];
+        return value;
+    }
+
+    static readFloat(bytes, start, end) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset + start, end - start);
+        return end - start === 4 ? view.getFloat32(0) : view.getFloat64(0);
+    }
+
+    static readString(bytes, start, end) {
+        return String.fromCharCode(...bytes.subarray(start, end)).replace(/\0+$/, '');
+    }
+}
+
+MediaDemuxer.READ_SIZE = 4 * 1024 * 1024;
+MediaDemuxer.EBML_ID = 0x1A45DFA3;
+MediaDemuxer.MP4_TOP_LEVEL_BOXES = ['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide', 'pnot', 'styp'];
+MediaDemuxer.MATROSKA = {
+    DOC_TYPE: 0x4282,
+    SEGMENT: 0x18538067,
+    INFO: 0x1549A966,
+    TIMECODE_SCALE: 0x2AD7B1,
+    DURATION: 0x4489,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    TRACK_NUMBER: 0xD7,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    CODEC_PRIVATE: 0x63A2,
+    DEFAULT_DURATION: 0x23E383,
+    VIDEO: 0xE0,
+    PIXEL_WIDTH: 0xB0,
+    PIXEL_HEIGHT: 0xBA,
+    AUDIO: 0xE1,
+    SAMPLING_FREQUENCY: 0xB5,
+    CHANNELS: 0x9F,
+    SEEK_HEAD: 0x114D9B74,
+    SEEK: 0x4DBB,
+    SEEK_ID: 0x53AB,
+    SEEK_POSITION: 0x53AC,
+    CUES: 0x1C53BB6B,
+    CUE_POINT: 0xBB,
+    CUE_TIME: 0xB3,
+    CUE_TRACK_POSITIONS: 0xB7,
+    CUE_TRACK: 0xF7,
+    CUE_CLUSTER_POSITION: 0xF1,
+    CLUSTER: 0x1F43B675,
+    CLUSTER_TIMECODE: 0xE7,
+    SIMPLE_BLOCK: 0xA3,
+    BLOCK_GROUP: 0xA0,
+    BLOCK: 0xA1,
+    BLOCK_DURATION: 0x9B,
+    REFERENCE_BLOCK: 0xFB
+};
+MediaDemuxer.MATROSKA_TOP_LEVEL_IDS = [
+    0x1F43B675, // Cluster
+    0x1C53BB6B, // Cues
+    0x1941A469, // Attachments
+    0x1043A770, // Chapters
+    0x1254C367, // Tags
+    0x114D9B74, // SeekHead
+    0x1549A966, // Info
+    0x1654AE6B  // Tracks
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MediaDemuxer;
+} else {
+    window.MediaDemuxer = MediaDemuxer;
+}
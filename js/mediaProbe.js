@@ -0,0 +1,196 @@
+/**
+ * Media probing for Replay Hub
+ * Reads container headers (MP4/MOV moov, WebM/Matroska EBML) to report what a video actually contains
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  // Probing the same File twice (form preview, converter, queue) only parses it once
+  const probeCache = new WeakMap();
+
+  // Codec string prefixes mapped to the names shown to users
+  const CODEC_NAMES = [
+    ['avc1', 'H.264'],
+    ['avc3', 'H.264'],
+    ['hvc1', 'H.265'],
+    ['hev1', 'H.265'],
+    ['vp09', 'VP9'],
+    ['vp8', 'VP8'],
+    ['av01', 'AV1'],
+    ['mp4a.40.34', 'MP3'],
+    ['mp4a.6b', 'MP3'],
+    ['mp4a', 'AAC'],
+    ['mp3', 'MP3'],
+    ['opus', 'Opus'],
+    ['vorbis', 'Vorbis'],
+    ['flac', 'FLAC']
+  ];
+
+  /**
+   * Read a video file's headers
+   * @param {File|Blob} file - The video file
+   * @returns {Promise<Object|null>} - Stream details, or null if the container isn't recognised
+   */
+  function probeFile(file) {
+    if (!file) return Promise.resolve(null);
+    if (probeCache.has(file)) return probeCache.get(file);
+
+    const probe = readHeaders(file).catch(error => {
+      console.warn(`Could not read media headers of ${file.name || 'file'}:`, error);
+      return null;
+    });
+
+    probeCache.set(file, probe);
+    return probe;
+  }
+
+  async function readHeaders(file) {
+    if (typeof MediaDemuxer === 'undefined') {
+      throw new Error('MediaDemuxer is not loaded');
+    }
+
+    const demuxer = await MediaDemuxer.open(file, { headersOnly: true });
+    const video = demuxer.videoTrack;
+    const audio = demuxer.audioTrack;
+    const duration = demuxer.duration || null;
+
+    let container = 'mp4';
+    if (demuxer.format === 'matroska') {
+      container = demuxer.docType === 'webm' ? 'webm' : 'matroska';
+    }
+
+    return {
+      container,
+      mimeType: getContainerMimeType(container),
+      videoCodec: video ? video.codec : null,
+      videoCodecName: video ? getCodecName(video.codec) : null,
+      audioCodec: audio ? audio.codec : null,
+      audioCodecName: audio ? getCodecName(audio.codec) : null,
+      width: video ? video.width || null : null,
+      height: video ? video.height || null : null,
+      frameRate: video && video.frameRate ? Math.round(video.frameRate * 100) / 100 : null,
+      duration,
+      bitrate: duration ? Math.round(file.size * 8 / duration) : null
+    };
+  }
+
+  /**
+   * Get the display name of a codec string (e.g. 'hvc1.1.6.L120.90' -> 'H.265')
+   * @param {string} codec - WebCodecs / RFC 6381 codec string
+   * @returns {string} - Readable codec name
+   */
+  function getCodecName(codec) {
+    if (!codec) return 'Unknown';
+
+    const lower = codec.toLowerCase();
+    const match = CODEC_NAMES.find(([prefix]) => lower.startsWith(prefix));
+    return match ? match[1] : codec;
+  }
+
+  function getContainerMimeType(container) {
+    if (container === 'webm') return 'video/webm';
+    if (container === 'matroska') return 'video/x-matroska';
+    return 'video/mp4';
+  }
+
+  /**
+   * Check whether this browser can play a codec, in the file's own container or the ones we serve
+   */
+  function canPlayCodec(codec, containerMimeType) {
+    const mimeTypes = [...new Set([containerMimeType, 'video/mp4', 'video/webm'])];
+    const probeElement = document.createElement('video');
+
+    return mimeTypes.some(mimeType => {
+      const type = `${mimeType}; codecs="${codec}"`;
+      if (typeof MediaSource !== 'undefined' && MediaSource.isTypeSupported(type)) {
+        return true;
+      }
+      return probeElement.canPlayType(type) !== '';
+    });
+  }
+
+  /**
+   * Check whether the video and audio streams of a probed file play in this browser
+   * @param {Object} info - Result of probeFile
+   * @returns {Object} - { video, audio, playable } flags
+   */
+  function getPlaybackSupport(info) {
+    const video = !info.videoCodec || canPlayCodec(info.videoCodec, info.mimeType);
+    const audio = !info.audioCodec || canPlayCodec(info.audioCodec, info.mimeType);
+    return { video, audio, playable: video && audio };
+  }
+
+  /**
+   * Format probe results as a single line, e.g. "1920×1080 · 60 fps · H.264 / AAC · 8.2 Mbps"
+   * @param {Object} info - Result of probeFile
+   * @returns {string} - Summary line
+   */
+  function describe(info) {
+    const parts = [];
+
+    if (info.width && info.height) parts.push(`${info.width}×${info.height}`);
+    if (info.frameRate) parts.push(`${Math.round(info.frameRate)} fps`);
+
+    const codecs = [info.videoCodecName, info.audioCodecName].filter(Boolean);
+    if (codecs.length > 0) parts.push(codecs.join(' / '));
+
+    if (info.duration) parts.push(formatDuration(info.duration));
+    if (info.bitrate) parts.push(`${(info.bitrate / 1e6).toFixed(1)} Mbps`);
+
+    return parts.join(' · ');
+  }
+
+  function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+      : `${minutes}:${secs}`;
+  }
+
+  /**
+   * Build the upload form fields describing a file's streams
+   * @param {Object|null} info - Result of probeFile for the uploaded file
+   * @param {Object|null} [sourceInfo] - Result for the original file, used for details a converted file lacks
+   * @returns {Object} - Field name to string value, only for detected details
+   */
+  function getUploadFields(info, sourceInfo = null) {
+    const primary = info || {};
+    const source = sourceInfo || {};
+    const pick = name => primary[name] || source[name] || null;
+
+    const duration = pick('duration');
+    const fields = {
+      duration: duration ? duration.toFixed(2) : null,
+      width: pick('width'),
+      height: pick('height'),
+      frame_rate: pick('frameRate'),
+      video_codec: pick('videoCodec'),
+      audio_codec: pick('audioCodec'),
+      // The source bitrate would be wrong for a converted file
+      bitrate: primary.bitrate || null
+    };
+
+    return Object.fromEntries(
+      Object.entries(fields)
+        .filter(([, value]) => value !== null)
+        .map(([name, value]) => [name, String(value)])
+    );
+  }
+
+  // Export probe functions
+  window.replayHub.mediaProbe = {
+    probeFile,
+    getCodecName,
+    getPlaybackSupport,
+    describe,
+    getUploadFields
+  };
+
+  // Media probe module ready
+})();
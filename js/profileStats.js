@@ -0,0 +1,294 @@
+/**
+ * Profile pages for Replay Hub
+ * Works out statistics for the videos of a player or uploader and renders the header shown above them
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  // Teammates listed on a player page, and players listed on a channel page
+  const MAX_TEAMMATES = 5;
+
+  const DAY = 24 * 60 * 60 * 1000;
+
+  function normalizeName(name) {
+    const videoSearch = window.replayHub.videoSearch;
+    const text = String(name || '').trim();
+    return videoSearch ? videoSearch.normalize(text) : text.toLowerCase();
+  }
+
+  function getPlayers(video) {
+    const videoSearch = window.replayHub.videoSearch;
+    if (videoSearch) return videoSearch.toList(video.players);
+    return Array.isArray(video.players) ? video.players : [];
+  }
+
+  /**
+   * Check whether a player appears in a video, ignoring case and accents
+   * @param {Object} video - The video metadata object
+   * @param {string} name - Player name
+   * @returns {boolean} - True if the player is listed in the video's players
+   */
+  function hasPlayer(video, name) {
+    const wanted = normalizeName(name);
+    return getPlayers(video).some(player => normalizeName(player) === wanted);
+  }
+
+  /**
+   * Check whether a video was uploaded by a user, ignoring case and accents
+   * @param {Object} video - The video metadata object
+   * @param {string} name - Uploader name
+   * @returns {boolean} - True if the video's uploader matches the name
+   */
+  function hasUploader(video, name) {
+    const wanted = normalizeName(name);
+    return [video.uploader, video.uploader_username].some(uploader => uploader && normalizeName(uploader) === wanted);
+  }
+
+  /**
+   * Count how many videos each player appears in
+   * @param {Array<Object>} videos - Videos to count players in
+   * @param {string} [excludedName] - Player left out of the count, e.g. the player whose page this is
+   * @returns {Array<Object>} - The most frequent { name, count } entries
+   */
+  function countPlayers(videos, excludedName) {
+    const players = new Map();
+
+    videos.forEach(video => {
+      // A name listed twice in one video still counts once
+      const seen = new Set(excludedName ? [normalizeName(excludedName)] : []);
+      getPlayers(video).forEach(player => {
+        const key = normalizeName(player);
+        if (!key || seen.has(key)) return;
+        seen.add(key);
+
+        const entry = players.get(key) || { name: String(player).trim(), count: 0 };
+        entry.count++;
+        players.set(key, entry);
+      });
+    });
+
+    return Array.from(players.values())
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, MAX_TEAMMATES);
+  }
+
+  function getUploadTimes(videos) {
+    return videos
+      .map(video => new Date(video.upload_date).getTime())
+      .filter(time => !isNaN(time));
+  }
+
+  /**
+   * Work out the statistics shown on a player page
+   * @param {Array<Object>} videos - Videos the player appears in
+   * @param {string} name - Player name
+   * @returns {Object} - { clips, totalDuration, totalViews, firstAppearance, lastAppearance, teammates }
+   */
+  function getPlayerStats(videos, name) {
+    const times = getUploadTimes(videos);
+
+    return {
+      clips: videos.length,
+      totalDuration: videos.reduce((total, video) => total + (Number(video.duration) || 0), 0),
+      totalViews: videos.reduce((total, video) => total + (Number(video.views) || 0), 0),
+      firstAppearance: times.length > 0 ? new Date(Math.min(...times)) : null,
+      lastAppearance: times.length > 0 ? new Date(Math.max(...times)) : null,
+      teammates: countPlayers(videos, name)
+    };
+  }
+
+  /**
+   * Work out the statistics shown on a channel page
+   * @param {Array<Object>} videos - Videos the user uploaded
+   * @returns {Object} - { uploads, totalViews, totalLikes, uploadsPerWeek, firstUpload, lastUpload, players }
+   */
+  function getChannelStats(videos) {
+    const times = getUploadTimes(videos);
+    const firstUpload = times.length > 0 ? Math.min(...times) : null;
+    const lastUpload = times.length > 0 ? Math.max(...times) : null;
+
+    // Spread over at least a week, so a burst of uploads on one day isn't read as a weekly rate
+    const weeks = times.length > 0 ? Math.max((lastUpload - firstUpload) / (7 * DAY), 1) : 0;
+
+    return {
+      uploads: videos.length,
+      totalViews: videos.reduce((total, video) => total + (Number(video.views) || 0), 0),
+      totalLikes: videos.reduce((total, video) => total + (Number(video.likes) || 0), 0),
+      uploadsPerWeek: weeks > 0 ? times.length / weeks : 0,
+      firstUpload: firstUpload !== null ? new Date(firstUpload) : null,
+      lastUpload: lastUpload !== null ? new Date(lastUpload) : null,
+      players: countPlayers(videos)
+    };
+  }
+
+  /**
+   * Format an upload rate as e.g. "3.5 per week" or "2 per month"
+   * @param {number} perWeek - Uploads per week
+   * @returns {string} - Readable rate
+   */
+  function formatUploadFrequency(perWeek) {
+    if (!perWeek) return '—';
+    const round = value => (value >= 10 ? Math.round(value) : Math.round(value * 10) / 10).toLocaleString();
+
+    if (perWeek >= 1) return `${round(perWeek)} per week`;
+    const perMonth = perWeek * 52 / 12;
+    if (perMonth >= 1) return `${round(perMonth)} per month`;
+    return `${round(perWeek * 52)} per year`;
+  }
+
+  /**
+   * Format a number of seconds as e.g. "2h 14m" or "5m 30s"
+   * @param {number} seconds - Total seconds
+   * @returns {string} - Readable duration
+   */
+  function formatWatchTime(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${total % 60}s`;
+    return `${total}s`;
+  }
+
+  function formatDay(date) {
+    return date ? date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }) : '—';
+  }
+
+  /**
+   * Render a profile header
+   * @param {HTMLElement} container - Element the header is rendered into
+   * @param {Object} profile - What to show
+   * @param {string} profile.icon - Font Awesome icon class
+   * @param {string} profile.name - Profile name
+   * @param {string} [profile.kind] - Label above the name, e.g. "Player"
+   * @param {Array<Object>} profile.stats - { label, value } pairs
+   * @param {Object} [profile.links] - { label, items: [{ name, href, count }] } shown below the stats
+   */
+  function renderHeader(container, profile) {
+    container.innerHTML = `
+      <div class="profile-avatar"><i class="fas ${profile.icon}"></i></div>
+      <div class="profile-details">
+        <div class="profile-kind"></div>
+        <h2 class="profile-name"></h2>
+        <div class="profile-stats"></div>
+        <div class="profile-links"></div>
+      </div>
+    `;
+
+    container.querySelector('.profile-kind').textContent = profile.kind || '';
+    container.querySelector('.profile-name').textContent = profile.name;
+
+    const stats = container.querySelector('.profile-stats');
+    profile.stats.forEach(({ label, value }) => {
+      const stat = document.createElement('div');
+      stat.className = 'profile-stat';
+      stat.innerHTML = '<span class="profile-stat-value"></span><span class="profile-stat-label"></span>';
+      stat.querySelector('.profile-stat-value').textContent = value;
+      stat.querySelector('.profile-stat-label').textContent = label;
+      stats.appendChild(stat);
+    });
+
+    const links = container.querySelector('.profile-links');
+    if (profile.links && profile.links.items.length > 0) {
+      links.appendChild(document.createTextNode(`${profile.links.label}: `));
+      profile.links.items.forEach(({ name, href, count }) => {
+        const link = document.createElement('a');
+        link.className = 'profile-link';
+        link.href = href;
+        link.textContent = name;
+        links.appendChild(link);
+
+        const badge = document.createElement('span');
+        badge.className = 'profile-link-count';
+        badge.textContent = count;
+        links.appendChild(badge);
+      });
+    } else {
+      links.remove();
+    }
+
+    container.style.display = 'flex';
+  }
+
+  /**
+   * Render the header of a player page
+   * @param {HTMLElement} container - Element the header is rendered into
+   * @param {string} name - Player name
+   * @param {Array<Object>} videos - Videos the player appears in
+   * @param {Function} getPlayerUrl - Builds the page URL of another player
+   */
+  function renderPlayerHeader(container, name, videos, getPlayerUrl) {
+    const stats = getPlayerStats(videos, name);
+
+    renderHeader(container, {
+      icon: 'fa-gamepad',
+      kind: 'Player',
+      name,
+      stats: [
+        { label: stats.clips === 1 ? 'Clip' : 'Clips', value: stats.clips.toLocaleString() },
+        { label: 'Total watch time', value: formatWatchTime(stats.totalDuration) },
+        { label: 'Views', value: stats.totalViews.toLocaleString() },
+        { label: 'First appearance', value: formatDay(stats.firstAppearance) },
+        { label: 'Latest appearance', value: formatDay(stats.lastAppearance) }
+      ],
+      links: {
+        label: 'Plays most with',
+        items: stats.teammates.map(teammate => ({
+          name: teammate.name,
+          href: getPlayerUrl(teammate.name),
+          count: teammate.count
+        }))
+      }
+    });
+  }
+
+  /**
+   * Render the header of a channel page
+   * @param {HTMLElement} container - Element the header is rendered into
+   * @param {string} name - Uploader name
+   * @param {Array<Object>} videos - Videos the user uploaded
+   * @param {Function} getPlayerUrl - Builds the page URL of a player
+   */
+  function renderChannelHeader(container, name, videos, getPlayerUrl) {
+    const stats = getChannelStats(videos);
+
+    renderHeader(container, {
+      icon: 'fa-user',
+      kind: 'Channel',
+      name,
+      stats: [
+        { label: stats.uploads === 1 ? 'Video' : 'Videos', value: stats.uploads.toLocaleString() },
+        { label: 'Total views', value: stats.totalViews.toLocaleString() },
+        { label: 'Total likes', value: stats.totalLikes.toLocaleString() },
+        { label: 'Uploads', value: formatUploadFrequency(stats.uploadsPerWeek) },
+        { label: 'Latest upload', value: formatDay(stats.lastUpload) }
+      ],
+      links: {
+        label: 'Most featured players',
+        items: stats.players.map(player => ({
+          name: player.name,
+          href: getPlayerUrl(player.name),
+          count: player.count
+        }))
+      }
+    });
+  }
+
+  // Export profile functions
+  window.replayHub.profileStats = {
+    hasPlayer,
+    hasUploader,
+    getPlayerStats,
+    getChannelStats,
+    formatWatchTime,
+    formatUploadFrequency,
+    renderHeader,
+    renderPlayerHeader,
+    renderChannelHeader
+  };
+
+  // Profile stats module ready
+})();
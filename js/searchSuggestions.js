@@ -0,0 +1,260 @@
+/**
+ * Search suggestions for Replay Hub
+ * Autocompletes the header search bar with video titles, uploaders and player names
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  const MAX_SUGGESTIONS = 8;
+  const INPUT_DELAY = 100;
+
+  // Suggestion kinds, the operator that restricts a search to them and how they are shown
+  const KINDS = {
+    title: { operator: null, icon: 'fa-film', label: 'Video' },
+    uploader: { operator: 'uploader', icon: 'fa-user', label: 'Uploader' },
+    player: { operator: 'player', icon: 'fa-gamepad', label: 'Player' }
+  };
+
+  /**
+   * Collect the distinct titles, uploaders and players of a set of videos
+   * @param {Array<Object>} videos - Video metadata
+   * @returns {Array<Object>} - { kind, value, normalized, words, count } entries
+   */
+  function buildIndex(videos) {
+    const { normalize, tokenize, toList } = window.replayHub.videoSearch;
+    const entries = new Map();
+
+    const add = (kind, value) => {
+      const text = String(value || '').trim();
+      if (!text) return;
+
+      const normalized = normalize(text);
+      const key = `${kind}:${normalized}`;
+      const entry = entries.get(key);
+      if (entry) {
+        entry.count++;
+      } else {
+        entries.set(key, { kind, value: text, normalized, words: tokenize(text), count: 1 });
+      }
+    };
+
+    videos.forEach(video => {
+      if (!video) return;
+      add('title', video.title);
+      add('uploader', video.uploader);
+      toList(video.players).forEach(player => add('player', player));
+    });
+
+    return Array.from(entries.values());
+  }
+
+  /**
+   * Find the entries matching what is being typed
+   * @param {Array<Object>} index - Result of buildIndex
+   * @param {string} text - Typed text, without any operator
+   * @param {string|null} kind - Only suggest this kind of entry
+   * @returns {Array<Object>} - Best entries first
+   */
+  function findSuggestions(index, text, kind) {
+    const { normalize, tokenize } = window.replayHub.videoSearch;
+    const typed = normalize(text).trim();
+    const typedWords = tokenize(text);
+    if (!typed && !kind) return [];
+
+    const scored = [];
+    index.forEach(entry => {
+      if (kind && entry.kind !== kind) return;
+
+      let score = 0;
+      if (!typed) {
+        score = 1;
+      } else if (entry.normalized.startsWith(typed)) {
+        score = 3;
+      } else if (typedWords.length > 0 && typedWords.every(word => entry.words.some(entryWord => entryWord.startsWith(word)))) {
+        score = 2;
+      }
+
+      if (score > 0 && entry.normalized !== typed) {
+        scored.push({ entry, score });
+      }
+    });
+
+    scored.sort((a, b) => b.score - a.score || b.entry.count - a.entry.count || a.entry.value.localeCompare(b.entry.value));
+    return scored.slice(0, MAX_SUGGESTIONS).map(({ entry }) => entry);
+  }
+
+  // Quote values with spaces so the search reads them as one phrase
+  function formatValue(value) {
+    return /\s/.test(value) ? `"${value}"` : value;
+  }
+
+  /**
+   * Add autocomplete suggestions to a search input
+   * @param {HTMLInputElement} input - The search input
+   * @param {Object} options - Suggestion options
+   * @param {Function} options.getVideos - Async function returning the videos to suggest from
+   * @param {Function} options.onSelect - Called with the completed query when a suggestion is picked
+   */
+  function attach(input, options) {
+    if (!window.replayHub.videoSearch || input.dataset.suggestionsAttached) return;
+    input.dataset.suggestionsAttached = 'true';
+
+    const list = document.createElement('ul');
+    list.className = 'search-suggestions';
+    list.id = `${input.id}-suggestions`;
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+    input.parentElement.appendChild(list);
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', list.id);
+    input.setAttribute('aria-expanded', 'false');
+    input.autocomplete = 'off';
+
+    let index = null;
+    let indexedVideos = null;
+    let indexedCount = 0;
+    let suggestions = [];
+    let activeIndex = -1;
+    let inputTimer = null;
+
+    // Rebuilt when more videos have been loaded since the last suggestions
+    async function getIndex() {
+      const videos = (await options.getVideos()) || [];
+      if (!index || videos !== indexedVideos || videos.length !== indexedCount) {
+        index = buildIndex(videos);
+        indexedVideos = videos;
+        indexedCount = videos.length;
+      }
+      return index;
+    }
+
+    // The word being typed, the text before it, and the suggestion kind its operator asks for
+    function getCurrentToken() {
+      const value = input.value;
+      const token = value.match(/\S*$/)[0];
+      const prefix = value.slice(0, value.length - token.length);
+      const operatorMatch = token.match(/^([a-z]+):"?(.*)$/i);
+      const kind = operatorMatch
+        ? Object.keys(KINDS).find(name => KINDS[name].operator === operatorMatch[1].toLowerCase()) || null
+        : null;
+
+      return { prefix, text: kind ? operatorMatch[2] : token.replace(/^-/, ''), kind };
+    }
+
+    function close() {
+      list.hidden = true;
+      list.innerHTML = '';
+      suggestions = [];
+      activeIndex = -1;
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+    }
+
+    function render() {
+      list.innerHTML = '';
+      suggestions.forEach((entry, i) => {
+        const kind = KINDS[entry.kind];
+        const item = document.createElement('li');
+        item.id = `${list.id}-${i}`;
+        item.className = `search-suggestion${i === activeIndex ? ' active' : ''}`;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', String(i === activeIndex));
+        item.innerHTML = `<i class="fas ${kind.icon}"></i><span class="search-suggestion-value"></span><span class="search-suggestion-kind">${kind.label}</span>`;
+        item.querySelector('.search-suggestion-value').textContent = entry.value;
+
+        // mousedown fires before the input loses focus
+        item.addEventListener('mousedown', (event) => {
+          event.preventDefault();
+          select(entry);
+        });
+        list.appendChild(item);
+      });
+
+      list.hidden = suggestions.length === 0;
+      input.setAttribute('aria-expanded', String(suggestions.length > 0));
+      if (activeIndex >= 0) {
+        input.setAttribute('aria-activedescendant', `${list.id}-${activeIndex}`);
+      } else {
+        input.removeAttribute('aria-activedescendant');
+      }
+    }
+
+    async function update() {
+      if (!input.value.trim()) {
+        close();
+        return;
+      }
+
+      const token = getCurrentToken();
+      const entries = await getIndex();
+      // The input may have lost focus while the videos were loading
+      if (document.activeElement !== input) return;
+      let found;
+
+      if (token.kind) {
+        found = findSuggestions(entries, token.text, token.kind);
+      } else {
+        // Titles are matched against the whole query, names against the word being typed
+        const titles = findSuggestions(entries, input.value, 'title').slice(0, MAX_SUGGESTIONS / 2);
+        const names = token.text
+          ? [...findSuggestions(entries, token.text, 'uploader'), ...findSuggestions(entries, token.text, 'player')]
+          : [];
+        found = [...titles, ...names].slice(0, MAX_SUGGESTIONS);
+      }
+
+      suggestions = found;
+      activeIndex = -1;
+      render();
+    }
+
+    function select(entry) {
+      const token = getCurrentToken();
+
+      // A title replaces the query, a name replaces the word being typed
+      const query = entry.kind === 'title'
+        ? `title:${formatValue(entry.value)}`
+        : `${token.prefix}${KINDS[entry.kind].operator}:${formatValue(entry.value)}`;
+
+      input.value = query;
+      close();
+      options.onSelect(query);
+    }
+
+    input.addEventListener('input', () => {
+      clearTimeout(inputTimer);
+      inputTimer = setTimeout(update, INPUT_DELAY);
+    });
+
+    input.addEventListener('keydown', (event) => {
+      if (list.hidden) return;
+
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        activeIndex = (activeIndex + step + suggestions.length + 1) % (suggestions.length + 1);
+        if (activeIndex === suggestions.length) activeIndex = -1;
+        render();
+      } else if (event.key === 'Enter' && activeIndex >= 0) {
+        // Picking a suggestion replaces the plain submit
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        select(suggestions[activeIndex]);
+      } else if (event.key === 'Enter' || event.key === 'Escape') {
+        close();
+      }
+    });
+
+    input.addEventListener('blur', close);
+  }
+
+  // Export search suggestion functions
+  window.replayHub.searchSuggestions = {
+    attach
+  };
+
+  // Search suggestions module ready
+})();
@@ -0,0 +1,239 @@
+/**
+ * Thumbnail picker for Replay Hub
+ * Offers frames captured from a video as thumbnail candidates, next to an image of the user's own
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  // Where candidate frames are taken from, as fractions of the video's duration
+  const CANDIDATE_POSITIONS = [0.1, 0.25, 0.5, 0.75, 0.9];
+
+  // Captured frames are scaled down so their longest side fits this size
+  const MAX_FRAME_SIZE = 1280;
+
+  // Limits for images uploaded as a thumbnail
+  const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+  const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+  function formatTime(seconds) {
+    const total = Math.floor(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Load a video far enough to seek in it
+   * @param {string} url - Object URL or remote URL of the video
+   * @returns {Promise<HTMLVideoElement>} - The loaded video element
+   */
+  function loadVideo(url) {
+    return new Promise((resolve, reject) => {
+      const video = document.createElement('video');
+      // Remote videos must allow CORS, otherwise the canvas can't be read back
+      video.crossOrigin = 'anonymous';
+      video.muted = true;
+      video.playsInline = true;
+      video.preload = 'auto';
+
+      video.addEventListener('loadeddata', () => resolve(video), { once: true });
+      video.addEventListener('error', () => reject(new Error('Video could not be loaded')), { once: true });
+      video.src = url;
+    });
+  }
+
+  function seek(video, time) {
+    return new Promise(resolve => {
+      video.addEventListener('seeked', resolve, { once: true });
+      video.currentTime = time;
+    });
+  }
+
+  /**
+   * Create a thumbnail picker for a video
+   * @param {HTMLElement} container - Element the picker is rendered into
+   * @param {File|string} source - The video file, or the URL of an uploaded video
+   * @param {Object} [options] - Picker options
+   * @param {boolean} [options.allowAuto] - Offer leaving the choice to the server (default true)
+   * @param {Function} [options.onChange] - Called when the selection changes
+   * @returns {Object} - { getThumbnail(), getSelectionType(), destroy() }
+   */
+  function create(container, source, options = {}) {
+    const allowAuto = options.allowAuto !== false;
+    const url = typeof source === 'string' ? source : URL.createObjectURL(source);
+    let selected = allowAuto ? { type: 'auto' } : null;
+    let customImageUrl = null;
+    let video = null;
+    let destroyed = false;
+
+    container.innerHTML = `
+      <div class="thumbnail-picker">
+        <div class="thumbnail-options">
+          ${allowAuto ? `
+            <button type="button" class="thumbnail-option thumbnail-auto selected" title="Let Replay Hub pick a frame">
+              <i class="fas fa-magic"></i>
+              <span>Automatic</span>
+            </button>
+          ` : ''}
+          ${CANDIDATE_POSITIONS.map(() => `
+            <button type="button" class="thumbnail-option thumbnail-frame loading" disabled>
+              <canvas></canvas>
+              <span class="thumbnail-time"></span>
+            </button>
+          `).join('')}
+          <label class="thumbnail-option thumbnail-custom" title="Upload your own image">
+            <input type="file" accept="${IMAGE_TYPES.join(',')}" hidden>
+            <i class="fas fa-image"></i>
+            <span>Upload image</span>
+          </label>
+        </div>
+        <p class="thumbnail-status"></p>
+      </div>
+    `;
+
+    const autoOption = container.querySelector('.thumbnail-auto');
+    const frameOptions = Array.from(container.querySelectorAll('.thumbnail-frame'));
+    const customOption = container.querySelector('.thumbnail-custom');
+    const imageInput = customOption.querySelector('input');
+    const status = container.querySelector('.thumbnail-status');
+
+    function select(choice, element) {
+      selected = choice;
+      container.querySelectorAll('.thumbnail-option').forEach(option => {
+        option.classList.toggle('selected', option === element);
+      });
+      if (options.onChange) options.onChange(choice);
+    }
+
+    if (autoOption) {
+      autoOption.addEventListener('click', () => select({ type: 'auto' }, autoOption));
+    }
+
+    frameOptions.forEach(option => {
+      option.addEventListener('click', () => {
+        select({ type: 'frame', canvas: option.querySelector('canvas') }, option);
+      });
+    });
+
+    imageInput.addEventListener('change', () => {
+      const file = imageInput.files[0];
+      imageInput.value = '';
+      if (!file) return;
+
+      if (!IMAGE_TYPES.includes(file.type)) {
+        status.textContent = 'Thumbnails must be JPEG, PNG or WebP images.';
+        return;
+      }
+      if (file.size > MAX_IMAGE_SIZE) {
+        status.textContent = 'Thumbnail images can be at most 5 MB.';
+        return;
+      }
+
+      // Show the image in place of the upload icon
+      if (customImageUrl) URL.revokeObjectURL(customImageUrl);
+      customImageUrl = URL.createObjectURL(file);
+      customOption.querySelectorAll('i, img').forEach(element => element.remove());
+      const preview = document.createElement('img');
+      preview.src = customImageUrl;
+      preview.alt = 'Custom thumbnail';
+      customOption.insertBefore(preview, customOption.querySelector('span'));
+      customOption.querySelector('span').textContent = file.name;
+
+      status.textContent = '';
+      select({ type: 'image', file }, customOption);
+    });
+
+    async function captureCandidates() {
+      try {
+        video = await loadVideo(url);
+        if (destroyed) return;
+
+        const duration = video.duration;
+        const scale = Math.min(1, MAX_FRAME_SIZE / Math.max(video.videoWidth, video.videoHeight));
+        const width = Math.round(video.videoWidth * scale);
+        const height = Math.round(video.videoHeight * scale);
+
+        for (let i = 0; i < frameOptions.length; i++) {
+          const time = CANDIDATE_POSITIONS[i] * duration;
+          await seek(video, time);
+          if (destroyed) return;
+
+          const option = frameOptions[i];
+          const canvas = option.querySelector('canvas');
+          canvas.width = width;
+          canvas.height = height;
+          const context = canvas.getContext('2d');
+          context.drawImage(video, 0, 0, width, height);
+
+          // Reading a pixel throws if the video's server doesn't allow cross-origin use
+          context.getImageData(0, 0, 1, 1);
+
+          option.querySelector('.thumbnail-time').textContent = formatTime(time);
+          option.classList.remove('loading');
+          option.disabled = false;
+        }
+      } catch (error) {
+        if (destroyed) return;
+        console.warn('Could not capture thumbnail frames:', error);
+        frameOptions.forEach(option => option.remove());
+        status.textContent = 'Frames could not be taken from this video, but you can upload an image.';
+      } finally {
+        releaseVideo();
+      }
+    }
+
+    function releaseVideo() {
+      if (!video) return;
+      video.removeAttribute('src');
+      video.load();
+      video = null;
+    }
+
+    /**
+     * Get the selected thumbnail as an image file
+     * @returns {Promise<File|null>} - The image, or null when the server should pick one
+     */
+    function getThumbnail() {
+      if (!selected || selected.type === 'auto') return Promise.resolve(null);
+      if (selected.type === 'image') return Promise.resolve(selected.file);
+
+      const canvas = selected.canvas;
+      return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+          if (!blob) {
+            reject(new Error('Could not create the thumbnail image'));
+            return;
+          }
+          resolve(new File([blob], 'thumbnail.jpg', { type: 'image/jpeg' }));
+        }, 'image/jpeg', 0.9);
+      });
+    }
+
+    /**
+     * Get what kind of thumbnail is selected
+     * @returns {string|null} - 'auto', 'frame' or 'image', or null when nothing is selected
+     */
+    function getSelectionType() {
+      return selected ? selected.type : null;
+    }
+
+    function destroy() {
+      destroyed = true;
+      releaseVideo();
+      if (typeof source !== 'string') URL.revokeObjectURL(url);
+      if (customImageUrl) URL.revokeObjectURL(customImageUrl);
+      container.innerHTML = '';
+    }
+
+    captureCandidates();
+
+    return { getThumbnail, getSelectionType, destroy };
+  }
+
+  // Export thumbnail picker functions
+  window.replayHub.thumbnailPicker = {
+    create
+  };
+
+  // Thumbnail picker module ready
+})();
@@ -0,0 +1,398 @@
+/**
+ * Trim editor for Replay Hub uploads
+ * Preview player with in/out handles, a thumbnail timeline and frame stepping for picking clip ranges
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  const THUMBNAIL_COUNT = 10;
+  const THUMBNAIL_HEIGHT = 48;
+  const HOVER_FRAME_WIDTH = 160;
+  const DEFAULT_CLIP_LENGTH = 30; // Seconds
+
+  /**
+   * Format seconds as m:ss.mmm
+   * @param {number} seconds - Time in seconds
+   * @returns {string} - Formatted time
+   */
+  function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(3).padStart(6, '0');
+    return `${minutes}:${rest}`;
+  }
+
+  /**
+   * Grab frames from a hidden video element; seeks run one at a time
+   * @param {string} url - Object URL of the video
+   * @returns {Object} - { grab(time, canvas), destroy() }
+   */
+  function createFrameGrabber(url) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    video.src = url;
+
+    let queue = new Promise(resolve => {
+      if (video.readyState >= 1) resolve();
+      else video.addEventListener('loadeddata', resolve, { once: true });
+    });
+
+    function seek(time) {
+      return new Promise(resolve => {
+        video.addEventListener('seeked', resolve, { once: true });
+        video.currentTime = time;
+      });
+    }
+
+    function grab(time, canvas) {
+      queue = queue.then(async () => {
+        await seek(time);
+        const width = canvas.width;
+        const height = canvas.height;
+        canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+      }).catch(error => console.warn('Could not grab frame:', error));
+      return queue;
+    }
+
+    function destroy() {
+      video.removeAttribute('src');
+      video.load();
+    }
+
+    return { grab, destroy };
+  }
+
+  /**
+   * Create a trim editor for a video file
+   * @param {HTMLElement} container - Element the editor is rendered into
+   * @param {File} file - The video file
+   * @param {Object} [options] - Editor options
+   * @param {number} [options.frameRate] - Frame rate used for frame stepping and snapping (default 30)
+   * @returns {Object} - { getClips(), destroy() }
+   */
+  function create(container, file, options = {}) {
+    const frameRate = options.frameRate || 30;
+    const frameDuration = 1 / frameRate;
+    const url = URL.createObjectURL(file);
+    const clips = [];
+    let activeIndex = 0;
+    let duration = 0;
+    let stopAt = null;
+
+    container.innerHTML = `
+      <div class="trim-editor">
+        <video class="trim-preview" muted playsinline preload="auto"></video>
+        <div class="trim-timeline">
+          <div class="trim-thumbnails"></div>
+          <div class="trim-clip-markers"></div>
+          <div class="trim-range"></div>
+          <div class="trim-handle trim-handle-in" title="Drag to set the start"></div>
+          <div class="trim-handle trim-handle-out" title="Drag to set the end"></div>
+          <div class="trim-playhead"></div>
+          <div class="trim-hover">
+            <canvas class="trim-hover-frame"></canvas>
+            <span class="trim-hover-time"></span>
+          </div>
+        </div>
+        <div class="trim-controls">
+          <button type="button" class="btn btn-secondary" data-action="step-back" title="Previous frame"><i class="fas fa-step-backward"></i></button>
+          <button type="button" class="btn btn-secondary" data-action="play" title="Play clip"><i class="fas fa-play"></i></button>
+          <button type="button" class="btn btn-secondary" data-action="step-forward" title="Next frame"><i class="fas fa-step-forward"></i></button>
+          <span class="trim-current-time">0:00.000</span>
+          <button type="button" class="btn btn-secondary" data-action="set-in">Set start</button>
+          <button type="button" class="btn btn-secondary" data-action="set-out">Set end</button>
+          <button type="button" class="btn btn-secondary" data-action="add-clip"><i class="fas fa-plus"></i> Add clip</button>
+        </div>
+        <div class="trim-clip-list"></div>
+      </div>
+    `;
+
+    const preview = container.querySelector('.trim-preview');
+    const timeline = container.querySelector('.trim-timeline');
+    const thumbnails = container.querySelector('.trim-thumbnails');
+    const markers = container.querySelector('.trim-clip-markers');
+    const range = container.querySelector('.trim-range');
+    const inHandle = container.querySelector('.trim-handle-in');
+    const outHandle = container.querySelector('.trim-handle-out');
+    const playhead = container.querySelector('.trim-playhead');
+    const hover = container.querySelector('.trim-hover');
+    const hoverFrame = container.querySelector('.trim-hover-frame');
+    const hoverTime = container.querySelector('.trim-hover-time');
+    const currentTimeLabel = container.querySelector('.trim-current-time');
+    const playButton = container.querySelector('[data-action="play"]');
+    const clipList = container.querySelector('.trim-clip-list');
+
+    const grabber = createFrameGrabber(url);
+    let hoverPending = null;
+    let hoverBusy = false;
+
+    preview.src = url;
+
+    function snap(time) {
+      return Math.min(duration, Math.max(0, Math.round(time * frameRate) / frameRate));
+    }
+
+    function timeToPercent(time) {
+      return duration > 0 ? (time / duration) * 100 : 0;
+    }
+
+    function positionToTime(clientX) {
+      const rect = timeline.getBoundingClientRect();
+      const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+      return snap(fraction * duration);
+    }
+
+    function seek(time) {
+      preview.currentTime = snap(time);
+    }
+
+    function render() {
+      const clip = clips[activeIndex];
+      if (!clip) return;
+
+      range.style.left = `${timeToPercent(clip.start)}%`;
+      range.style.width = `${timeToPercent(clip.end - clip.start)}%`;
+      inHandle.style.left = `${timeToPercent(clip.start)}%`;
+      outHandle.style.left = `${timeToPercent(clip.end)}%`;
+
+      markers.innerHTML = '';
+      clips.forEach((other, index) => {
+        if (index === activeIndex) return;
+        const marker = document.createElement('div');
+        marker.className = 'trim-clip-marker';
+        marker.style.left = `${timeToPercent(other.start)}%`;
+        marker.style.width = `${timeToPercent(other.end - other.start)}%`;
+        markers.appendChild(marker);
+      });
+
+      renderClipList();
+    }
+
+    function renderClipList() {
+      clipList.innerHTML = '';
+
+      clips.forEach((clip, index) => {
+        const row = document.createElement('div');
+        row.className = `trim-clip${index === activeIndex ? ' active' : ''}`;
+        row.innerHTML = `
+          <button type="button" class="trim-clip-select"></button>
+          <button type="button" class="trim-clip-remove" title="Remove clip"><i class="fas fa-times"></i></button>
+        `;
+
+        const select = row.querySelector('.trim-clip-select');
+        select.textContent = `Clip ${index + 1}: ${formatTime(clip.start)} - ${formatTime(clip.end)} (${(clip.end - clip.start).toFixed(1)}s)`;
+        select.addEventListener('click', () => {
+          activeIndex = index;
+          seek(clip.start);
+          render();
+        });
+
+        const remove = row.querySelector('.trim-clip-remove');
+        remove.disabled = clips.length === 1;
+        remove.addEventListener('click', () => {
+          clips.splice(index, 1);
+          activeIndex = Math.min(activeIndex, clips.length - 1);
+          render();
+        });
+
+        clipList.appendChild(row);
+      });
+    }
+
+    function updatePlayhead() {
+      playhead.style.left = `${timeToPercent(preview.currentTime)}%`;
+      currentTimeLabel.textContent = formatTime(preview.currentTime);
+
+      // Playing a clip stops at its end
+      if (stopAt !== null && preview.currentTime >= stopAt) {
+        preview.pause();
+        stopAt = null;
+      }
+    }
+
+    async function generateThumbnails() {
+      const aspect = preview.videoWidth && preview.videoHeight ? preview.videoWidth / preview.videoHeight : 16 / 9;
+
+      for (let i = 0; i < THUMBNAIL_COUNT; i++) {
+        const canvas = document.createElement('canvas');
+        canvas.height = THUMBNAIL_HEIGHT;
+        canvas.width = Math.round(THUMBNAIL_HEIGHT * aspect);
+        thumbnails.appendChild(canvas);
+      }
+
+      // Sample the middle of each slot
+      const canvases = Array.from(thumbnails.children);
+      for (let i = 0; i < canvases.length; i++) {
+        await grabber.grab(((i + 0.5) / canvases.length) * duration, canvases[i]);
+      }
+    }
+
+    // Hover over the timeline shows the exact frame under the pointer
+    async function showHoverFrame(time) {
+      hoverPending = time;
+      if (hoverBusy) return;
+
+      hoverBusy = true;
+      while (hoverPending !== null) {
+        const next = hoverPending;
+        hoverPending = null;
+        await grabber.grab(next, hoverFrame);
+      }
+      hoverBusy = false;
+    }
+
+    function handleHover(event) {
+      const time = positionToTime(event.clientX);
+      const rect = timeline.getBoundingClientRect();
+      const x = Math.min(rect.width - HOVER_FRAME_WIDTH / 2, Math.max(HOVER_FRAME_WIDTH / 2, event.clientX - rect.left));
+
+      hover.style.display = 'block';
+      hover.style.left = `${x}px`;
+      hoverTime.textContent = formatTime(time);
+      showHoverFrame(time);
+    }
+
+    // Dragging a handle moves the active clip's start or end, snapped to frames
+    function bindHandle(handle, edge) {
+      handle.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        handle.setPointerCapture(event.pointerId);
+        preview.pause();
+
+        const move = (moveEvent) => {
+          const clip = clips[activeIndex];
+          const time = positionToTime(moveEvent.clientX);
+
+          if (edge === 'start') {
+            clip.start = Math.min(time, clip.end - frameDuration);
+            seek(clip.start);
+          } else {
+            clip.end = Math.max(time, clip.start + frameDuration);
+            seek(clip.end);
+          }
+          render();
+        };
+
+        const release = () => {
+          handle.removeEventListener('pointermove', move);
+          handle.removeEventListener('pointerup', release);
+          handle.removeEventListener('pointercancel', release);
+        };
+
+        handle.addEventListener('pointermove', move);
+        handle.addEventListener('pointerup', release);
+        handle.addEventListener('pointercancel', release);
+      });
+    }
+
+    bindHandle(inHandle, 'start');
+    bindHandle(outHandle, 'end');
+
+    timeline.addEventListener('pointermove', handleHover);
+    timeline.addEventListener('pointerleave', () => {
+      hover.style.display = 'none';
+    });
+    timeline.addEventListener('click', (event) => {
+      preview.pause();
+      seek(positionToTime(event.clientX));
+    });
+
+    container.querySelector('.trim-controls').addEventListener('click', (event) => {
+      const button = event.target.closest('[data-action]');
+      if (!button || duration === 0) return;
+
+      const clip = clips[activeIndex];
+      const current = snap(preview.currentTime);
+
+      switch (button.getAttribute('data-action')) {
+        case 'step-back':
+          preview.pause();
+          seek(current - frameDuration);
+          break;
+        case 'step-forward':
+          preview.pause();
+          seek(current + frameDuration);
+          break;
+        case 'play':
+          if (!preview.paused) {
+            preview.pause();
+            break;
+          }
+          if (current < clip.start || current >= clip.end) seek(clip.start);
+          stopAt = clip.end;
+          preview.play();
+          break;
+        case 'set-in':
+          clip.start = Math.min(current, clip.end - frameDuration);
+          break;
+        case 'set-out':
+          clip.end = Math.max(current, clip.start + frameDuration);
+          break;
+        case 'add-clip': {
+          const start = Math.min(current, duration - frameDuration);
+          clips.push({ start, end: snap(Math.min(duration, start + DEFAULT_CLIP_LENGTH)) });
+          activeIndex = clips.length - 1;
+          break;
+        }
+      }
+
+      render();
+    });
+
+    preview.addEventListener('timeupdate', updatePlayhead);
+    preview.addEventListener('seeked', updatePlayhead);
+    preview.addEventListener('play', () => {
+      playButton.innerHTML = '<i class="fas fa-pause"></i>';
+    });
+    preview.addEventListener('pause', () => {
+      playButton.innerHTML = '<i class="fas fa-play"></i>';
+      stopAt = null;
+    });
+
+    preview.addEventListener('loadedmetadata', () => {
+      duration = preview.duration;
+      hoverFrame.width = HOVER_FRAME_WIDTH;
+      hoverFrame.height = Math.round(HOVER_FRAME_WIDTH * (preview.videoHeight / preview.videoWidth || 9 / 16));
+      clips.push({ start: 0, end: duration });
+      render();
+      generateThumbnails();
+    }, { once: true });
+
+    preview.addEventListener('error', () => {
+      container.innerHTML = '<p class="trim-error">This browser can\'t preview this video, so it can\'t be trimmed here.</p>';
+    }, { once: true });
+
+    return {
+      /**
+       * Get the selected clip ranges
+       * @returns {Array} - [{ start, end }] in seconds, or an empty array when the whole video is kept
+       */
+      getClips() {
+        const wholeVideo = clips.length === 1 &&
+          clips[0].start < frameDuration &&
+          clips[0].end > duration - frameDuration;
+        return wholeVideo ? [] : clips.map(clip => ({ ...clip }));
+      },
+
+      destroy() {
+        preview.pause();
+        preview.removeAttribute('src');
+        preview.load();
+        grabber.destroy();
+        URL.revokeObjectURL(url);
+        container.innerHTML = '';
+      }
+    };
+  }
+
+  // Export trim editor functions
+  window.replayHub.trimEditor = {
+    create,
+    formatTime
+  };
+
+  // Trim editor module ready
+})();
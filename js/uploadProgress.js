@@ -79,9 +79,27 @@ class UploadProgressTracker {
         this.showElement('conversion-progress');
         this.updateElement('conversion-status', 'Converting video to H.265...');
         this.updateElement('overall-status', 'Converting video...');
+        this.updateElement('conversion-time-remaining', '--:--');
         
-        // Start conversion progress updates
-        this.startConversionProgress();
+        this.updateConversionProgress(0);
+    }
+    
+    /**
+     * Mark the conversion phase as finished
+     */
+    finishConversion() {
+        this.updateConversionProgress(100);
+        this.updateElement('conversion-status', 'Conversion complete!');
+        this.updateElement('overall-status', 'Conversion finished, starting upload...');
+    }
+    
+    /**
+     * Mark the conversion phase as cancelled by the user
+     */
+    cancelConversion() {
+        this.phase = 'idle';
+        this.updateElement('conversion-status', 'Conversion cancelled');
+        this.updateElement('overall-status', 'Conversion cancelled');
     }
     
     /**
@@ -104,6 +122,8 @@ class UploadProgressTracker {
     
     /**
      * Update conversion progress
+     * @param {number} progress - Percentage converted (0-100)
+     * @param {number} [estimatedTimeRemaining] - Milliseconds left; estimated from the rate so far if omitted
      */
     updateConversionProgress(progress, estimatedTimeRemaining = null) {
         this.conversionProgress = Math.min(100, Math.max(0, progress));
@@ -116,6 +136,10 @@ class UploadProgressTracker {
         const elapsed = Date.now() - this.conversionStartTime;
         this.updateElement('conversion-time-elapsed', this.formatTime(elapsed));
         
+        if (estimatedTimeRemaining === null && this.conversionProgress > 0) {
+            estimatedTimeRemaining = elapsed / this.conversionProgress * (100 - this.conversionProgress);
+        }
+        
         if (estimatedTimeRemaining) {
             this.updateElement('conversion-time-remaining', this.formatTime(estimatedTimeRemaining));
         }
@@ -241,30 +265,6 @@ class UploadProgressTracker {
         this.hideElement('upload-progress');
     }
     
-    /**
-     * Simulate conversion progress (for testing)
-     */
-    startConversionProgress() {
-        let progress = 0;
-        const interval = setInterval(() => {
-            progress += Math.random() * 15; // Random progress increment
-            
-            if (progress >= 100) {
-                progress = 100;
-                clearInterval(interval);
-                this.updateElement('conversion-status', 'Conversion complete!');
-                this.updateElement('overall-status', 'Conversion finished, starting upload...');
-                
-                // Simulate conversion completion delay
-                setTimeout(() => {
-                    this.startUploadPhase();
-                }, 1000);
-            }
-            
-            this.updateConversionProgress(progress);
-        }, 200);
-    }
-    
     /**
      * Utility methods
      */
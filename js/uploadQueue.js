@@ -0,0 +1,726 @@
+/**
+ * Background upload queue for Replay Hub
+ * Owns upload jobs independently of the upload modal: jobs (and their files) are stored in
+ * IndexedDB, processed one at a time by a single tab, and shown in a dock on every page.
+ * Navigating away stops the in-flight request, but the next page picks the job up again and
+ * chunked uploads continue from their last acknowledged chunk.
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  const JOB_STORE = 'jobs';
+  // Queued files live in the uploads database's file store (shared with uploadSessions.js),
+  // so status and progress updates don't rewrite them
+  const FILE_STORE = 'files';
+  // Share of the free storage a queued file may take; larger files stay in this page's memory
+  const STORAGE_FILE_SHARE = 0.8;
+  const CHANNEL_NAME = 'replay-hub-upload-queue';
+  const LOCK_NAME = 'replay-hub-upload-queue';
+  const DOCK_COLLAPSED_KEY = 'replay_hub_upload_dock_collapsed';
+
+  // Job states
+  const STATUS = {
+    QUEUED: 'queued',
+    UPLOADING: 'uploading',
+    PAUSED: 'paused',
+    FAILED: 'failed',
+    COMPLETED: 'completed'
+  };
+
+  let jobs = [];
+  let persistent = null; // Whether IndexedDB can be opened; without it jobs only live in the jobs array
+  let initialized = false;
+  let processing = false;
+  let activeJob = null; // { id, controller } of the job this tab is uploading
+  let channel = null;
+  let dock = null;
+
+  // Files that could not be stored only live as long as this page
+  const memoryFiles = new Map();
+  // Live progress, kept out of IndexedDB to avoid a write per progress event
+  const liveProgress = new Map();
+
+  let handlers = {
+    upload: null,
+    prepare: null,
+    onJobComplete: null
+  };
+
+  /**
+   * Whether jobs can be stored in IndexedDB. Without it the queue still runs, but its jobs
+   * only live in this page.
+   * @returns {Promise<boolean>}
+   */
+  async function isPersistent() {
+    if (persistent === null) {
+      try {
+        await window.replayHub.uploadSessions.openDatabase();
+        persistent = true;
+      } catch (error) {
+        console.warn('Upload queue is not persistent in this browser:', error);
+        persistent = false;
+      }
+    }
+    return persistent;
+  }
+
+  /**
+   * Run a single request against the job store
+   * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+   * @param {Function} callback - Receives the object store and returns an IDBRequest
+   * @param {string} [storeName] - Object store to use, the job store by default
+   * @returns {Promise<any>} - The request result
+   */
+  async function withJobStore(mode, callback, storeName = JOB_STORE) {
+    const db = await window.replayHub.uploadSessions.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Reload the job list from IndexedDB
+   * @returns {Promise<Array>} - Jobs in queue order
+   */
+  async function loadJobs() {
+    if (!(await isPersistent())) return jobs;
+
+    try {
+      const stored = await withJobStore('readonly', store => store.getAll()) || [];
+      jobs = stored.sort((a, b) => a.order - b.order);
+    } catch (error) {
+      console.warn('Could not load upload queue:', error);
+    }
+    return jobs;
+  }
+
+  async function getJob(id) {
+    if (!(await isPersistent())) {
+      return jobs.find(job => job.id === id) || null;
+    }
+
+    try {
+      return await withJobStore('readonly', store => store.get(id)) || null;
+    } catch (error) {
+      return jobs.find(job => job.id === id) || null;
+    }
+  }
+
+  /**
+   * Write a job. A file given with it is stored on its own, or kept in this page's memory
+   * when it can't be stored.
+   * @param {Object} job - The job record, with a file when it is new or changed
+   */
+  async function putJob(job) {
+    const { file, ...record } = job;
+
+    if (!(await isPersistent())) {
+      if (file) memoryFiles.set(job.id, file);
+      jobs = [...jobs.filter(item => item.id !== job.id), record].sort((a, b) => a.order - b.order);
+      return;
+    }
+
+    if (file) {
+      const stored = await storeJobFile(job.id, file);
+      if (stored) {
+        memoryFiles.delete(job.id);
+      } else {
+        memoryFiles.set(job.id, file);
+        // A file stored earlier (e.g. before conversion) is no longer the job's
+        if (job.fileStored) await removeStoredFile(job.id);
+      }
+      record.fileStored = stored;
+      record.fileInMemory = !stored;
+    }
+
+    await withJobStore('readwrite', store => store.put(record));
+  }
+
+  function getFileKey(id) {
+    return `job:${id}`;
+  }
+
+  /**
+   * Check the free storage before writing a file, rather than finding out from a failed multi-GB write
+   * @param {number} size - File size in bytes
+   * @returns {Promise<boolean>} - Whether the file should fit
+   */
+  async function hasRoomFor(size) {
+    if (!navigator.storage || !navigator.storage.estimate) return true;
+
+    try {
+      const { quota, usage } = await navigator.storage.estimate();
+      return !quota || size <= (quota - (usage || 0)) * STORAGE_FILE_SHARE;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Store a job's file so the job survives navigation
+   * @returns {Promise<boolean>} - Whether the file was stored
+   */
+  async function storeJobFile(id, file) {
+    if (!(await hasRoomFor(file.size))) {
+      console.warn(`Not enough storage to keep "${file.name}" for background upload, keeping it in memory`);
+      return false;
+    }
+
+    try {
+      await withJobStore('readwrite', store => store.put({ fingerprint: getFileKey(id), file }), FILE_STORE);
+      return true;
+    } catch (error) {
+      console.warn(`Could not store "${file.name}" for background upload, keeping it in memory:`, error);
+      return false;
+    }
+  }
+
+  async function removeStoredFile(id) {
+    try {
+      await withJobStore('readwrite', store => store.delete(getFileKey(id)), FILE_STORE);
+    } catch (error) {
+      console.warn('Could not remove upload file:', error);
+    }
+  }
+
+  /**
+   * Forget a job's file, e.g. once the server has it
+   */
+  async function dropJobFile(id) {
+    memoryFiles.delete(id);
+    if (await isPersistent()) await removeStoredFile(id);
+  }
+
+  /**
+   * Apply changes to a stored job and notify other tabs
+   * @param {string} id - Job ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} - The updated job
+   */
+  async function updateJob(id, changes) {
+    const job = await getJob(id);
+    if (!job) return null;
+
+    const updated = { ...job, ...changes, updatedAt: Date.now() };
+    await putJob(updated);
+    await refresh();
+    return updated;
+  }
+
+  async function deleteJob(id) {
+    liveProgress.delete(id);
+    await dropJobFile(id);
+
+    if (!persistent) {
+      jobs = jobs.filter(job => job.id !== id);
+      return;
+    }
+
+    try {
+      await withJobStore('readwrite', store => store.delete(id));
+    } catch (error) {
+      console.warn('Could not remove upload job:', error);
+    }
+  }
+
+  function hasJobFile(job) {
+    return memoryFiles.has(job.id) || Boolean(job.file) || Boolean(job.fileStored);
+  }
+
+  /**
+   * Get the file of a job from memory or storage
+   * @returns {Promise<File|null>} - The file, or null if it is gone
+   */
+  async function getJobFile(job) {
+    if (memoryFiles.has(job.id)) return memoryFiles.get(job.id);
+    // Jobs queued before files were stored on their own carry the file in the record
+    if (job.file) return job.file;
+    if (!job.fileStored) return null;
+
+    try {
+      const record = await withJobStore('readonly', store => store.get(getFileKey(job.id)), FILE_STORE);
+      return record ? record.file : null;
+    } catch (error) {
+      console.warn('Could not read upload file:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Reload jobs, re-render the dock and tell other tabs something changed
+   */
+  async function refresh(broadcast = true) {
+    await loadJobs();
+    renderDock();
+    if (broadcast && channel) {
+      channel.postMessage({ type: 'changed' });
+    }
+  }
+
+  /**
+   * Add a file to the end of the queue
+   * @param {File} file - The video file
+   * @param {Object} fields - Form fields sent with the upload (title, description, uploader, players...)
+   * @param {Object} [options] - Extra job options (e.g. conversion settings for the prepare step)
+   * @returns {Promise<Object>} - The queued job
+   */
+  async function enqueue(file, fields, options = {}) {
+    await loadJobs();
+
+    const job = {
+      id: `job_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`,
+      file,
+      fileName: file.name,
+      fileSize: file.size,
+      fields,
+      options,
+      status: STATUS.QUEUED,
+      prepared: false,
+      progress: 0,
+      error: null,
+      order: jobs.length > 0 ? jobs[jobs.length - 1].order + 1 : 0,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    await putJob(job);
+    await refresh();
+    processQueue();
+    return job;
+  }
+
+  /**
+   * Pause a queued or uploading job. Chunked uploads continue from their last chunk on resume.
+   */
+  async function pauseJob(id) {
+    await updateJob(id, { status: STATUS.PAUSED });
+    abortIfActive(id);
+  }
+
+  /**
+   * Put a paused or failed job back in the queue
+   */
+  async function resumeJob(id) {
+    await updateJob(id, { status: STATUS.QUEUED, error: null });
+    processQueue();
+  }
+
+  /**
+   * Remove a job and forget its partial upload
+   */
+  async function cancelJob(id) {
+    const job = await getJob(id);
+    if (!job) return;
+
+    const file = await getJobFile(job);
+    abortIfActive(id);
+    await deleteJob(id);
+
+    const uploadSessions = window.replayHub.uploadSessions;
+    if (file && uploadSessions) {
+      await uploadSessions.deleteSession(uploadSessions.getFileFingerprint(file));
+    }
+
+    await refresh();
+  }
+
+  /**
+   * Move a waiting job up (-1) or down (+1) among the other waiting jobs
+   */
+  async function moveJob(id, direction) {
+    await loadJobs();
+
+    const waiting = jobs.filter(job => job.status === STATUS.QUEUED || job.status === STATUS.PAUSED);
+    const index = waiting.findIndex(job => job.id === id);
+    const target = waiting[index + direction];
+    if (index === -1 || !target) return;
+
+    const job = waiting[index];
+    const order = job.order;
+    await updateJob(job.id, { order: target.order });
+    await updateJob(target.id, { order });
+  }
+
+  /**
+   * Drop finished and failed jobs from the dock
+   */
+  async function clearFinished() {
+    await loadJobs();
+    const finished = jobs.filter(job => job.status === STATUS.COMPLETED || job.status === STATUS.FAILED);
+    for (const job of finished) {
+      await deleteJob(job.id);
+    }
+    await refresh();
+  }
+
+  function abortIfActive(id) {
+    if (activeJob && activeJob.id === id) {
+      activeJob.controller.abort();
+    }
+  }
+
+  /**
+   * Process queued jobs. Only one tab uploads at a time; the others just mirror the dock
+   * and take over (via the Web Lock) if that tab is closed.
+   */
+  async function processQueue() {
+    if (processing || !handlers.upload) return;
+    processing = true;
+
+    try {
+      if (navigator.locks) {
+        await navigator.locks.request(LOCK_NAME, drainQueue);
+      } else {
+        await drainQueue();
+      }
+    } catch (error) {
+      console.error('Upload queue stopped:', error);
+    } finally {
+      processing = false;
+    }
+  }
+
+  async function drainQueue() {
+    while (true) {
+      await loadJobs();
+
+      // A job left in 'uploading' was interrupted by navigation - pick it up again first
+      const next = jobs.find(job => job.status === STATUS.UPLOADING && hasJobFile(job)) ||
+        jobs.find(job => job.status === STATUS.QUEUED && hasJobFile(job));
+
+      if (!next) {
+        renderDock();
+        return;
+      }
+
+      await runJob(next);
+    }
+  }
+
+  /**
+   * Prepare (e.g. convert) and upload a single job
+   * @param {Object} job - The job to run
+   */
+  async function runJob(job) {
+    const controller = new AbortController();
+    activeJob = { id: job.id, controller };
+    liveProgress.set(job.id, job.progress || 0);
+
+    try {
+      await updateJob(job.id, { status: STATUS.UPLOADING, error: null });
+
+      let file = await getJobFile(job);
+      let fields = job.fields;
+      if (!file) {
+        throw new Error('The file of this upload is no longer available');
+      }
+
+      // Run the prepare step once; its output is stored so a resumed job uploads the same bytes
+      if (handlers.prepare && !job.prepared) {
+        setProgressText(job.id, 'Preparing...');
+        const prepared = await handlers.prepare(file, job, controller.signal, (progress) => {
+          setProgressText(job.id, `Converting... ${Math.round(progress * 100)}%`);
+        });
+        if (controller.signal.aborted) throw createAbortError();
+
+        file = prepared.file || file;
+        fields = { ...fields, ...prepared.fields };
+
+        await updateJob(job.id, {
+          file,
+          fileSize: file.size,
+          fields,
+          prepared: true
+        });
+      }
+
+      const formData = new FormData();
+      formData.append('file', file);
+      Object.entries(fields).forEach(([name, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          formData.append(name, value);
+        }
+      });
+
+      const response = await handlers.upload(formData, (progress) => {
+        reportProgress(job.id, progress);
+      }, controller.signal);
+
+      liveProgress.delete(job.id);
+      // Drop the file from storage once the server has it
+      await dropJobFile(job.id);
+      await updateJob(job.id, { status: STATUS.COMPLETED, progress: 100, file: null, fileStored: false });
+
+      if (handlers.onJobComplete) {
+        handlers.onJobComplete(job, response);
+      }
+    } catch (error) {
+      const progress = liveProgress.get(job.id) || job.progress || 0;
+      liveProgress.delete(job.id);
+
+      if (controller.signal.aborted) {
+        // Paused or cancelled - the caller already updated the job
+        console.log(`Upload of "${job.fileName}" stopped`);
+      } else {
+        console.error(`Error uploading file ${job.fileName}:`, error);
+        await updateJob(job.id, { status: STATUS.FAILED, error: error.message, progress });
+      }
+    } finally {
+      activeJob = null;
+    }
+  }
+
+  function createAbortError() {
+    const error = new Error('Upload aborted');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  let lastBroadcast = 0;
+
+  function reportProgress(id, progress) {
+    liveProgress.set(id, progress);
+    updateJobProgressUI(id, progress);
+
+    // Throttle cross-tab progress messages
+    const now = Date.now();
+    if (channel && now - lastBroadcast > 250) {
+      lastBroadcast = now;
+      channel.postMessage({ type: 'progress', id, progress });
+    }
+  }
+
+  function handleChannelMessage(event) {
+    const message = event.data || {};
+
+    if (message.type === 'progress') {
+      liveProgress.set(message.id, message.progress);
+      updateJobProgressUI(message.id, message.progress);
+    } else if (message.type === 'changed') {
+      refresh(false).then(() => {
+        // Another tab paused or cancelled the job this tab is uploading
+        if (activeJob) {
+          const current = jobs.find(job => job.id === activeJob.id);
+          if (!current || current.status !== STATUS.UPLOADING) {
+            activeJob.controller.abort();
+          }
+        }
+        processQueue();
+      });
+    }
+  }
+
+  /**
+   * Create the dock element shared by all pages
+   */
+  function createDock() {
+    dock = document.createElement('div');
+    dock.id = 'upload-dock';
+    dock.className = 'upload-dock';
+    dock.style.display = 'none';
+
+    let collapsed = false;
+    try {
+      collapsed = localStorage.getItem(DOCK_COLLAPSED_KEY) === 'true';
+    } catch (e) {
+      // Ignore localStorage errors
+    }
+    dock.classList.toggle('collapsed', collapsed);
+
+    dock.innerHTML = `
+      <div class="upload-dock-header">
+        <span class="upload-dock-title"><i class="fas fa-upload"></i> <span class="upload-dock-summary">Uploads</span></span>
+        <button type="button" class="upload-dock-clear" title="Clear finished uploads">Clear</button>
+        <button type="button" class="upload-dock-toggle" title="Collapse">
+          <i class="fas fa-chevron-down"></i>
+        </button>
+      </div>
+      <div class="upload-dock-list"></div>
+    `;
+
+    dock.querySelector('.upload-dock-toggle').addEventListener('click', () => {
+      const isCollapsed = dock.classList.toggle('collapsed');
+      try {
+        localStorage.setItem(DOCK_COLLAPSED_KEY, String(isCollapsed));
+      } catch (e) {
+        // Ignore localStorage errors
+      }
+    });
+
+    dock.querySelector('.upload-dock-clear').addEventListener('click', clearFinished);
+
+    dock.querySelector('.upload-dock-list').addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+
+      const id = button.getAttribute('data-id');
+      switch (button.getAttribute('data-action')) {
+        case 'pause': pauseJob(id); break;
+        case 'resume': resumeJob(id); break;
+        case 'cancel': cancelJob(id); break;
+        case 'up': moveJob(id, -1); break;
+        case 'down': moveJob(id, 1); break;
+      }
+    });
+
+    document.body.appendChild(dock);
+  }
+
+  function getStatusText(job) {
+    const progress = liveProgress.has(job.id) ? liveProgress.get(job.id) : job.progress;
+
+    switch (job.status) {
+      case STATUS.UPLOADING:
+        return (activeJob && activeJob.id === job.id) || liveProgress.has(job.id)
+          ? `Uploading... ${Math.round(progress)}%`
+          : 'Waiting to continue...';
+      case STATUS.QUEUED:
+        return hasJobFile(job) || !job.fileInMemory ? 'Queued' : 'Only available in the tab it was added from';
+      case STATUS.PAUSED:
+        return 'Paused';
+      case STATUS.FAILED:
+        return `Failed: ${job.error}`;
+      case STATUS.COMPLETED:
+        return 'Uploaded!';
+      default:
+        return job.status;
+    }
+  }
+
+  function createActionButton(action, id, icon, title) {
+    return `<button type="button" class="upload-dock-action" data-action="${action}" data-id="${id}" title="${title}"><i class="fas ${icon}"></i></button>`;
+  }
+
+  /**
+   * Render all jobs into the dock
+   */
+  function renderDock() {
+    if (!dock) return;
+
+    if (jobs.length === 0) {
+      dock.style.display = 'none';
+      return;
+    }
+
+    const active = jobs.filter(job => job.status === STATUS.QUEUED || job.status === STATUS.UPLOADING).length;
+    const summary = dock.querySelector('.upload-dock-summary');
+    summary.textContent = active > 0
+      ? `Uploading ${active} ${active === 1 ? 'video' : 'videos'}`
+      : 'Uploads finished';
+
+    const list = dock.querySelector('.upload-dock-list');
+    list.innerHTML = '';
+
+    jobs.forEach(job => {
+      const progress = liveProgress.has(job.id) ? liveProgress.get(job.id) : job.progress;
+      const item = document.createElement('div');
+      item.className = `upload-dock-item ${job.status}`;
+      item.setAttribute('data-id', job.id);
+
+      let actions = '';
+      if (job.status === STATUS.QUEUED || job.status === STATUS.PAUSED) {
+        actions += createActionButton('up', job.id, 'fa-arrow-up', 'Move up');
+        actions += createActionButton('down', job.id, 'fa-arrow-down', 'Move down');
+      }
+      if (job.status === STATUS.QUEUED || job.status === STATUS.UPLOADING) {
+        actions += createActionButton('pause', job.id, 'fa-pause', 'Pause');
+      }
+      if (job.status === STATUS.PAUSED || job.status === STATUS.FAILED) {
+        actions += createActionButton('resume', job.id, job.status === STATUS.FAILED ? 'fa-redo' : 'fa-play', 'Resume');
+      }
+      if (job.status !== STATUS.COMPLETED) {
+        actions += createActionButton('cancel', job.id, 'fa-times', 'Cancel');
+      }
+
+      item.innerHTML = `
+        <div class="upload-dock-item-info">
+          <span class="upload-dock-item-name"></span>
+          <span class="upload-dock-item-actions">${actions}</span>
+        </div>
+        <div class="upload-item-bar">
+          <div class="progress" style="width: ${progress}%"></div>
+        </div>
+        <div class="upload-item-status"></div>
+      `;
+
+      const name = item.querySelector('.upload-dock-item-name');
+      name.textContent = (job.fields && job.fields.title) || job.fileName;
+      name.title = job.fileName;
+      item.querySelector('.upload-item-status').textContent = getStatusText(job);
+
+      list.appendChild(item);
+    });
+
+    dock.style.display = 'block';
+  }
+
+  function getDockItem(id) {
+    return dock ? dock.querySelector(`.upload-dock-item[data-id="${id}"]`) : null;
+  }
+
+  function updateJobProgressUI(id, progress) {
+    const item = getDockItem(id);
+    if (!item) return;
+
+    item.querySelector('.progress').style.width = `${progress}%`;
+    item.querySelector('.upload-item-status').textContent = `Uploading... ${Math.round(progress)}%`;
+  }
+
+  function setProgressText(id, text) {
+    const item = getDockItem(id);
+    if (item) item.querySelector('.upload-item-status').textContent = text;
+  }
+
+  /**
+   * Start the queue on this page
+   * @param {Object} options - Queue handlers
+   * @param {Function} options.upload - (formData, onProgress, signal) => Promise resolving with the server response
+   * @param {Function} [options.prepare] - (file, job, signal, onProgress) => Promise<{ file, fields }> run once before uploading
+   * @param {Function} [options.onJobComplete] - Called with (job, response) after each successful upload
+   */
+  async function init(options = {}) {
+    handlers = { ...handlers, ...options };
+
+    // initUploadModal may run more than once per page
+    if (initialized) return;
+    initialized = true;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      channel = new BroadcastChannel(CHANNEL_NAME);
+      channel.onmessage = handleChannelMessage;
+    }
+
+    createDock();
+    await loadJobs();
+
+    // Completed jobs from earlier pages have already been reported
+    for (const job of jobs.filter(job => job.status === STATUS.COMPLETED)) {
+      await deleteJob(job.id);
+    }
+
+    await refresh(false);
+    processQueue();
+  }
+
+  // Export queue functions
+  window.replayHub.uploadQueue = {
+    init,
+    enqueue,
+    pauseJob,
+    resumeJob,
+    cancelJob,
+    moveJob,
+    clearFinished,
+    getJobs: () => jobs.slice()
+  };
+
+  // Upload queue module ready
+})();
@@ -0,0 +1,258 @@
+/**
+ * Resumable upload session storage for Replay Hub
+ * Persists chunked upload progress in IndexedDB so large uploads survive reloads and network drops
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  const DB_NAME = 'replay_hub_uploads';
+  const DB_VERSION = 3;
+  const SESSION_STORE = 'sessions';
+  const JOB_STORE = 'jobs';
+  const FILE_STORE = 'files';
+
+  // Sessions older than this are assumed to have expired on the server as well
+  const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+  let dbPromise = null;
+
+  /**
+   * Open (and lazily create) the uploads database
+   * @returns {Promise<IDBDatabase>} - The opened database
+   */
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSION_STORE)) {
+          db.createObjectStore(SESSION_STORE, { keyPath: 'fingerprint' });
+        }
+        // Upload queue jobs (see uploadQueue.js)
+        if (!db.objectStoreNames.contains(JOB_STORE)) {
+          db.createObjectStore(JOB_STORE, { keyPath: 'id' });
+        }
+        // Converted files of sessions, kept apart so chunk acks don't rewrite them
+        if (!db.objectStoreNames.contains(FILE_STORE)) {
+          db.createObjectStore(FILE_STORE, { keyPath: 'fingerprint' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Run a single request against the session store
+   * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+   * @param {Function} callback - Receives the object store and returns an IDBRequest
+   * @param {string} storeName - The object store to use
+   * @returns {Promise<any>} - The request result
+   */
+  async function withStore(mode, callback, storeName = SESSION_STORE) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Build a stable identifier for a file so the same file can be recognised after a reload
+   * @param {File} file - The selected file
+   * @returns {string} - The file fingerprint
+   */
+  function getFileFingerprint(file) {
+    return `${file.name}:${file.size}:${file.lastModified}`;
+  }
+
+  /**
+   * Get the stored upload session for a file
+   * @param {File|string} fileOrFingerprint - The file or its fingerprint
+   * @returns {Promise<Object|null>} - The session or null if none is stored
+   */
+  async function getSession(fileOrFingerprint) {
+    const fingerprint = typeof fileOrFingerprint === 'string'
+      ? fileOrFingerprint
+      : getFileFingerprint(fileOrFingerprint);
+
+    try {
+      const session = await withStore('readonly', store => store.get(fingerprint));
+      if (!session) return null;
+
+      if (Date.now() - session.updatedAt > SESSION_MAX_AGE) {
+        await deleteSession(fingerprint);
+        return null;
+      }
+
+      return session;
+    } catch (error) {
+      console.warn('Could not read upload session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Create or replace an upload session
+   * @param {Object} session - The session to store (must include a fingerprint)
+   * @returns {Promise<Object>} - The stored session
+   */
+  async function saveSession(session) {
+    const record = {
+      uploadedChunks: [],
+      createdAt: Date.now(),
+      ...session,
+      updatedAt: Date.now()
+    };
+
+    try {
+      await withStore('readwrite', store => store.put(record));
+    } catch (error) {
+      console.warn('Could not persist upload session:', error);
+    }
+
+    return record;
+  }
+
+  /**
+   * Record that the server acknowledged a chunk
+   * @param {string} fingerprint - The file fingerprint
+   * @param {number} chunkIndex - The acknowledged chunk index
+   */
+  async function markChunkUploaded(fingerprint, chunkIndex) {
+    try {
+      const db = await openDatabase();
+
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction(SESSION_STORE, 'readwrite');
+        const store = transaction.objectStore(SESSION_STORE);
+        const request = store.get(fingerprint);
+
+        // Read and write inside the same transaction so concurrent acks don't overwrite each other
+        request.onsuccess = () => {
+          const session = request.result;
+          if (!session) return;
+
+          if (!session.uploadedChunks.includes(chunkIndex)) {
+            session.uploadedChunks.push(chunkIndex);
+          }
+          session.updatedAt = Date.now();
+          store.put(session);
+        };
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    } catch (error) {
+      console.warn(`Could not record chunk ${chunkIndex} as uploaded:`, error);
+    }
+  }
+
+  /**
+   * Keep the converted file a session uploads, so a resumed upload sends the same bytes
+   * @param {string} fingerprint - The fingerprint of the source file
+   * @param {File} file - The converted file
+   * @returns {Promise<boolean>} - Whether the file was stored
+   */
+  async function saveSessionFile(fingerprint, file) {
+    try {
+      await withStore('readwrite', store => store.put({ fingerprint, file }), FILE_STORE);
+      return true;
+    } catch (error) {
+      console.warn('Could not keep the converted file of the upload session:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the converted file kept for a session
+   * @param {string} fingerprint - The fingerprint of the source file
+   * @returns {Promise<File|null>} - The converted file, or null if none is kept
+   */
+  async function getSessionFile(fingerprint) {
+    try {
+      const record = await withStore('readonly', store => store.get(fingerprint), FILE_STORE);
+      return record ? record.file : null;
+    } catch (error) {
+      console.warn('Could not read the converted file of the upload session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove an upload session
+   * @param {string} fingerprint - The file fingerprint
+   */
+  async function deleteSession(fingerprint) {
+    try {
+      await withStore('readwrite', store => store.delete(fingerprint));
+      await withStore('readwrite', store => store.delete(fingerprint), FILE_STORE);
+    } catch (error) {
+      console.warn('Could not delete upload session:', error);
+    }
+  }
+
+  /**
+   * List all unfinished upload sessions, discarding expired ones
+   * @returns {Promise<Array>} - Active sessions, most recent first
+   */
+  async function listSessions() {
+    try {
+      const sessions = await withStore('readonly', store => store.getAll()) || [];
+      const now = Date.now();
+      const active = [];
+
+      for (const session of sessions) {
+        if (now - session.updatedAt > SESSION_MAX_AGE) {
+          await deleteSession(session.fingerprint);
+        } else {
+          active.push(session);
+        }
+      }
+
+      return active.sort((a, b) => b.updatedAt - a.updatedAt);
+    } catch (error) {
+      console.warn('Could not list upload sessions:', error);
+      return [];
+    }
+  }
+
+  // Export session functions
+  window.replayHub.uploadSessions = {
+    openDatabase,
+    getFileFingerprint,
+    getSession,
+    saveSession,
+    markChunkUploaded,
+    saveSessionFile,
+    getSessionFile,
+    deleteSession,
+    listSessions
+  };
+
+  // Upload sessions module ready
+})();
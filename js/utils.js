@@ -172,6 +172,58 @@ function extractUUID(str) {
   return null;
 }
 
+/**
+ * Build the query of a paged API request
+ * The cursor is sent when there is one, the page number otherwise.
+ * @param {Object} request - { page, cursor, limit, sort }
+ * @param {Object} [filters] - Extra query parameters
+ * @returns {URLSearchParams} - The query
+ */
+function buildPageParams({ page, cursor, limit, sort }, filters = {}) {
+  const params = new URLSearchParams({ ...filters, limit: String(limit), sort });
+  if (cursor) {
+    params.set('cursor', cursor);
+  } else {
+    params.set('page', String(page));
+  }
+  return params;
+}
+
+/**
+ * Read a page of a paged API response
+ * The backend pages by cursor when it returns one, by page number otherwise;
+ * an older backend ignores both and returns every item as a plain array.
+ * @param {Object|Array} data - The parsed response
+ * @param {Object} request - { page, limit, key }, key being the name of the item list (e.g. 'videos')
+ * @returns {Object} - { items, nextCursor, hasMore, total, paginated }
+ */
+function readPagedResponse(data, { page, limit, key }) {
+  if (Array.isArray(data)) {
+    return { items: data, nextCursor: null, hasMore: false, total: data.length, paginated: false };
+  }
+
+  const items = data[key] || data.items || [];
+  const nextCursor = data.next_cursor || null;
+  let hasMore;
+  if (nextCursor) {
+    hasMore = true;
+  } else if (typeof data.has_more === 'boolean') {
+    hasMore = data.has_more;
+  } else if (data.total_pages) {
+    hasMore = page < data.total_pages;
+  } else {
+    hasMore = items.length >= limit;
+  }
+
+  return {
+    items,
+    nextCursor,
+    hasMore,
+    total: typeof data.total === 'number' ? data.total : null,
+    paginated: true
+  };
+}
+
 /**
  * Display error messages to the user
  * @param {string} message - The error message to display
@@ -201,6 +253,8 @@ window.replayHub.utils = {
   formatVideoTitle,
   detectVideoType,
   extractUUID,
+  buildPageParams,
+  readPagedResponse,
   showError
 };
 
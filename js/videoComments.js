@@ -14,7 +14,198 @@ window.replayHub = window.replayHub || {};
   }
 
   // Get utility functions from the utils module
-  const { BASE_URL, formatDate, formatViews } = window.replayHub.utils;
+  const { BASE_URL, formatDate, formatViews, buildPageParams, readPagedResponse } = window.replayHub.utils;
+
+  // Comments fetched per page, and the sort used until the viewer picks another
+  const COMMENT_PAGE_SIZE = 20;
+  const COMMENT_SORTS = ['top', 'newest', 'oldest'];
+  const DEFAULT_COMMENT_SORT = 'top';
+  const COMMENT_SORT_KEY = 'replay_hub_comment_sort';
+
+  // Threads with more replies than this start collapsed to their first replies
+  const LONG_THREAD_REPLIES = 3;
+  const REPLY_PREVIEW_COUNT = 2;
+
+  // Comments of the video page, loaded page by page
+  let commentFeed = null;
+
+  // Optional moderation tools, shown to the video owner and admins
+  const moderation = window.replayHub.commentModeration || null;
+
+  // Live updates of the video page: new comments, replies, reactions and views
+  const LIVE_EVENTS = ['comment', 'reply', 'reaction', 'video'];
+  let liveUpdates = null;
+
+  // Times such as 1:23, 12:05 or 1:02:33 written in comments; minutes may exceed 59 without hours
+  const TIMESTAMP_PATTERN = /(^|[^\d:])((?:\d{1,2}:)?\d{1,3}:[0-5]\d)(?![\d:])/g;
+
+  function getVideoPlayer() {
+    return window.replayHub.videoPlayer || null;
+  }
+
+  function formatVideoTime(seconds) {
+    const player = getVideoPlayer();
+    if (player && player.formatPlaybackTime) return player.formatPlaybackTime(seconds);
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+  }
+
+  /**
+   * Read a written time such as 1:23 or 1:02:33
+   * @param {string} value - The written time
+   * @returns {number|null} - Time in seconds, or null when it isn't a valid time
+   */
+  function parseTimestamp(value) {
+    const parts = value.split(':').map(Number);
+    if (parts.some(part => !Number.isFinite(part))) return null;
+    if (parts.length === 3) {
+      if (parts[1] > 59) return null;
+      return parts[0] * 3600 + parts[1] * 60 + parts[2];
+    }
+    return parts[0] * 60 + parts[1];
+  }
+
+  /**
+   * Find the times written in a comment
+   * @param {string} text - The comment text
+   * @returns {Array<Object>} - Matches as { index, length, seconds }
+   */
+  function findTimestamps(text) {
+    const matches = [];
+    TIMESTAMP_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TIMESTAMP_PATTERN.exec(text)) !== null) {
+      const seconds = parseTimestamp(match[2]);
+      if (seconds !== null) {
+        matches.push({ index: match.index + match[1].length, length: match[2].length, seconds });
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Create a link that jumps the video player to a time
+   * @param {number} seconds - Time in seconds
+   * @param {string} text - Link text
+   * @param {string} className - Class of the link
+   * @returns {HTMLElement} - The link element
+   */
+  function createTimeLink(seconds, text, className = 'timestamp-link') {
+    const link = document.createElement('a');
+    link.className = className;
+    link.href = `#t=${Math.floor(seconds)}`;
+    link.dataset.time = seconds;
+    link.title = `Jump to ${formatVideoTime(seconds)}`;
+    link.textContent = text;
+    link.addEventListener('click', (event) => {
+      event.preventDefault();
+      const player = getVideoPlayer();
+      if (player && player.seekTo) player.seekTo(seconds);
+    });
+    return link;
+  }
+
+  /**
+   * Add plain comment text to an element, turning the times written in it into links
+   * @param {HTMLElement} element - Element the text is added to
+   * @param {string} text - The text
+   */
+  function appendTextWithTimes(element, text) {
+    let position = 0;
+    findTimestamps(text).forEach(match => {
+      element.appendChild(document.createTextNode(text.slice(position, match.index)));
+      element.appendChild(createTimeLink(match.seconds, text.substr(match.index, match.length)));
+      position = match.index + match.length;
+    });
+    element.appendChild(document.createTextNode(text.slice(position)));
+  }
+
+  /**
+   * Fill a comment or reply body with its formatted text
+   * @param {HTMLElement} element - The body element
+   * @param {string} text - The comment text
+   */
+  function renderCommentText(element, text) {
+    const commentFormat = window.replayHub.commentFormat;
+    if (commentFormat) {
+      commentFormat.render(element, text, { appendText: appendTextWithTimes });
+      return;
+    }
+    
+    element.textContent = '';
+    appendTextWithTimes(element, text);
+  }
+
+  /**
+   * Collect the names that can be @mentioned: this video's players and uploader, the commenters,
+   * and the uploaders and players of popular videos
+   * @returns {Promise<Array<Object>>} - { name, kind } entries, most relevant first
+   */
+  async function getMentionNames() {
+    const toList = window.replayHub.videoSearch
+      ? window.replayHub.videoSearch.toList
+      : (value => (Array.isArray(value) ? value : []));
+    const names = [];
+    const addVideo = (video) => {
+      toList(video.players).forEach(name => names.push({ name, kind: 'player' }));
+      if (video.uploader) names.push({ name: video.uploader, kind: 'user' });
+    };
+    
+    if (window.currentVideoData) addVideo(window.currentVideoData);
+    
+    if (commentFeed) {
+      commentFeed.comments.forEach(comment => {
+        if (!comment.deleted) names.push({ name: comment.username, kind: 'user' });
+        (comment.replies || []).forEach(reply => names.push({ name: reply.username, kind: 'user' }));
+      });
+    }
+    
+    if (window.getSuggestionVideos) {
+      const videos = await window.getSuggestionVideos();
+      (videos || []).forEach(video => video && addVideo(video));
+    }
+    
+    return names.filter(entry => entry.name);
+  }
+
+  function attachMentions(input) {
+    if (window.replayHub.commentFormat) {
+      window.replayHub.commentFormat.attachMentions(input, { getNames: getMentionNames });
+    }
+  }
+
+  /**
+   * Get the video time a comment is about: the time attached to it, or else the first time written in it
+   * @param {Object} comment - The comment or reply data
+   * @returns {number|null} - Time in seconds, or null
+   */
+  function getCommentTime(comment) {
+    if (typeof comment.videoTime === 'number' && comment.videoTime >= 0) return comment.videoTime;
+    const [first] = findTimestamps(comment.text || '');
+    return first ? first.seconds : null;
+  }
+
+  /**
+   * Mark the timestamped comments and replies along the progress bar of the video player
+   * @param {Array<Object>} comments - The comments of the video
+   */
+  function updateCommentMarkers(comments) {
+    const player = getVideoPlayer();
+    if (!player || !player.setProgressMarkers) return;
+
+    const markers = [];
+    const addMarker = (comment) => {
+      if (comment.deleted) return;
+      const time = getCommentTime(comment);
+      if (time !== null) markers.push({ time, title: comment.username, text: comment.text });
+    };
+    comments.forEach(comment => {
+      addMarker(comment);
+      (comment.replies || []).forEach(addMarker);
+    });
+
+    player.setProgressMarkers(markers);
+  }
 
   /**
    * Initialize comments functionality for a video
@@ -26,9 +217,13 @@ window.replayHub = window.replayHub || {};
       
       // Set up the comment form
       setupCommentForm(videoId);
+      setupCommentSort(videoId);
+      setupLoadMore();
+      setupModeration(videoId);
       
       // Load initial comments
       await loadComments(videoId);
+      startLiveUpdates(videoId);
     } catch (error) {
       console.error('Error initializing comments:', error);
     }
@@ -65,16 +260,50 @@ window.replayHub = window.replayHub || {};
     
     if (!commentForm || !commentInput) return;
     
+    // Playback time attached to the comment being written
+    let attachedTime = null;
+    const timeToggle = document.getElementById('comment-time-toggle');
+    
+    const updateTimeToggle = () => {
+      if (!timeToggle) return;
+      timeToggle.classList.toggle('active', attachedTime !== null);
+      timeToggle.innerHTML = attachedTime !== null
+        ? `<i class="far fa-clock"></i> At ${formatVideoTime(attachedTime)} <i class="fas fa-times"></i>`
+        : '<i class="far fa-clock"></i> Add time';
+      timeToggle.title = attachedTime !== null ? 'Remove the video time' : 'Attach the current video time';
+    };
+    
+    if (timeToggle) {
+      timeToggle.addEventListener('click', () => {
+        const player = getVideoPlayer();
+        attachedTime = attachedTime === null && player ? Math.floor(player.getCurrentTime()) : null;
+        updateTimeToggle();
+      });
+      updateTimeToggle();
+    }
+    
     // Show actions when input is focused
     commentInput.addEventListener('focus', () => {
       if (commentActions) commentActions.style.display = 'flex';
     });
     
+    attachMentions(commentInput);
+    
+    // Enter starts a new line; Ctrl+Enter posts the comment
+    commentInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        commentForm.requestSubmit();
+      }
+    });
+    
     // Hide actions when cancel is clicked
     const cancelButton = document.getElementById('comment-cancel');
     if (cancelButton) {
       cancelButton.addEventListener('click', () => {
         commentInput.value = '';
+        attachedTime = null;
+        updateTimeToggle();
         if (commentActions) commentActions.style.display = 'none';
       });
     }
@@ -85,63 +314,637 @@ window.replayHub = window.replayHub || {};
       
       const commentText = commentInput.value.trim();
       if (!commentText) return;
+      if (!ensureLoggedIn('Please log in to add comments.')) return;
+      
+      const videoTime = attachedTime;
+      commentInput.value = '';
+      attachedTime = null;
+      updateTimeToggle();
+      if (commentActions) commentActions.style.display = 'none';
       
+      // Show the comment right away and swap in the saved one once the server has it
+      const pending = insertPendingComment(videoId, commentText, videoTime);
       try {
-        await addComment(videoId, commentText);
-        commentInput.value = '';
-        if (commentActions) commentActions.style.display = 'none';
-        
-        // Refresh comments
-        await loadComments(videoId);
+        const created = await addComment(videoId, commentText, videoTime);
+        confirmPendingComment(pending, created, videoId);
+        showHeldMessage(created);
       } catch (error) {
         console.error('Error submitting comment:', error);
+        removePendingComment(pending);
+        if (!commentInput.value) commentInput.value = commentText;
+        showMessage(getPostErrorMessage(error, 'Failed to post your comment'), 'error');
       }
     });
   }
 
+  function getCommentSort() {
+    const sort = localStorage.getItem(COMMENT_SORT_KEY);
+    return COMMENT_SORTS.includes(sort) ? sort : DEFAULT_COMMENT_SORT;
+  }
+
+  function getCommentTimeValue(comment) {
+    return new Date(comment.timestamp).getTime() || 0;
+  }
+
+  /**
+   * Sort comments the way the backend would
+   * @param {Array<Object>} comments - The comments
+   * @param {string} sort - 'top', 'newest' or 'oldest'
+   * @returns {Array<Object>} - The sorted comments
+   */
+  function sortComments(comments, sort) {
+    const score = comment => (comment.likes || 0) - (comment.dislikes || 0) + (comment.replies || []).length;
+    const sorted = comments.slice();
+
+    if (sort === 'oldest') {
+      sorted.sort((a, b) => getCommentTimeValue(a) - getCommentTimeValue(b));
+    } else if (sort === 'newest') {
+      sorted.sort((a, b) => getCommentTimeValue(b) - getCommentTimeValue(a));
+    } else {
+      sorted.sort((a, b) => score(b) - score(a) || getCommentTimeValue(b) - getCommentTimeValue(a));
+    }
+    // The pinned comment stays on top whatever the order
+    return sorted.sort((a, b) => Boolean(b.pinned) - Boolean(a.pinned));
+  }
+
+  function formatCommentsCount(count) {
+    return `${count} Comment${count !== 1 ? 's' : ''}`;
+  }
+
+  /**
+   * Fetch a page of a video's comments
+   * @param {string} videoId - The ID of the video
+   * @param {Object} options - { page, cursor, limit, sort }
+   * @returns {Promise<Object>} - { comments, nextCursor, hasMore, total, paginated }
+   */
+  async function fetchCommentPage(videoId, { page = 1, cursor = null, limit = COMMENT_PAGE_SIZE, sort = DEFAULT_COMMENT_SORT } = {}) {
+    const params = buildPageParams({ page, cursor, limit, sort });
+    const response = await fetch(`${BASE_URL}/comments/${videoId}?${params}`);
+    if (!response.ok) {
+      throw new Error(`Error fetching comments: ${response.status}`);
+    }
+
+    const { items, ...pageInfo } = readPagedResponse(await response.json(), { page, limit, key: 'comments' });
+    return { comments: items, ...pageInfo };
+  }
+
   /**
-   * Load and display comments for a video
+   * Load and display the first page of comments for a video
    * @param {string} videoId - The ID of the video
    */
   async function loadComments(videoId) {
+    const commentsListElement = document.getElementById('comments-list');
+    if (!commentsListElement) return;
+
+    const feed = {
+      videoId,
+      sort: getCommentSort(),
+      page: 1,
+      cursor: null,
+      hasMore: true,
+      loading: false,
+      paginated: true,
+      backlog: [],
+      comments: [],
+      seen: new Set(),
+      total: null,
+      incoming: [],
+      loadedAt: Date.now()
+    };
+    commentFeed = feed;
+
+    updateSortOptions();
+    updateNewCommentsPill();
+    commentsListElement.innerHTML = '<div class="loading">Loading comments...</div>';
+    updateLoadMore();
+
     try {
-      const commentsListElement = document.getElementById('comments-list');
-      if (!commentsListElement) return;
-      
-      commentsListElement.innerHTML = '<div class="loading">Loading comments...</div>';
-      
-      const response = await fetch(`${BASE_URL}/comments/${videoId}`);
-      if (!response.ok) {
-        throw new Error(`Error fetching comments: ${response.status}`);
+      await loadMoreComments(feed);
+    } catch (error) {
+      console.error('Error loading comments:', error);
+      if (feed === commentFeed) {
+        commentsListElement.innerHTML = '<div class="error">Failed to load comments. Please try again later.</div>';
       }
-      
-      const comments = await response.json();
-      
-      // Update comments count
-      const commentsCountElement = document.getElementById('comments-count');
-      if (commentsCountElement) {
-        commentsCountElement.textContent = `${comments.length} Comments`;
+    }
+  }
+
+  /**
+   * Load and display the next page of comments
+   * @param {Object} feed - The comment feed to extend
+   */
+  async function loadMoreComments(feed = commentFeed) {
+    if (!feed || feed.loading || !feed.hasMore) return;
+
+    feed.loading = true;
+    updateLoadMore();
+
+    try {
+      if (feed.paginated) {
+        const result = await fetchCommentPage(feed.videoId, { page: feed.page, cursor: feed.cursor, sort: feed.sort });
+        // Another video or sort was loaded in the meantime
+        if (feed !== commentFeed) return;
+
+        if (result.paginated) {
+          feed.page++;
+          feed.cursor = result.nextCursor;
+          feed.hasMore = result.hasMore;
+          if (result.total !== null) feed.total = result.total;
+          appendComments(feed, result.comments);
+          return;
+        }
+
+        // Every comment came back at once: sort them here and show them a page at a time
+        feed.paginated = false;
+        feed.backlog = sortComments(result.comments, feed.sort);
+        feed.total = result.total;
       }
-      
-      // Display comments
-      if (comments.length === 0) {
-        commentsListElement.innerHTML = '<div class="no-comments">No comments yet. Be the first to comment!</div>';
+
+      const comments = feed.backlog.splice(0, COMMENT_PAGE_SIZE);
+      feed.hasMore = feed.backlog.length > 0;
+      appendComments(feed, comments);
+    } finally {
+      feed.loading = false;
+      if (feed === commentFeed) updateLoadMore();
+    }
+  }
+
+  /**
+   * Add loaded comments to the end of the list
+   * @param {Object} feed - The comment feed
+   * @param {Array<Object>} comments - The comments to add
+   */
+  function appendComments(feed, comments) {
+    const commentsListElement = document.getElementById('comments-list');
+    if (!commentsListElement) return;
+
+    commentsListElement.querySelectorAll('.loading, .no-comments').forEach(element => element.remove());
+
+    comments.forEach(comment => {
+      // Deleted comments are only kept while they have replies
+      if (comment.deleted && !(comment.replies || []).some(reply => !reply.deleted)) return;
+      if (!canSeeItem(comment)) return;
+      
+      // Skip comments already shown, e.g. one posted here that a later page includes again
+      const key = String(comment.id);
+      if (feed.seen.has(key)) return;
+      feed.seen.add(key);
+      feed.comments.push(comment);
+      commentsListElement.appendChild(createCommentElement(comment, feed.videoId));
+    });
+
+    if (feed.comments.length === 0 && !feed.hasMore) {
+      commentsListElement.innerHTML = '<div class="no-comments">No comments yet. Be the first to comment!</div>';
+    }
+
+    updateCommentMarkers(feed.comments);
+
+    const commentsCountElement = document.getElementById('comments-count');
+    if (commentsCountElement) {
+      const videoData = window.currentVideoData;
+      let total = feed.total;
+      if (total === null && !feed.hasMore) total = feed.comments.length;
+      if (total === null && videoData && typeof videoData.comment_count === 'number') total = videoData.comment_count;
+
+      commentsCountElement.textContent = total !== null
+        ? formatCommentsCount(total)
+        : `${feed.comments.length}+ Comments`;
+    }
+  }
+
+  /**
+   * Show the "Load more" button while more comments are left, and load them as it scrolls into view
+   */
+  function setupLoadMore() {
+    const loadMoreButton = document.getElementById('comments-load-more');
+    if (!loadMoreButton || loadMoreButton.dataset.bound) return;
+    loadMoreButton.dataset.bound = 'true';
+
+    const loadMore = () => {
+      loadMoreComments().catch(error => {
+        console.error('Error loading more comments:', error);
+        showMessage('Failed to load more comments', 'error');
+      });
+    };
+
+    loadMoreButton.addEventListener('click', loadMore);
+
+    if ('IntersectionObserver' in window) {
+      const observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) loadMore();
+      }, { rootMargin: '200px' });
+      observer.observe(loadMoreButton);
+    }
+  }
+
+  function updateLoadMore() {
+    const loadMoreButton = document.getElementById('comments-load-more');
+    if (!loadMoreButton) return;
+
+    const feed = commentFeed;
+    const visible = Boolean(feed && feed.hasMore && feed.comments.length > 0);
+    loadMoreButton.style.display = visible ? 'block' : 'none';
+    loadMoreButton.disabled = Boolean(feed && feed.loading);
+    loadMoreButton.textContent = feed && feed.loading ? 'Loading...' : 'Load more comments';
+  }
+
+  /**
+   * Set up the comment sort options
+   * @param {string} videoId - The ID of the video
+   */
+  function setupCommentSort(videoId) {
+    const sortToolbar = document.getElementById('comment-sort');
+    if (!sortToolbar || sortToolbar.dataset.bound) return;
+    sortToolbar.dataset.bound = 'true';
+
+    sortToolbar.addEventListener('click', (event) => {
+      const option = event.target.closest('.sort-option');
+      if (!option || option.dataset.sort === getCommentSort()) return;
+
+      localStorage.setItem(COMMENT_SORT_KEY, option.dataset.sort);
+      loadComments(videoId);
+    });
+  }
+
+  function updateSortOptions() {
+    const sort = getCommentSort();
+    document.querySelectorAll('#comment-sort .sort-option').forEach(option => {
+      const active = option.dataset.sort === sort;
+      option.classList.toggle('active', active);
+      option.setAttribute('aria-pressed', String(active));
+    });
+  }
+
+  /**
+   * Build a comment or reply as it will look once saved
+   * @param {string} text - The comment text
+   * @param {number|null} videoTime - Video time in seconds the comment is attached to
+   * @returns {Object} - The comment data
+   */
+  function createPendingItem(text, videoTime = null) {
+    const currentUser = window.currentUser || {};
+    return {
+      id: `pending-${Date.now()}`,
+      userId: currentUser.id,
+      username: currentUser.name || 'You',
+      text,
+      ...(videoTime !== null ? { videoTime } : {}),
+      timestamp: new Date().toISOString(),
+      likes: 0,
+      dislikes: 0,
+      replies: []
+    };
+  }
+
+  /**
+   * Read the saved comment or reply from the server's response
+   * @param {Object} created - The response of the create request
+   * @returns {Object|null} - The saved data, or null when the response doesn't include it
+   */
+  function getSavedItem(created) {
+    const saved = created && (created.comment || created.reply || created);
+    return saved && typeof saved === 'object' && saved.id ? saved : null;
+  }
+
+  /**
+   * Show a comment that is still being posted
+   * @param {string} videoId - The ID of the video
+   * @param {string} text - The comment text
+   * @param {number|null} videoTime - Video time in seconds the comment is attached to
+   * @returns {Object} - { comment, element } of the pending comment
+   */
+  function insertPendingComment(videoId, text, videoTime) {
+    const comment = createPendingItem(text, videoTime);
+    const element = createCommentElement(comment, videoId);
+    element.classList.add('pending');
+
+    const commentsListElement = document.getElementById('comments-list');
+    if (commentsListElement) {
+      commentsListElement.querySelectorAll('.no-comments').forEach(placeholder => placeholder.remove());
+
+      // Oldest first puts it at the end, unless older comments are still to load
+      if (commentFeed && commentFeed.sort === 'oldest' && !commentFeed.hasMore) {
+        commentsListElement.appendChild(element);
       } else {
-        commentsListElement.innerHTML = '';
-        
-        comments.forEach(comment => {
-          const commentElement = createCommentElement(comment, videoId);
-          commentsListElement.appendChild(commentElement);
+        commentsListElement.prepend(element);
+      }
+    }
+
+    updateCommentsCount(1);
+    return { comment, element };
+  }
+
+  function confirmPendingComment(pending, created, videoId) {
+    const saved = getSavedItem(created);
+    if (!saved) {
+      loadComments(videoId);
+      return;
+    }
+
+    const comment = { ...pending.comment, ...saved };
+    pending.element.replaceWith(createCommentElement(comment, videoId));
+
+    if (commentFeed && commentFeed.videoId === videoId) {
+      commentFeed.seen.add(String(comment.id));
+      commentFeed.comments.unshift(comment);
+      updateCommentMarkers(commentFeed.comments);
+    }
+  }
+
+  function removePendingComment(pending) {
+    pending.element.remove();
+    updateCommentsCount(-1);
+
+    const commentsListElement = document.getElementById('comments-list');
+    if (commentsListElement && !commentsListElement.querySelector('.comment')) {
+      commentsListElement.innerHTML = '<div class="no-comments">No comments yet. Be the first to comment!</div>';
+    }
+  }
+
+  /**
+   * Show a reply that is still being posted
+   * @param {string} commentId - The ID of the comment replied to
+   * @param {string} videoId - The ID of the video
+   * @param {string} text - The reply text
+   * @returns {Object} - { reply, element } of the pending reply
+   */
+  function insertPendingReply(commentId, videoId, text) {
+    const reply = createPendingItem(text);
+    const element = createReplyElement(reply, commentId, videoId);
+    element.classList.add('pending');
+
+    const commentContainer = document.querySelector(`.comment[data-comment-id="${commentId}"]`);
+    if (commentContainer) {
+      getRepliesContainer(commentContainer).appendChild(element);
+      setThreadExpanded(commentContainer, true);
+    }
+
+    return { reply, element };
+  }
+
+  function getRepliesContainer(commentContainer) {
+    let repliesContainer = commentContainer.querySelector('.comment-replies');
+    if (!repliesContainer) {
+      repliesContainer = document.createElement('div');
+      repliesContainer.className = 'comment-replies';
+      commentContainer.insertBefore(repliesContainer, commentContainer.querySelector('.reply-form-container'));
+    }
+    return repliesContainer;
+  }
+
+  function confirmPendingReply(pending, created, commentId, videoId) {
+    const saved = getSavedItem(created);
+    if (!saved) {
+      loadComments(videoId);
+      return;
+    }
+
+    const reply = { ...pending.reply, ...saved };
+    pending.element.replaceWith(createReplyElement(reply, commentId, videoId));
+
+    const comment = commentFeed && commentFeed.comments.find(item => String(item.id) === String(commentId));
+    if (comment) {
+      comment.replies = [...(comment.replies || []), reply];
+      updateCommentMarkers(commentFeed.comments);
+    }
+  }
+
+  /**
+   * Listen for comments, replies, reactions and views from other viewers
+   * @param {string} videoId - The ID of the video
+   */
+  function startLiveUpdates(videoId) {
+    if (!window.replayHub.liveUpdates) return;
+    if (liveUpdates) liveUpdates.close();
+
+    // Comment and reply IDs known to the polling fallback; new ones are reported as events
+    let known = null;
+
+    // Start from what the page already has, so comments posted while the stream was down still show up
+    const seedKnown = () => {
+      known = new Set();
+      const feed = commentFeed;
+      if (!feed || feed.videoId !== videoId) return;
+
+      feed.seen.forEach(id => known.add(`comment:${id}`));
+      [...feed.backlog, ...feed.incoming].forEach(comment => known.add(`comment:${comment.id}`));
+      feed.comments.forEach(comment => {
+        (comment.replies || []).forEach(reply => known.add(`reply:${reply.id}`));
+      });
+    };
+
+    liveUpdates = window.replayHub.liveUpdates.connect({
+      url: `${BASE_URL}/api/videos/${encodeURIComponent(videoId)}/events`,
+      events: LIVE_EVENTS,
+      onEvent: (type, data) => handleLiveEvent(videoId, type, data),
+      poll: async () => {
+        const [page, video] = await Promise.all([
+          fetchCommentPage(videoId, { sort: 'newest' }),
+          fetch(`${BASE_URL}/metadata/${videoId}`).then(response => (response.ok ? response.json() : null))
+        ]);
+
+        const events = [];
+        if (known === null) seedKnown();
+
+        // Comments from before the feed loaded that it doesn't show are on pages not loaded yet
+        const feed = commentFeed && commentFeed.videoId === videoId ? commentFeed : null;
+        const isOlderThanFeed = comment => Boolean(feed) && getCommentTimeValue(comment) < feed.loadedAt;
+
+        const report = (type, id, data) => {
+          const key = `${type}:${id}`;
+          if (!known.has(key)) events.push({ type, data });
+          known.add(key);
+        };
+
+        page.comments.forEach(comment => {
+          if (isOlderThanFeed(comment)) {
+            known.add(`comment:${comment.id}`);
+          } else {
+            report('comment', comment.id, { comment });
+          }
+          events.push({ type: 'reaction', data: { commentId: comment.id, likes: comment.likes, dislikes: comment.dislikes } });
+
+          (comment.replies || []).forEach(reply => {
+            report('reply', reply.id, { commentId: comment.id, reply });
+            events.push({ type: 'reaction', data: { replyId: reply.id, likes: reply.likes, dislikes: reply.dislikes } });
+          });
         });
+
+        if (video) {
+          events.push({ type: 'video', data: { views: video.views, likes: video.likes, dislikes: video.dislikes } });
+        }
+        return events;
       }
-    } catch (error) {
-      console.error('Error loading comments:', error);
-      
-      const commentsListElement = document.getElementById('comments-list');
-      if (commentsListElement) {
-        commentsListElement.innerHTML = '<div class="error">Failed to load comments. Please try again later.</div>';
+    });
+
+    window.addEventListener('pagehide', () => {
+      if (liveUpdates) liveUpdates.close();
+    }, { once: true });
+  }
+
+  /**
+   * Apply a live update to the page
+   * @param {string} videoId - The ID of the video
+   * @param {string} type - 'comment', 'reply', 'reaction' or 'video'
+   * @param {Object} data - The event data
+   */
+  function handleLiveEvent(videoId, type, data) {
+    if (!data) return;
+
+    if (type === 'video') {
+      if (window.replayHub.videoMetadata) window.replayHub.videoMetadata.updateVideoStats(data);
+      return;
+    }
+
+    if (type === 'reaction') {
+      const counts = { currentLikes: data.likes, currentDislikes: data.dislikes };
+      const selector = data.replyId
+        ? `.reply[data-reply-id="${data.replyId}"]`
+        : `.comment[data-comment-id="${data.commentId}"]`;
+      updateReactionUI(selector, counts);
+      return;
+    }
+
+    const feed = commentFeed;
+    if (!feed || feed.videoId !== videoId) return;
+
+    if (type === 'comment') {
+      receiveLiveComment(feed, data.comment || data);
+    } else if (type === 'reply') {
+      receiveLiveReply(feed, data.commentId, data.reply);
+    }
+  }
+
+  /**
+   * Queue a comment posted by someone else behind the "new comments" pill
+   * @param {Object} feed - The comment feed
+   * @param {Object} comment - The comment data
+   */
+  function receiveLiveComment(feed, comment) {
+    if (!comment || comment.id === undefined || comment.deleted || !canSeeItem(comment)) return;
+
+    const key = String(comment.id);
+    const known = [...feed.incoming, ...feed.backlog].some(item => String(item.id) === key);
+    if (feed.seen.has(key) || known) return;
+
+    // The viewer's own comments are already shown while they are being posted
+    if (isCommentAuthor(comment) && document.querySelector('.comment.pending')) return;
+
+    feed.incoming.push(comment);
+    updateCommentsCount(1);
+    updateNewCommentsPill();
+  }
+
+  /**
+   * Add a reply posted by someone else to its thread
+   * @param {Object} feed - The comment feed
+   * @param {string} commentId - The ID of the comment replied to
+   * @param {Object} reply - The reply data
+   */
+  function receiveLiveReply(feed, commentId, reply) {
+    if (!reply || reply.deleted || !canSeeItem(reply)) return;
+
+    // Replies to comments that aren't loaded come with their comment
+    const comment = feed.comments.find(item => String(item.id) === String(commentId));
+    if (!comment || (comment.replies || []).some(item => String(item.id) === String(reply.id))) return;
+    if (isCommentAuthor(reply) && document.querySelector('.reply.pending')) return;
+
+    comment.replies = [...(comment.replies || []), reply];
+    updateCommentMarkers(feed.comments);
+
+    const commentContainer = document.querySelector(`.comment[data-comment-id="${comment.id}"]`);
+    if (!commentContainer || commentContainer.classList.contains('pending')) return;
+
+    // Keep a collapsed thread collapsed; the toggle counts the new reply
+    const toggle = commentContainer.querySelector('.replies-toggle');
+    getRepliesContainer(commentContainer).appendChild(createReplyElement(reply, comment.id, feed.videoId));
+    setThreadExpanded(commentContainer, !toggle || toggle.getAttribute('aria-expanded') === 'true');
+  }
+
+  function updateNewCommentsPill() {
+    const pill = document.getElementById('comments-new-pill');
+    if (!pill) return;
+
+    if (!pill.dataset.bound) {
+      pill.dataset.bound = 'true';
+      pill.addEventListener('click', showIncomingComments);
+    }
+
+    const count = commentFeed ? commentFeed.incoming.length : 0;
+    pill.hidden = count === 0;
+    pill.innerHTML = `<i class="fas fa-arrow-up"></i> ${count} new comment${count !== 1 ? 's' : ''}`;
+  }
+
+  /**
+   * Show the comments waiting behind the "new comments" pill
+   */
+  function showIncomingComments() {
+    const feed = commentFeed;
+    const commentsListElement = document.getElementById('comments-list');
+    if (!feed || !commentsListElement) return;
+
+    const comments = sortComments(feed.incoming.splice(0), 'oldest');
+    updateNewCommentsPill();
+    commentsListElement.querySelectorAll('.no-comments').forEach(placeholder => placeholder.remove());
+
+    // Oldest first shows them at the end, once the older comments are all loaded
+    const atEnd = feed.sort === 'oldest';
+    if (atEnd && feed.hasMore) return;
+
+    comments.forEach(comment => {
+      feed.seen.add(String(comment.id));
+      const element = createCommentElement(comment, feed.videoId);
+
+      if (atEnd) {
+        feed.comments.push(comment);
+        commentsListElement.appendChild(element);
+      } else {
+        // Newest on top, below the pinned comment
+        feed.comments.unshift(comment);
+        commentsListElement.insertBefore(element, commentsListElement.querySelector(':scope > .comment:not(.pinned)'));
       }
+    });
+
+    updateCommentMarkers(feed.comments);
+    if (!atEnd) commentsListElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  /**
+   * Collapse a long reply thread to its first replies, or expand it
+   * @param {HTMLElement} commentContainer - The comment element
+   * @param {boolean} expanded - Whether every reply is shown
+   */
+  function setThreadExpanded(commentContainer, expanded) {
+    const repliesContainer = commentContainer.querySelector('.comment-replies');
+    if (!repliesContainer) return;
+
+    const replies = Array.from(repliesContainer.querySelectorAll('.reply'));
+    let toggle = commentContainer.querySelector('.replies-toggle');
+
+    if (replies.length <= LONG_THREAD_REPLIES) {
+      replies.forEach(reply => { reply.hidden = false; });
+      if (toggle) toggle.remove();
+      return;
     }
+
+    if (!toggle) {
+      toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'replies-toggle';
+      toggle.addEventListener('click', () => {
+        setThreadExpanded(commentContainer, toggle.getAttribute('aria-expanded') !== 'true');
+      });
+      repliesContainer.after(toggle);
+    }
+
+    replies.forEach((reply, index) => {
+      reply.hidden = !expanded && index >= REPLY_PREVIEW_COUNT;
+    });
+
+    const hiddenCount = replies.length - REPLY_PREVIEW_COUNT;
+    toggle.setAttribute('aria-expanded', String(expanded));
+    toggle.innerHTML = expanded
+      ? '<i class="fas fa-chevron-up"></i> Hide replies'
+      : `<i class="fas fa-chevron-down"></i> Show ${hiddenCount} more ${hiddenCount === 1 ? 'reply' : 'replies'}`;
   }
 
   /**
@@ -155,20 +958,24 @@ window.replayHub = window.replayHub || {};
     commentContainer.className = 'comment';
     commentContainer.dataset.commentId = comment.id;
     
+    // A deleted comment that still has replies stays as a tombstone so its thread doesn't vanish
+    const deleted = Boolean(comment.deleted);
+    if (deleted) commentContainer.classList.add('deleted');
+    
     // Header with avatar and metadata
     const header = document.createElement('div');
     header.className = 'comment-header';
     
     const avatar = document.createElement('div');
     avatar.className = 'user-avatar';
-    avatar.textContent = comment.username.charAt(0).toUpperCase();
+    avatar.textContent = deleted ? '?' : comment.username.charAt(0).toUpperCase();
     
     const metadata = document.createElement('div');
     metadata.className = 'comment-metadata';
     
     const username = document.createElement('div');
     username.className = 'comment-username';
-    username.textContent = comment.username;
+    username.textContent = deleted ? '[deleted]' : comment.username;
     
     const timestamp = document.createElement('div');
     timestamp.className = 'comment-timestamp';
@@ -176,48 +983,85 @@ window.replayHub = window.replayHub || {};
     
     metadata.appendChild(username);
     metadata.appendChild(timestamp);
+    if (!deleted) {
+      updateEditedMarker(metadata, comment, 'comment');
+      addStatusLabel(metadata, comment);
+    }
+    
+    // Video time the comment was attached to
+    if (!deleted && typeof comment.videoTime === 'number' && comment.videoTime >= 0) {
+      const videoTime = createTimeLink(comment.videoTime, formatVideoTime(comment.videoTime), 'comment-video-time');
+      videoTime.insertAdjacentHTML('afterbegin', '<i class="far fa-clock"></i> ');
+      metadata.appendChild(videoTime);
+    }
+    
     header.appendChild(avatar);
     header.appendChild(metadata);
     
     // Comment body
     const body = document.createElement('div');
     body.className = 'comment-body';
-    body.textContent = comment.text;
-    
-    // Action buttons
-    const actions = document.createElement('div');
-    actions.className = 'comment-actions';
-    
-    const likeButton = createActionButton('like', comment.likes || 0, () => handleCommentReaction(comment.id, videoId, 'like'));
-    const dislikeButton = createActionButton('dislike', comment.dislikes || 0, () => handleCommentReaction(comment.id, videoId, 'dislike'));
-    const replyButton = createActionButton('reply', 'Reply', () => showReplyForm(comment.id, videoId), true);
-    
-    actions.appendChild(likeButton);
-    actions.appendChild(dislikeButton);
-    actions.appendChild(replyButton);
-    
-    // Add delete button if current user is video owner
-    if (isVideoOwner()) {
-      const deleteButton = createActionButton('delete', 'Delete', () => deleteComment(comment.id, videoId));
-      actions.appendChild(deleteButton);
+    if (deleted) {
+      body.classList.add('deleted');
+      body.textContent = '[deleted]';
+    } else {
+      renderCommentText(body, comment.text);
     }
     
     // Assemble comment
+    if (comment.pinned && !deleted) {
+      commentContainer.classList.add('pinned');
+      const pinned = document.createElement('div');
+      pinned.className = 'comment-pinned';
+      pinned.innerHTML = '<i class="fas fa-thumbtack"></i> ';
+      pinned.appendChild(document.createTextNode(`Pinned by ${(window.currentVideoData && window.currentVideoData.uploader) || 'the uploader'}`));
+      commentContainer.appendChild(pinned);
+    }
     commentContainer.appendChild(header);
     commentContainer.appendChild(body);
-    commentContainer.appendChild(actions);
     
-    // Add replies if any
-    if (comment.replies && comment.replies.length > 0) {
+    // Action buttons
+    if (!deleted) {
+      const actions = document.createElement('div');
+      actions.className = 'comment-actions';
+      
+      const likeButton = createActionButton('like', comment.likes || 0, () => handleCommentReaction(comment.id, videoId, 'like'));
+      const dislikeButton = createActionButton('dislike', comment.dislikes || 0, () => handleCommentReaction(comment.id, videoId, 'dislike'));
+      const replyButton = createActionButton('reply', 'Reply', () => showReplyForm(comment.id, videoId), true);
+      
+      actions.appendChild(likeButton);
+      actions.appendChild(dislikeButton);
+      actions.appendChild(replyButton);
+      
+      // Add edit button if current user wrote the comment
+      if (isCommentAuthor(comment)) {
+        const editButton = createActionButton('edit', 'Edit', () => startCommentEdit(comment, 'comment', commentContainer));
+        actions.appendChild(editButton);
+      }
+      
+      // Add delete button if current user moderates the video
+      if (isModerator()) {
+        const deleteButton = createActionButton('delete', 'Delete', () => deleteComment(comment.id, videoId));
+        actions.appendChild(deleteButton);
+      }
+      
+      addModerationActions(actions, comment, 'comment', commentContainer, videoId);
+      commentContainer.appendChild(actions);
+    }
+    
+    // Add replies if any; deleted replies have nothing to keep
+    const replies = (comment.replies || []).filter(reply => !reply.deleted && canSeeItem(reply));
+    if (replies.length > 0) {
       const repliesContainer = document.createElement('div');
       repliesContainer.className = 'comment-replies';
       
-      comment.replies.forEach(reply => {
+      replies.forEach(reply => {
         const replyElement = createReplyElement(reply, comment.id, videoId);
         repliesContainer.appendChild(replyElement);
       });
       
       commentContainer.appendChild(repliesContainer);
+      setThreadExpanded(commentContainer, false);
     }
     
     // Add container for reply form
@@ -263,13 +1107,15 @@ window.replayHub = window.replayHub || {};
     
     metadata.appendChild(username);
     metadata.appendChild(timestamp);
+    updateEditedMarker(metadata, reply, 'reply');
+    addStatusLabel(metadata, reply);
     header.appendChild(avatar);
     header.appendChild(metadata);
     
     // Reply body
     const body = document.createElement('div');
     body.className = 'reply-body';
-    body.textContent = reply.text;
+    renderCommentText(body, reply.text);
     
     // Action buttons
     const actions = document.createElement('div');
@@ -281,12 +1127,20 @@ window.replayHub = window.replayHub || {};
     actions.appendChild(likeButton);
     actions.appendChild(dislikeButton);
     
-    // Add delete button if current user is video owner
-    if (isVideoOwner()) {
+    // Add edit button if current user wrote the reply
+    if (isCommentAuthor(reply)) {
+      const editButton = createActionButton('edit', 'Edit', () => startCommentEdit(reply, 'reply', replyContainer));
+      actions.appendChild(editButton);
+    }
+    
+    // Add delete button if current user moderates the video
+    if (isModerator()) {
       const deleteButton = createActionButton('delete', 'Delete', () => deleteReply(reply.id, videoId));
       actions.appendChild(deleteButton);
     }
     
+    addModerationActions(actions, reply, 'reply', replyContainer, videoId, parentId);
+    
     // Assemble reply
     replyContainer.appendChild(header);
     replyContainer.appendChild(body);
@@ -317,9 +1171,18 @@ window.replayHub = window.replayHub || {};
       button.innerHTML = `<i class="far fa-thumbs-down"></i> <span>${text}</span>`;
     } else if (action === 'reply') {
       button.innerHTML = `<i class="fas fa-reply"></i> ${text}`;
+    } else if (action === 'edit') {
+      button.innerHTML = `<i class="fas fa-pen"></i> ${text}`;
+      button.title = 'Edit your comment';
     } else if (action === 'delete') {
       button.innerHTML = `<i class="fas fa-trash"></i> ${text}`;
       button.title = 'Delete this comment';
+    } else if (action === 'report') {
+      button.innerHTML = `<i class="far fa-flag"></i> ${text}`;
+      button.title = 'Report this comment to the moderators';
+    } else if (action === 'moderate') {
+      button.innerHTML = `<i class="fas fa-shield-alt"></i> ${text}`;
+      button.title = 'Moderate this comment';
     }
     
     button.addEventListener('click', handler);
@@ -375,6 +1238,7 @@ window.replayHub = window.replayHub || {};
     
     form.appendChild(input);
     form.appendChild(actions);
+    attachMentions(input);
     
     // Form submission handler
     form.addEventListener('submit', async (event) => {
@@ -382,15 +1246,23 @@ window.replayHub = window.replayHub || {};
       
       const replyText = input.value.trim();
       if (!replyText) return;
+      if (!ensureLoggedIn('Please log in to reply to comments.')) return;
       
+      input.value = '';
+      replyFormContainer.style.display = 'none';
+      
+      // Show the reply right away and swap in the saved one once the server has it
+      const pending = insertPendingReply(commentId, videoId, replyText);
       try {
-        await addReply(commentId, videoId, replyText);
-        replyFormContainer.style.display = 'none';
-        
-        // Refresh comments
-        await loadComments(videoId);
+        const created = await addReply(commentId, videoId, replyText);
+        confirmPendingReply(pending, created, commentId, videoId);
+        showHeldMessage(created);
       } catch (error) {
         console.error('Error submitting reply:', error);
+        pending.element.remove();
+        input.value = replyText;
+        replyFormContainer.style.display = 'block';
+        showMessage(getPostErrorMessage(error, 'Failed to post your reply'), 'error');
       }
     });
     
@@ -401,20 +1273,33 @@ window.replayHub = window.replayHub || {};
     input.focus();
   }
 
+  /**
+   * Ask the user to log in unless they already are
+   * @param {string} message - Why logging in is needed
+   * @returns {boolean} - Whether the user is logged in
+   */
+  function ensureLoggedIn(message) {
+    const currentUser = window.currentUser;
+    if (currentUser && currentUser.isLoggedIn) return true;
+    
+    alert(message);
+    if (window.login) window.login();
+    return false;
+  }
+
   /**
    * Add a comment to a video
    * @param {string} videoId - The ID of the video
    * @param {string} text - The comment text
+   * @param {number|null} videoTime - Video time in seconds the comment is attached to
    * @returns {Promise<Object>} - The created comment
-   */  async function addComment(videoId, text) {
+   */  async function addComment(videoId, text, videoTime = null) {
     try {
       // Access global currentUser object from window
       const currentUser = window.currentUser || { id: 'guest-user', name: 'Guest User' };
       
       // Check if user is logged in
-      if (!currentUser.isLoggedIn) {
-        alert('Please log in to add comments.');
-        if (window.login) window.login();
+      if (!ensureLoggedIn('Please log in to add comments.')) {
         throw new Error('User not logged in');
       }
       
@@ -426,12 +1311,15 @@ window.replayHub = window.replayHub || {};
           userId: currentUser.id,
           username: currentUser.name,
           text,
+          ...(videoTime !== null ? { videoTime } : {}),
           timestamp: new Date().toISOString()
         })
       });
       
       if (!response.ok) {
-        throw new Error(`Error adding comment: ${response.status}`);
+        const error = new Error(`Error adding comment: ${response.status}`);
+        error.status = response.status;
+        throw error;
       }
       
       return await response.json();
@@ -453,9 +1341,7 @@ window.replayHub = window.replayHub || {};
       const currentUser = window.currentUser || { id: 'guest-user', name: 'Guest User' };
       
       // Check if user is logged in
-      if (!currentUser.isLoggedIn) {
-        alert('Please log in to reply to comments.');
-        if (window.login) window.login();
+      if (!ensureLoggedIn('Please log in to reply to comments.')) {
         throw new Error('User not logged in');
       }
       
@@ -472,7 +1358,9 @@ window.replayHub = window.replayHub || {};
       });
       
       if (!response.ok) {
-        throw new Error(`Error adding reply: ${response.status}`);
+        const error = new Error(`Error adding reply: ${response.status}`);
+        error.status = response.status;
+        throw error;
       }
       
       return await response.json();
@@ -1216,6 +2104,219 @@ window.replayHub = window.replayHub || {};
     });
   }
 
+  function getAuthToken() {
+    return localStorage.getItem('replay_hub_token') || sessionStorage.getItem('replay_hub_token');
+  }
+
+  /**
+   * Check if the current user wrote a comment or reply
+   * @param {Object} item - The comment or reply data
+   * @returns {boolean} - Whether the current user is its author
+   */
+  function isCommentAuthor(item) {
+    const currentUser = window.currentUser;
+    if (!currentUser || !currentUser.isLoggedIn || !item || item.deleted) {
+      return false;
+    }
+    
+    return (item.userId && item.userId === currentUser.id) || item.username === currentUser.name;
+  }
+
+  /**
+   * Show the "edited" marker of a comment or reply once it has been edited
+   * @param {HTMLElement} metadata - The metadata element of the comment or reply
+   * @param {Object} item - The comment or reply data
+   * @param {string} kind - 'comment' or 'reply'
+   */
+  function updateEditedMarker(metadata, item, kind) {
+    if (!item.editedAt) return;
+    
+    let marker = metadata.querySelector('.comment-edited');
+    if (!marker) {
+      marker = document.createElement('button');
+      marker.type = 'button';
+      marker.className = 'comment-edited';
+      marker.textContent = '(edited)';
+      marker.addEventListener('click', () => showEditHistory(item, kind));
+      metadata.appendChild(marker);
+    }
+    marker.title = `Edited ${formatDate(new Date(item.editedAt))} - show edit history`;
+  }
+
+  /**
+   * Let the author edit a comment or reply in place
+   * @param {Object} item - The comment or reply data
+   * @param {string} kind - 'comment' or 'reply'
+   * @param {HTMLElement} element - The comment or reply element
+   */
+  function startCommentEdit(item, kind, element) {
+    const body = element.querySelector(`:scope > .${kind}-body`);
+    const actions = element.querySelector(`:scope > .${kind}-actions`);
+    if (!body || element.querySelector(':scope > .comment-edit-form')) return;
+    
+    const form = document.createElement('form');
+    form.className = 'comment-edit-form';
+    form.innerHTML = `
+      <textarea class="comment-edit-input" rows="2"></textarea>
+      <div class="comment-actions">
+        <button type="button" class="cancel">Cancel</button>
+        <button type="submit" class="submit">Save</button>
+      </div>
+    `;
+    
+    const input = form.querySelector('.comment-edit-input');
+    input.value = item.text;
+    
+    const close = () => {
+      form.remove();
+      body.style.display = '';
+      if (actions) actions.style.display = '';
+    };
+    
+    form.querySelector('.cancel').addEventListener('click', close);
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      
+      const text = input.value.trim();
+      if (!text || text === item.text) {
+        close();
+        return;
+      }
+      
+      const saveButton = form.querySelector('.submit');
+      saveButton.disabled = true;
+      
+      try {
+        await editComment(item, kind, text);
+        renderCommentText(body, item.text);
+        updateEditedMarker(element.querySelector(`.${kind}-metadata`), item, kind);
+        if (commentFeed) updateCommentMarkers(commentFeed.comments);
+        close();
+      } catch (error) {
+        console.error(`Error editing ${kind}:`, error);
+        showMessage(`Failed to save your ${kind}`, 'error');
+        saveButton.disabled = false;
+      }
+    });
+    
+    body.style.display = 'none';
+    if (actions) actions.style.display = 'none';
+    body.after(form);
+    attachMentions(input);
+    input.focus();
+  }
+
+  /**
+   * Save a new text for a comment or reply
+   * @param {Object} item - The comment or reply data, updated in place
+   * @param {string} kind - 'comment' or 'reply'
+   * @param {string} text - The new text
+   * @returns {Promise<Object>} - The updated comment or reply data
+   */
+  async function editComment(item, kind, text) {
+    const path = kind === 'reply' ? 'replies' : 'comments';
+    const response = await fetch(`${BASE_URL}/api/${path}/${item.id}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${getAuthToken()}`
+      },
+      body: JSON.stringify({ text })
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    
+    const saved = getSavedItem(await response.json().catch(() => null));
+    
+    // Keep the replaced text in the history once it has been loaded
+    const history = Array.isArray(item.history)
+      ? [...item.history, { text: item.text, timestamp: item.editedAt || item.timestamp }]
+      : item.history;
+    
+    Object.assign(item, { text, editedAt: new Date().toISOString(), history }, saved || {});
+    return item;
+  }
+
+  /**
+   * Show every version of an edited comment or reply, newest first
+   * @param {Object} item - The comment or reply data
+   * @param {string} kind - 'comment' or 'reply'
+   */
+  async function showEditHistory(item, kind) {
+    const modal = document.createElement('div');
+    modal.className = 'comment-history-modal';
+    modal.innerHTML = `
+      <div class="comment-history-backdrop"></div>
+      <div class="comment-history-content">
+        <div class="comment-history-header">
+          <h3>Edit history</h3>
+        </div>
+        <div class="comment-history-body">
+          <div class="loading">Loading edit history...</div>
+        </div>
+        <div class="comment-history-actions">
+          <button class="comment-history-close-btn">Close</button>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const close = () => {
+      if (document.body.contains(modal)) {
+        document.body.removeChild(modal);
+      }
+      document.removeEventListener('keydown', handleEscape);
+    };
+    
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') close();
+    };
+    
+    modal.querySelector('.comment-history-close-btn').onclick = close;
+    modal.querySelector('.comment-history-backdrop').onclick = close;
+    document.addEventListener('keydown', handleEscape);
+    
+    const body = modal.querySelector('.comment-history-body');
+    
+    if (!Array.isArray(item.history)) {
+      try {
+        const path = kind === 'reply' ? 'replies' : 'comments';
+        const response = await fetch(`${BASE_URL}/api/${path}/${item.id}/history`);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        item.history = Array.isArray(data) ? data : data.history || [];
+      } catch (error) {
+        console.error('Error loading edit history:', error);
+        body.innerHTML = '<p class="comment-history-empty">The edit history isn\'t available.</p>';
+        return;
+      }
+    }
+    
+    const revisions = [
+      { text: item.text, timestamp: item.editedAt, current: true },
+      ...item.history.slice().reverse()
+    ];
+    
+    body.innerHTML = '';
+    revisions.forEach(revision => {
+      const entry = document.createElement('div');
+      entry.className = 'comment-history-entry';
+      entry.innerHTML = `
+        <div class="comment-history-date"></div>
+        <div class="comment-history-text"></div>
+      `;
+      const date = revision.timestamp ? formatDate(new Date(revision.timestamp)) : '';
+      entry.querySelector('.comment-history-date').textContent = revision.current ? `Current${date ? ` - ${date}` : ''}` : date;
+      entry.querySelector('.comment-history-text').textContent = revision.text;
+      body.appendChild(entry);
+    });
+  }
+
   /**
    * Check if current user is the video owner
    * @returns {boolean} - Whether current user owns the video
@@ -1234,14 +2335,185 @@ window.replayHub = window.replayHub || {};
            videoData.user_id === currentUser.id;
   }
 
+  /**
+   * Check if current user can moderate the comments of the video
+   * @returns {boolean} - Whether current user owns the video or is an admin
+   */
+  function isModerator() {
+    return isVideoOwner() || Boolean(moderation && moderation.isAdmin());
+  }
+
+  // Hidden, spam and held comments are only shown to moderators and their author
+  function canSeeItem(item) {
+    return !moderation || moderation.getStatus(item) === 'published' || isModerator() || isCommentAuthor(item);
+  }
+
+  /**
+   * Label a comment or reply that isn't published
+   * @param {HTMLElement} metadata - The metadata element of the comment or reply
+   * @param {Object} item - The comment or reply data
+   */
+  function addStatusLabel(metadata, item) {
+    if (!moderation) return;
+    const status = moderation.getStatus(item);
+    if (status === 'published') return;
+    
+    const label = document.createElement('span');
+    label.className = `comment-status ${status}`;
+    label.textContent = status === 'held' && !isModerator() ? 'Awaiting review' : moderation.getStatusLabel(item);
+    metadata.appendChild(label);
+  }
+
+  /**
+   * Add the moderation button for moderators, or the report button for other viewers
+   * @param {HTMLElement} actions - The actions element of the comment or reply
+   * @param {Object} item - The comment or reply data
+   * @param {string} kind - 'comment' or 'reply'
+   * @param {HTMLElement} element - The comment or reply element
+   * @param {string} videoId - The ID of the video
+   * @param {string|null} parentId - The parent comment ID of a reply
+   */
+  function addModerationActions(actions, item, kind, element, videoId, parentId = null) {
+    if (!moderation || String(item.id).startsWith('pending-')) return;
+    
+    if (isModerator()) {
+      const moderateButton = createActionButton('moderate', 'Moderate', () => {
+        showModerationMenu(moderateButton, item, kind, element, videoId, parentId);
+      });
+      actions.appendChild(moderateButton);
+    } else if (!isCommentAuthor(item)) {
+      const reportButton = createActionButton('report', 'Report', () => {
+        if (ensureLoggedIn('Please log in to report comments.')) moderation.showReportDialog(item, kind);
+      });
+      actions.appendChild(reportButton);
+    }
+  }
+
+  function showModerationMenu(anchor, item, kind, element, videoId, parentId) {
+    const status = moderation.getStatus(item);
+    const update = fields => applyModeration(item, kind, fields, element, videoId, parentId);
+    // Comments taken down lose their pin
+    const unpin = kind === 'comment' ? { pinned: false } : {};
+    const options = [];
+    
+    if (status === 'held') {
+      options.push({ label: 'Approve', icon: 'fa-check', action: () => update({ status: 'published' }) });
+    }
+    if (kind === 'comment' && status === 'published') {
+      options.push({ label: item.pinned ? 'Unpin' : 'Pin to top', icon: 'fa-thumbtack', action: () => update({ pinned: !item.pinned }) });
+    }
+    options.push(status === 'hidden'
+      ? { label: 'Unhide', icon: 'fa-eye', action: () => update({ status: 'published' }) }
+      : { label: 'Hide', icon: 'fa-eye-slash', action: () => update({ status: 'hidden', ...unpin }) });
+    options.push(status === 'spam'
+      ? { label: 'Not spam', icon: 'fa-check-circle', action: () => update({ status: 'published' }) }
+      : { label: 'Mark as spam', icon: 'fa-ban', action: () => update({ status: 'spam', ...unpin }) });
+    
+    // Blocks apply to the owner's own videos
+    if (isVideoOwner() && !isCommentAuthor(item) && item.userId) {
+      options.push({ label: `Block ${item.username}`, icon: 'fa-user-slash', danger: true, action: () => blockCommenter(item) });
+    }
+    
+    moderation.showMenu(anchor, 'Moderate', options);
+  }
+
+  /**
+   * Save a moderation change and show the comment or reply with it
+   * @param {Object} item - The comment or reply data
+   * @param {string} kind - 'comment' or 'reply'
+   * @param {Object} fields - The moderation fields to set
+   * @param {HTMLElement} element - The comment or reply element
+   * @param {string} videoId - The ID of the video
+   * @param {string|null} parentId - The parent comment ID of a reply
+   */
+  async function applyModeration(item, kind, fields, element, videoId, parentId) {
+    try {
+      await moderation.setModeration(item, kind, fields);
+    } catch (error) {
+      console.error('Error moderating comment:', error);
+      showMessage('Failed to update the comment', 'error');
+      return;
+    }
+    
+    if (kind === 'reply') {
+      element.replaceWith(createReplyElement(item, parentId, videoId));
+      return;
+    }
+    
+    // Only one comment is pinned at a time
+    if (fields.pinned && commentFeed) {
+      commentFeed.comments.forEach(comment => {
+        if (comment === item || !comment.pinned) return;
+        comment.pinned = false;
+        const pinnedElement = document.querySelector(`.comment[data-comment-id="${comment.id}"]`);
+        if (pinnedElement) pinnedElement.replaceWith(createCommentElement(comment, videoId));
+      });
+    }
+    
+    const updated = createCommentElement(item, videoId);
+    element.replaceWith(updated);
+    if (fields.pinned) {
+      const commentsListElement = document.getElementById('comments-list');
+      if (commentsListElement) commentsListElement.prepend(updated);
+    }
+  }
+
+  async function blockCommenter(item) {
+    if (!confirm(`Block ${item.username} from commenting on your videos? Their existing comments stay until you hide or delete them.`)) {
+      return;
+    }
+    
+    try {
+      await moderation.blockUser(item.userId, item.username);
+      showMessage(`${item.username} can no longer comment on your videos`, 'success');
+    } catch (error) {
+      console.error('Error blocking user:', error);
+      showMessage('Failed to block the user', 'error');
+    }
+  }
+
+  /**
+   * Show the moderation panel button to moderators
+   * @param {string} videoId - The ID of the video
+   */
+  function setupModeration(videoId) {
+    const moderateButton = document.getElementById('comment-moderate-btn');
+    const panelContainer = document.getElementById('comment-moderation-panel');
+    if (!moderation || !moderateButton || !panelContainer) return;
+    
+    moderateButton.style.display = isModerator() ? 'flex' : 'none';
+    if (moderateButton.dataset.bound) return;
+    moderateButton.dataset.bound = 'true';
+    
+    const panel = moderation.createPanel(panelContainer, {
+      videoId,
+      deleteItem: ({ item, kind }) => kind === 'reply' ? deleteReply(item.id, videoId) : deleteComment(item.id, videoId),
+      onChanged: () => loadComments(videoId)
+    });
+    moderateButton.addEventListener('click', () => panel.toggle());
+  }
+
+  // Comments matching the uploader's word filter are held until they approve them
+  function showHeldMessage(created) {
+    const saved = getSavedItem(created);
+    if (saved && moderation && moderation.getStatus(saved) === 'held') {
+      showMessage('Your comment is held for review by the uploader', 'info');
+    }
+  }
+
+  function getPostErrorMessage(error, fallback) {
+    return error.status === 403 ? 'The uploader has blocked you from commenting on their videos' : fallback;
+  }
+
   /**
    * Delete a comment
    * @param {string} commentId - The ID of the comment to delete
    * @param {string} videoId - The ID of the video
+   * @returns {Promise<boolean>} - Whether the comment was deleted
    */
   async function deleteComment(commentId, videoId) {
     if (!confirm('Are you sure you want to delete this comment? This action cannot be undone.')) {
-      return;
+      return false;
     }
     
     try {
@@ -1256,20 +2528,32 @@ window.replayHub = window.replayHub || {};
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       
-      // Remove the comment from the UI
-      const commentElement = document.querySelector(`[data-comment-id="${commentId}"]`);
-      if (commentElement) {
-        commentElement.remove();
+      // Remove the comment from the UI, or leave a tombstone above its replies
+      const commentElement = document.querySelector(`.comment[data-comment-id="${commentId}"]`);
+      const comment = commentFeed && commentFeed.comments.find(item => String(item.id) === String(commentId));
+      const hasReplies = commentElement && commentElement.querySelector('.comment-replies .reply');
+      
+      if (commentElement && comment && hasReplies) {
+        Object.assign(comment, { deleted: true, text: '' });
+        commentElement.replaceWith(createCommentElement(comment, videoId));
+      } else {
+        if (commentElement) commentElement.remove();
+        if (commentFeed) {
+          commentFeed.comments = commentFeed.comments.filter(item => String(item.id) !== String(commentId));
+        }
       }
       
+      if (commentFeed) updateCommentMarkers(commentFeed.comments);
+      
       // Update comments count
       updateCommentsCount(-1);
       
       showMessage('Comment deleted successfully!', 'success');
-      
+      return true;
     } catch (error) {
       console.error('Error deleting comment:', error);
       showMessage('Failed to delete comment', 'error');
+      return false;
     }
   }
 
@@ -1277,10 +2561,11 @@ window.replayHub = window.replayHub || {};
    * Delete a reply
    * @param {string} replyId - The ID of the reply to delete
    * @param {string} videoId - The ID of the video
+   * @returns {Promise<boolean>} - Whether the reply was deleted
    */
   async function deleteReply(replyId, videoId) {
     if (!confirm('Are you sure you want to delete this reply? This action cannot be undone.')) {
-      return;
+      return false;
     }
     
     try {
@@ -1298,14 +2583,27 @@ window.replayHub = window.replayHub || {};
       // Remove the reply from the UI
       const replyElement = document.querySelector(`[data-reply-id="${replyId}"]`);
       if (replyElement) {
+        const commentContainer = replyElement.closest('.comment');
         replyElement.remove();
+        if (commentContainer) {
+          const toggle = commentContainer.querySelector('.replies-toggle');
+          setThreadExpanded(commentContainer, !toggle || toggle.getAttribute('aria-expanded') === 'true');
+        }
       }
       
-      showMessage('Reply deleted successfully!', 'success');
+      if (commentFeed) {
+        commentFeed.comments.forEach(comment => {
+          comment.replies = (comment.replies || []).filter(reply => String(reply.id) !== String(replyId));
+        });
+        updateCommentMarkers(commentFeed.comments);
+      }
       
+      showMessage('Reply deleted successfully!', 'success');
+      return true;
     } catch (error) {
       console.error('Error deleting reply:', error);
       showMessage('Failed to delete reply', 'error');
+      return false;
     }
   }
 
@@ -1321,7 +2619,7 @@ window.replayHub = window.replayHub || {};
     const currentCount = parseInt(currentText.match(/\d+/)?.[0] || '0');
     const newCount = Math.max(0, currentCount + delta);
     
-    commentsCountElement.textContent = `${newCount} Comment${newCount !== 1 ? 's' : ''}`;
+    commentsCountElement.textContent = formatCommentsCount(newCount);
   }
 
   /**
@@ -0,0 +1,55 @@
+/**
+ * Video Conversion Worker
+ * Runs the VideoConverter WebCodecs pipeline off the main thread so the upload modal stays responsive.
+ *
+ * Messages in:  { type: 'convert', file, options }
+ * Messages out: { type: 'progress', progress } with progress from 0 to 1
+ *               { type: 'done', file, lastConversion } - file is null when the original should be kept
+ *               { type: 'unsupported' } - this worker can't convert, run on the main thread instead
+ *               { type: 'error', message }
+ * Cancelling is done by terminating the worker.
+ */
+
+// The converter modules register themselves on window
+self.window = self;
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/mp4-muxer@5/build/mp4-muxer.min.js',
+    'https://cdn.jsdelivr.net/npm/webm-muxer@5/build/webm-muxer.min.js',
+    'mediaDemuxer.js',
+    'videoConverter.js'
+);
+
+self.onmessage = async (event) => {
+    const { type, file, options } = event.data;
+    if (type !== 'convert') return;
+
+    // WebCodecs and OffscreenCanvas are not exposed to workers in every browser
+    if (typeof VideoEncoder === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+        self.postMessage({ type: 'unsupported' });
+        return;
+    }
+
+    const converter = new VideoConverter();
+    let reportedProgress = 0;
+
+    try {
+        const converted = await converter.convertWithWebCodecs(file, {
+            ...options,
+            onProgress: (progress) => {
+                // Progress arrives per frame; half a percent is plenty for a progress bar
+                if (progress - reportedProgress < 0.005) return;
+                reportedProgress = progress;
+                self.postMessage({ type: 'progress', progress });
+            }
+        });
+
+        self.postMessage({
+            type: 'done',
+            file: converted === file ? null : converted,
+            lastConversion: converter.lastConversion
+        });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -5,7 +5,8 @@
 
 class VideoConverter {
     constructor() {
-        this.worker = null;
+        this.worker = null;         // Conversion worker while a conversion runs off the main thread
+        this.lastConversion = null; // Codec and settings of the last WebCodecs conversion
         this.isSupported = this.checkSupport();
         console.log('🎬 VideoConverter initialized, H.265 support:', this.isSupported);
     }
@@ -34,6 +35,8 @@ class VideoConverter {
      * Convert video to H.265 if possible, otherwise return original
      * @param {File} videoFile - The video file to convert
      * @param {Object} options - Conversion options
+     * @param {Function} [options.onProgress] - Called with the conversion progress from 0 to 1
+     * @param {AbortSignal} [options.signal] - Cancels the conversion; the promise then rejects with an AbortError
      * @returns {Promise<File>} - Converted file or original if conversion not possible
      */
     async convertToH265(videoFile, options = {}) {
@@ -41,9 +44,12 @@ class VideoConverter {
             quality = 'medium', // low, medium, high
             maxWidth = 1920,
             maxHeight = 1080,
-            targetBitrate = null
+            targetBitrate = null,
+            signal = null
         } = options;
 
+        if (signal && signal.aborted) throw VideoConverter.createAbortError();
+
         console.log('🔄 Starting H.265 conversion for:', videoFile.name);
 
         // If H.265 not supported, return original
@@ -53,14 +59,18 @@ class VideoConverter {
         }
 
         try {
-            // Check if file is already H.265
-            if (await this.isH265(videoFile)) {
-                console.log('✅ File is already H.265, no conversion needed');
+            // Skip files that are already efficiently encoded at an acceptable size
+            const info = await this.probe(videoFile);
+            if (info && !this.needsConversion(info, { maxWidth, maxHeight, quality, targetBitrate })) {
+                console.log(`✅ File is already ${info.videoCodecName} at ${info.width}x${info.height}, no conversion needed`);
                 return videoFile;
             }
 
-            // Convert using WebCodecs API if available
+            // Convert using WebCodecs API if available, preferably in a worker
             if (typeof VideoEncoder !== 'undefined') {
+                if (this.canUseWorker()) {
+                    return await this.convertInWorker(videoFile, options);
+                }
                 return await this.convertWithWebCodecs(videoFile, options);
             }
 
@@ -68,54 +78,719 @@ class VideoConverter {
             return await this.convertWithMediaRecorder(videoFile, options);
 
         } catch (error) {
+            // Cancelling is not a failure - the caller decides what happens next
+            if (error.name === 'AbortError') throw error;
+
             console.error('❌ Video conversion failed:', error);
             console.log('⚠️ Falling back to original file');
             return videoFile;
         }
     }
 
+    /**
+     * Read the codec, resolution and bitrate from the file's container headers
+     * @returns {Promise<Object|null>} - mediaProbe results, or null if the headers can't be read
+     */
+    async probe(videoFile) {
+        if (typeof window === 'undefined' || !window.replayHub || !window.replayHub.mediaProbe) {
+            return null;
+        }
+        return window.replayHub.mediaProbe.probeFile(videoFile);
+    }
+
     /**
      * Check if video file is already H.265
      */
     async isH265(videoFile) {
-        return new Promise((resolve) => {
-            const video = document.createElement('video');
-            const url = URL.createObjectURL(videoFile);
-            
-            video.onloadedmetadata = () => {
-                URL.revokeObjectURL(url);
-                // This is a basic check - in practice you'd want to analyze the actual codec
-                // For now, we'll assume MP4 files might need conversion
-                const isH265 = videoFile.type.includes('h265') || 
-                               videoFile.type.includes('hev1') ||
-                               videoFile.name.toLowerCase().includes('h265');
-                resolve(isH265);
+        const info = await this.probe(videoFile);
+        return Boolean(info && info.videoCodecName === 'H.265');
+    }
+
+    /**
+     * Decide whether re-encoding would gain anything: files already in an efficient codec
+     * are left alone unless they exceed the size limits or the bitrate we'd encode at.
+     */
+    needsConversion(info, { maxWidth, maxHeight, quality, targetBitrate }) {
+        if (!info.videoCodec) return true;
+
+        // A file this browser can't play is re-encoded into a codec it can
+        if (!window.replayHub.mediaProbe.getPlaybackSupport(info).video) return true;
+
+        const codec = VideoConverter.OUTPUT_CODECS.find(candidate => candidate.name === info.videoCodecName);
+        if (!codec || !VideoConverter.EFFICIENT_CODECS.includes(codec.id)) return true;
+
+        if (info.width > maxWidth || info.height > maxHeight) return true;
+
+        if (info.bitrate && info.width && info.height) {
+            const bitrate = targetBitrate || this.estimateBitrate(codec, info.width, info.height, info.frameRate || 30, quality);
+            // Leave headroom for audio and container overhead
+            return info.bitrate > bitrate * 1.5;
+        }
+
+        return false;
+    }
+
+    /**
+     * Check if the WebCodecs pipeline can run in a dedicated worker
+     */
+    canUseWorker() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+    }
+
+    /**
+     * Run convertWithWebCodecs in a worker (see videoConversionWorker.js).
+     * Falls back to the main thread if the worker can't start or lacks WebCodecs.
+     */
+    convertInWorker(videoFile, options) {
+        // Callbacks and signals can't be posted to a worker
+        const { onProgress = null, signal = null, ...settings } = options;
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(VideoConverter.WORKER_URL);
+            this.worker = worker;
+
+            const onAbort = () => {
+                finish();
+                reject(VideoConverter.createAbortError());
             };
-            
-            video.onerror = () => {
-                URL.revokeObjectURL(url);
-                resolve(false);
+
+            const finish = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                worker.terminate();
+                if (this.worker === worker) this.worker = null;
             };
-            
-            video.src = url;
+
+            const fallBackToMainThread = (reason) => {
+                finish();
+                console.warn(`⚠️ ${reason}, converting on the main thread`);
+                resolve(this.convertWithWebCodecs(videoFile, options));
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message.progress);
+                } else if (message.type === 'done') {
+                    finish();
+                    this.lastConversion = message.lastConversion;
+                    resolve(message.file || videoFile);
+                } else if (message.type === 'unsupported') {
+                    fallBackToMainThread('WebCodecs is not available in workers');
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(new Error(message.message));
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                fallBackToMainThread(`Conversion worker failed: ${event.message || 'could not load'}`);
+            };
+
+            console.log('🧵 Converting in a worker');
+            worker.postMessage({ type: 'convert', file: videoFile, options: settings });
+        });
+    }
+
+    /**
+     * Cut a time range out of a video
+     * The range is stream-copied when it starts on a key frame and the muxers accept the source codecs,
+     * otherwise it is re-encoded with convertWithWebCodecs (so the conversion options apply).
+     * @param {File} videoFile - The video file to cut
+     * @param {Object} options - Trim options, plus any convertToH265 options for re-encoding
+     * @param {number} options.start - Start of the range in seconds
+     * @param {number} options.end - End of the range in seconds
+     * @param {boolean} [options.reencode] - Re-encode even when the range could be copied
+     * @param {Function} [options.onProgress] - Called with the progress from 0 to 1
+     * @param {AbortSignal} [options.signal] - Cancels the trim; the promise then rejects with an AbortError
+     * @returns {Promise<File>} - The clip
+     */
+    async trim(videoFile, options) {
+        const { start, end, reencode = false, signal = null, ...settings } = options;
+        this.lastConversion = null;
+
+        if (signal && signal.aborted) throw VideoConverter.createAbortError();
+        if (!(end > start)) {
+            throw new Error('A clip must end after it starts');
+        }
+        if (typeof MediaDemuxer === 'undefined' || typeof VideoEncoder === 'undefined') {
+            throw new Error('Trimming needs WebCodecs, which this browser does not support');
+        }
+
+        const demuxer = await MediaDemuxer.open(videoFile);
+        if (!demuxer.videoTrack) {
+            throw new Error('No video track found');
+        }
+
+        let clip = null;
+        const keyFrame = reencode ? null : await this.findKeyFrameAt(demuxer, start);
+
+        if (keyFrame !== null) {
+            try {
+                clip = await this.copyRange(demuxer, { start: keyFrame, end, signal, onProgress: settings.onProgress });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn('⚠️ Stream copy failed, re-encoding the clip instead:', error);
+            }
+        }
+
+        if (!clip) {
+            // Keep the source resolution unless the caller asked for a limit
+            const encodeOptions = { quality: 'high', maxWidth: Infinity, maxHeight: Infinity, ...settings, start, end, signal };
+            clip = this.canUseWorker()
+                ? await this.convertInWorker(videoFile, encodeOptions)
+                : await this.convertWithWebCodecs(videoFile, encodeOptions);
+        }
+
+        // The name carries the range and the date is the source's, so cutting the same range again
+        // gives the same file fingerprint and its upload session can be resumed
+        const nameWithoutExt = videoFile.name.replace(/\.[^/.]+$/, '');
+        const extension = clip.name.split('.').pop();
+        const formatTime = time => `${Number(time.toFixed(1))}s`;
+        return new File([clip], `${nameWithoutExt}_${formatTime(start)}-${formatTime(end)}.${extension}`, {
+            type: clip.type,
+            lastModified: videoFile.lastModified
         });
     }
 
+    /**
+     * Find the video key frame within half a frame of a time
+     * @returns {Promise<number|null>} - The key frame time in seconds, or null if the time isn't on one
+     */
+    async findKeyFrameAt(demuxer, time) {
+        const keyFrames = await demuxer.getKeyFrameTimes();
+        const tolerance = 1e6 / (demuxer.videoTrack.frameRate || 30) / 2;
+        const keyFrame = keyFrames.find(candidate => Math.abs(candidate - time * 1e6) <= tolerance);
+        return keyFrame === undefined ? null : keyFrame / 1e6;
+    }
+
+    /**
+     * Copy the encoded samples of a range into a new file without decoding them
+     * @param {MediaDemuxer} demuxer - The opened source
+     * @param {Object} range - { start, end } in seconds, start being a key frame time, plus signal and onProgress
+     */
+    async copyRange(demuxer, { start, end, signal, onProgress }) {
+        const source = demuxer.videoTrack;
+        const codec = VideoConverter.OUTPUT_CODECS.find(candidate =>
+            candidate.fourccs.some(fourcc => source.codec.startsWith(fourcc)));
+        if (!codec) {
+            throw new Error(`${source.codec} can't be stream-copied`);
+        }
+
+        const container = codec.mp4Codec && this.isContainerAvailable('mp4') ? 'mp4'
+            : (codec.webmCodec && this.isContainerAvailable('webm') ? 'webm' : null);
+        if (!container) {
+            throw new Error('No muxer available for stream copy');
+        }
+
+        const audio = await this.selectAudioConfig(demuxer.audioTrack, container);
+        if (audio && audio.mode !== 'copy') {
+            throw new Error(`${demuxer.audioTrack.codec} audio can't be stream-copied into ${container}`);
+        }
+
+        console.log(`✂️ Stream-copying ${start.toFixed(2)}s-${end.toFixed(2)}s into ${container.toUpperCase()}`);
+
+        const writer = this.createBlobWriter();
+        const output = { container, video: codec, audio: audio || null };
+        const muxer = this.createMuxer(output, source.width, source.height, source.frameRate || 30, writer);
+
+        const decoderConfig = { codec: source.codec, codedWidth: source.width, codedHeight: source.height };
+        if (source.description) decoderConfig.description = source.description;
+
+        // The decoder configs only go with the first chunk of each track
+        let videoMeta = { decoderConfig };
+        let audioMeta = audio ? { decoderConfig: audio.decoderConfig } : undefined;
+
+        const startTime = start * 1e6;
+        const endTime = end * 1e6;
+        let started = false;
+        let videoDone = false;
+        // Frames shown after the out-point, held until a later frame shown before it may need them as references
+        let heldFrames = [];
+
+        const addVideoSample = (sample) => {
+            muxer.addVideoChunk(new EncodedVideoChunk(this.getChunkInit(sample, startTime)), videoMeta);
+            videoMeta = undefined;
+        };
+
+        for await (const sample of demuxer.samples(startTime)) {
+            if (signal && signal.aborted) throw VideoConverter.createAbortError();
+            if (sample.timestamp >= endTime + VideoConverter.REORDER_MARGIN) break;
+
+            if (sample.type === 'video') {
+                // Start on the key frame at the in-point
+                if (!started) {
+                    if (!sample.isKey || sample.timestamp !== startTime) continue;
+                    started = true;
+                }
+                if (videoDone || sample.timestamp < startTime) continue;
+
+                // Samples come in decode order: with B-frames, frames shown before the out-point can follow
+                // frames shown after it. Stop at the next key frame past the out-point, and only keep
+                // frames past it when a frame shown before it comes later
+                if (sample.timestamp >= endTime) {
+                    if (sample.isKey) {
+                        videoDone = true;
+                    } else {
+                        heldFrames.push(sample);
+                    }
+                    continue;
+                }
+
+                heldFrames.forEach(addVideoSample);
+                heldFrames = [];
+                addVideoSample(sample);
+
+                if (onProgress) onProgress(Math.min((sample.timestamp - startTime) / (endTime - startTime), 1));
+            } else if (audio && sample.timestamp >= startTime && sample.timestamp < endTime) {
+                muxer.addAudioChunk(new EncodedAudioChunk(this.getChunkInit(sample, startTime)), audioMeta);
+                audioMeta = undefined;
+            }
+        }
+
+        if (!started) {
+            throw new Error('No key frame found at the start of the clip');
+        }
+
+        muxer.finalize();
+
+        const mimeType = container === 'webm' ? 'video/webm' : 'video/mp4';
+        return new File([writer.toBlob(mimeType)], `clip.${container}`, { type: mimeType });
+    }
+
     /**
      * Convert using WebCodecs API (most efficient)
+     * Pipeline: demux (MediaDemuxer) -> VideoDecoder -> scale -> VideoEncoder -> MP4/WebM muxer.
+     * Audio is copied when the target container supports its codec, otherwise re-encoded.
+     * With options.start/end (seconds) only that range is encoded, starting at timestamp 0.
      */
     async convertWithWebCodecs(videoFile, options) {
         console.log('🚀 Using WebCodecs API for H.265 conversion');
-        
-        // This is a simplified implementation
-        // In practice, you'd need to implement the full WebCodecs pipeline
-        // For now, we'll return the original file and log that WebCodecs is available
-        
-        console.log('ℹ️ WebCodecs API detected - full implementation would go here');
-        console.log('ℹ️ This would provide the best quality and performance');
-        
-        // Return original for now - you can implement the full WebCodecs pipeline later
-        return videoFile;
+        this.lastConversion = null;
+
+        const {
+            quality = 'medium',
+            maxWidth = 1920,
+            maxHeight = 1080,
+            targetBitrate = null,
+            container = 'mp4',
+            onProgress = null,
+            signal = null,
+            start = 0,
+            end = null
+        } = options;
+
+        if (typeof MediaDemuxer === 'undefined') {
+            throw new Error('MediaDemuxer is not loaded');
+        }
+
+        const demuxer = await MediaDemuxer.open(videoFile);
+        const source = demuxer.videoTrack;
+        if (!source) {
+            throw new Error('No video track found');
+        }
+
+        const decoderConfig = {
+            codec: source.codec,
+            codedWidth: source.width,
+            codedHeight: source.height
+        };
+        if (source.description) decoderConfig.description = source.description;
+
+        const decoderSupport = await VideoDecoder.isConfigSupported(decoderConfig);
+        if (!decoderSupport.supported) {
+            throw new Error(`This browser cannot decode ${source.codec}`);
+        }
+
+        // Encoders need even dimensions
+        const scaled = this.calculateDimensions(source.width, source.height, maxWidth, maxHeight);
+        const width = scaled.width - (scaled.width % 2);
+        const height = scaled.height - (scaled.height % 2);
+        const frameRate = source.frameRate || 30;
+
+        const output = await this.selectOutputConfig({
+            width,
+            height,
+            frameRate,
+            quality,
+            targetBitrate,
+            container,
+            audioTrack: demuxer.audioTrack
+        });
+
+        if (!output) {
+            throw new Error('No supported output codec for this video');
+        }
+
+        console.log(`🎯 Encoding ${output.video.label.toUpperCase()} ${width}x${height} @ ${Math.round(output.encoderConfig.bitrate / 1000)} kbps into ${output.container.toUpperCase()}`);
+
+        const writer = this.createBlobWriter();
+        const muxer = this.createMuxer(output, width, height, frameRate, writer);
+        const sourceDuration = (demuxer.duration || source.duration || 0) * 1e6;
+        const trimming = start > 0 || end !== null;
+        const startTime = start * 1e6;
+        const endTime = end !== null ? end * 1e6 : Infinity;
+        const totalDuration = Math.min(endTime, sourceDuration) - startTime;
+
+        let pipelineError = null;
+        const fail = (error) => {
+            if (!pipelineError) pipelineError = error;
+        };
+
+        const encoder = new VideoEncoder({
+            output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+            error: fail
+        });
+        encoder.configure(output.encoderConfig);
+
+        const needsScaling = width !== source.width || height !== source.height;
+        const canvas = needsScaling ? new OffscreenCanvas(width, height) : null;
+        const context = canvas ? canvas.getContext('2d') : null;
+        let lastKeyFrame = -Infinity;
+
+        const decoder = new VideoDecoder({
+            output: (frame) => {
+                // Frames decoded from the key frame before the range are only needed as references
+                if (frame.timestamp < startTime || frame.timestamp >= endTime) {
+                    frame.close();
+                    return;
+                }
+
+                const timestamp = frame.timestamp - startTime;
+                const frameInit = { timestamp };
+                if (frame.duration) frameInit.duration = frame.duration;
+                let outputFrame = frame;
+
+                if (canvas) {
+                    context.drawImage(frame, 0, 0, width, height);
+                    outputFrame = new VideoFrame(canvas, frameInit);
+                    frame.close();
+                } else if (startTime > 0) {
+                    outputFrame = new VideoFrame(frame, frameInit);
+                    frame.close();
+                }
+
+                // Regular key frames keep the output seekable
+                const keyFrame = timestamp - lastKeyFrame >= VideoConverter.KEY_FRAME_INTERVAL;
+                if (keyFrame) lastKeyFrame = timestamp;
+
+                encoder.encode(outputFrame, { keyFrame });
+                outputFrame.close();
+
+                if (onProgress && totalDuration > 0) {
+                    onProgress(Math.min(timestamp / totalDuration, 1));
+                }
+            },
+            error: fail
+        });
+        decoder.configure(decoderConfig);
+
+        // Audio: copy the encoded chunks or decode and encode them again
+        const audio = output.audio;
+        let audioDecoder = null;
+        let audioEncoder = null;
+        let audioMeta = null;
+
+        if (audio && audio.mode === 'copy') {
+            audioMeta = { decoderConfig: audio.decoderConfig };
+        } else if (audio && audio.mode === 'encode') {
+            audioEncoder = new AudioEncoder({
+                output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+                error: fail
+            });
+            audioEncoder.configure(audio.encoderConfig);
+
+            audioDecoder = new AudioDecoder({
+                output: (data) => {
+                    audioEncoder.encode(data);
+                    data.close();
+                },
+                error: fail
+            });
+            audioDecoder.configure(audio.decoderConfig);
+        }
+
+        let sawKeyFrame = false;
+
+        try {
+            for await (const sample of demuxer.samples(startTime)) {
+                if (pipelineError) throw pipelineError;
+                if (signal && signal.aborted) throw VideoConverter.createAbortError();
+
+                // Past the range, allowing for frames stored ahead of their presentation time
+                if (sample.timestamp >= endTime + VideoConverter.REORDER_MARGIN) break;
+
+                const inRange = sample.timestamp >= startTime && sample.timestamp < endTime;
+
+                if (sample.type === 'video') {
+                    // Decoding has to start on a key frame
+                    if (!sawKeyFrame && !sample.isKey) continue;
+                    sawKeyFrame = true;
+
+                    // Let the decoder and encoder catch up before queuing more work
+                    await this.waitForQueue(() => decoder.decodeQueueSize + encoder.encodeQueueSize);
+
+                    decoder.decode(new EncodedVideoChunk(this.getChunkInit(sample)));
+                } else if (!inRange) {
+                    continue;
+                } else if (audio && audio.mode === 'copy') {
+                    muxer.addAudioChunk(new EncodedAudioChunk(this.getChunkInit(sample, startTime)), audioMeta);
+                    audioMeta = undefined; // The decoder config only goes with the first chunk
+                } else if (audioDecoder) {
+                    await this.waitForQueue(() => audioDecoder.decodeQueueSize + audioEncoder.encodeQueueSize);
+                    audioDecoder.decode(new EncodedAudioChunk(this.getChunkInit(sample, startTime)));
+                }
+            }
+
+            await decoder.flush();
+            await encoder.flush();
+            if (audioDecoder) {
+                await audioDecoder.flush();
+                await audioEncoder.flush();
+            }
+
+            if (pipelineError) throw pipelineError;
+
+            muxer.finalize();
+        } finally {
+            [decoder, encoder, audioDecoder, audioEncoder].forEach(codec => {
+                if (codec && codec.state !== 'closed') codec.close();
+            });
+        }
+
+        const mimeType = output.container === 'webm' ? 'video/webm' : 'video/mp4';
+        const nameWithoutExt = videoFile.name.replace(/\.[^/.]+$/, '');
+        const convertedFile = new File([writer.toBlob(mimeType)], `${nameWithoutExt}_${output.video.label}.${output.container}`, {
+            type: mimeType,
+            lastModified: Date.now()
+        });
+
+        console.log('✅ WebCodecs conversion completed:', convertedFile.name);
+        console.log('📊 Original size:', this.formatFileSize(videoFile.size));
+        console.log('📊 Converted size:', this.formatFileSize(convertedFile.size));
+
+        // Re-encoding an already well-compressed file can make it bigger
+        if (!trimming && convertedFile.size >= videoFile.size) {
+            console.log('ℹ️ Converted file is not smaller, keeping the original');
+            return videoFile;
+        }
+
+        this.lastConversion = {
+            codec: output.video.label,
+            container: output.container,
+            width,
+            height,
+            bitrate: output.encoderConfig.bitrate
+        };
+
+        return convertedFile;
+    }
+
+    /**
+     * Pick the first output codec (in VideoConverter.OUTPUT_CODECS order) this browser can encode,
+     * together with a container and an audio strategy that works for it
+     * @returns {Promise<Object|null>} - { video, container, encoderConfig, audio } or null
+     */
+    async selectOutputConfig(settings) {
+        const { width, height, frameRate, quality, targetBitrate, audioTrack } = settings;
+
+        for (const candidate of VideoConverter.OUTPUT_CODECS) {
+            const containers = candidate.containers.filter(name => this.isContainerAvailable(name));
+            if (containers.length === 0) continue;
+
+            const container = containers.includes(settings.container) ? settings.container : containers[0];
+
+            const config = {
+                codec: this.getEncoderCodecString(candidate.id, width, height),
+                width,
+                height,
+                bitrate: targetBitrate || this.estimateBitrate(candidate, width, height, frameRate, quality),
+                framerate: frameRate,
+                latencyMode: 'quality'
+            };
+            if (candidate.id === 'avc') config.avc = { format: 'avc' };
+            if (candidate.id === 'hevc') config.hevc = { format: 'hevc' };
+
+            let support;
+            try {
+                support = await VideoEncoder.isConfigSupported(config);
+            } catch (error) {
+                continue;
+            }
+            if (!support.supported) continue;
+
+            const audio = await this.selectAudioConfig(audioTrack, container);
+            if (audio === false) continue;
+
+            return { video: candidate, container, encoderConfig: config, audio };
+        }
+
+        return null;
+    }
+
+    /**
+     * Decide how the audio track gets into the target container
+     * @returns {Promise<Object|null|false>} - Audio plan, null without audio, false if impossible
+     */
+    async selectAudioConfig(track, container) {
+        if (!track) return null;
+
+        const decoderConfig = {
+            codec: track.codec,
+            sampleRate: Math.round(track.sampleRate),
+            numberOfChannels: track.numberOfChannels
+        };
+        if (track.description) decoderConfig.description = track.description;
+
+        // Stream copy when the container accepts the source codec
+        const copyCodec = container === 'webm'
+            ? (track.codec === 'opus' ? 'A_OPUS' : null)
+            : (track.codec.startsWith('mp4a') ? 'aac' : (track.codec === 'opus' ? 'opus' : null));
+
+        if (copyCodec) {
+            return { mode: 'copy', muxerCodec: copyCodec, decoderConfig, sampleRate: decoderConfig.sampleRate, numberOfChannels: track.numberOfChannels };
+        }
+
+        if (typeof AudioDecoder === 'undefined' || typeof AudioEncoder === 'undefined') return false;
+
+        try {
+            const decoderSupport = await AudioDecoder.isConfigSupported(decoderConfig);
+            if (!decoderSupport.supported) return false;
+        } catch (error) {
+            return false;
+        }
+
+        const targets = container === 'webm'
+            ? [{ codec: 'opus', muxerCodec: 'A_OPUS' }]
+            : [{ codec: 'mp4a.40.2', muxerCodec: 'aac' }, { codec: 'opus', muxerCodec: 'opus' }];
+
+        for (const target of targets) {
+            const encoderConfig = {
+                codec: target.codec,
+                sampleRate: decoderConfig.sampleRate,
+                numberOfChannels: track.numberOfChannels,
+                bitrate: VideoConverter.AUDIO_BITRATE
+            };
+
+            try {
+                const support = await AudioEncoder.isConfigSupported(encoderConfig);
+                if (support.supported) {
+                    return { mode: 'encode', muxerCodec: target.muxerCodec, decoderConfig, encoderConfig, sampleRate: encoderConfig.sampleRate, numberOfChannels: track.numberOfChannels };
+                }
+            } catch (error) {
+                // Try the next target
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Whether the muxer library for a container is loaded
+     */
+    isContainerAvailable(container) {
+        return container === 'webm' ? typeof WebMMuxer !== 'undefined' : typeof Mp4Muxer !== 'undefined';
+    }
+
+    /**
+     * Codec string for the encoder, with a level high enough for the output resolution
+     */
+    getEncoderCodecString(codecId, width, height) {
+        const large = width * height > 1920 * 1088;
+
+        switch (codecId) {
+            case 'hevc': return large ? 'hvc1.1.6.L153.B0' : 'hvc1.1.6.L123.B0';
+            case 'av1': return large ? 'av01.0.12M.08' : 'av01.0.08M.08';
+            case 'vp9': return large ? 'vp09.00.50.08' : 'vp09.00.40.08';
+            default: return large ? 'avc1.640033' : 'avc1.640028';
+        }
+    }
+
+    /**
+     * Bitrate from resolution, frame rate, quality preset and codec efficiency
+     */
+    estimateBitrate(codec, width, height, frameRate, quality) {
+        const bitsPerPixel = VideoConverter.QUALITY_BITS_PER_PIXEL[quality] || VideoConverter.QUALITY_BITS_PER_PIXEL.medium;
+        return Math.round(width * height * Math.min(frameRate, 60) * bitsPerPixel * codec.efficiency);
+    }
+
+    createMuxer(output, width, height, frameRate, writer) {
+        const audio = output.audio;
+
+        if (output.container === 'webm') {
+            return new WebMMuxer.Muxer({
+                target: new WebMMuxer.StreamTarget({ onData: writer.write, chunked: true }),
+                type: 'webm',
+                video: { codec: output.video.webmCodec, width, height, frameRate },
+                audio: audio ? { codec: audio.muxerCodec, sampleRate: audio.sampleRate, numberOfChannels: audio.numberOfChannels } : undefined,
+                firstTimestampBehavior: 'offset'
+            });
+        }
+
+        return new Mp4Muxer.Muxer({
+            target: new Mp4Muxer.StreamTarget({ onData: writer.write, chunked: true }),
+            fastStart: 'fragmented',
+            video: { codec: output.video.mp4Codec, width, height, frameRate },
+            audio: audio ? { codec: audio.muxerCodec, sampleRate: audio.sampleRate, numberOfChannels: audio.numberOfChannels } : undefined,
+            firstTimestampBehavior: 'offset'
+        });
+    }
+
+    /**
+     * Collect muxer output into a Blob. Data normally arrives in order; the few writes that go
+     * back to patch a header are applied when the Blob is built.
+     */
+    createBlobWriter() {
+        const parts = [];
+        const patches = [];
+        let written = 0;
+
+        return {
+            write: (data, position) => {
+                const copy = data.slice();
+                if (position === written) {
+                    parts.push(copy);
+                    written += copy.length;
+                } else {
+                    patches.push({ position, data: copy });
+                }
+            },
+            toBlob: (type) => {
+                let blob = new Blob(parts, { type });
+                patches.forEach(({ position, data }) => {
+                    blob = new Blob([blob.slice(0, position), data, blob.slice(position + data.length)], { type });
+                });
+                return blob;
+            }
+        };
+    }
+
+    getChunkInit(sample, timeOffset = 0) {
+        const init = {
+            type: sample.isKey ? 'key' : 'delta',
+            timestamp: sample.timestamp - timeOffset,
+            data: sample.data
+        };
+        if (sample.duration) init.duration = sample.duration;
+        return init;
+    }
+
+    /**
+     * Wait until a codec queue has room
+     */
+    async waitForQueue(getQueueSize) {
+        while (getQueueSize() > VideoConverter.MAX_QUEUE_SIZE) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
     }
 
     /**
@@ -123,10 +798,31 @@ class VideoConverter {
      */
     async convertWithMediaRecorder(videoFile, options) {
         console.log('📹 Using MediaRecorder fallback for conversion');
+        const { onProgress = null, signal = null } = options;
         
         return new Promise((resolve, reject) => {
             const video = document.createElement('video');
             const url = URL.createObjectURL(videoFile);
+            let mediaRecorder = null;
+            let aborted = false;
+            
+            const onAbort = () => {
+                aborted = true;
+                video.pause();
+                if (mediaRecorder && mediaRecorder.state !== 'inactive') mediaRecorder.stop();
+                URL.revokeObjectURL(url);
+                reject(VideoConverter.createAbortError());
+            };
+            
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            
+            video.muted = true; // Needed to play without a user gesture
             
             video.onloadedmetadata = () => {
                 // Calculate dimensions maintaining aspect ratio
@@ -149,12 +845,13 @@ class VideoConverter {
                 
                 if (!mimeType) {
                     console.log('⚠️ No H.265 codec support, using original');
+                    if (signal) signal.removeEventListener('abort', onAbort);
                     URL.revokeObjectURL(url);
                     resolve(videoFile);
                     return;
                 }
                 
-                const mediaRecorder = new MediaRecorder(stream, {
+                mediaRecorder = new MediaRecorder(stream, {
                     mimeType: mimeType,
                     videoBitsPerSecond: options.targetBitrate || 2500000 // 2.5 Mbps default
                 });
@@ -168,6 +865,9 @@ class VideoConverter {
                 };
                 
                 mediaRecorder.onstop = () => {
+                    if (aborted) return;
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    
                     const blob = new Blob(chunks, { type: mimeType });
                     const convertedFile = new File([blob], this.generateH265Filename(videoFile.name), {
                         type: mimeType,
@@ -185,16 +885,19 @@ class VideoConverter {
                 // Start recording and process video frames
                 mediaRecorder.start();
                 
-                // Process video frames
-                let frameCount = 0;
+                // Draw frames while the video plays; recording runs in real time
                 const processFrame = () => {
-                    if (frameCount < video.duration * 30) { // 30 fps
-                        ctx.drawImage(video, 0, 0, width, height);
-                        frameCount++;
-                        requestAnimationFrame(processFrame);
-                    } else {
-                        mediaRecorder.stop();
+                    if (aborted || video.ended) return;
+                    
+                    ctx.drawImage(video, 0, 0, width, height);
+                    if (onProgress && video.duration) {
+                        onProgress(Math.min(video.currentTime / video.duration, 1));
                     }
+                    requestAnimationFrame(processFrame);
+                };
+                
+                video.onended = () => {
+                    if (mediaRecorder.state !== 'inactive') mediaRecorder.stop();
                 };
                 
                 video.currentTime = 0;
@@ -203,6 +906,8 @@ class VideoConverter {
             };
             
             video.onerror = () => {
+                if (aborted) return;
+                if (signal) signal.removeEventListener('abort', onAbort);
                 URL.revokeObjectURL(url);
                 reject(new Error('Failed to load video for conversion'));
             };
@@ -275,6 +980,15 @@ class VideoConverter {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    /**
+     * Error used to reject a cancelled conversion
+     */
+    static createAbortError() {
+        const error = new Error('Conversion cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
     /**
      * Clean up resources
      */
@@ -286,6 +1000,22 @@ class VideoConverter {
     }
 }
 
+// Output codecs in order of preference
+VideoConverter.OUTPUT_CODECS = [
+    { id: 'hevc', label: 'h265', name: 'H.265', fourccs: ['hvc1', 'hev1'], mp4Codec: 'hevc', webmCodec: null, containers: ['mp4'], efficiency: 0.6 },
+    { id: 'av1', label: 'av1', name: 'AV1', fourccs: ['av01'], mp4Codec: 'av1', webmCodec: 'V_AV1', containers: ['mp4', 'webm'], efficiency: 0.5 },
+    { id: 'vp9', label: 'vp9', name: 'VP9', fourccs: ['vp09'], mp4Codec: 'vp9', webmCodec: 'V_VP9', containers: ['mp4', 'webm'], efficiency: 0.65 },
+    { id: 'avc', label: 'h264', name: 'H.264', fourccs: ['avc1', 'avc3'], mp4Codec: 'avc', webmCodec: null, containers: ['mp4'], efficiency: 1 }
+];
+// Source codecs worth keeping as they are when the file is within the size limits
+VideoConverter.EFFICIENT_CODECS = ['hevc', 'av1'];
+VideoConverter.QUALITY_BITS_PER_PIXEL = { low: 0.05, medium: 0.08, high: 0.12 };
+VideoConverter.AUDIO_BITRATE = 128000;
+VideoConverter.KEY_FRAME_INTERVAL = 2 * 1e6; // Microseconds
+VideoConverter.MAX_QUEUE_SIZE = 16;
+VideoConverter.WORKER_URL = 'js/videoConversionWorker.js';
+VideoConverter.REORDER_MARGIN = 1e6; // Microseconds a sample may be stored ahead of its presentation time
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = VideoConverter;
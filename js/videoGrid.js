@@ -0,0 +1,209 @@
+/**
+ * Video grid for Replay Hub
+ * Renders video cards a page at a time as the user scrolls, and drops the contents of cards far off-screen
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  // Cards appended each time the end of the grid comes into view
+  const DEFAULT_BATCH_SIZE = 24;
+
+  // How far below the viewport the next page starts loading
+  const LOAD_MARGIN = '800px 0px';
+
+  // Cards further than this from the viewport are emptied and kept only as sized placeholders
+  const RENDER_MARGIN = '1500px 0px';
+
+  /**
+   * Create an infinitely scrolling, virtualized video grid
+   * @param {HTMLElement} container - The grid element
+   * @param {Object} options - Grid options
+   * @param {Function} options.loadMore - Async function returning { videos, done } for the next page
+   * @param {Function} options.renderCard - Builds the card element for a video
+   * @param {number} [options.batchSize] - Cards appended per scroll step (default 24)
+   * @param {string} [options.emptyMessage] - Shown when there are no videos at all
+   * @returns {Object} - { reload(loadMore, emptyMessage, renderCard), getCount(), destroy() }
+   */
+  function create(container, options) {
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    let loadMore = options.loadMore;
+    let renderCard = options.renderCard;
+    let emptyMessage = options.emptyMessage || 'No videos available';
+
+    // Bumped on reload so pages requested for the previous source are dropped
+    let generation = 0;
+    let pending = [];
+    let sourceDone = false;
+    let loading = false;
+    let count = 0;
+    let sentinel = null;
+
+    const slots = new WeakMap();
+
+    const loadObserver = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) loadNext();
+    }, { rootMargin: LOAD_MARGIN });
+
+    const renderObserver = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          renderSlot(entry.target);
+        } else {
+          releaseSlot(entry.target);
+        }
+      });
+    }, { rootMargin: RENDER_MARGIN });
+
+    function renderSlot(slot) {
+      const state = slots.get(slot);
+      if (!state || state.rendered) return;
+
+      const card = renderCard(state.video);
+      if (card) slot.appendChild(card);
+      slot.style.height = '';
+      state.rendered = true;
+    }
+
+    function releaseSlot(slot) {
+      const state = slots.get(slot);
+      if (!state || !state.rendered) return;
+
+      // Keep the card's size so the scroll position doesn't jump
+      slot.style.height = `${slot.offsetHeight}px`;
+      slot.innerHTML = '';
+      state.rendered = false;
+    }
+
+    function appendSlots(videos) {
+      const fragment = document.createDocumentFragment();
+      const added = [];
+
+      videos.forEach(video => {
+        const slot = document.createElement('div');
+        slot.className = 'video-slot';
+        slots.set(slot, { video, rendered: false });
+        renderSlot(slot);
+        fragment.appendChild(slot);
+        added.push(slot);
+      });
+
+      container.insertBefore(fragment, sentinel);
+      added.forEach(slot => renderObserver.observe(slot));
+      count += added.length;
+    }
+
+    function setSentinelState(state) {
+      sentinel.className = `video-grid-sentinel ${state}`;
+
+      if (state === 'loading') {
+        sentinel.innerHTML = '<div class="loading">Loading videos...</div>';
+      } else if (state === 'error') {
+        sentinel.innerHTML = `
+          <div class="video-grid-error">
+            Couldn't load more videos.
+            <button type="button" class="video-grid-retry">Try again</button>
+          </div>
+        `;
+        sentinel.querySelector('.video-grid-retry').onclick = () => loadNext();
+      } else {
+        sentinel.innerHTML = '';
+      }
+    }
+
+    async function loadNext() {
+      if (loading || (sourceDone && pending.length === 0)) return;
+
+      const currentGeneration = generation;
+      loading = true;
+
+      try {
+        if (pending.length === 0) {
+          setSentinelState('loading');
+          const page = await loadMore();
+          if (currentGeneration !== generation) return;
+
+          pending = (page.videos || []).filter(Boolean);
+          sourceDone = Boolean(page.done);
+        }
+
+        // A source that returns everything at once is still rendered a batch at a time
+        appendSlots(pending.splice(0, batchSize));
+        loading = false;
+
+        if (sourceDone && pending.length === 0) {
+          finish();
+          return;
+        }
+
+        setSentinelState('idle');
+        // Observing again reports the sentinel's current position, so a short page keeps loading
+        loadObserver.unobserve(sentinel);
+        loadObserver.observe(sentinel);
+      } catch (error) {
+        if (currentGeneration !== generation) return;
+        console.error('Error loading videos:', error);
+        loading = false;
+        setSentinelState('error');
+      }
+    }
+
+    function finish() {
+      loadObserver.unobserve(sentinel);
+      if (count === 0) {
+        container.innerHTML = `<div class="no-videos">${emptyMessage}</div>`;
+        return;
+      }
+      setSentinelState('done');
+    }
+
+    /**
+     * Replace the grid's contents with videos from another source
+     * @param {Function} [nextLoadMore] - New page loader, defaults to the current one
+     * @param {string} [nextEmptyMessage] - New empty message
+     * @param {Function} [nextRenderCard] - New card builder
+     */
+    function reload(nextLoadMore, nextEmptyMessage, nextRenderCard) {
+      generation++;
+      if (nextLoadMore) loadMore = nextLoadMore;
+      if (nextEmptyMessage) emptyMessage = nextEmptyMessage;
+      if (nextRenderCard) renderCard = nextRenderCard;
+
+      pending = [];
+      sourceDone = false;
+      loading = false;
+      count = 0;
+
+      loadObserver.disconnect();
+      renderObserver.disconnect();
+      container.innerHTML = '';
+
+      sentinel = document.createElement('div');
+      container.appendChild(sentinel);
+      setSentinelState('loading');
+      loadNext();
+    }
+
+    function getCount() {
+      return count;
+    }
+
+    function destroy() {
+      generation++;
+      loadObserver.disconnect();
+      renderObserver.disconnect();
+    }
+
+    reload();
+
+    return { reload, getCount, destroy };
+  }
+
+  // Export video grid functions
+  window.replayHub.videoGrid = {
+    create
+  };
+
+  // Video grid module ready
+})();
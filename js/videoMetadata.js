@@ -259,9 +259,19 @@ window.replayHub = window.replayHub || {};
       updateElement('video-date', formatDate(new Date(videoData.upload_date)));
     }
     
-    // Update uploader
-    const uploaderName = videoData.uploader || videoData.uploader_username || 'Unknown';
-    updateElement('video-uploader', `by ${uploaderName}`);
+    // Update uploader, linking to their channel page
+    const uploaderName = videoData.uploader || videoData.uploader_username;
+    const uploaderElement = document.getElementById('video-uploader');
+    if (uploaderElement && uploaderName) {
+      const uploaderLink = document.createElement('a');
+      uploaderLink.className = 'video-uploader-link';
+      uploaderLink.href = `index.html?uploader=${encodeURIComponent(uploaderName)}`;
+      uploaderLink.textContent = uploaderName;
+      uploaderElement.textContent = 'by ';
+      uploaderElement.appendChild(uploaderLink);
+    } else {
+      updateElement('video-uploader', 'by Unknown');
+    }
     
     // Update description
     updateElement('video-description', videoData.description);
@@ -269,6 +279,14 @@ window.replayHub = window.replayHub || {};
     // Update players section
     updatePlayersSection(videoData.players);
     
+    // Update tags section
+    updateTagsSection(videoData.tags);
+    
+    // Update match details and the other recordings of the match
+    if (window.replayHub.matchMetadata) {
+      window.replayHub.matchMetadata.showMatchSection(videoData);
+    }
+    
     // Update like button
     updateLikeButton('like-button', videoData.likes);
     
@@ -320,12 +338,33 @@ window.replayHub = window.replayHub || {};
     }
   }
 
+  /**
+   * Show new view and reaction counts of the current video, e.g. from live updates
+   * @param {Object} stats - Any of views, likes and dislikes
+   */
+  function updateVideoStats(stats) {
+    if (!stats) return;
+    
+    ['views', 'likes', 'dislikes'].forEach(key => {
+      if (typeof stats[key] === 'number' && window.currentVideoData) {
+        window.currentVideoData[key] = stats[key];
+      }
+    });
+    
+    if (typeof stats.views === 'number') {
+      updateElement('video-views', `${formatViews(stats.views)} views`);
+    }
+    updateLikeButton('like-button', stats.likes);
+    updateLikeButton('dislike-button', stats.dislikes);
+  }
+
   /**
    * Update video thumbnail
    * @param {string} thumbnailId - The thumbnail ID
+   * @param {number} [version] - Cache-busting value for a thumbnail that was just replaced
    */
-  function updateThumbnail(thumbnailId) {
-    const thumbnailUrl = `${BASE_URL}/thumbnail/${thumbnailId}`;
+  function updateThumbnail(thumbnailId, version) {
+    const thumbnailUrl = `${BASE_URL}/thumbnail/${thumbnailId}${version ? `?v=${version}` : ''}`;
     
     const player = document.getElementById('video-player');
     if (player) {
@@ -353,11 +392,16 @@ window.replayHub = window.replayHub || {};
         playersSection.style.display = 'block';
       }
       
-      // Update players content
+      // Update players content, each name linking to the player's page
       if (videoPlayers) {
-        videoPlayers.innerHTML = players.map(player => 
-          `<span class="player-tag">${player}</span>`
-        ).join('');
+        videoPlayers.innerHTML = '';
+        players.forEach(player => {
+          const tag = document.createElement('a');
+          tag.className = 'player-tag';
+          tag.href = `index.html?player=${encodeURIComponent(player)}`;
+          tag.textContent = player;
+          videoPlayers.appendChild(tag);
+        });
       }
     } else {
       // Hide players section if no players
@@ -367,6 +411,35 @@ window.replayHub = window.replayHub || {};
     }
   }
 
+  /**
+   * Update tags section
+   * @param {Array|string} tags - Tag names, as an array or the JSON/comma-separated text the server may return
+   */
+  function updateTagsSection(tags) {
+    const tagsSection = document.getElementById('tags-section');
+    const videoTags = document.getElementById('video-tag-list');
+    const tagList = window.replayHub.videoSearch
+      ? window.replayHub.videoSearch.toList(tags)
+      : (Array.isArray(tags) ? tags : []);
+    
+    // Owners keep the section so they can add the first tags
+    if (tagsSection) {
+      tagsSection.style.display = tagList.length > 0 || tagsSection.dataset.editable ? 'block' : 'none';
+    }
+    
+    // Update tags content, each tag linking to the videos that have it
+    if (videoTags) {
+      videoTags.innerHTML = '';
+      tagList.forEach(tag => {
+        const chip = document.createElement('a');
+        chip.className = 'tag-chip';
+        chip.href = `index.html?tags=${encodeURIComponent(tag)}`;
+        chip.textContent = tag;
+        videoTags.appendChild(chip);
+      });
+    }
+  }
+
   /**
    * Show edit controls if the current user is the video owner
    * @param {object} videoData - The video metadata object
@@ -412,11 +485,7 @@ window.replayHub = window.replayHub || {};
     });
     
     // Check if current user is the uploader using multiple strategies
-    const isOwner = videoData.uploader_id === currentUser.id ||
-                   videoData.uploader_username === currentUser.username ||
-                   videoData.uploader === currentUser.username ||
-                   videoData.uploader === currentUser.display_name ||
-                   videoData.user_id === currentUser.id;
+    const isOwner = isVideoOwner(videoData, currentUser);
     
     console.log('🔐 Ownership check result:', {
       'uploader_id === currentUser.id': videoData.uploader_id === currentUser.id,
@@ -435,6 +504,22 @@ window.replayHub = window.replayHub || {};
     }
   }
 
+  /**
+   * Check if a user is the uploader of a video, matching by ID or name
+   * @param {object} videoData - The video metadata object
+   * @param {object} user - The user to check
+   * @returns {boolean} - True if the user uploaded the video
+   */
+  function isVideoOwner(videoData, user) {
+    if (!videoData || !user) return false;
+    
+    return videoData.uploader_id === user.id ||
+           videoData.uploader_username === user.username ||
+           videoData.uploader === user.username ||
+           videoData.uploader === user.display_name ||
+           videoData.user_id === user.id;
+  }
+
   /**
    * Add edit controls to the video UI
    * @param {object} videoData - The video metadata object
@@ -454,6 +539,9 @@ window.replayHub = window.replayHub || {};
     // Add edit button for players
     addEditButtonToPlayers(videoData);
     
+    // Add edit button for tags
+    addEditButtonToTags();
+    
     // Initialize owner control buttons
     initializeOwnerControlButtons();
     
@@ -479,6 +567,10 @@ window.replayHub = window.replayHub || {};
                 <i class="fas fa-edit"></i>
                 Quick Edit
               </button>
+              <button id="change-thumbnail-btn" class="more-option-item">
+                <i class="fas fa-image"></i>
+                Change Thumbnail
+              </button>
               <button id="delete-video-btn" class="more-option-item delete-option">
                 <i class="fas fa-trash"></i>
                 Delete Video
@@ -566,6 +658,24 @@ window.replayHub = window.replayHub || {};
     }
   }
 
+  /**
+   * Add edit button for tags, showing the tags section even while the video has none
+   */
+  function addEditButtonToTags() {
+    const editBtn = document.getElementById('edit-tags-btn');
+    const tagsSection = document.getElementById('tags-section');
+    if (tagsSection) {
+      tagsSection.dataset.editable = 'true';
+      tagsSection.style.display = 'block';
+    }
+    if (editBtn) {
+      editBtn.style.display = 'inline-flex';
+      editBtn.style.alignItems = 'center';
+      editBtn.style.marginLeft = '8px';
+      editBtn.onclick = () => startInlineEdit('tags');
+    }
+  }
+
   /**
    * Initialize owner control buttons
    */
@@ -579,6 +689,13 @@ window.replayHub = window.replayHub || {};
       console.log('✅ Edit metadata button initialized');
     }
 
+    // Initialize change thumbnail button
+    const changeThumbnailBtn = document.getElementById('change-thumbnail-btn');
+    if (changeThumbnailBtn) {
+      changeThumbnailBtn.onclick = () => showThumbnailEditor();
+      console.log('✅ Change thumbnail button initialized');
+    }
+
     // Initialize delete video button (will be in the more options menu)
     const deleteVideoBtn = document.getElementById('delete-video-btn');
     if (deleteVideoBtn) {
@@ -594,7 +711,8 @@ window.replayHub = window.replayHub || {};
     const actions = [
       { label: 'Edit Title', action: () => startInlineEdit('title') },
       { label: 'Edit Description', action: () => startInlineEdit('description') },
-      { label: 'Edit Players', action: () => startInlineEdit('players') }
+      { label: 'Edit Players', action: () => startInlineEdit('players') },
+      { label: 'Edit Tags', action: () => startInlineEdit('tags') }
     ];
 
     // Create a simple dropdown menu
@@ -643,7 +761,7 @@ window.replayHub = window.replayHub || {};
 
   /**
    * Start inline editing for a field
-   * @param {string} field - The field to edit ('title', 'description', 'players')
+   * @param {string} field - The field to edit ('title', 'description', 'players', 'tags')
    */
   function startInlineEdit(field) {
     console.log(`🖊️ Starting inline edit for ${field}`);
@@ -664,6 +782,12 @@ window.replayHub = window.replayHub || {};
         elementId = 'video-players';
         currentValue = window.currentVideoData?.players?.join(', ') || '';
         break;
+      case 'tags':
+        elementId = 'video-tag-list';
+        currentValue = window.replayHub.videoSearch
+          ? window.replayHub.videoSearch.toList(window.currentVideoData?.tags).join(', ')
+          : (window.currentVideoData?.tags || []).join(', ');
+        break;
       default:
         console.error('Unknown field:', field);
         return;
@@ -728,7 +852,7 @@ window.replayHub = window.replayHub || {};
       if (newValue !== currentValue) {
         try {
           let processedValue = newValue;
-          if (field === 'players') {
+          if (field === 'players' || field === 'tags') {
             processedValue = newValue.split(',').map(p => p.trim()).filter(p => p);
           }
           
@@ -738,6 +862,9 @@ window.replayHub = window.replayHub || {};
             if (field === 'players') {
               window.currentVideoData.players = processedValue;
               updatePlayersSection(processedValue);
+            } else if (field === 'tags') {
+              window.currentVideoData.tags = processedValue;
+              updateTagsSection(processedValue);
             } else {
               window.currentVideoData[field] = newValue;
               element.innerHTML = newValue;
@@ -783,6 +910,123 @@ window.replayHub = window.replayHub || {};
     });
   }
 
+  /**
+   * Show a dialog for picking a new thumbnail from the video's frames or an uploaded image
+   */
+  function showThumbnailEditor() {
+    const videoData = window.currentVideoData;
+    if (!videoData) {
+      showMessage('Video data not available', 'error');
+      return;
+    }
+    if (!window.replayHub.thumbnailPicker) {
+      showMessage('Thumbnail editing is not available', 'error');
+      return;
+    }
+
+    const menu = document.getElementById('more-options-menu');
+    if (menu) menu.style.display = 'none';
+
+    const modal = document.createElement('div');
+    modal.className = 'thumbnail-editor-modal';
+    modal.innerHTML = `
+      <div class="thumbnail-editor-backdrop"></div>
+      <div class="thumbnail-editor-content">
+        <div class="thumbnail-editor-header">
+          <h3>Change Thumbnail</h3>
+        </div>
+        <div class="thumbnail-editor-body"></div>
+        <div class="thumbnail-editor-actions">
+          <button class="thumbnail-cancel-btn">Cancel</button>
+          <button class="thumbnail-save-btn" disabled>
+            <i class="fas fa-check"></i>
+            Save Thumbnail
+          </button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const saveBtn = modal.querySelector('.thumbnail-save-btn');
+    const picker = window.replayHub.thumbnailPicker.create(
+      modal.querySelector('.thumbnail-editor-body'),
+      videoData.s3_url,
+      { allowAuto: false, onChange: () => { saveBtn.disabled = false; } }
+    );
+
+    const close = () => {
+      picker.destroy();
+      if (document.body.contains(modal)) {
+        document.body.removeChild(modal);
+      }
+      document.removeEventListener('keydown', handleEscape);
+    };
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') close();
+    };
+
+    modal.querySelector('.thumbnail-cancel-btn').onclick = close;
+    modal.querySelector('.thumbnail-editor-backdrop').onclick = close;
+    document.addEventListener('keydown', handleEscape);
+
+    saveBtn.onclick = async () => {
+      saveBtn.disabled = true;
+      try {
+        const thumbnail = await picker.getThumbnail();
+        await uploadThumbnail(thumbnail);
+        showMessage('Thumbnail updated', 'success');
+        close();
+      } catch (error) {
+        console.error('Thumbnail update failed:', error);
+        showMessage('Failed to update thumbnail', 'error');
+        saveBtn.disabled = false;
+      }
+    };
+  }
+
+  /**
+   * Replace the video's thumbnail on the server
+   * @param {File} thumbnail - The new thumbnail image
+   */
+  async function uploadThumbnail(thumbnail) {
+    // Get auth token from auth module
+    let token = null;
+    if (window.replayHub && window.replayHub.auth) {
+      const options = window.replayHub.auth.addAuthToRequest({});
+      token = options.headers?.Authorization?.replace('Bearer ', '');
+    }
+
+    if (!token) {
+      token = localStorage.getItem('replay_hub_token') || sessionStorage.getItem('replay_hub_token');
+    }
+
+    const formData = new FormData();
+    formData.append('thumbnail', thumbnail, thumbnail.name);
+
+    const response = await fetch(`${window.BASE_URL}/api/videos/${window.currentVideoData.id}/thumbnail`, {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      },
+      body: formData
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+
+    // The server may keep the thumbnail ID and only replace the image behind it
+    const data = await response.json().catch(() => ({}));
+    const thumbnailId = data.thumbnail_id || window.currentVideoData.thumbnail_id;
+    window.currentVideoData.thumbnail_id = thumbnailId;
+    if (thumbnailId) {
+      updateThumbnail(thumbnailId, Date.now());
+    }
+  }
+
   /**
    * Confirm delete video with proper warning
    */
@@ -861,28 +1105,7 @@ window.replayHub = window.replayHub || {};
     }
     
     try {
-      // Get auth token from auth module
-      let token = null;
-      if (window.replayHub && window.replayHub.auth) {
-        const options = window.replayHub.auth.addAuthToRequest({});
-        token = options.headers?.Authorization?.replace('Bearer ', '');
-      }
-      
-      if (!token) {
-        token = localStorage.getItem('replay_hub_token') || sessionStorage.getItem('replay_hub_token');
-      }
-      
-      const response = await fetch(`${window.BASE_URL}/api/videos/${window.currentVideoData.id}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-      }
+      await deleteVideoById(window.currentVideoData.id);
       
       showMessage('Video deleted successfully!', 'success');
       
@@ -918,33 +1141,7 @@ window.replayHub = window.replayHub || {};
    */
   async function updateVideoField(field, value) {
     try {
-      // Get auth token from auth module
-      let token = null;
-      if (window.replayHub && window.replayHub.auth) {
-        const options = window.replayHub.auth.addAuthToRequest({});
-        token = options.headers?.Authorization?.replace('Bearer ', '');
-      }
-      
-      if (!token) {
-        token = localStorage.getItem('replay_hub_token') || sessionStorage.getItem('replay_hub_token');
-      }
-      
-             const response = await fetch(`${window.BASE_URL}/api/videos/${window.currentVideoData.id}`, {
-         method: 'PUT',
-         headers: {
-           'Content-Type': 'application/json',
-           'Authorization': `Bearer ${token}`
-         },
-        body: JSON.stringify({
-          [field]: value
-        })
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-      }
-      
+      await updateVideoById(window.currentVideoData.id, { [field]: value });
       return true;
     } catch (error) {
       console.error('Error updating video field:', error);
@@ -952,10 +1149,71 @@ window.replayHub = window.replayHub || {};
     }
   }
 
+  /**
+   * Get the logged in user's auth token
+   * @returns {string|null} - The token, or null when not logged in
+   */
+  function getAuthToken() {
+    let token = null;
+    if (window.replayHub && window.replayHub.auth) {
+      const options = window.replayHub.auth.addAuthToRequest({});
+      token = options.headers?.Authorization?.replace('Bearer ', '');
+    }
+    
+    if (!token) {
+      token = localStorage.getItem('replay_hub_token') || sessionStorage.getItem('replay_hub_token');
+    }
+    
+    return token;
+  }
+
+  /**
+   * Update fields of a video on the server
+   * @param {string} videoId - The video's ID
+   * @param {Object} fields - The fields to change and their new values
+   */
+  async function updateVideoById(videoId, fields) {
+    const response = await fetch(`${window.BASE_URL}/api/videos/${videoId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${getAuthToken()}`
+      },
+      body: JSON.stringify(fields)
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+  }
+
+  /**
+   * Delete a video on the server
+   * @param {string} videoId - The video's ID
+   */
+  async function deleteVideoById(videoId) {
+    const response = await fetch(`${window.BASE_URL}/api/videos/${videoId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${getAuthToken()}`
+      }
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    }
+  }
+
   // Export metadata functions
   window.replayHub.videoMetadata = {
     fetchVideoDetails,
-    updateVideoUI
+    updateVideoUI,
+    updateVideoStats,
+    isVideoOwner,
+    updateVideoById,
+    deleteVideoById
   };
 
   // VideoMetadata module ready
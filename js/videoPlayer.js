@@ -1390,7 +1390,7 @@ window.replayHub = window.replayHub || {};
         
         // Add essential event listeners
         currentPlayer.on('ready', () => {
-          // Player ready - no logging needed
+          renderProgressMarkers();
         });
         
         currentPlayer.on('error', (event) => {
@@ -1404,7 +1404,7 @@ window.replayHub = window.replayHub || {};
         });
         
         currentPlayer.on('loadedmetadata', () => {
-          // Metadata loaded - no logging needed
+          renderProgressMarkers();
         });
         
         // Handle media errors specifically
@@ -1478,6 +1478,695 @@ window.replayHub = window.replayHub || {};
     }
   }
 
+  /**
+   * Format a playback time as m:ss or h:mm:ss
+   * @param {number} seconds - Time in seconds
+   * @returns {string} - The formatted time
+   */
+  function formatPlaybackTime(seconds) {
+    const sign = seconds < 0 ? '-' : '';
+    const total = Math.floor(Math.abs(seconds) || 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0
+      ? `${sign}${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+      : `${sign}${minutes}:${secs}`;
+  }
+
+  // Markers shown along the progress bar, e.g. for timestamped comments
+  let progressMarkers = [];
+
+  function getMainVideoElement() {
+    return currentPlayer && currentPlayer.media ? currentPlayer.media : document.getElementById('video-player');
+  }
+
+  /**
+   * Get the playback time of the video player
+   * @returns {number} - Current time in seconds
+   */
+  function getCurrentTime() {
+    const videoElement = getMainVideoElement();
+    return videoElement ? videoElement.currentTime || 0 : 0;
+  }
+
+  /**
+   * Jump the video player to a point of the video
+   * @param {number} seconds - Time to jump to, in seconds
+   * @param {boolean} play - Start playing from there
+   */
+  function seekTo(seconds, play = true) {
+    const videoElement = getMainVideoElement();
+    if (!videoElement) return;
+
+    const duration = videoElement.duration;
+    const time = Math.max(0, Number.isFinite(duration) ? Math.min(seconds, duration) : seconds);
+
+    if (currentPlayer) {
+      currentPlayer.currentTime = time;
+      if (play) currentPlayer.play();
+    } else {
+      videoElement.currentTime = time;
+      if (play) videoElement.play().catch(() => {});
+    }
+
+    const playerWrapper = document.querySelector('.video-player-wrapper');
+    if (playerWrapper && playerWrapper.getBoundingClientRect().top < 0) {
+      playerWrapper.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }
+
+  /**
+   * Show markers along the progress bar of the video player
+   * @param {Array<Object>} markers - Markers as { time, title, text }, time in seconds
+   */
+  function setProgressMarkers(markers) {
+    progressMarkers = Array.isArray(markers) ? markers : [];
+    renderProgressMarkers();
+  }
+
+  /**
+   * Draw the progress bar markers; needs the Plyr controls and the video duration,
+   * so it is called again once the player is ready
+   */
+  function renderProgressMarkers() {
+    const progress = currentPlayer && currentPlayer.elements ? currentPlayer.elements.progress : null;
+    const videoElement = getMainVideoElement();
+    if (!progress || !videoElement) return;
+
+    const existing = progress.querySelector('.progress-markers');
+    if (existing) existing.remove();
+
+    const duration = videoElement.duration;
+    if (!Number.isFinite(duration) || duration <= 0 || progressMarkers.length === 0) return;
+
+    const container = document.createElement('div');
+    container.className = 'progress-markers';
+
+    progressMarkers
+      .filter(marker => marker.time >= 0 && marker.time <= duration)
+      .forEach(marker => {
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.className = 'progress-marker';
+        element.style.left = `${(marker.time / duration) * 100}%`;
+        element.setAttribute('aria-label', `${marker.title || 'Marker'} at ${formatPlaybackTime(marker.time)}`);
+        element.innerHTML = `
+          <span class="progress-marker-preview">
+            <span class="progress-marker-title"></span>
+            <span class="progress-marker-text"></span>
+          </span>
+        `;
+        element.querySelector('.progress-marker-title').textContent = `${formatPlaybackTime(marker.time)} · ${marker.title || ''}`;
+        element.querySelector('.progress-marker-text').textContent = marker.text || '';
+
+        // Keep Plyr's seek input from handling the click as well
+        element.addEventListener('mousedown', event => event.stopPropagation());
+        element.addEventListener('touchstart', event => event.stopPropagation(), { passive: true });
+        element.addEventListener('click', (event) => {
+          event.preventDefault();
+          event.stopPropagation();
+          seekTo(marker.time);
+        });
+        container.appendChild(element);
+      });
+
+    progress.appendChild(container);
+  }
+
+  // Multi-view: recordings of the same match played side by side on a shared timeline.
+  // Each recording plays at (timeline time + its offset); the main recording drives the
+  // timeline and is the only one heard.
+  const MULTI_VIEW_MIN_VIDEOS = 2;
+  const MULTI_VIEW_MAX_VIDEOS = 4;
+  // Seconds a recording may drift from the main one before it is seeked back in line
+  const MULTI_VIEW_MAX_DRIFT = 0.15;
+  const MULTI_VIEW_SYNC_INTERVAL = 500;
+  const MULTI_VIEW_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2];
+  const MULTI_VIEW_OFFSETS_KEY = 'replay_hub_multiview_offsets';
+
+  // Audio matching compares the loudness onsets of the start of each recording
+  const AUDIO_MATCH_SAMPLE_RATE = 8000;
+  const AUDIO_MATCH_STEP = 0.01;
+  const AUDIO_MATCH_DURATION = 120;
+  const AUDIO_MATCH_MAX_LAG = 30;
+  // Only the start of a recording is downloaded: the window's share of the file, with headroom for
+  // bitrate changes and the container headers
+  const AUDIO_MATCH_BYTE_MARGIN = 1.25;
+  const AUDIO_MATCH_HEADER_BYTES = 1024 * 1024;
+  const AUDIO_MATCH_MAX_BYTES = 500 * 1024 * 1024;
+
+  let multiView = null;
+  const audioOnsetCache = new Map();
+
+  function getMultiViewKey(video) {
+    return video.id || video.short_id || video.s3_url;
+  }
+
+  function formatOffset(offset) {
+    return `${offset > 0 ? '+' : ''}${offset.toFixed(2)}s`;
+  }
+
+  /**
+   * Read the saved offsets of a multi-view
+   * @param {string} storageKey - Key the offsets are saved under, e.g. the match ID
+   * @returns {Object} - Offsets in seconds by video key
+   */
+  function loadMultiViewOffsets(storageKey) {
+    if (!storageKey) return {};
+    try {
+      const saved = JSON.parse(localStorage.getItem(MULTI_VIEW_OFFSETS_KEY) || '{}');
+      return saved[storageKey] || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  function saveMultiViewOffsets() {
+    if (!multiView || !multiView.storageKey) return;
+    try {
+      const saved = JSON.parse(localStorage.getItem(MULTI_VIEW_OFFSETS_KEY) || '{}');
+      saved[multiView.storageKey] = {};
+      multiView.tiles.forEach(tile => {
+        if (tile.offset !== 0) saved[multiView.storageKey][tile.key] = tile.offset;
+      });
+      localStorage.setItem(MULTI_VIEW_OFFSETS_KEY, JSON.stringify(saved));
+    } catch (error) {
+      console.warn('Could not save multi-view offsets:', error);
+    }
+  }
+
+  function isHlsUrl(url) {
+    return url.toLowerCase().includes('.m3u8');
+  }
+
+  /**
+   * Whether a tile can be lined up with the main recording by audio
+   * HLS playlists can't be decoded in one piece, so neither side may be one.
+   */
+  function canMatchTileAudio(tile) {
+    const main = getMainTile();
+    return tile !== main && !isHlsUrl(tile.url) && !isHlsUrl(main.url);
+  }
+
+  /**
+   * Download the part of a recording that covers the first AUDIO_MATCH_DURATION seconds
+   * The part is the window's share of the file size, which assumes a roughly constant bitrate.
+   * @param {string} videoUrl - The video URL
+   * @param {number} duration - Length of the recording in seconds
+   * @returns {Promise<Object>} - { data: ArrayBuffer, partial: whether the file was cut short }
+   */
+  async function fetchAudioMatchRange(videoUrl, duration) {
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw new Error('The recording length is not known yet');
+    }
+
+    const head = await fetch(videoUrl, { method: 'HEAD' });
+    if (!head.ok) {
+      throw new Error(`Could not reach the recording (${head.status})`);
+    }
+    const size = Number(head.headers.get('content-length'));
+    if (!size) {
+      throw new Error('The recording size is unknown');
+    }
+
+    const share = Math.min(1, AUDIO_MATCH_DURATION / duration);
+    const length = Math.min(size, Math.ceil(size * share * AUDIO_MATCH_BYTE_MARGIN) + AUDIO_MATCH_HEADER_BYTES);
+    if (length > AUDIO_MATCH_MAX_BYTES) {
+      throw new Error('The recording is too large to match by audio');
+    }
+
+    const response = await fetch(videoUrl, { headers: { Range: `bytes=0-${length - 1}` } });
+    if (!response.ok) {
+      throw new Error(`Could not download the recording (${response.status})`);
+    }
+
+    // Servers that ignore the range send the whole file, so stop reading once the range is in
+    const bytes = new Uint8Array(length);
+    const reader = response.body.getReader();
+    let received = 0;
+    while (received < length) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = value.subarray(0, length - received);
+      bytes.set(chunk, received);
+      received += chunk.length;
+    }
+    reader.cancel().catch(() => {});
+
+    return { data: bytes.buffer.slice(0, received), partial: received < size };
+  }
+
+  /**
+   * Decode the start of a recording's audio and reduce it to loudness onsets
+   * @param {string} videoUrl - The video URL
+   * @param {number} duration - Length of the recording in seconds
+   * @returns {Promise<Float32Array>} - Rise in loudness per AUDIO_MATCH_STEP seconds
+   */
+  function getAudioOnsets(videoUrl, duration) {
+    if (isHlsUrl(videoUrl)) {
+      return Promise.reject(new Error('Streamed (HLS) recordings can\'t be matched by audio'));
+    }
+
+    if (!audioOnsetCache.has(videoUrl)) {
+      const onsets = (async () => {
+        const { data, partial } = await fetchAudioMatchRange(videoUrl, duration);
+
+        const context = new OfflineAudioContext(1, 1, AUDIO_MATCH_SAMPLE_RATE);
+        let audio;
+        try {
+          audio = await context.decodeAudioData(data);
+        } catch (error) {
+          // Files with their index at the end can't be decoded from their start alone
+          throw new Error(partial ? 'The start of the recording can\'t be decoded on its own' : 'The audio could not be decoded');
+        }
+
+        const step = Math.round(AUDIO_MATCH_STEP * audio.sampleRate);
+        const length = Math.min(audio.length, AUDIO_MATCH_DURATION * audio.sampleRate);
+        const channels = Array.from({ length: audio.numberOfChannels }, (_, i) => audio.getChannelData(i));
+        const result = new Float32Array(Math.floor(length / step));
+
+        let previous = 0;
+        for (let i = 0; i < result.length; i++) {
+          let energy = 0;
+          for (let s = i * step; s < (i + 1) * step; s++) {
+            let sample = 0;
+            channels.forEach(channel => { sample += channel[s]; });
+            energy += sample * sample;
+          }
+          const loudness = Math.sqrt(energy / step);
+          result[i] = Math.max(0, loudness - previous);
+          previous = loudness;
+        }
+        return result;
+      })();
+
+      // Let a failed download be retried
+      onsets.catch(() => audioOnsetCache.delete(videoUrl));
+      audioOnsetCache.set(videoUrl, onsets);
+    }
+    return audioOnsetCache.get(videoUrl);
+  }
+
+  /**
+   * Find the shift that best lines up two onset series
+   * @param {Float32Array} reference - Onsets of the main recording
+   * @param {Float32Array} other - Onsets of the recording to line up
+   * @param {number} maxLag - Largest shift tried, in steps
+   * @returns {number|null} - Steps the same sound comes later in other, or null without a clear match
+   */
+  function findBestLag(reference, other, maxLag) {
+    let bestLag = null;
+    let bestScore = 0;
+
+    for (let lag = -maxLag; lag <= maxLag; lag++) {
+      const start = Math.max(0, -lag);
+      const end = Math.min(reference.length, other.length - lag);
+      if (end - start < maxLag) continue;
+
+      let score = 0;
+      for (let i = start; i < end; i++) {
+        score += reference[i] * other[i + lag];
+      }
+      score /= end - start;
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+
+    return bestLag;
+  }
+
+  function getMainTile() {
+    return multiView.tiles[multiView.mainIndex];
+  }
+
+  function getTimelineTime() {
+    const main = getMainTile();
+    return main.element.currentTime - main.offset;
+  }
+
+  /**
+   * Bring every recording in line with the main one
+   * @param {boolean} force - Seek every recording, even when it is within the allowed drift
+   */
+  function syncMultiView(force = false) {
+    if (!multiView) return;
+
+    const main = getMainTile();
+    const time = getTimelineTime();
+    const playing = !main.element.paused && !main.element.ended;
+
+    multiView.tiles.forEach(tile => {
+      if (tile === main) return;
+      const { element } = tile;
+      const target = time + tile.offset;
+
+      element.playbackRate = main.element.playbackRate;
+
+      // The recording hasn't started yet or has already ended at this point of the timeline
+      if (target < 0 || (element.duration && target > element.duration)) {
+        if (!element.paused) element.pause();
+        const edge = target < 0 ? 0 : element.duration;
+        if (force || Math.abs(element.currentTime - edge) > MULTI_VIEW_MAX_DRIFT) {
+          element.currentTime = edge;
+        }
+        tile.container.classList.add('out-of-range');
+        return;
+      }
+      tile.container.classList.remove('out-of-range');
+
+      if (force || Math.abs(element.currentTime - target) > MULTI_VIEW_MAX_DRIFT) {
+        element.currentTime = target;
+      }
+
+      if (playing && element.paused) {
+        element.play().catch(() => {});
+      } else if (!playing && !element.paused) {
+        element.pause();
+      }
+    });
+
+    updateMultiViewControls();
+  }
+
+  function updateMultiViewControls() {
+    const main = getMainTile();
+    const { controls } = multiView;
+    const duration = main.element.duration || 0;
+    const playing = !main.element.paused && !main.element.ended;
+
+    controls.play.innerHTML = `<i class="fas ${playing ? 'fa-pause' : 'fa-play'}"></i>`;
+    controls.play.title = playing ? 'Pause all' : 'Play all';
+
+    if (!multiView.scrubbing) {
+      controls.seek.max = duration;
+      controls.seek.value = main.element.currentTime;
+    }
+    controls.time.textContent = `${formatPlaybackTime(main.element.currentTime)} / ${formatPlaybackTime(duration)}`;
+  }
+
+  function playMultiView() {
+    const main = getMainTile();
+    if (main.element.ended) main.element.currentTime = 0;
+    main.element.play()
+      .then(() => syncMultiView(true))
+      .catch(error => console.warn('Multi-view playback was blocked:', error));
+  }
+
+  function pauseMultiView() {
+    multiView.tiles.forEach(tile => tile.element.pause());
+    syncMultiView(true);
+  }
+
+  /**
+   * Seek every recording to a point of the main recording
+   * @param {number} time - Time in the main recording, in seconds
+   */
+  function seekMultiView(time) {
+    const main = getMainTile();
+    const duration = main.element.duration || 0;
+    main.element.currentTime = Math.max(0, Math.min(time, duration));
+    syncMultiView(true);
+  }
+
+  function setMultiViewRate(rate) {
+    multiView.tiles.forEach(tile => { tile.element.playbackRate = rate; });
+    updateMultiViewControls();
+  }
+
+  /**
+   * Make a recording the main one: the only one heard and the one the others follow
+   * @param {number} index - Index of the recording in the multi-view
+   */
+  function setMainAudio(index) {
+    const previous = getMainTile();
+    const volume = previous.element.volume;
+    multiView.mainIndex = index;
+
+    multiView.tiles.forEach((tile, i) => {
+      const isMain = i === index;
+      tile.element.muted = !isMain;
+      tile.element.volume = volume;
+      tile.container.classList.toggle('main', isMain);
+
+      const audioBtn = tile.container.querySelector('.multi-view-audio');
+      audioBtn.innerHTML = `<i class="fas ${isMain ? 'fa-volume-up' : 'fa-volume-mute'}"></i>`;
+      audioBtn.title = isMain ? 'Main audio' : 'Use as main audio';
+      tile.container.querySelector('.multi-view-match').disabled = !canMatchTileAudio(tile);
+    });
+
+    syncMultiView(true);
+  }
+
+  function setTileOffset(tile, offset) {
+    tile.offset = Math.round(offset * 100) / 100;
+    tile.container.querySelector('.multi-view-offset-input').value = tile.offset.toFixed(2);
+    saveMultiViewOffsets();
+    syncMultiView(true);
+  }
+
+  /**
+   * Line a recording up with the main one by matching their audio
+   * @param {Object} tile - The multi-view tile to line up
+   */
+  async function matchTileAudio(tile) {
+    const main = getMainTile();
+    const button = tile.container.querySelector('.multi-view-match');
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+    try {
+      const [reference, other] = await Promise.all([
+        getAudioOnsets(main.url, main.element.duration),
+        getAudioOnsets(tile.url, tile.element.duration)
+      ]);
+      if (!multiView || !multiView.tiles.includes(tile)) return;
+
+      const lag = findBestLag(reference, other, Math.round(AUDIO_MATCH_MAX_LAG / AUDIO_MATCH_STEP));
+      if (lag === null) {
+        window.showMessage && window.showMessage('No matching sound found; adjust the offset by hand', 'error');
+        return;
+      }
+
+      setTileOffset(tile, getMainTile().offset + lag * AUDIO_MATCH_STEP);
+      window.showMessage && window.showMessage(`Lined up at ${formatOffset(tile.offset)}`, 'success');
+    } catch (error) {
+      console.error('Error matching audio:', error);
+      window.showMessage && window.showMessage(`Couldn't match the audio: ${error.message}`, 'error');
+    } finally {
+      button.innerHTML = '<i class="fas fa-wave-square"></i>';
+      button.disabled = multiView ? !canMatchTileAudio(tile) : false;
+    }
+  }
+
+  /**
+   * Create the tile of one recording
+   * @param {Object} video - The video metadata object
+   * @param {number} offset - Offset of the recording, in seconds
+   * @returns {Object} - The multi-view tile
+   */
+  function createMultiViewTile(video, offset) {
+    const container = document.createElement('div');
+    container.className = 'multi-view-tile';
+    container.innerHTML = `
+      <video class="multi-view-video" playsinline preload="auto"></video>
+      <div class="multi-view-tile-bar">
+        <span class="multi-view-tile-title"></span>
+        <button type="button" class="multi-view-audio"></button>
+      </div>
+      <div class="multi-view-offset">
+        <span class="multi-view-offset-label">Offset</span>
+        <button type="button" class="multi-view-offset-btn" data-step="-1" title="1 second earlier">-1s</button>
+        <button type="button" class="multi-view-offset-btn" data-step="-0.1" title="0.1 seconds earlier">-0.1</button>
+        <input type="number" class="multi-view-offset-input" step="0.01" title="Offset in seconds">
+        <button type="button" class="multi-view-offset-btn" data-step="0.1" title="0.1 seconds later">+0.1</button>
+        <button type="button" class="multi-view-offset-btn" data-step="1" title="1 second later">+1s</button>
+        <button type="button" class="multi-view-match" title="Line up with the main audio">
+          <i class="fas fa-wave-square"></i>
+        </button>
+      </div>
+    `;
+
+    const element = container.querySelector('video');
+    const url = video.s3_url;
+    const tile = { key: getMultiViewKey(video), video, url, element, container, offset, hls: null };
+
+    container.querySelector('.multi-view-tile-title').textContent = video.title || video.uploader || 'Untitled Video';
+    container.querySelector('.multi-view-offset-input').value = offset.toFixed(2);
+
+    if (isHlsUrl(url) && window.Hls && Hls.isSupported()) {
+      tile.hls = new Hls();
+      tile.hls.loadSource(url);
+      tile.hls.attachMedia(element);
+    } else {
+      element.src = url;
+    }
+
+    element.addEventListener('click', () => {
+      if (!multiView) return;
+      if (getMainTile().element.paused) {
+        playMultiView();
+      } else {
+        pauseMultiView();
+      }
+    });
+    element.addEventListener('timeupdate', () => {
+      if (multiView && tile === getMainTile()) updateMultiViewControls();
+    });
+    element.addEventListener('loadedmetadata', () => syncMultiView(true));
+    element.addEventListener('ended', () => {
+      if (multiView && tile === getMainTile()) pauseMultiView();
+    });
+    element.addEventListener('error', () => {
+      container.classList.add('failed');
+      console.error('Multi-view recording failed to load:', url);
+    });
+
+    container.querySelector('.multi-view-audio').onclick = () => {
+      setMainAudio(multiView.tiles.indexOf(tile));
+    };
+    container.querySelectorAll('.multi-view-offset-btn').forEach(button => {
+      button.onclick = () => setTileOffset(tile, tile.offset + Number(button.dataset.step));
+    });
+    container.querySelector('.multi-view-offset-input').onchange = (event) => {
+      const value = parseFloat(event.target.value);
+      setTileOffset(tile, Number.isFinite(value) ? value : 0);
+    };
+    container.querySelector('.multi-view-match').onclick = () => matchTileAudio(tile);
+
+    return tile;
+  }
+
+  /**
+   * Play 2-4 recordings of the same match side by side, in sync, in place of the video player
+   * @param {Array<Object>} videos - Video metadata objects with an s3_url; the first is the main audio
+   * @param {Object} options - Multi-view options
+   * @param {string} options.storageKey - Key the offsets are remembered under, e.g. the match ID
+   * @returns {boolean} - Whether the multi-view was opened
+   */
+  function openMultiView(videos, options = {}) {
+    const container = document.getElementById('multi-view');
+    const playable = (videos || []).filter(video => video && video.s3_url).slice(0, MULTI_VIEW_MAX_VIDEOS);
+    if (!container || playable.length < MULTI_VIEW_MIN_VIDEOS) {
+      showError(`Multi-view needs ${MULTI_VIEW_MIN_VIDEOS} to ${MULTI_VIEW_MAX_VIDEOS} playable videos`);
+      return false;
+    }
+
+    closeMultiView();
+
+    if (currentPlayer) {
+      currentPlayer.pause();
+    } else {
+      const videoPlayer = document.getElementById('video-player');
+      if (videoPlayer) videoPlayer.pause();
+    }
+    const playerWrapper = document.querySelector('.video-player-wrapper');
+    if (playerWrapper) playerWrapper.style.display = 'none';
+
+    container.innerHTML = `
+      <div class="multi-view-toolbar">
+        <button type="button" class="multi-view-play"></button>
+        <input type="range" class="multi-view-seek" min="0" max="0" step="0.01" value="0">
+        <span class="multi-view-time"></span>
+        <select class="multi-view-rate" title="Playback speed">
+          ${MULTI_VIEW_RATES.map(rate => `<option value="${rate}"${rate === 1 ? ' selected' : ''}>${rate}x</option>`).join('')}
+        </select>
+        <button type="button" class="multi-view-close">
+          <i class="fas fa-times"></i>
+          Exit multi-view
+        </button>
+      </div>
+      <div class="multi-view-grid multi-view-count-${playable.length}"></div>
+    `;
+    container.style.display = 'block';
+
+    const offsets = loadMultiViewOffsets(options.storageKey);
+    const grid = container.querySelector('.multi-view-grid');
+
+    multiView = {
+      container,
+      playerWrapper,
+      storageKey: options.storageKey || null,
+      mainIndex: 0,
+      scrubbing: false,
+      syncTimer: null,
+      controls: {
+        play: container.querySelector('.multi-view-play'),
+        seek: container.querySelector('.multi-view-seek'),
+        time: container.querySelector('.multi-view-time'),
+        rate: container.querySelector('.multi-view-rate')
+      },
+      tiles: []
+    };
+
+    playable.forEach(video => {
+      const tile = createMultiViewTile(video, Number(offsets[getMultiViewKey(video)]) || 0);
+      multiView.tiles.push(tile);
+      grid.appendChild(tile.container);
+    });
+
+    const { controls } = multiView;
+    controls.play.onclick = () => {
+      if (getMainTile().element.paused) {
+        playMultiView();
+      } else {
+        pauseMultiView();
+      }
+    };
+    controls.seek.oninput = () => {
+      multiView.scrubbing = true;
+      controls.time.textContent = `${formatPlaybackTime(Number(controls.seek.value))} / ${formatPlaybackTime(Number(controls.seek.max))}`;
+    };
+    controls.seek.onchange = () => {
+      multiView.scrubbing = false;
+      seekMultiView(Number(controls.seek.value));
+    };
+    controls.rate.onchange = () => setMultiViewRate(Number(controls.rate.value));
+    container.querySelector('.multi-view-close').onclick = closeMultiView;
+
+    setMainAudio(0);
+    multiView.syncTimer = setInterval(() => syncMultiView(), MULTI_VIEW_SYNC_INTERVAL);
+    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    return true;
+  }
+
+  /**
+   * Close the multi-view and show the video player again
+   */
+  function closeMultiView() {
+    if (!multiView) return;
+
+    clearInterval(multiView.syncTimer);
+    multiView.tiles.forEach(tile => {
+      tile.element.pause();
+      if (tile.hls) {
+        try {
+          tile.hls.destroy();
+        } catch (error) {
+          console.warn('Error destroying multi-view HLS instance:', error);
+        }
+      }
+      tile.element.removeAttribute('src');
+      tile.element.load();
+    });
+
+    multiView.container.innerHTML = '';
+    multiView.container.style.display = 'none';
+    if (multiView.playerWrapper) multiView.playerWrapper.style.display = '';
+    multiView = null;
+  }
+
+  /**
+   * Check whether the multi-view is open
+   * @returns {boolean} - Whether the multi-view is open
+   */
+  function isMultiViewOpen() {
+    return multiView !== null;
+  }
+
   /**
    * Clean up current player instance
    */
@@ -1526,11 +2215,19 @@ window.replayHub = window.replayHub || {};
   window.replayHub.videoPlayer = {
     initVideoPlayer,
     getCurrentPlayer,
-    cleanupPlayer
+    cleanupPlayer,
+    getCurrentTime,
+    seekTo,
+    setProgressMarkers,
+    formatPlaybackTime,
+    openMultiView,
+    closeMultiView,
+    isMultiViewOpen
   };
   
   // Clean up on page unload
   window.addEventListener('beforeunload', cleanupPlayer);
+  window.addEventListener('beforeunload', closeMultiView);
   
   // VideoPlayer module ready
 })();
\ No newline at end of file
@@ -0,0 +1,429 @@
+/**
+ * Video search for Replay Hub
+ * Parses queries with field operators and ranks videos by how well their title, description,
+ * uploader, players, tags, game and map match, tolerating accents and typos
+ */
+
+// Initialize the global replayHub object if needed
+window.replayHub = window.replayHub || {};
+
+(function() {
+  // Searchable text fields and how much a match in each counts towards the ranking
+  const TEXT_FIELDS = {
+    title: 3,
+    players: 2.5,
+    uploader: 2,
+    tags: 2,
+    game: 1.5,
+    map: 1.5,
+    description: 1
+  };
+
+  // Operator names accepted in queries, mapped to the field they apply to
+  const OPERATORS = {
+    title: 'title',
+    description: 'description',
+    desc: 'description',
+    uploader: 'uploader',
+    by: 'uploader',
+    player: 'players',
+    players: 'players',
+    tag: 'tags',
+    tags: 'tags',
+    game: 'game',
+    map: 'map',
+    duration: 'duration',
+    views: 'views',
+    likes: 'likes',
+    before: 'before',
+    after: 'after'
+  };
+
+  const NUMERIC_OPERATORS = ['duration', 'views', 'likes'];
+  const DATE_OPERATORS = ['before', 'after'];
+
+  // Scores for how a query term matched a word
+  const EXACT_SCORE = 1;
+  const PREFIX_SCORE = 0.7;
+  const FUZZY_SCORE = 0.5;
+
+  /**
+   * Lower-case text and strip accents, so "Zoë" matches "zoe"
+   * @param {string} text - Text to normalize
+   * @returns {string} - Normalized text
+   */
+  function normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  }
+
+  /**
+   * Split text into normalized words
+   * @param {string} text - Text to split
+   * @returns {Array<string>} - Words
+   */
+  function tokenize(text) {
+    return normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  /**
+   * Read a players or tags value, which arrives as an array, a JSON string or comma-separated text
+   * @param {Array|string} value - The raw value
+   * @returns {Array<string>} - The entries
+   */
+  function toList(value) {
+    if (Array.isArray(value)) return value;
+    if (!value) return [];
+
+    if (typeof value === 'string' && value.trim().startsWith('[')) {
+      try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) return parsed;
+      } catch (e) {
+        // Not JSON, treat it as a list
+      }
+    }
+    return String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+  }
+
+  function getFieldText(video, field) {
+    if (field === 'players' || field === 'tags') return toList(video[field]).join(' ');
+    return video[field] || '';
+  }
+
+  /**
+   * Parse a duration such as "90", "1:30", "5m" or "1h20m" into seconds
+   */
+  function parseDuration(value) {
+    if (/^\d+(\.\d+)?$/.test(value)) return parseFloat(value);
+
+    if (/^\d+(:\d{1,2}){1,2}$/.test(value)) {
+      return value.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+    }
+
+    const units = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (units && units[0]) {
+      return (parseInt(units[1] || 0, 10) * 3600) + (parseInt(units[2] || 0, 10) * 60) + parseInt(units[3] || 0, 10);
+    }
+    return NaN;
+  }
+
+  // Parse a comparison such as ">60", "<=5m" or "100"
+  function parseComparison(value, field) {
+    const match = value.match(/^(>=|<=|>|<|=)?(.+)$/);
+    const amount = field === 'duration' ? parseDuration(match[2]) : parseFloat(match[2]);
+    if (isNaN(amount)) return null;
+    return { op: match[1] || '=', value: amount };
+  }
+
+  function compare(actual, { op, value }, field) {
+    switch (op) {
+      case '>': return actual > value;
+      case '>=': return actual >= value;
+      case '<': return actual < value;
+      case '<=': return actual <= value;
+      default: return field === 'duration' ? Math.round(actual) === Math.round(value) : actual === value;
+    }
+  }
+
+  /**
+   * Parse a search query
+   * @param {string} query - e.g. 'clutch player:alice duration:>60 -views:<10 before:2025-01-01 -"team kill"'
+   * @returns {Object} - { terms, phrases, fields, filters, excluded } describing the query
+   */
+  function parseQuery(query) {
+    const parsed = {
+      terms: [],      // Free words matched against every text field
+      phrases: [],    // Quoted phrases that must appear as written
+      fields: [],     // { field, words, phrase } restricted to one field
+      filters: [],    // { field, op, value, negated } numeric and date comparisons
+      excluded: []    // Words or phrases that must not appear
+    };
+
+    const pattern = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+    while ((match = pattern.exec(query || '')) !== null) {
+      if (match[0] === '') {
+        pattern.lastIndex++;
+        continue;
+      }
+
+      const [, negated, operatorName, quoted, bare] = match;
+      const operator = operatorName ? OPERATORS[operatorName.toLowerCase()] : null;
+      let value = quoted !== undefined ? quoted : bare;
+
+      // An unknown "word:" prefix is just part of the text
+      if (operatorName && !operator) {
+        value = `${operatorName}:${value}`;
+      }
+      if (!value) continue;
+
+      if (NUMERIC_OPERATORS.includes(operator)) {
+        const comparison = parseComparison(value, operator);
+        if (comparison) parsed.filters.push({ field: operator, ...comparison, negated: Boolean(negated) });
+        continue;
+      }
+
+      if (DATE_OPERATORS.includes(operator)) {
+        const date = new Date(value);
+        if (!isNaN(date.getTime())) parsed.filters.push({ field: operator, value: date.getTime(), negated: Boolean(negated) });
+        continue;
+      }
+
+      const words = tokenize(value);
+      if (words.length === 0) continue;
+      const phrase = quoted !== undefined ? words.join(' ') : null;
+
+      if (negated) {
+        parsed.excluded.push({ field: operator, words, phrase });
+      } else if (operator) {
+        parsed.fields.push({ field: operator, words, phrase });
+      } else if (phrase) {
+        parsed.phrases.push(phrase);
+      } else {
+        parsed.terms.push(...words);
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Edit distance allowing one swap of neighbouring letters (optimal string alignment),
+   * giving up once it exceeds max
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const nextRow = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousRow[j - 2] + 1);
+        }
+
+        nextRow.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > max) return max + 1;
+      previousRow = row;
+      row = nextRow;
+    }
+
+    return row[b.length];
+  }
+
+  // Longer words tolerate more typos; short ones must match exactly
+  function allowedTypos(term) {
+    if (term.length <= 3) return 0;
+    if (term.length <= 6) return 1;
+    return 2;
+  }
+
+  /**
+   * Find how well a query term matches a list of words
+   * @returns {Object|null} - { score, word } for the best match
+   */
+  function matchTerm(term, words) {
+    let best = null;
+    const maxTypos = allowedTypos(term);
+
+    for (const word of words) {
+      let score = 0;
+      if (word === term) {
+        score = EXACT_SCORE;
+      } else if (term.length >= 2 && word.startsWith(term)) {
+        score = PREFIX_SCORE;
+      } else if (maxTypos > 0) {
+        const distance = editDistance(term, word, maxTypos);
+        if (distance <= maxTypos) score = FUZZY_SCORE - (distance - 1) * 0.15;
+      }
+
+      if (score > 0 && (!best || score > best.score)) {
+        best = { score, word };
+        if (score === EXACT_SCORE) break;
+      }
+    }
+
+    return best;
+  }
+
+  // Words and joined text of each searchable field, computed once per video
+  const indexCache = new WeakMap();
+
+  function getIndex(video) {
+    if (indexCache.has(video)) return indexCache.get(video);
+
+    const index = {};
+    Object.keys(TEXT_FIELDS).forEach(field => {
+      const words = tokenize(getFieldText(video, field));
+      index[field] = { words, text: words.join(' ') };
+    });
+
+    indexCache.set(video, index);
+    return index;
+  }
+
+  // A negated filter ("-duration:>60") keeps the videos the comparison rejects; videos without
+  // the value match neither way
+  function passesFilter(video, filter) {
+    let passes;
+    if (filter.field === 'before' || filter.field === 'after') {
+      const uploaded = new Date(video.upload_date).getTime();
+      if (isNaN(uploaded)) return false;
+      passes = filter.field === 'before' ? uploaded < filter.value : uploaded >= filter.value;
+    } else {
+      const actual = Number(video[filter.field]);
+      if (isNaN(actual)) return false;
+      passes = compare(actual, filter, filter.field);
+    }
+    return filter.negated ? !passes : passes;
+  }
+
+  function containsExcluded(index, exclusion) {
+    const fields = exclusion.field ? [exclusion.field] : Object.keys(TEXT_FIELDS);
+    return fields.some(field => {
+      const { words, text } = index[field];
+      if (exclusion.phrase) return ` ${text} `.includes(` ${exclusion.phrase} `);
+      return exclusion.words.every(word => words.includes(word));
+    });
+  }
+
+  /**
+   * Score one video against a parsed query
+   * @returns {Object|null} - { score, words } with the matched words, or null if the video doesn't match
+   */
+  function scoreVideo(video, query) {
+    if (!query.filters.every(filter => passesFilter(video, filter))) return null;
+
+    const index = getIndex(video);
+    if (query.excluded.some(exclusion => containsExcluded(index, exclusion))) return null;
+
+    const matchedWords = new Set();
+    let score = 0;
+
+    // Every free term has to match somewhere; its best field counts
+    for (const term of query.terms) {
+      let best = null;
+      Object.entries(TEXT_FIELDS).forEach(([field, weight]) => {
+        const match = matchTerm(term, index[field].words);
+        if (match && (!best || match.score * weight > best.score)) {
+          best = { score: match.score * weight, word: match.word };
+        }
+      });
+
+      if (!best) return null;
+      score += best.score;
+      matchedWords.add(best.word);
+    }
+
+    // Phrases must appear as written in some field
+    for (const phrase of query.phrases) {
+      const field = Object.keys(TEXT_FIELDS).find(name => ` ${index[name].text} `.includes(` ${phrase} `));
+      if (!field) return null;
+      score += TEXT_FIELDS[field] * phrase.split(' ').length;
+      phrase.split(' ').forEach(word => matchedWords.add(word));
+    }
+
+    // Field operators only look at their own field
+    for (const { field, words, phrase } of query.fields) {
+      const fieldIndex = index[field];
+      if (phrase) {
+        if (!` ${fieldIndex.text} `.includes(` ${phrase} `)) return null;
+        score += TEXT_FIELDS[field] * words.length;
+        words.forEach(word => matchedWords.add(word));
+        continue;
+      }
+
+      for (const word of words) {
+        const match = matchTerm(word, fieldIndex.words);
+        if (!match) return null;
+        score += match.score * TEXT_FIELDS[field];
+        matchedWords.add(match.word);
+      }
+    }
+
+    return { score, words: matchedWords };
+  }
+
+  /**
+   * Search videos and rank them by relevance
+   * @param {Array<Object>} videos - Videos to search
+   * @param {string|Object} query - Query text or the result of parseQuery
+   * @returns {Array<Object>} - { video, score, words } for matching videos, best first;
+   *   videos keep their original order when the query only has filters
+   */
+  function search(videos, query) {
+    const parsed = typeof query === 'string' ? parseQuery(query) : query;
+    const results = [];
+
+    videos.forEach((video, position) => {
+      if (!video) return;
+      const result = scoreVideo(video, parsed);
+      if (result) results.push({ video, position, ...result });
+    });
+
+    results.sort((a, b) => b.score - a.score || a.position - b.position);
+    return results.map(({ video, score, words }) => ({ video, score, words }));
+  }
+
+  /**
+   * Render text with matched words wrapped in <mark>
+   * @param {string} text - Text to show
+   * @param {Set<string>} [words] - Normalized words to highlight
+   * @returns {DocumentFragment} - Text and mark nodes
+   */
+  function highlight(text, words) {
+    const fragment = document.createDocumentFragment();
+    const source = String(text || '');
+
+    if (!words || words.size === 0) {
+      fragment.appendChild(document.createTextNode(source));
+      return fragment;
+    }
+
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      if (!words.has(normalize(match[0]))) continue;
+
+      if (match.index > lastIndex) {
+        fragment.appendChild(document.createTextNode(source.slice(lastIndex, match.index)));
+      }
+      const mark = document.createElement('mark');
+      mark.className = 'search-highlight';
+      mark.textContent = match[0];
+      fragment.appendChild(mark);
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex < source.length) {
+      fragment.appendChild(document.createTextNode(source.slice(lastIndex)));
+    }
+    return fragment;
+  }
+
+  // Export search functions
+  window.replayHub.videoSearch = {
+    normalize,
+    tokenize,
+    toList,
+    parseQuery,
+    search,
+    highlight
+  };
+
+  // Video search module ready
+})();
@@ -0,0 +1,51 @@
+/**
+ * Test helpers: load fixture clips and run the browser scripts under Node
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Read a fixture clip as a File, the way the upload form hands it to the pipeline
+ * @param {string} name - File name in tests/fixtures
+ * @returns {File} - The clip
+ */
+function loadFixture(name) {
+    const type = name.endsWith('.webm') ? 'video/webm' : 'video/mp4';
+    return new File([fs.readFileSync(path.join(FIXTURES_DIR, name))], name, { type, lastModified: 0 });
+}
+
+/**
+ * Provide the browser globals the media scripts expect
+ * @param {Object} [options] - Environment options
+ * @param {string[]} [options.playableCodecs] - Codec string prefixes the fake browser can play
+ */
+function setupBrowser({ playableCodecs = ['avc1', 'hvc1', 'vp09', 'av01', 'mp4a', 'opus'] } = {}) {
+    const canPlay = (type) => {
+        const match = type.match(/codecs="([^"]+)"/);
+        return Boolean(match && playableCodecs.some(prefix => match[1].startsWith(prefix)));
+    };
+
+    global.window = global.window || {};
+    global.window.replayHub = global.window.replayHub || {};
+    global.document = {
+        createElement: () => ({ canPlayType: type => (canPlay(type) ? 'probably' : '') })
+    };
+    global.MediaSource = { isTypeSupported: canPlay };
+
+    // Chunks only carry their init data; the tests check what would be muxed
+    global.EncodedVideoChunk = class { constructor(init) { Object.assign(this, init); } };
+    global.EncodedAudioChunk = class { constructor(init) { Object.assign(this, init); } };
+
+    global.MediaDemuxer = require('../js/mediaDemuxer.js');
+    if (!global.window.replayHub.mediaProbe) {
+        require('../js/mediaProbe.js');
+    }
+}
+
+module.exports = {
+    loadFixture,
+    setupBrowser
+};
@@ -0,0 +1,154 @@
+/**
+ * MediaDemuxer tests against the fixture clips
+ * Fixtures (2 s, 64x36, 10 fps, key frame every 5 frames):
+ *   clip-h264-aac.mp4   H.264 Main with 2 B-frames, AAC-LC mono 16 kHz
+ *   clip-vp9-opus.webm  VP9 profile 0, Opus mono 48 kHz
+ *   clip-hevc.mp4       H.265 Main (1 s, no audio)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, setupBrowser } = require('./helpers');
+
+setupBrowser();
+const MediaDemuxer = require('../js/mediaDemuxer.js');
+
+const FRAME = 100000; // Microseconds per frame at 10 fps
+
+async function readSamples(demuxer, startTime = 0) {
+    const samples = [];
+    for await (const sample of demuxer.samples(startTime)) {
+        samples.push(sample);
+    }
+    return {
+        video: samples.filter(sample => sample.type === 'video'),
+        audio: samples.filter(sample => sample.type === 'audio')
+    };
+}
+
+function isAscending(values) {
+    return values.every((value, i) => i === 0 || value >= values[i - 1]);
+}
+
+test('MP4: describes the H.264 and AAC tracks', async () => {
+    const demuxer = await MediaDemuxer.open(loadFixture('clip-h264-aac.mp4'));
+
+    assert.equal(demuxer.format, 'mp4');
+    assert.ok(Math.abs(demuxer.duration - 2) < 0.1);
+
+    const video = demuxer.videoTrack;
+    assert.equal(video.codec, 'avc1.4D400A');
+    assert.equal(video.width, 64);
+    assert.equal(video.height, 36);
+    assert.equal(video.frameRate, 10);
+    assert.ok(video.description.length > 0, 'avcC is passed on as the decoder description');
+
+    const audio = demuxer.audioTrack;
+    assert.equal(audio.codec, 'mp4a.40.2');
+    assert.equal(audio.sampleRate, 16000);
+    assert.equal(audio.numberOfChannels, 1);
+    assert.equal(audio.description.length, 5, 'the AudioSpecificConfig is passed on as the decoder description');
+});
+
+test('MP4: sample table yields frames in decode order with presentation timestamps', async () => {
+    const demuxer = await MediaDemuxer.open(loadFixture('clip-h264-aac.mp4'));
+    const { video, audio } = await readSamples(demuxer);
+
+    assert.equal(video.length, 20);
+
+    // Each group is I P B B P in decode order: presented as frames 0, 3, 1, 2, 4
+    const firstGroup = video.slice(0, 5).map(sample => sample.timestamp / FRAME);
+    assert.deepEqual(firstGroup, [0, 3, 1, 2, 4]);
+
+    // The edit list shifts the first frame to 0, and every frame is presented once
+    const presented = video.map(sample => sample.timestamp).sort((a, b) => a - b);
+    assert.deepEqual(presented, Array.from({ length: 20 }, (_, i) => i * FRAME));
+    assert.ok(video.every(sample => sample.duration === FRAME));
+
+    const keyFrames = video.filter(sample => sample.isKey).map(sample => sample.timestamp);
+    assert.deepEqual(keyFrames, [0, 5 * FRAME, 10 * FRAME, 15 * FRAME]);
+    assert.deepEqual(await demuxer.getKeyFrameTimes(), keyFrames);
+
+    // AAC frames of 1024 samples at 16 kHz: the first one is encoder priming, the last one is cut short
+    assert.equal(audio.length, 33);
+    assert.equal(audio[0].timestamp, -64000);
+    assert.ok(audio.slice(0, -1).every(sample => sample.duration === 64000));
+    assert.equal(audio[audio.length - 1].duration, 16000);
+    assert.ok(audio.every(sample => sample.isKey));
+    assert.ok(isAscending(audio.map(sample => sample.timestamp)));
+    assert.ok(audio.every(sample => sample.data.length > 0));
+});
+
+test('MP4: seeking starts at the key frame before the start time', async () => {
+    const demuxer = await MediaDemuxer.open(loadFixture('clip-h264-aac.mp4'));
+    const { video } = await readSamples(demuxer, 12 * FRAME);
+
+    assert.equal(video[0].timestamp, 10 * FRAME);
+    assert.ok(video[0].isKey);
+    assert.equal(video.length, 10);
+});
+
+test('MP4: reading the headers only skips the sample data', async () => {
+    const demuxer = await MediaDemuxer.open(loadFixture('clip-h264-aac.mp4'), { headersOnly: true });
+
+    assert.equal(demuxer.videoTrack.codec, 'avc1.4D400A');
+    assert.equal(demuxer.audioTrack.codec, 'mp4a.40.2');
+});
+
+test('MP4: builds the H.265 codec string from hvcC', async () => {
+    const demuxer = await MediaDemuxer.open(loadFixture('clip-hevc.mp4'));
+
+    assert.equal(demuxer.videoTrack.codec, 'hvc1.1.6.L30.90');
+    assert.equal(demuxer.audioTrack, null);
+});
+
+test('WebM: describes the VP9 and Opus tracks', async () => {
+    const demuxer = await MediaDemuxer.open(loadFixture('clip-vp9-opus.webm'));
+
+    assert.equal(demuxer.format, 'matroska');
+    assert.equal(demuxer.docType, 'webm');
+    assert.ok(Math.abs(demuxer.duration - 2) < 0.1);
+
+    const video = demuxer.videoTrack;
+    assert.equal(video.codec, 'vp09.00.10.08');
+    assert.equal(video.width, 64);
+    assert.equal(video.height, 36);
+    assert.equal(video.frameRate, 10);
+
+    const audio = demuxer.audioTrack;
+    assert.equal(audio.codec, 'opus');
+    assert.equal(audio.sampleRate, 48000);
+    assert.equal(audio.numberOfChannels, 1);
+    assert.equal(audio.description.length, 19, 'the OpusHead is passed on as the decoder description');
+});
+
+test('WebM: blocks yield frames with their cluster-relative timestamps', async () => {
+    const demuxer = await MediaDemuxer.open(loadFixture('clip-vp9-opus.webm'));
+    const { video, audio } = await readSamples(demuxer);
+
+    // The muxer starts the video 7 ms in, after the Opus pre-skip
+    assert.deepEqual(video.map(sample => sample.timestamp), Array.from({ length: 20 }, (_, i) => 7000 + i * FRAME));
+    assert.deepEqual(
+        video.filter(sample => sample.isKey).map(sample => sample.timestamp),
+        [7000, 507000, 1007000, 1507000]
+    );
+    assert.deepEqual(await demuxer.getKeyFrameTimes(), [7000, 507000, 1007000, 1507000]);
+
+    assert.equal(audio.length, 101);
+    assert.equal(audio[0].timestamp, 0);
+    assert.ok(isAscending(audio.map(sample => sample.timestamp)));
+});
+
+test('WebM: seeking never skips samples after the start time', async () => {
+    const demuxer = await MediaDemuxer.open(loadFixture('clip-vp9-opus.webm'));
+    const { video } = await readSamples(demuxer, 12 * FRAME);
+    const fromKeyFrame = video.filter(sample => sample.timestamp >= 1007000);
+
+    assert.equal(fromKeyFrame.length, 10);
+    assert.ok(fromKeyFrame[0].isKey);
+});
+
+test('rejects files that are not MP4 or Matroska', async () => {
+    const file = new File([new Uint8Array(64).fill(7)], 'noise.bin');
+    await assert.rejects(MediaDemuxer.open(file), /Unsupported container format/);
+});
@@ -0,0 +1,90 @@
+/**
+ * Upload queue tests without IndexedDB
+ * Node has no IndexedDB, so the queue runs in its in-memory mode here, as in browsers that block it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Just enough of the DOM for the upload dock: every element accepts what the dock does with it
+function createFakeElement() {
+    const children = new Map();
+    return {
+        style: {},
+        dataset: {},
+        classList: { toggle: () => false, add() {}, remove() {}, contains: () => false },
+        innerHTML: '',
+        textContent: '',
+        addEventListener() {},
+        setAttribute() {},
+        appendChild() {},
+        querySelector(selector) {
+            if (!children.has(selector)) children.set(selector, createFakeElement());
+            return children.get(selector);
+        }
+    };
+}
+
+global.window = global.window || {};
+global.window.replayHub = global.window.replayHub || {};
+global.document = { createElement: createFakeElement, body: createFakeElement() };
+if (typeof navigator === 'undefined') global.navigator = {};
+// A BroadcastChannel would keep the test process running
+global.BroadcastChannel = undefined;
+
+require('../js/uploadSessions.js');
+require('../js/uploadQueue.js');
+const uploadQueue = window.replayHub.uploadQueue;
+
+test('jobs run in memory when IndexedDB is unavailable', async () => {
+    const uploads = [];
+    let completeJob;
+    const completed = new Promise(resolve => { completeJob = resolve; });
+
+    await uploadQueue.init({
+        upload: async (formData, onProgress) => {
+            uploads.push({ file: formData.get('file'), title: formData.get('title') });
+            onProgress(100);
+            return {};
+        },
+        onJobComplete: job => completeJob(job)
+    });
+
+    const file = new File(['not really a video'], 'clip.mp4', { type: 'video/mp4' });
+    await uploadQueue.enqueue(file, { title: 'Clip' });
+    const job = await completed;
+
+    assert.equal(uploads.length, 1);
+    assert.equal(uploads[0].title, 'Clip');
+    assert.equal(uploads[0].file.name, 'clip.mp4');
+    assert.equal(uploads[0].file.size, file.size);
+
+    const [stored] = uploadQueue.getJobs();
+    assert.equal(stored.id, job.id);
+    assert.equal(stored.status, 'completed');
+    assert.equal(stored.progress, 100);
+});
+
+test('a failed upload is marked failed and the queue moves on', async () => {
+    let attempts = 0;
+    let completeJob;
+    const completed = new Promise(resolve => { completeJob = resolve; });
+
+    await uploadQueue.init({
+        upload: async () => {
+            attempts++;
+            if (attempts === 1) throw new Error('Network error');
+            return {};
+        },
+        onJobComplete: job => completeJob(job)
+    });
+
+    const failing = await uploadQueue.enqueue(new File(['a'], 'first.mp4'), { title: 'First' });
+    await uploadQueue.enqueue(new File(['b'], 'second.mp4'), { title: 'Second' });
+    const job = await completed;
+
+    assert.equal(job.fileName, 'second.mp4');
+    const failed = uploadQueue.getJobs().find(item => item.id === failing.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'Network error');
+});
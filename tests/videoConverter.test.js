@@ -0,0 +1,207 @@
+/**
+ * VideoConverter decision tests against the fixture clips
+ * The encoders and muxers need a browser, so these check what the converter decides to do
+ * and which samples a stream copy hands to the muxer.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, setupBrowser } = require('./helpers');
+
+setupBrowser();
+const VideoConverter = require('../js/videoConverter.js');
+
+const LIMITS = { maxWidth: 1920, maxHeight: 1080, quality: 'medium', targetBitrate: 100000 };
+
+function probe(name) {
+    return window.replayHub.mediaProbe.probeFile(loadFixture(name));
+}
+
+/**
+ * A converter whose re-encoding paths only record that they were taken
+ */
+function createTrimmer() {
+    const converter = new VideoConverter();
+    const calls = [];
+
+    converter.canUseWorker = () => false;
+    converter.convertWithWebCodecs = async (file, options) => {
+        calls.push({ path: 'reencode', start: options.start, end: options.end });
+        return new File(['encoded'], 'converted.mp4', { type: 'video/mp4' });
+    };
+    converter.copyRange = async (demuxer, range) => {
+        calls.push({ path: 'copy', start: range.start, end: range.end });
+        return new File(['copied'], 'clip.mp4', { type: 'video/mp4' });
+    };
+
+    return { converter, calls };
+}
+
+/**
+ * A converter whose muxer records the chunks it is given
+ */
+function createRecordingConverter() {
+    const converter = new VideoConverter();
+    const muxed = { output: null, video: [], audio: [], finalized: false };
+
+    converter.isContainerAvailable = () => true;
+    converter.createMuxer = (output) => {
+        muxed.output = output;
+        return {
+            addVideoChunk: (chunk, meta) => muxed.video.push({ chunk, meta }),
+            addAudioChunk: (chunk, meta) => muxed.audio.push({ chunk, meta }),
+            finalize: () => { muxed.finalized = true; }
+        };
+    };
+
+    return { converter, muxed };
+}
+
+test.before(() => {
+    global.VideoEncoder = class {};
+});
+
+test.after(() => {
+    delete global.VideoEncoder;
+});
+
+test('needsConversion: H.264 is re-encoded', async () => {
+    const converter = new VideoConverter();
+    const info = await probe('clip-h264-aac.mp4');
+
+    assert.equal(info.videoCodecName, 'H.264');
+    assert.equal(converter.needsConversion(info, LIMITS), true);
+});
+
+test('needsConversion: playable H.265 within the limits is kept', async () => {
+    const converter = new VideoConverter();
+    const info = await probe('clip-hevc.mp4');
+
+    assert.equal(info.videoCodecName, 'H.265');
+    assert.equal(converter.needsConversion(info, LIMITS), false);
+});
+
+test('needsConversion: H.265 over the size or bitrate limits is re-encoded', async () => {
+    const converter = new VideoConverter();
+    const info = await probe('clip-hevc.mp4');
+
+    assert.equal(converter.needsConversion(info, { ...LIMITS, maxWidth: 32 }), true);
+    assert.equal(converter.needsConversion(info, { ...LIMITS, maxHeight: 18 }), true);
+    assert.equal(converter.needsConversion(info, { ...LIMITS, targetBitrate: 1000 }), true);
+});
+
+test('needsConversion: H.265 this browser cannot play is re-encoded', async () => {
+    const converter = new VideoConverter();
+    const info = await probe('clip-hevc.mp4');
+
+    setupBrowser({ playableCodecs: ['avc1', 'vp09', 'mp4a', 'opus'] });
+    try {
+        assert.equal(converter.needsConversion(info, LIMITS), true);
+    } finally {
+        setupBrowser();
+    }
+});
+
+test('trim: a range starting on a key frame is stream-copied', async () => {
+    const { converter, calls } = createTrimmer();
+    const clip = await converter.trim(loadFixture('clip-h264-aac.mp4'), { start: 0.5, end: 1.5 });
+
+    assert.deepEqual(calls, [{ path: 'copy', start: 0.5, end: 1.5 }]);
+    assert.equal(clip.name, 'clip-h264-aac_0.5s-1.5s.mp4');
+    assert.equal(clip.type, 'video/mp4');
+});
+
+test('trim: cutting the same range again gives the same file fingerprint', async () => {
+    const { converter } = createTrimmer();
+    const source = loadFixture('clip-h264-aac.mp4');
+    const fingerprint = file => `${file.name}:${file.size}:${file.lastModified}`;
+
+    const first = await converter.trim(source, { start: 0.5, end: 1 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await converter.trim(source, { start: 0.5, end: 1 });
+
+    assert.equal(first.name, 'clip-h264-aac_0.5s-1s.mp4');
+    assert.equal(first.lastModified, source.lastModified);
+    assert.equal(fingerprint(first), fingerprint(second));
+});
+
+test('trim: a start within half a frame snaps to the key frame', async () => {
+    const { converter, calls } = createTrimmer();
+    await converter.trim(loadFixture('clip-vp9-opus.webm'), { start: 0.5, end: 1 });
+
+    assert.deepEqual(calls, [{ path: 'copy', start: 0.507, end: 1 }]);
+});
+
+test('trim: a range starting between key frames is re-encoded', async () => {
+    const { converter, calls } = createTrimmer();
+    await converter.trim(loadFixture('clip-h264-aac.mp4'), { start: 0.6, end: 1.5 });
+
+    assert.deepEqual(calls, [{ path: 'reencode', start: 0.6, end: 1.5 }]);
+});
+
+test('trim: reencode skips the stream copy', async () => {
+    const { converter, calls } = createTrimmer();
+    await converter.trim(loadFixture('clip-h264-aac.mp4'), { start: 0.5, end: 1.5, reencode: true });
+
+    assert.deepEqual(calls, [{ path: 'reencode', start: 0.5, end: 1.5 }]);
+});
+
+test('trim: a failed stream copy falls back to re-encoding', async () => {
+    const { converter, calls } = createTrimmer();
+    converter.copyRange = async () => {
+        calls.push({ path: 'copy' });
+        throw new Error('No muxer available for stream copy');
+    };
+
+    await converter.trim(loadFixture('clip-h264-aac.mp4'), { start: 0.5, end: 1.5 });
+
+    assert.deepEqual(calls.map(call => call.path), ['copy', 'reencode']);
+});
+
+test('trim: rejects empty ranges and aborted signals', async () => {
+    const { converter, calls } = createTrimmer();
+    const file = loadFixture('clip-h264-aac.mp4');
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(converter.trim(file, { start: 1, end: 1 }), /must end after it starts/);
+    await assert.rejects(converter.trim(file, { start: 0, end: 1, signal: controller.signal }), { name: 'AbortError' });
+    assert.deepEqual(calls, []);
+});
+
+test('copyRange: keeps B-frames shown before the out-point', async () => {
+    const { converter, muxed } = createRecordingConverter();
+    const demuxer = await MediaDemuxer.open(loadFixture('clip-h264-aac.mp4'));
+
+    await converter.copyRange(demuxer, { start: 0.5, end: 0.75 });
+
+    // Decode order from the key frame at 0.5 s is 0.5 0.8 0.6 0.7 0.9 1.0: the 0.8 s frame is
+    // a reference for 0.6 s and 0.7 s, while 0.9 s is only followed by the next key frame
+    assert.deepEqual(muxed.video.map(({ chunk }) => chunk.timestamp), [0, 300000, 100000, 200000]);
+    assert.equal(muxed.video[0].chunk.type, 'key');
+    assert.equal(muxed.video[0].meta.decoderConfig.codec, 'avc1.4D400A');
+    assert.ok(muxed.video.slice(1).every(({ meta }) => meta === undefined));
+
+    assert.equal(muxed.output.container, 'mp4');
+    assert.equal(muxed.output.audio.mode, 'copy');
+    assert.ok(muxed.audio.length > 0);
+    assert.ok(muxed.audio.every(({ chunk }) => chunk.timestamp >= 0 && chunk.timestamp < 250000));
+    assert.equal(muxed.audio[0].meta.decoderConfig.codec, 'mp4a.40.2');
+    assert.ok(muxed.finalized);
+});
+
+test('copyRange: a range ending on a key frame copies the whole group', async () => {
+    const { converter, muxed } = createRecordingConverter();
+    const demuxer = await MediaDemuxer.open(loadFixture('clip-h264-aac.mp4'));
+
+    await converter.copyRange(demuxer, { start: 0.5, end: 1 });
+
+    assert.deepEqual(muxed.video.map(({ chunk }) => chunk.timestamp), [0, 300000, 100000, 200000, 400000]);
+});
+
+test('copyRange: rejects a start that is not a key frame', async () => {
+    const { converter } = createRecordingConverter();
+    const demuxer = await MediaDemuxer.open(loadFixture('clip-h264-aac.mp4'));
+
+    await assert.rejects(converter.copyRange(demuxer, { start: 0.6, end: 1 }), /No key frame found/);
+});